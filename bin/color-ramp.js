@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+/* Color Ramp - command line export
+   Generates the same JSON the export modal produces, without a browser.
+
+   Usage:
+     color-ramp "#04f700" --space oklch --mode light --vibrancy 50 --format themed
+     color-ramp --endpoints "#f5efe6,#2b1a0e" --interpolation oklch:longer --color-name sand
+     color-ramp --input my-collection-backup.json --format paired --out tokens.json
+*/
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { createRamp, resolveHueShift, resolveCurveProfile, resolveAnchors, resolveNeutralTint, DEFAULT_NEUTRAL_TINT, MAX_NEUTRAL_TINT, resolveMinDistance, resolveHueProfile, resolveVibrancy, MAX_VIBRANCY, VIBRANCY_VERSION, resolveEndpoints, resolveInterpolation, INTERPOLATION_SPACES, HUE_ARCS, HARMONIES, harmonyColors, harmonyColorName, STATUS_HUES, statusColors, SPACES, DEFAULT_MODES, BASE_SCALES, GAMUTS, GAMUT_MAPPINGS, HUE_SHIFT_EASINGS, LIGHTNESS_CURVE_PRESETS, CHROMA_CURVE_PRESETS, parseRgbInput } from '../js/ramp-engine/index.js';
+import { generateJsonStringForFigma, generateBackupString, parseBackup } from '../js/ramp-engine/export.js';
+import { resolveContrast, resolveSurfaces, resolveTargetTable, TARGET_PRESETS, DEFAULT_SURFACES } from '../js/ramp-engine/contrast.js';
+
+// CLI format names -> export modal format values
+const FORMATS = {
+  paired: 'figma-paired',
+  themed: 'figma-themed',
+  light: 'light ramp',
+  dark: 'dark ramp',
+  backup: 'backup'
+};
+
+const HELP = `Usage:
+  color-ramp <color> [options]
+  color-ramp --endpoints <start,end> [options]
+  color-ramp --input <backup file> [options]
+
+Options:
+  -s, --space <space>        Generator color space: ${SPACES.join(', ')} (default: oklch, or the backup's space)
+  -m, --mode <mode>          Default ramp mode: ${DEFAULT_MODES.join(', ')} (default: light)
+  -v, --vibrancy <percent>   Vibrancy boost, 0 to ${MAX_VIBRANCY}: how far chroma goes toward the most each hue
+                             can take in the gamut, ${MAX_VIBRANCY} being its edge (default: 0)
+  -b, --base-scale <scale>   Pin the exact color to this scale in both ramps: ${BASE_SCALES.slice(1).join(', ')}
+                             (default: auto, placed by lightness)
+  -a, --anchors <list>       More known colors locked at scales of the default ramp, such as
+                             "100=#dbeafe,900=#1e3a8a"; the shades between are interpolated in OKLCH
+  -e, --endpoints <s,e>      Build the ramps between a lightest tint and darkest shade instead of from one
+                             color, such as "#f5efe6,#2b1a0e"; not HSL, and with no vibrancy, hue shift,
+                             curves, base scale or anchors
+      --interpolation <i>    Space the shades are blended in, not HSL: ${Object.keys(INTERPOLATION_SPACES).join(', ')},
+                             with a hue arc for the polar ones: ${Object.keys(HUE_ARCS).join(', ')}, such as
+                             "oklab" or "oklch:longer" (default: the generator space, shorter arc)
+      --neutral <tint>       Also export the color's matching neutral as "<color name> neutral": grays
+                             tinted toward its hue with this OKLCH chroma, 0 to ${MAX_NEUTRAL_TINT} (such as ${DEFAULT_NEUTRAL_TINT})
+      --harmony <name>       Also export the colors of a harmony, rotated from the color's OKLCH hue:
+                             ${Object.keys(HARMONIES).join(', ')}
+      --status               Also export ${Object.keys(STATUS_HUES).join(', ')} status colors whose lightness and
+                             chroma follow the color's, with the same ramp settings
+      --hue-shift <l,d[,e]>  Degrees the lightest shades rotate toward yellow and the darkest toward blue,
+                             not HSL, with an easing: ${Object.keys(HUE_SHIFT_EASINGS).join(', ')}
+                             such as "20,15,ease-in" (default: 0,0,linear)
+      --lightness-curve <c>  Lightness spacing from 50 to 950: ${Object.keys(LIGHTNESS_CURVE_PRESETS).join(', ')},
+                             or cubic-bezier handles "x1,y1,x2,y2" (default: linear)
+      --chroma-curve <c>     Chroma multiplier from 50 to 950: ${Object.keys(CHROMA_CURVE_PRESETS).join(', ')},
+                             or "y0,x1,y1,x2,y2,y3" (default: flat)
+      --curve-name <name>    Name saved with the curve profile (default: "Custom")
+  -g, --gamut <gamut>        Target gamut, not HSL: ${GAMUTS.join(', ')} (default: srgb)
+                             A wide gamut adds a "<gamut>" group of CSS colors next to the HEX fallbacks
+      --gamut-mapping <m>    How out-of-gamut shades are brought in, not HSL: ${GAMUT_MAPPINGS.join(', ')}
+                             (default: css, CSS Color 4 chroma reduction that keeps hue)
+      --contrast <setting>   wcag21, or apca-<Lc> such as apca-60, apca-75, apca-90 (default: wcag21)
+      --targets <table>      Per-shade targets: ${Object.keys(TARGET_PRESETS).join(', ')}, or a table such as
+                             "50-200=non-text,300-400=large-text,500-950=text" (default: uniform)
+      --min-distance <d>     Minimum color difference between neighbouring shades and Light/Dark pairs:
+                             2000:<ΔE2000> or ok:<ΔEOK>, such as 2000:3 or ok:0.02
+                             (default: off, shades only need different HEX values)
+      --hue-profile <file>   JSON hue profile for HSL: which hues keep more saturation in Dark Mode and
+                             which darken by a fixed step in Light Mode (default: the built-in profile)
+      --text-dark <color>    Text color for light shades (default: #0D0D0D)
+      --text-light <color>   Text color for dark shades (default: #FFFFFF)
+                             Collections saved with their own text colors keep them
+      --surface-light <bg>   Light Mode page background (default: ${DEFAULT_SURFACES.light})
+      --surface-dark <bg>    Dark Mode page background (default: ${DEFAULT_SURFACES.dark})
+                             Collections saved with their own surfaces keep them
+  -f, --format <format>      ${Object.keys(FORMATS).join(', ')} (default: paired)
+      --alpha                Also export an "alpha" group: each shade as the least-opaque rgba() that
+                             composites to it on its surface (not backups)
+  -n, --name <name>          Collection name (default: "Color Ramp")
+      --color-name <name>    Token name for the color (default: the color input)
+  -i, --input <file>         Export every color of every collection in a backup file
+  -c, --collection <name>    With --input, only export the collection with this name
+  -o, --out <file>           Write to a file instead of stdout
+  -h, --help                 Show this help
+`;
+
+function fail(message) {
+  process.stderr.write(`color-ramp: ${message}\n`);
+  process.exit(1);
+}
+
+let parsed;
+try {
+  parsed = parseArgs({
+    allowPositionals: true,
+    options: {
+      space: { type: 'string', short: 's' },
+      mode: { type: 'string', short: 'm', default: 'light' },
+      vibrancy: { type: 'string', short: 'v', default: '0' },
+      'base-scale': { type: 'string', short: 'b', default: 'auto' },
+      anchors: { type: 'string', short: 'a' },
+      endpoints: { type: 'string', short: 'e' },
+      interpolation: { type: 'string' },
+      neutral: { type: 'string' },
+      harmony: { type: 'string' },
+      status: { type: 'boolean' },
+      gamut: { type: 'string', short: 'g' },
+      'gamut-mapping': { type: 'string' },
+      'hue-shift': { type: 'string' },
+      'lightness-curve': { type: 'string' },
+      'chroma-curve': { type: 'string' },
+      'curve-name': { type: 'string' },
+      contrast: { type: 'string', default: 'wcag21' },
+      targets: { type: 'string', default: 'uniform' },
+      'min-distance': { type: 'string' },
+      'hue-profile': { type: 'string' },
+      'text-dark': { type: 'string' },
+      'text-light': { type: 'string' },
+      'surface-light': { type: 'string' },
+      'surface-dark': { type: 'string' },
+      format: { type: 'string', short: 'f', default: 'paired' },
+      alpha: { type: 'boolean' },
+      name: { type: 'string', short: 'n', default: 'Color Ramp' },
+      'color-name': { type: 'string' },
+      input: { type: 'string', short: 'i' },
+      collection: { type: 'string', short: 'c' },
+      out: { type: 'string', short: 'o' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+} catch (e) {
+  fail(`${e.message}\n\n${HELP}`);
+}
+
+const { values: options, positionals } = parsed;
+
+if (options.help) {
+  process.stdout.write(HELP);
+  process.exit(0);
+}
+
+const format = FORMATS[options.format];
+if (!format) {
+  fail(`Unknown format "${options.format}". Expected one of: ${Object.keys(FORMATS).join(', ')}.`);
+}
+if (options.space && !SPACES.includes(options.space)) {
+  fail(`Unknown color space "${options.space}". Expected one of: ${SPACES.join(', ')}.`);
+}
+if (!DEFAULT_MODES.includes(options.mode)) {
+  fail(`Unknown default mode "${options.mode}". Expected "light" or "dark".`);
+}
+if (!BASE_SCALES.includes(options['base-scale'])) {
+  fail(`Unknown base scale "${options['base-scale']}". Expected one of: ${BASE_SCALES.join(', ')}.`);
+}
+if (options.gamut && !GAMUTS.includes(options.gamut)) {
+  fail(`Unknown gamut "${options.gamut}". Expected one of: ${GAMUTS.join(', ')}.`);
+}
+if (options['gamut-mapping'] && !GAMUT_MAPPINGS.includes(options['gamut-mapping'])) {
+  fail(`Unknown gamut mapping "${options['gamut-mapping']}". Expected one of: ${GAMUT_MAPPINGS.join(', ')}.`);
+}
+if (options.harmony && !HARMONIES[options.harmony]) {
+  fail(`Unknown harmony "${options.harmony}". Expected one of: ${Object.keys(HARMONIES).join(', ')}.`);
+}
+
+let contrast;
+try {
+  const [algorithm, target] = options.contrast.split('-');
+  contrast = resolveContrast({
+    algorithm,
+    target,
+    textColors: { dark: options['text-dark'], light: options['text-light'] }
+  });
+} catch (e) {
+  fail(e.message);
+}
+
+let targets;
+try {
+  targets = resolveTargetTable(options.targets);
+} catch (e) {
+  fail(e.message);
+}
+
+let minDistance;
+try {
+  minDistance = resolveMinDistance(options['min-distance']);
+} catch (e) {
+  fail(e.message);
+}
+
+let hueProfile;
+if (options['hue-profile']) {
+  let text;
+  try {
+    text = readFileSync(options['hue-profile'], 'utf8');
+  } catch (e) {
+    fail(`Could not read "${options['hue-profile']}": ${e.message}`);
+  }
+  try {
+    hueProfile = resolveHueProfile(text);
+  } catch (e) {
+    fail(`${options['hue-profile']}: ${e.message}`);
+  }
+}
+
+let surfaces;
+try {
+  surfaces = resolveSurfaces({ light: options['surface-light'], dark: options['surface-dark'] });
+} catch (e) {
+  fail(e.message);
+}
+
+let collections;
+let space = options.space;
+
+if (options.input) {
+  let text;
+  try {
+    text = readFileSync(options.input, 'utf8');
+  } catch (e) {
+    fail(`Could not read "${options.input}": ${e.message}`);
+  }
+
+  let backup;
+  try {
+    backup = parseBackup(text);
+  } catch (e) {
+    fail(`Could not parse "${options.input}": ${e.message}`);
+  }
+
+  collections = backup.collections;
+  space = space || (SPACES.includes(backup.space) ? backup.space : 'oklch');
+
+  if (options.collection) {
+    collections = collections.filter(c => c.name === options.collection);
+    if (collections.length === 0) {
+      fail(`No collection named "${options.collection}" in "${options.input}".`);
+    }
+  }
+} else {
+  let endpoints = null;
+  let interpolation = null;
+  try {
+    endpoints = resolveEndpoints(options.endpoints);
+    interpolation = resolveInterpolation(options.interpolation);
+  } catch (e) {
+    fail(e.message);
+  }
+  if (endpoints && (options.neutral !== undefined || options.space === 'hsl')) {
+    fail(`--endpoints can't be combined with ${options.space === 'hsl' ? '--space hsl' : '--neutral'}.`);
+  }
+
+  const colorInput = positionals[0] ?? (endpoints ? `${endpoints.start}-${endpoints.end}` : undefined);
+  if (!colorInput) {
+    fail(`Missing base color.\n\n${HELP}`);
+  }
+
+  space = space || 'oklch';
+  let vibrancy;
+  try {
+    vibrancy = resolveVibrancy(options.vibrancy);
+  } catch (e) {
+    fail(e.message);
+  }
+
+  let hueShift;
+  try {
+    hueShift = resolveHueShift(options['hue-shift']);
+  } catch (e) {
+    fail(e.message);
+  }
+
+  let curves;
+  if (options['lightness-curve'] || options['chroma-curve'] || options['curve-name']) {
+    try {
+      curves = resolveCurveProfile({
+        name: options['curve-name'],
+        lightness: options['lightness-curve'],
+        chroma: options['chroma-curve']
+      });
+    } catch (e) {
+      fail(e.message);
+    }
+  }
+
+  let anchors;
+  if (options.anchors) {
+    try {
+      anchors = resolveAnchors(options.anchors);
+    } catch (e) {
+      fail(e.message);
+    }
+    if (anchors[options['base-scale']]) {
+      fail(`The anchor at ${options['base-scale']} takes the scale the base color is pinned to.`);
+    }
+  }
+
+  let neutral;
+  if (options.neutral !== undefined) {
+    try {
+      neutral = resolveNeutralTint(options.neutral);
+    } catch (e) {
+      fail(e.message);
+    }
+  }
+
+  const baseScale = options['base-scale'];
+  let ramps;
+  try {
+    ramps = endpoints
+      ? createRamp({ endpoints, interpolation, space, defaultMode: options.mode, contrast, targets, surfaces, gamut: options.gamut, gamutMapping: options['gamut-mapping'], minDistance })
+      : createRamp({ color: parseRgbInput(colorInput), space, interpolation, defaultMode: options.mode, vibrancy, hueShift, curves, baseScale, anchors, contrast, targets, surfaces, gamut: options.gamut, gamutMapping: options['gamut-mapping'], minDistance, hueProfile });
+  } catch (e) {
+    // Settings that don't work together throw RangeErrors with their own message; anything else is the base color
+    fail(e instanceof RangeError || endpoints ? e.message : `Invalid base color "${colorInput}" for ${space}.`);
+  }
+  ramps.warnings.forEach(warning => process.stderr.write(`color-ramp: warning: ${warning}\n`));
+
+  // A ramp between endpoints stands for the color halfway between them elsewhere
+  const base = endpoints ? ramps.base : parseRgbInput(colorInput);
+  const colorName = options['color-name'] || colorInput;
+  const colors = [endpoints
+    ? { name: colorName, base, space, endpoints, interpolation, defaultMode: options.mode }
+    : { name: colorName, base, space, interpolation, vibrancy, vibrancyVersion: VIBRANCY_VERSION, hueShift, curves, baseScale, anchors, defaultMode: options.mode }];
+  if (neutral !== undefined) {
+    colors.push({ name: `${colorName} neutral`, base, space, neutral, defaultMode: options.mode });
+  }
+  // Harmony colors share the ramp settings, but not the base color's own placement and anchors
+  if (options.harmony) {
+    harmonyColors(base, options.harmony).forEach(({ hex }, i) => {
+      colors.push({ name: harmonyColorName(colorName, options.harmony, i), base: hex, space, interpolation, vibrancy, vibrancyVersion: VIBRANCY_VERSION, hueShift, curves, defaultMode: options.mode });
+    });
+  }
+  if (options.status) {
+    statusColors(base).forEach(({ status, hex }) => {
+      colors.push({ name: status, base: hex, space, interpolation, vibrancy, vibrancyVersion: VIBRANCY_VERSION, hueShift, curves, defaultMode: options.mode });
+    });
+  }
+
+  collections = [{ name: options.name, colors }];
+}
+
+let output;
+if (format === 'backup') {
+  if (collections.length === 1) {
+    output = generateBackupString(collections[0], { space });
+  } else {
+    // Several collections restore through the same { collections: [...] } shape the import reads
+    output = JSON.stringify({
+      collections: collections.map(c => ({ ...c, tokenCount: Array.isArray(c.colors) ? c.colors.length : 0 }))
+    }, null, 2);
+  }
+} else {
+  // The export strings keep "500*" style keys in scale order, so they're joined as-is rather than re-parsed
+  const exports = collections.map(c => generateJsonStringForFigma(c, format, { space, contrast, targets, minDistance, hueProfile, surfaces, gamut: options.gamut, gamutMapping: options['gamut-mapping'], alpha: options.alpha }));
+  output = exports.length === 1
+    ? exports[0]
+    : `[\n${exports.map(json => json.replace(/^/gm, '  ')).join(',\n')}\n]`;
+}
+
+if (options.out) {
+  try {
+    writeFileSync(options.out, `${output}\n`);
+  } catch (e) {
+    fail(`Could not write "${options.out}": ${e.message}`);
+  }
+} else {
+  process.stdout.write(`${output}\n`);
+}
@@ -0,0 +1,82 @@
+import { resolveAnchors } from './ramp-engine/anchors.js';
+
+/* Color Ramp - anchor editor
+   Small list editor for a ramp's anchors (known colors locked at chosen scales of the default
+   ramp, see ramp-engine/anchors.js): pick a scale and a color, Add, and remove anchors from the
+   list. Adding at a scale that already has an anchor replaces it. Shared by both generator pages.
+*/
+
+/**
+ * Wires a scale select, a color input, an Add button and a list element into an anchor editor.
+ * @param {Object} options
+ * @param {HTMLSelectElement} options.select - Scale select; its option values are scales.
+ * @param {HTMLInputElement} options.colorInput - <input type="color"> for the anchor color.
+ * @param {HTMLButtonElement} options.addButton
+ * @param {HTMLUListElement} options.list - Empty list the anchors are shown in.
+ * @param {Function} [options.onChange] - Called with getValue() after an anchor is added or removed.
+ * @returns {{getValue: Function, setValue: Function}}
+ */
+export function createAnchorEditor({ select, colorInput, addButton, list, onChange }) {
+  let anchors = {};
+
+  function render() {
+    list.replaceChildren();
+    Object.keys(anchors).sort((a, b) => a - b).forEach(scale => {
+      const item = document.createElement('li');
+      item.className = 'anchor-chip';
+
+      const swatch = document.createElement('span');
+      swatch.className = 'anchor-chip-swatch';
+      swatch.style.backgroundColor = anchors[scale];
+
+      const label = document.createElement('span');
+      label.textContent = `${scale} ${anchors[scale]}`;
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'anchor-chip-remove';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', `Remove the anchor at ${scale}`);
+      remove.addEventListener('click', () => {
+        delete anchors[scale];
+        render();
+        commit();
+      });
+
+      item.append(swatch, label, remove);
+      list.appendChild(item);
+    });
+    list.hidden = Object.keys(anchors).length === 0;
+  }
+
+  function commit() {
+    if (onChange) onChange(getValue());
+  }
+
+  addButton.addEventListener('click', () => {
+    anchors = { ...anchors, ...resolveAnchors({ [select.value]: colorInput.value }) };
+    render();
+    commit();
+  });
+
+  /**
+   * The current anchors as a spec string, such as "100=#dbeafe,900=#1e3a8a" ('' for none).
+   * @returns {string}
+   */
+  function getValue() {
+    return Object.keys(anchors).sort((a, b) => a - b).map(scale => `${scale}=${anchors[scale]}`).join(',');
+  }
+
+  /**
+   * Shows a set of anchors ({ scale: color } or a spec string).
+   * @param {Object|string} [value]
+   * @throws {RangeError} If an anchor is invalid, see resolveAnchors().
+   */
+  function setValue(value) {
+    anchors = resolveAnchors(value);
+    render();
+  }
+
+  render();
+  return { getValue, setValue };
+}
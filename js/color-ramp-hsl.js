@@ -1,4 +1,13 @@
-// Using tinycolor loaded from HTML script tag
+import tinycolor from 'tinycolor2';
+import { createRamp, resolveCurveProfile, resolveAnchors, resolveNeutralTint, harmonyColors, harmonyColorName, HARMONIES, resolveCvd, CVD_TYPES, resolveHueProfile, hueProfileRanges, resolveVibrancy } from './ramp-engine/index.js';
+import { createCurveEditor } from './curve-editor.js';
+import { createAnchorEditor } from './anchor-editor.js';
+import { createImagePalette } from './image-palette.js';
+import { renderRampStrips } from './ramp-strips.js';
+import { renderQualityPanel } from './quality-panel.js';
+import { applyCvdFilter, renderCvdReport } from './cvd-view.js';
+import { generateJsonStringForFigma, generateBackupString, collectionSettingsConflicts } from './ramp-engine/export.js';
+import { parseContrastSetting, resolveTextColors, contrastBadge, formatContrast, CONTRAST_USE_LABELS } from './ramp-engine/contrast.js';
 
 /* Color Ramp - using Tinycolor.js for HSL color space
    Author: Ricardo Zea - Sr. Web/Product Designer
@@ -12,8 +21,6 @@
 const SCALES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
 
 const BASE_SCALE = '500';
-const LIGHT_MODE_BG = '#FFFFFF';
-const DARK_MODE_BG = '#121212';
 // DEFAULT_COLOR is already defined above, this was an erroneous duplicate addition.
 
 const FLASHLIGHT_DARK_RAMP_SCALE = '200'; // Centralized scale for flashlight color from Dark Ramp
@@ -21,32 +28,7 @@ const FLASHLIGHT_DARK_RAMP_SCALE = '200'; // Centralized scale for flashlight co
 // Collections storage key - use a unique key for HSL collections
 const COLLECTIONS_KEY = 'colorRampCollections_hsl';
 
-const WHITE_HEX = '#ffffff';
-const BLACK_HEX = '#000000';
-
-const NEUTRAL_GRAY_LIGHTNESS_PROFILE = {
-  '50': 0.98, '100': 0.96, '200': 0.91, '300': 0.84, '400': 0.67,
-  '500': 0.46, '600': 0.34, '700': 0.26, '800': 0.17, '900': 0.10, '950': 0.03
-};
-
-const REVERSED_NEUTRAL_GRAY_LIGHTNESS_PROFILE = {
-  '50': 0.03, '100': 0.10, '200': 0.17, '300': 0.26, '400': 0.34,
-  '500': 0.46, '600': 0.67, '700': 0.84, '800': 0.91, '900': 0.96, '950': 0.98
-};
-
 // --- Utility Functions ---
-/**
- * Smooth step interpolation function for creating smooth transitions
- * @param {number} t - Input value between 0 and 1
- * @returns {number} - Smoothed output value between 0 and 1
- */
-function smoothStep(t) {
-  // Clamp t to [0, 1]
-  t = Math.max(0, Math.min(1, t));
-  // Smooth step formula: 3t² - 2t³
-  return t * t * (3 - 2 * t);
-}
-
 /**
  * Checks if a color string is valid and can be parsed by tinycolor.
  * @param {string} colorString - The color string to validate.
@@ -56,145 +38,25 @@ function isValidColor(colorString) {
   return tinycolor(colorString).isValid();
 }
 
-/**
- * Determines the contrasting text color (black or white) for a given background color.
- * @param {Object} backgroundColor - A tinycolor object representing the background.
- * @returns {string} - '#0D0D0D' for black text or '#FFFFFF' for white text.
- */
-function getContrastingTextColor(backgroundColor) {
-  if (!backgroundColor || !backgroundColor.isValid()) {
-    // console.warn('Invalid background color provided to getContrastingTextColor:', backgroundColor);
-    return '#0D0D0D'; // Default to black if color is invalid
-  }
-  const black = '#0D0D0D';
-  const white = '#FFFFFF';
-
-  const readableWithBlack = tinycolor.isReadable(backgroundColor, black, { level: "AA", size: "small" });
-  const readableWithWhite = tinycolor.isReadable(backgroundColor, white, { level: "AA", size: "small" });
-
-  if (readableWithBlack && readableWithWhite) {
-    // If both are readable, pick the one with higher contrast
-    return tinycolor.readability(backgroundColor, black) > tinycolor.readability(backgroundColor, white) ? black : white;
-  } else if (readableWithBlack) {
-    return black;
-  } else if (readableWithWhite) {
-    return white;
-  } else {
-    // If neither is readable to AA, default to white on dark, black on light (fallback)
-    return backgroundColor.getLuminance() > 0.5 ? black : white;
-  }
-}
-
-/**
- * Generates a pure grayscale ramp with a specific base color at a specific scale.
- * All other shades are derived from a neutral gray lightness profile.
- * @param {string} targetBaseHex - The HEX string of the base color (e.g., '#ffffff').
- * @param {string} targetBaseScaleKey - The scale key where the targetBaseHex should be placed (e.g., '50').
- * @param {boolean} [useReversedProfile=false] - Whether to use the reversed lightness profile.
- * @returns {Object} - A ramp object with tinycolor objects.
- */
-function generatePureGrayscaleRamp(targetBaseHex, targetBaseScaleKey, useReversedProfile = false) {
-  const ramp = {};
-  const profile = useReversedProfile ? REVERSED_NEUTRAL_GRAY_LIGHTNESS_PROFILE : NEUTRAL_GRAY_LIGHTNESS_PROFILE;
-  SCALES.forEach(scaleKey => {
-    if (scaleKey === targetBaseScaleKey) {
-      ramp[scaleKey] = tinycolor(targetBaseHex);
-    } else {
-      ramp[scaleKey] = tinycolor({ h: 0, s: 0, l: profile[scaleKey] });
-    }
-  });
-  return ramp;
-}
-
-// Text colors for contrast checking
-const LIGHT_MODE_TEXT_COLORS = {
-  50: '#000000',
-  100: '#000000',
-  200: '#000000',
-  300: '#000000',
-  400: '#000000',
-  500: '#000000',
-  600: '#FFFFFF',
-  700: '#FFFFFF',
-  800: '#FFFFFF',
-  900: '#FFFFFF',
-  950: '#FFFFFF'
-};
-
-const DARK_MODE_TEXT_COLORS = {
-  50: '#FFFFFF',
-  100: '#FFFFFF',
-  200: '#FFFFFF',
-  300: '#FFFFFF',
-  400: '#FFFFFF',
-  500: '#000000',
-  600: '#000000',
-  700: '#000000',
-  800: '#000000',
-  900: '#000000',
-  950: '#000000'
-};
-
 // Default ramp mode (true = dark mode is default, false = light mode is default)
 let isDarkModeDefault = false;
 
-// Variable to store the dynamically determined base scale
-let dynamicBaseScale = '500';
-
 // One-time swatch load animation guard for HSL page
 let hasAnimatedSwatchesHsl = false;
 
-/**
- * Determine the best scale for a color based on its lightness
- * @param {Object} color - TinyColor object
- * @param {Boolean} isDarkMode - Whether we're generating a dark mode ramp
- * @returns {String} - The scale that best matches the color's lightness
- */
-function determineBaseScale(color, isDarkMode = false) {
-  const lightness = color.toHsl().l;
-
-  // Define lightness ranges for each scale
-  const lightModeScales = {
-    '50': { min: 0.95, max: 1.00 },
-    '100': { min: 0.90, max: 0.95 },
-    '200': { min: 0.80, max: 0.90 },
-    '300': { min: 0.70, max: 0.80 },
-    '400': { min: 0.60, max: 0.70 },
-    '500': { min: 0.50, max: 0.60 },
-    '600': { min: 0.40, max: 0.50 },
-    '700': { min: 0.30, max: 0.40 },
-    '800': { min: 0.20, max: 0.30 },
-    '900': { min: 0.10, max: 0.20 },
-    '950': { min: 0.00, max: 0.10 }
-  };
-
-  const darkModeScales = {
-    '950': { min: 0.95, max: 1.00 },
-    '900': { min: 0.90, max: 0.95 },
-    '800': { min: 0.80, max: 0.90 },
-    '700': { min: 0.70, max: 0.80 },
-    '600': { min: 0.60, max: 0.70 },
-    '500': { min: 0.50, max: 0.60 },
-    '400': { min: 0.40, max: 0.50 },
-    '300': { min: 0.30, max: 0.40 },
-    '200': { min: 0.20, max: 0.30 },
-    '100': { min: 0.10, max: 0.20 },
-    '50': { min: 0.00, max: 0.10 }
-  };
-
-  const scales = isDarkMode ? darkModeScales : lightModeScales;
+// Latest generated ramps (scale -> tinycolor), stored with colors added to collections
+let currentLightRamp = {};
+let currentDarkRamp = {};
+// ...and the matching neutral's, while it's shown
+let currentNeutralLightRamp = {};
+let currentNeutralDarkRamp = {};
+// ...and the harmony colors' ({ hex, light, dark })
+let currentHarmonyRamps = [];
+// ...and the colors kept from a dropped image ({ hex, light, dark })
+let currentImageRamps = [];
 
-  // Find the scale that matches the color's lightness
-  for (const scale in scales) {
-    const { min, max } = scales[scale];
-    if (lightness >= min && lightness < max) {
-      return scale;
-    }
-  }
-
-  // Default to 500 if no match is found
-  return '500';
-}
+// The applied hue profile (the textarea may hold unapplied edits); saved, but kept out of the URL it would outgrow
+let currentHueProfile = resolveHueProfile();
 
 /**
  * Debounce function to limit how often a function is called
@@ -336,154 +198,9 @@ window.addEventListener('load', () => {
   sessionStorage.setItem('pageRefreshed', 'false');
 });
 
-/**
- * Parses a string to see if it's a simplified RGB value (e.g., "255, 100, 50" or "255 100 50").
- * If so, it formats it into a standard "rgb(r, g, b)" string.
- * @param {string} input - The input string to parse.
- * @returns {string} - The formatted RGB string or the original input if it's not a simplified RGB value.
- */
-function parseRgbInput(input) {
-  const trimmedInput = input.trim();
-
-  // If it contains characters that are not digits, spaces, or commas, it's not a simple RGB value.
-  if (/[^0-9\s,]/.test(trimmedInput)) {
-    return input;
-  }
-
-  // Split by space or comma and filter out empty strings.
-  const parts = trimmedInput.split(/[\s,]+/).filter(p => p.length > 0);
-
-  if (parts.length === 0 || parts.length > 3) {
-    return input; // Not a valid number of parts for RGB.
-  }
-
-  // Convert parts to numbers
-  const numbers = parts.map(p => parseInt(p, 10));
-
-  // Check if all numbers are valid (0-255)
-  const areNumbersValid = numbers.every(n => !isNaN(n) && n >= 0 && n <= 255);
-  if (!areNumbersValid) {
-    return input;
-  }
-
-  let [r, g, b] = numbers;
-
-  // Set default values for missing parts
-  if (g === undefined) g = 255;
-  if (b === undefined) b = 255;
-
-  return `rgb(${r}, ${g}, ${b})`;
-}
-
-/**
- * Generates a light mode color ramp based on a single base color.
- * @param {Object} baseColor - A tinycolor object for the base color.
- * @param {string} baseScale - The scale at which the base color is placed (e.g., '500').
- * @param {boolean} isDefault - Whether this ramp is the default for the UI.
- * @returns {Object} - A ramp object where keys are scales and values are tinycolor objects.
- */
-function generateLightRamp(baseColor, baseScale, isDefault) {
-  let ramp = {};
-  const baseHsl = baseColor.toHsl();
-
-  // Handle pure white, black, or gray cases
-  if (baseColor.toHexString() === WHITE_HEX) {
-    return generatePureGrayscaleRamp(WHITE_HEX, '50');
-  } else if (baseColor.toHexString() === BLACK_HEX) {
-    return generatePureGrayscaleRamp(BLACK_HEX, '950', true);
-  } else if (baseHsl.s === 0) {
-    const lightness = baseHsl.l;
-    const closestScale = Object.keys(NEUTRAL_GRAY_LIGHTNESS_PROFILE).reduce((prev, curr) => {
-      return (Math.abs(NEUTRAL_GRAY_LIGHTNESS_PROFILE[curr] - lightness) < Math.abs(NEUTRAL_GRAY_LIGHTNESS_PROFILE[prev] - lightness) ? curr : prev);
-    });
-    return generatePureGrayscaleRamp(baseColor.toHexString(), closestScale);
-  }
-
-  // Generate the ramp by adjusting lightness
-  SCALES.forEach(scale => {
-    const scaleIndex = SCALES.indexOf(scale);
-    const baseIndex = SCALES.indexOf(baseScale);
-
-    if (scale === baseScale) {
-      ramp[scale] = baseColor;
-    } else {
-      const lightnessProfile = NEUTRAL_GRAY_LIGHTNESS_PROFILE;
-      const targetLightness = lightnessProfile[scale];
-      let newColorHsl = { h: baseHsl.h, s: baseHsl.s, l: targetLightness };
-
-      // Adjust saturation for very light/dark colors to prevent graying
-      if (targetLightness > 0.9) {
-        newColorHsl.s = Math.max(baseHsl.s * 0.4, 0.1); // Reduce saturation but keep some color
-      } else if (targetLightness < 0.1) {
-        newColorHsl.s = Math.max(baseHsl.s * 0.6, 0.2);
-      }
-
-      ramp[scale] = tinycolor(newColorHsl);
-    }
-  });
-
-  // Post-processing to ensure contrast and uniqueness
-  ensureLightRamp950ContrastAndUniqueness(ramp, baseColor);
-  guaranteeUniqueColors(ramp);
-
-  return ramp;
-}
-
-/**
- * Generates a dark mode color ramp based on a single base color.
- * @param {Object} baseColor - A tinycolor object for the base color.
- * @param {string} baseScale - The scale at which the base color is placed.
- * @param {boolean} isDefault - Whether this ramp is the default for the UI.
- * @returns {Object} - A ramp object with tinycolor objects.
- */
-function generateDarkRamp(baseColor, baseScale, isDefault) {
-  let ramp = {};
-  const baseHsl = baseColor.toHsl();
-
-  // Handle pure white, black, or gray cases
-  if (baseColor.toHexString() === WHITE_HEX) {
-    return generatePureGrayscaleRamp(WHITE_HEX, '950');
-  } else if (baseColor.toHexString() === BLACK_HEX) {
-    return generatePureGrayscaleRamp(BLACK_HEX, '50', true);
-  } else if (baseHsl.s === 0) {
-    const lightness = baseHsl.l;
-    const closestScale = Object.keys(REVERSED_NEUTRAL_GRAY_LIGHTNESS_PROFILE).reduce((prev, curr) => {
-      return (Math.abs(REVERSED_NEUTRAL_GRAY_LIGHTNESS_PROFILE[curr] - lightness) < Math.abs(REVERSED_NEUTRAL_GRAY_LIGHTNESS_PROFILE[prev] - lightness) ? curr : prev);
-    });
-    return generatePureGrayscaleRamp(baseColor.toHexString(), closestScale, true);
-  }
-
-  // Generate ramp by adjusting lightness based on the reversed profile
-  SCALES.forEach(scale => {
-    if (scale === baseScale) {
-      ramp[scale] = baseColor;
-    } else {
-      const lightnessProfile = REVERSED_NEUTRAL_GRAY_LIGHTNESS_PROFILE;
-      const targetLightness = lightnessProfile[scale];
-      let newColorHsl = { h: baseHsl.h, s: baseHsl.s, l: targetLightness };
-
-      // In dark mode, saturation can be higher in lighter shades
-      if (targetLightness > 0.8) {
-        newColorHsl.s = Math.min(baseHsl.s * 1.2, 1);
-      }
-
-      ramp[scale] = tinycolor(newColorHsl);
-    }
-  });
-
-  // Post-processing for dark mode specifics
-  ensureDarkMode950IsLightest(ramp);
-  guaranteeUniqueColors(ramp, true);
-
-  return ramp;
-}
-
 // Initialize the app when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
 
-  let currentLightRamp = {}; // Initialize as empty objects
-  let currentDarkRamp = {};
-
   // Get references to DOM elements
   const colorInput = document.getElementById('colorInput');
   const colorPreview = document.getElementById('colorPreview');
@@ -578,6 +295,310 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('defaultRampToggle').checked = (initialRampMode === 'dark');
   isDarkModeDefault = (initialRampMode === 'dark'); // Sync state for initial ramp generation
 
+  // Vibrancy Boost
+  const vibrancyInput = document.getElementById('vibrancy-input');
+  if (vibrancyInput) {
+    setVibrancy(urlParams.get('vibrancy') ?? localStorage.getItem('vibrancy_hsl') ?? 0);
+    vibrancyInput.addEventListener('input', () => setVibrancy());
+    vibrancyInput.addEventListener('change', () => {
+      const processedColorString = parseRgbInput(colorInput.value) || colorInput.value;
+      if (isValidColor(processedColorString)) {
+        updateColorRamps(processedColorString);
+      }
+    });
+  }
+
+  // Base Scale
+  const baseScaleSelect = document.getElementById('base-scale-select');
+  if (baseScaleSelect) {
+    const initialBaseScale = urlParams.get('base-scale') || localStorage.getItem('baseScale_hsl');
+    if (initialBaseScale && baseScaleSelect.querySelector(`option[value="${initialBaseScale}"]`)) {
+      baseScaleSelect.value = initialBaseScale;
+    }
+    baseScaleSelect.addEventListener('change', () => {
+      const processedColorString = parseRgbInput(colorInput.value) || colorInput.value;
+      if (isValidColor(processedColorString)) {
+        updateColorRamps(processedColorString);
+      }
+    });
+  }
+
+  // Anchors
+  const anchorList = document.getElementById('anchor-list');
+  if (anchorList) {
+    anchorEditor = createAnchorEditor({
+      select: document.getElementById('anchor-scale-select'),
+      colorInput: document.getElementById('anchor-color-input'),
+      addButton: document.getElementById('anchor-add-btn'),
+      list: anchorList,
+      onChange: () => {
+        const processedColorString = parseRgbInput(colorInput.value) || colorInput.value;
+        if (isValidColor(processedColorString)) {
+          updateColorRamps(processedColorString);
+        }
+      }
+    });
+    try {
+      anchorEditor.setValue(urlParams.get('anchors') ?? localStorage.getItem('anchors_hsl') ?? undefined);
+    } catch (e) {
+      // Keep no anchors for a malformed saved or shared value
+    }
+  }
+
+  // Harmony
+  const harmonySelect = document.getElementById('harmony-select');
+  if (harmonySelect) {
+    const initialHarmony = urlParams.get('harmony') ?? localStorage.getItem('harmony_hsl');
+    if (initialHarmony && HARMONIES[initialHarmony]) {
+      harmonySelect.value = initialHarmony;
+    }
+    harmonySelect.addEventListener('change', () => {
+      const processedColorString = parseRgbInput(colorInput.value) || colorInput.value;
+      if (isValidColor(processedColorString)) {
+        updateColorRamps(processedColorString);
+      }
+    });
+  }
+
+  // Image palette
+  const imageDropZone = document.getElementById('image-drop-zone');
+  if (imageDropZone) {
+    imagePalette = createImagePalette({
+      dropZone: imageDropZone,
+      fileInput: document.getElementById('image-palette-input'),
+      list: document.getElementById('image-palette-colors'),
+      status: document.getElementById('image-palette-status'),
+      onChange: () => {
+        const processedColorString = parseRgbInput(colorInput.value) || colorInput.value;
+        if (isValidColor(processedColorString)) {
+          updateColorRamps(processedColorString);
+        }
+      }
+    });
+  }
+
+  // Alpha ramps
+  const alphaToggle = document.getElementById('alpha-toggle-btn');
+  if (alphaToggle) {
+    setAlphaShown(localStorage.getItem('alphaRamps_hsl') === 'on');
+    alphaToggle.addEventListener('click', () => {
+      setAlphaShown(!isAlphaShown());
+      const processedColorString = parseRgbInput(colorInput.value) || colorInput.value;
+      if (isValidColor(processedColorString)) {
+        updateColorRamps(processedColorString);
+      }
+    });
+  }
+
+  // Ramp quality
+  const qualityToggle = document.getElementById('quality-toggle-btn');
+  if (qualityToggle) {
+    setQualityShown(localStorage.getItem('qualityPanel_hsl') === 'on');
+    qualityToggle.addEventListener('click', () => {
+      setQualityShown(!isQualityShown());
+      const processedColorString = parseRgbInput(colorInput.value) || colorInput.value;
+      if (isValidColor(processedColorString)) {
+        updateColorRamps(processedColorString);
+      }
+    });
+  }
+
+  // Hue profile
+  const hueProfileToggle = document.getElementById('hue-profile-toggle-btn');
+  if (hueProfileToggle) {
+    try {
+      setHueProfile(resolveHueProfile(localStorage.getItem('hueProfile_hsl')));
+    } catch (e) {
+      // Fall back to the default profile for a malformed saved one
+      setHueProfile(resolveHueProfile());
+    }
+    const refresh = () => {
+      const processedColorString = parseRgbInput(colorInput.value) || colorInput.value;
+      if (isValidColor(processedColorString)) {
+        updateColorRamps(processedColorString);
+      }
+    };
+    const applyHueProfile = (json) => {
+      try {
+        setHueProfile(resolveHueProfile(json));
+      } catch (e) {
+        if (!(e instanceof RangeError)) throw e;
+        showHueProfileError(e.message);
+        return;
+      }
+      refresh();
+    };
+    hueProfileToggle.addEventListener('click', () => {
+      const panel = document.getElementById('hue-profile-panel');
+      panel.hidden = !panel.hidden;
+      hueProfileToggle.setAttribute('aria-expanded', String(!panel.hidden));
+    });
+    document.getElementById('hue-profile-apply-btn')?.addEventListener('click', () => {
+      applyHueProfile(document.getElementById('hue-profile-input').value);
+    });
+    document.getElementById('hue-profile-reset-btn')?.addEventListener('click', () => {
+      setHueProfile(resolveHueProfile());
+      refresh();
+    });
+    document.getElementById('hue-profile-export-btn')?.addEventListener('click', () => {
+      const blob = new Blob([`${JSON.stringify(currentHueProfile, null, 2)}\n`], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `hue-profile-${currentHueProfile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'custom'}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    });
+    const hueProfileFileInput = document.getElementById('hue-profile-file-input');
+    document.getElementById('hue-profile-import-btn')?.addEventListener('click', () => hueProfileFileInput?.click());
+    hueProfileFileInput?.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        document.getElementById('hue-profile-input').value = e.target.result;
+        applyHueProfile(e.target.result);
+        // Reset the file input to allow selecting the same file again
+        hueProfileFileInput.value = '';
+      };
+      reader.onerror = () => {
+        showHueProfileError('Error reading the file. Please try again.');
+        hueProfileFileInput.value = '';
+      };
+      reader.readAsText(file);
+    });
+  }
+
+  // Color vision deficiency simulation
+  const cvdSelect = document.getElementById('cvd-select');
+  if (cvdSelect) {
+    try {
+      setCvdSetting(resolveCvd(urlParams.get('cvd') ?? localStorage.getItem('cvd_hsl')));
+    } catch (e) {
+      // Show normal vision for a malformed saved or shared setting
+      setCvdSetting(null);
+    }
+    const refresh = () => {
+      const processedColorString = parseRgbInput(colorInput.value) || colorInput.value;
+      if (isValidColor(processedColorString)) {
+        updateColorRamps(processedColorString);
+      }
+    };
+    cvdSelect.addEventListener('change', () => {
+      setCvdSetting();
+      refresh();
+    });
+    const severityInput = document.getElementById('cvd-severity-input');
+    severityInput?.addEventListener('input', () => {
+      setCvdSetting();
+      updateCvdView();
+    });
+    severityInput?.addEventListener('change', refresh);
+  }
+
+  // Matching neutral
+  const neutralToggle = document.getElementById('neutral-toggle-btn');
+  if (neutralToggle) {
+    try {
+      const initialTint = urlParams.get('neutral') ?? localStorage.getItem('neutralTint_hsl');
+      setNeutralTint(initialTint ? resolveNeutralTint(initialTint) : null);
+    } catch (e) {
+      // Keep the neutral hidden for a malformed saved or shared tint
+    }
+    const refreshNeutral = () => {
+      const processedColorString = parseRgbInput(colorInput.value) || colorInput.value;
+      if (isValidColor(processedColorString)) {
+        updateColorRamps(processedColorString);
+      }
+    };
+    neutralToggle.addEventListener('click', () => {
+      setNeutralTint(getNeutralTint() === null ? undefined : null);
+      refreshNeutral();
+    });
+    const refreshNeutralDebounced = debounce(refreshNeutral, 300);
+    document.getElementById('neutral-tint-input')?.addEventListener('input', () => {
+      setNeutralTint();
+      refreshNeutralDebounced();
+    });
+  }
+
+  // Surfaces (Light and Dark Mode page backgrounds)
+  const surfaceLightFromUrl = urlParams.get('surface-light');
+  const surfaceDarkFromUrl = urlParams.get('surface-dark');
+  setSurfaces({
+    light: surfaceLightFromUrl ? `#${surfaceLightFromUrl.replace(/#/, '')}` : localStorage.getItem('surfaceLight_hsl'),
+    dark: surfaceDarkFromUrl ? `#${surfaceDarkFromUrl.replace(/#/, '')}` : localStorage.getItem('surfaceDark_hsl')
+  });
+  ['surface-light-input', 'surface-dark-input'].forEach(inputId => {
+    document.getElementById(inputId)?.addEventListener('change', () => {
+      const processedColorString = parseRgbInput(colorInput.value) || colorInput.value;
+      if (isValidColor(processedColorString)) {
+        updateColorRamps(processedColorString);
+      }
+    });
+  });
+
+  // Contrast Algorithm, per-shade Targets & minimum Spacing
+  [
+    ['contrast-algorithm-select', 'contrast', 'contrastAlgorithm_hsl'],
+    ['contrast-targets-select', 'targets', 'contrastTargets_hsl'],
+    ['min-distance-select', 'min-distance', 'minDistance_hsl']
+  ].forEach(([selectId, param, storageKey]) => {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+    const initialValue = urlParams.get(param) || localStorage.getItem(storageKey);
+    if (initialValue && select.querySelector(`option[value="${initialValue}"]`)) {
+      select.value = initialValue;
+    }
+    select.addEventListener('change', () => {
+      const processedColorString = parseRgbInput(colorInput.value) || colorInput.value;
+      if (isValidColor(processedColorString)) {
+        updateColorRamps(processedColorString);
+      }
+    });
+  });
+
+  // Text Colors (dark text on light shades, light text on dark shades)
+  const textDarkFromUrl = urlParams.get('text-dark');
+  const textLightFromUrl = urlParams.get('text-light');
+  setTextColors({
+    dark: textDarkFromUrl ? `#${textDarkFromUrl.replace(/#/, '')}` : localStorage.getItem('textColorDark_hsl'),
+    light: textLightFromUrl ? `#${textLightFromUrl.replace(/#/, '')}` : localStorage.getItem('textColorLight_hsl')
+  });
+  checkTextColors();
+  ['text-color-dark-input', 'text-color-light-input'].forEach(inputId => {
+    document.getElementById(inputId)?.addEventListener('change', () => {
+      checkTextColors();
+      const processedColorString = parseRgbInput(colorInput.value) || colorInput.value;
+      if (isValidColor(processedColorString)) {
+        updateColorRamps(processedColorString);
+      }
+    });
+  });
+
+  // Curves (lightness and chroma curve profile)
+  const updateFromCurves = () => {
+    const processedColorString = parseRgbInput(colorInput.value) || colorInput.value;
+    if (isValidColor(processedColorString)) {
+      updateColorRamps(processedColorString);
+    }
+  };
+  const lightnessCurveSvg = document.getElementById('lightness-curve-editor');
+  const chromaCurveSvg = document.getElementById('chroma-curve-editor');
+  if (lightnessCurveSvg && chromaCurveSvg) {
+    lightnessCurveEditor = createCurveEditor({ svg: lightnessCurveSvg, select: document.getElementById('lightness-curve-select'), kind: 'lightness', onChange: updateFromCurves });
+    chromaCurveEditor = createCurveEditor({ svg: chromaCurveSvg, select: document.getElementById('chroma-curve-select'), kind: 'chroma', onChange: updateFromCurves });
+  }
+  try {
+    setCurveProfile(resolveCurveProfile({
+      name: urlParams.get('curve-name') ?? localStorage.getItem('curveName_hsl'),
+      lightness: urlParams.get('lightness-curve') || localStorage.getItem('lightnessCurve_hsl') || undefined,
+      chroma: urlParams.get('chroma-curve') || localStorage.getItem('chromaCurve_hsl') || undefined
+    }));
+  } catch (e) {
+    // Keep the defaults for a malformed saved or shared value
+  }
+  document.getElementById('curve-name-input')?.addEventListener('change', updateFromCurves);
+
   // Initialize the color preview
   const initialProcessedColor = colorInput.value;
   const baseColor = tinycolor(initialProcessedColor);
@@ -703,419 +724,110 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
 /**
- * Radical solution to ensure absolute uniqueness of all colors across both ramps
- * This function will detect and fix any duplicate colors with increasingly aggressive methods
- * @param {Object} lightRamp - The light mode color ramp
- * @param {Object} darkRamp - The dark mode color ramp
- * @returns {Object} - Object containing deduplicated light and dark ramps
+ * Update the color ramps based on the input color
  */
-function guaranteeUniqueColors(lightRamp, darkRamp) {
-  // Debug: Ensuring color uniqueness across ramps
-
-  // Step 1: Create a map of all existing colors for tracking
-  const colorMap = new Map();
-  const allColors = [];
-
-  // Helper function to add a color to our tracking structures
-  function trackColor(color, rampType, scale) {
-    const hex = color.toHexString();
-    const info = { hex, rampType, scale, color };
-    colorMap.set(hex, info);
-    allColors.push(info);
-  }
-
-  // Track all light ramp colors
-  SCALES.forEach(scale => {
-    if (lightRamp[scale]) {
-      trackColor(lightRamp[scale], 'light', scale);
-    }
-  });
+function updateColorRamps(baseColorString) {
+  const baseColor = tinycolor(baseColorString);
+  const flashlightColor = baseColor.toHexString();
+  if (baseColor.isValid()) {
+    const hexColor = baseColor.toHexString();
+    const hexValue = hexColor.replace('#', '');
 
-  // Track all dark ramp colors
-  SCALES.forEach(scale => {
-    if (darkRamp[scale]) {
-      trackColor(darkRamp[scale], 'dark', scale);
-    }
-  });
+    // --- State Persistence: URL & localStorage ---
+    const url = new URL(window.location);
+    const rampToggle = document.getElementById('defaultRampToggle');
 
-  // Step 2: Find and fix duplicates
-  const seen = new Set();
-  const duplicates = [];
+    // 1. Update and save color
+    url.searchParams.set('color', hexValue);
+    localStorage.setItem('lastUsedColor_hsl', hexColor);
 
-  allColors.forEach(info => {
-    if (seen.has(info.hex)) {
-      duplicates.push(info);
+    // 2. Update and save ramp mode, vibrancy, base scale, anchors, matching neutral, harmony, alpha ramps, ramp quality, simulation, hue profile and surfaces
+    if (rampToggle) {
+      const rampMode = rampToggle.checked ? 'dark' : 'light';
+      url.searchParams.set('default-ramp', rampMode);
+      localStorage.setItem('defaultRampMode_hsl', rampMode);
+    }
+    const vibrancy = getVibrancy();
+    url.searchParams.set('vibrancy', vibrancy);
+    localStorage.setItem('vibrancy_hsl', vibrancy);
+    const baseScale = getBaseScale();
+    url.searchParams.set('base-scale', baseScale);
+    localStorage.setItem('baseScale_hsl', baseScale);
+    const anchors = getAnchorSettings();
+    if (anchors) {
+      url.searchParams.set('anchors', anchors);
     } else {
-      seen.add(info.hex);
+      url.searchParams.delete('anchors');
     }
-  });
-
-  // If there are duplicates, fix them
-  if (duplicates.length > 0) {
-    duplicates.forEach(info => {
-      const { rampType, scale, color } = info;
-      const scaleNum = parseInt(scale);
-      const hsl = color.toHsl();
-
-      // Check if this is a grayscale color
-      const isGrayscale = hsl.s < 0.05;
-
-      // Determine which direction to adjust based on scale and ramp type
-      let lightnessAdjustment, saturationAdjustment, hueAdjustment;
-
-      if (rampType === 'light') {
-        // For light ramp: lower scales get lighter, higher scales get darker
-        lightnessAdjustment = scaleNum <= 500 ? 0.1 : -0.1;
-        saturationAdjustment = scaleNum <= 500 ? -0.1 : 0.1;
-      } else {
-        // For dark ramp: higher scales get lighter, lower scales get darker
-        lightnessAdjustment = scaleNum >= 500 ? 0.1 : -0.1;
-        saturationAdjustment = scaleNum >= 500 ? -0.1 : 0.1;
-      }
-
-      // Try increasingly aggressive adjustments until we get a unique color
-      let newColor = color;
-      let newHex = info.hex;
-      let attempts = 0;
-      const maxAttempts = 10;
-
-      while (seen.has(newHex) && attempts < maxAttempts) {
-        attempts++;
-
-        if (isGrayscale) {
-          // For grayscale colors, ONLY adjust lightness
-          const currentLightnessAdjustment = lightnessAdjustment * attempts * 0.01;
-          const newLightness = Math.max(0.10, Math.min(0.985, hsl.l + currentLightnessAdjustment));
-          newColor = tinycolor({ h: 0, s: 0, l: newLightness });
-        } else {
-          // For colored inputs, adjust saturation and hue as before
-          const currentLightnessAdjustment = lightnessAdjustment * attempts;
-          const currentSaturationAdjustment = saturationAdjustment * (attempts > 3 ? (attempts - 2) : 0);
-          hueAdjustment = attempts > 6 ? (attempts - 5) * 5 : 0;
-
-          const newLightness = Math.max(0.05, Math.min(0.95, hsl.l + currentLightnessAdjustment));
-          const newSaturation = Math.max(0.05, Math.min(0.95, hsl.s + currentSaturationAdjustment));
-          const newHue = (hsl.h + hueAdjustment) % 360;
-
-          newColor = tinycolor({ h: newHue, s: newSaturation, l: newLightness });
-        }
+    localStorage.setItem('anchors_hsl', anchors);
+    const neutralTint = getNeutralTint();
+    if (neutralTint !== null) {
+      url.searchParams.set('neutral', neutralTint);
+    } else {
+      url.searchParams.delete('neutral');
+    }
+    localStorage.setItem('neutralTint_hsl', neutralTint ?? '');
+    const harmony = getHarmony();
+    if (harmony) {
+      url.searchParams.set('harmony', harmony);
+    } else {
+      url.searchParams.delete('harmony');
+    }
+    localStorage.setItem('harmony_hsl', harmony);
+    localStorage.setItem('alphaRamps_hsl', isAlphaShown() ? 'on' : '');
+    localStorage.setItem('qualityPanel_hsl', isQualityShown() ? 'on' : '');
+    const cvd = getCvdSetting();
+    if (cvd) {
+      url.searchParams.set('cvd', cvd);
+    } else {
+      url.searchParams.delete('cvd');
+    }
+    localStorage.setItem('cvd_hsl', cvd);
+    localStorage.setItem('hueProfile_hsl', JSON.stringify(currentHueProfile));
+    const surfaces = getSurfaces();
+    url.searchParams.set('surface-light', surfaces.light.replace('#', ''));
+    url.searchParams.set('surface-dark', surfaces.dark.replace('#', ''));
+    localStorage.setItem('surfaceLight_hsl', surfaces.light);
+    localStorage.setItem('surfaceDark_hsl', surfaces.dark);
+
+    // 3. Update and save contrast algorithm, per-shade targets and minimum spacing
+    const contrastValue = document.getElementById('contrast-algorithm-select')?.value || 'wcag21';
+    url.searchParams.set('contrast', contrastValue);
+    localStorage.setItem('contrastAlgorithm_hsl', contrastValue);
+    const targetsValue = getContrastTargets();
+    url.searchParams.set('targets', targetsValue);
+    localStorage.setItem('contrastTargets_hsl', targetsValue);
+    const minDistance = getMinDistance();
+    if (minDistance) {
+      url.searchParams.set('min-distance', minDistance);
+    } else {
+      url.searchParams.delete('min-distance');
+    }
+    localStorage.setItem('minDistance_hsl', minDistance);
+
+    // 4. Update and save text colors
+    const { textColors } = getContrastSetting();
+    url.searchParams.set('text-dark', textColors.dark.replace('#', ''));
+    url.searchParams.set('text-light', textColors.light.replace('#', ''));
+    localStorage.setItem('textColorDark_hsl', textColors.dark);
+    localStorage.setItem('textColorLight_hsl', textColors.light);
+
+    // 5. Update and save curve profile
+    const curveSettings = getCurveSettings();
+    url.searchParams.set('lightness-curve', curveSettings.lightness);
+    url.searchParams.set('chroma-curve', curveSettings.chroma);
+    if (curveSettings.name) {
+      url.searchParams.set('curve-name', curveSettings.name);
+    } else {
+      url.searchParams.delete('curve-name');
+    }
+    localStorage.setItem('lightnessCurve_hsl', curveSettings.lightness);
+    localStorage.setItem('chromaCurve_hsl', curveSettings.chroma);
+    localStorage.setItem('curveName_hsl', curveSettings.name);
 
-        newHex = newColor.toHexString();
-      }
-
-      // If we still have a duplicate after max attempts, use a nuclear option
-      if (seen.has(newHex)) {
-        if (isGrayscale) {
-          // For grayscale, just use a random lightness
-          const newLightness = rampType === 'light' ?
-            (scaleNum <= 500 ? 0.8 + (Math.random() * 0.15) : 0.1 + (Math.random() * 0.2)) :
-            (scaleNum >= 500 ? 0.7 + (Math.random() * 0.28) : 0.1 + (Math.random() * 0.2));
-          newColor = tinycolor({ h: 0, s: 0, l: Math.min(0.985, newLightness) });
-        } else {
-          // Nuclear option for colored inputs
-          const hueShift = 30 + (Math.random() * 60);
-          const newHue = (hsl.h + hueShift) % 360;
-          const newSaturation = 0.5 + (Math.random() * 0.4);
-          const newLightness = rampType === 'light' ?
-            (scaleNum <= 500 ? 0.8 + (Math.random() * 0.15) : 0.1 + (Math.random() * 0.2)) :
-            (scaleNum >= 500 ? 0.8 + (Math.random() * 0.15) : 0.1 + (Math.random() * 0.2));
-
-          newColor = tinycolor({ h: newHue, s: newSaturation, l: newLightness });
-        }
-        newHex = newColor.toHexString();
-      }
-
-      // Update the color in the appropriate ramp
-      if (rampType === 'light') {
-        lightRamp[scale] = newColor;
-      } else {
-        darkRamp[scale] = newColor;
-      }
-
-      // Add the new color to our seen set
-      seen.add(newHex);
-    });
-  } else {
-    // Debug: No duplicate colors found
-  }
-
-  // The 'seen' set now contains all unique hex codes from both ramps.
-  return { lightRamp, darkRamp, seenSet: seen };
-}
-
-/**
- * Ensures that the 950 shade in the light ramp has a higher contrast ratio than the 900 shade,
- * and that the 950 shade remains unique.
- * @param {Object} lightRamp - The light mode color ramp, already de-duplicated by guaranteeUniqueColors.
- * @param {Set<string>} seenHexSet - A set of all unique hex codes from both ramps.
- * @returns {Object} - The modified lightRamp.
- */
-function ensureLightRamp950ContrastAndUniqueness(lightRamp, seenHexSet) {
-  if (!lightRamp['950'] || !lightRamp['900']) {
-    console.warn('Light ramp 950 or 900 not found, skipping terminal contrast adjustment.');
-    return lightRamp;
-  }
-
-  const bgLight = tinycolor(LIGHT_MODE_BG);
-  let color950 = lightRamp['950'];
-  const color900 = lightRamp['900'];
-  const originalHex950 = color950.toHexString();
-  let contrast950 = tinycolor.readability(bgLight, color950);
-  const contrast900 = tinycolor.readability(bgLight, color900);
-
-  if (contrast950 <= contrast900) {
-    let hsl950 = color950.toHsl();
-    let attempts = 0;
-    const maxContrastAttempts = 15;
-
-    while (contrast950 <= contrast900 && attempts < maxContrastAttempts) {
-      attempts++;
-      hsl950.l = Math.max(0.01, hsl950.l - (0.005 + 0.001 * attempts)); // Gradually decrease lightness
-      hsl950.s = Math.min(1.0, hsl950.s + (0.002 + 0.0005 * attempts)); // Slightly increase saturation
-      color950 = tinycolor(hsl950);
-      contrast950 = tinycolor.readability(bgLight, color950);
-      console.log(`  Contrast Attempt ${attempts}: Light 950 to L:${hsl950.l.toFixed(3)}, S:${hsl950.s.toFixed(3)}. New Contrast: ${contrast950.toFixed(2)}`);
-    }
-    lightRamp['950'] = color950;
-    if (contrast950 > contrast900) {
-      console.log(`  Light Ramp: Successfully adjusted 950 contrast. Final: ${contrast950.toFixed(2)}`);
-    } else {
-      console.warn(`  Light Ramp: Could not sufficiently adjust 950 contrast. Final: ${contrast950.toFixed(2)}`);
-    }
-  }
-
-  // Uniqueness check for the (potentially) modified color950
-  const finalAdjustedHex950 = color950.toHexString();
-
-  // If 950 changed, remove its original hex from seen set (if it was there) and check new one.
-  if (finalAdjustedHex950 !== originalHex950) {
-    seenHexSet.delete(originalHex950);
-  }
-
-  if (seenHexSet.has(finalAdjustedHex950)) {
-    let uniqueAttempts = 0;
-    const maxUniqueAttempts = 10;
-    let current950ForUniqueness = color950.clone();
-    let currentHexForUniqueness = finalAdjustedHex950;
-
-    while (seenHexSet.has(currentHexForUniqueness) && uniqueAttempts < maxUniqueAttempts) {
-      uniqueAttempts++;
-      let hsl = current950ForUniqueness.toHsl();
-      // Try small hue shift first, then tiny lightness adjustment if hue shift fails
-      if (uniqueAttempts <= 5) {
-        hsl.h = (hsl.h + uniqueAttempts * 2) % 360;
-      } else {
-        // Try to adjust lightness slightly, ensuring it doesn't make contrast worse than 900
-        // This is a delicate balance: aim for darker if possible
-        const L_ADJUST = 0.002 * (uniqueAttempts - 5);
-        const potentialLighterL = Math.min(0.99, hsl.l + L_ADJUST);
-        const potentialDarkerL = Math.max(0.01, hsl.l - L_ADJUST);
-
-        const colorTryDarker = tinycolor({ ...hsl, l: potentialDarkerL });
-        const contrastTryDarker = tinycolor.readability(bgLight, colorTryDarker);
-
-        if (contrastTryDarker > contrast900) {
-          hsl.l = potentialDarkerL;
-        } else {
-          // Fallback: if making it darker hurts contrast too much, try making it slightly lighter
-          // Or, if it was already very dark, a tiny bit lighter might be okay.
-          hsl.l = potentialLighterL;
-        }
-      }
-      current950ForUniqueness = tinycolor(hsl);
-      currentHexForUniqueness = current950ForUniqueness.toHexString();
-    }
-
-    if (seenHexSet.has(currentHexForUniqueness)) {
-      let hsl = current950ForUniqueness.toHsl();
-      hsl.h = (hsl.h + Math.random() * 10 - 5) % 360;
-      hsl.s = Math.max(0.05, Math.min(0.95, hsl.s + Math.random() * 0.1 - 0.05));
-      // Try to keep lightness dark for 950
-      hsl.l = Math.max(0.01, Math.min(0.3, hsl.l + Math.random() * 0.02 - 0.01));
-      current950ForUniqueness = tinycolor(hsl);
-      currentHexForUniqueness = current950ForUniqueness.toHexString();
-    }
-
-    lightRamp['950'] = current950ForUniqueness;
-    color950 = current950ForUniqueness; // update color950 to the latest unique version
-  }
-
-  // Add the final version of 950's hex to the seen set
-  seenHexSet.add(color950.toHexString());
-
-  return lightRamp;
-}
-
-/**
- * Generates a pure grayscale ramp with a specific base color at a specific scale.
- * All other shades are derived from a neutral gray lightness profile.
- * @param {string} targetBaseHex - The HEX string of the base color (e.g., '#ffffff').
- * @param {string} targetBaseScaleKey - The scale key where the targetBaseHex should be placed (e.g., '50').
- * @param {boolean} [useReversedProfile=false] - Whether to use the reversed lightness profile.
- * @returns {Object} - A ramp object with tinycolor objects.
- */
-function generatePureGrayscaleRamp(targetBaseHex, targetBaseScaleKey, useReversedProfile = false) {
-  const ramp = {};
-  const profile = useReversedProfile ? REVERSED_NEUTRAL_GRAY_LIGHTNESS_PROFILE : NEUTRAL_GRAY_LIGHTNESS_PROFILE;
-  SCALES.forEach(scaleKey => {
-    if (scaleKey === targetBaseScaleKey) {
-      ramp[scaleKey] = tinycolor(targetBaseHex);
-    } else {
-      ramp[scaleKey] = tinycolor({ h: 0, s: 0, l: profile[scaleKey] });
-    }
-  });
-  return ramp;
-}
-
-/**
- * Adjusts the 100 shade in the dark ramp to create a smoother lightness transition
- * between the 50, 100, and 200 shades. It positions L(100) proportionally
- * between L(50) and L(200), ensuring it remains distinctly lighter than L(50)
- * and distinctly darker than L(200).
- * @param {Object} darkRamp - The dark mode color ramp.
- * @returns {Object} - The modified darkRamp.
- */
-function adjustDarkRamp100Shade(darkRamp) {
-  const color50 = darkRamp['50'];
-  const color100_obj = darkRamp['100']; // Use a different name to avoid confusion with its HSL properties
-  const color200 = darkRamp['200'];
-
-  if (!color50 || !color100_obj || !color200) {
-    return darkRamp;
-  }
-
-  const l50 = color50.toHsl().l;
-  const l100_initial = color100_obj.toHsl().l;
-  const l200 = color200.toHsl().l;
-
-
-  // Position L100 proportionally: 1/3rd of the way from L50 to L200
-  const rawTargetL100 = l50 + (l200 - l50) * 0.33;
-  let targetL100 = rawTargetL100;
-
-  // Define strict separation bounds for L100
-  const minL100_bound = l50 + 0.015; // Must be at least 1.5% lighter than L50
-  const maxL100_bound = l200 - 0.015; // Must be at least 1.5% darker than L200
-
-  // Clamp the targetL100 to these separation bounds
-  targetL100 = Math.max(minL100_bound, targetL100);
-  targetL100 = Math.min(maxL100_bound, targetL100);
-
-  // Ensure targetL100 is within absolute valid lightness range
-  targetL100 = Math.max(0.001, Math.min(0.999, targetL100));
-
-  // Only apply if the bounds are valid and the change is significant
-  if (maxL100_bound > minL100_bound && Math.abs(l100_initial - targetL100) > 0.001) {
-    const originalHsl100 = color100_obj.toHsl();
-    darkRamp['100'] = tinycolor({ ...originalHsl100, l: targetL100 });
-  }
-  return darkRamp;
-}
-
-/**
- * Creates a slightly varied base color for the non-default ramp.
- * @param {tinycolor} originalBaseColor - The original input base color.
- * @param {boolean} isVariationForLightRamp - True if the variation is for the light ramp's base, false for dark ramp's base.
- * @returns {tinycolor} - The varied color.
- */
-function createVariedBaseColor(originalBaseColor, isVariationForLightRamp) {
-  const hsl = originalBaseColor.toHsl();
-  if (isVariationForLightRamp) { // Dark is default, creating variation for Light ramp's base
-    hsl.l = Math.min(0.95, hsl.l + 0.03); // Slightly lighter
-    hsl.s = Math.min(1.00, hsl.s + 0.03); // Slightly more saturated
-  } else { // Light is default, creating variation for Dark ramp's base
-    hsl.l = Math.max(0.05, hsl.l - 0.03); // Slightly darker
-    hsl.s = Math.max(0.00, hsl.s - 0.03); // Slightly less saturated
-  }
-  if (isNaN(hsl.h) && originalBaseColor.toHsl().s === 0) {
-    hsl.h = originalBaseColor.toHsl().h;
-  } else if (isNaN(hsl.h)) {
-    hsl.h = 0;
-  }
-
-  const variedColor = tinycolor(hsl);
-  if (originalBaseColor.toHsl().s < 0.01) {
-    const variedHsl = variedColor.toHsl();
-    const originalHue = originalBaseColor.toHsl().h;
-    return tinycolor({ h: (isNaN(originalHue) ? 0 : originalHue), s: 0, l: variedHsl.l });
-  }
-  return variedColor;
-}
-
-/**
- * Globally lightens all shades in the dark ramp by a small amount.
- * @param {Object} darkRamp - The dark mode color ramp.
- * @param {boolean} isDefaultDarkRamp - Whether the dark ramp is the default one.
- * @param {string} baseScaleOfDefaultDarkRamp - The scale of the base color if dark ramp is default.
- * @param {number} [amount=0.01] - The amount to increase lightness by (0.0 to 1.0).
- * @returns {Object} - The modified darkRamp with lighter shades.
- */
-function globallyLightenDarkRamp(darkRamp, isDefaultDarkRamp, baseScaleOfDefaultDarkRamp, amount = 0.01) {
-  const lightenedDarkRamp = {};
-  for (const scale in darkRamp) {
-    if (Object.hasOwnProperty.call(darkRamp, scale)) {
-      const color = darkRamp[scale];
-      if (isDefaultDarkRamp && scale === baseScaleOfDefaultDarkRamp) {
-        lightenedDarkRamp[scale] = color;
-      } else {
-        const originalHsl = color.toHsl();
-        let newLightness = originalHsl.l + amount;
-
-        // Check if this is a grayscale color
-        const isGrayscale = originalHsl.s < 0.05;
-
-        if (newLightness >= 0.99) { // Check if new lightness is approaching or exceeding 99%
-          if (isGrayscale) {
-            // For grayscale colors, cap just below pure white to avoid #FFF
-            lightenedDarkRamp[scale] = tinycolor({ h: 0, s: 0, l: 0.985 });
-          } else if (originalHsl.s >= 0.05) { // If it's a colored input
-            // Cap lightness at 0.99 for colored inputs to prevent becoming pure white
-            lightenedDarkRamp[scale] = tinycolor({ h: originalHsl.h, s: originalHsl.s, l: Math.min(0.99, newLightness) });
-          } else { // Near-grayscale but not reaching full white (e.g. L=0.99 for a gray)
-            lightenedDarkRamp[scale] = tinycolor({ h: originalHsl.h, s: originalHsl.s, l: Math.min(0.99, newLightness) });
-          }
-        } else { // If newLightness is safely below 0.99
-          if (isGrayscale) {
-            // Ensure grays remain pure and cap at our max range
-            lightenedDarkRamp[scale] = tinycolor({ h: 0, s: 0, l: Math.min(0.985, newLightness) });
-          } else {
-            lightenedDarkRamp[scale] = tinycolor({ h: originalHsl.h, s: originalHsl.s, l: newLightness });
-          }
-        }
-      }
-    }
-  }
-  return lightenedDarkRamp;
-}
-
-/**
- * Update the color ramps based on the input color
- */
-function updateColorRamps(baseColorString) {
-  const baseColor = tinycolor(baseColorString);
-  const flashlightColor = baseColor.toHexString();
-  if (baseColor.isValid()) {
-    const hexColor = baseColor.toHexString();
-    const hexValue = hexColor.replace('#', '');
-
-    // --- State Persistence: URL & localStorage ---
-    const url = new URL(window.location);
-    const rampToggle = document.getElementById('defaultRampToggle');
-
-    // 1. Update and save color
-    url.searchParams.set('color', hexValue);
-    localStorage.setItem('lastUsedColor_hsl', hexColor);
-
-    // 2. Update and save ramp mode
-    if (rampToggle) {
-      const rampMode = rampToggle.checked ? 'dark' : 'light';
-      url.searchParams.set('default-ramp', rampMode);
-      localStorage.setItem('defaultRampMode_hsl', rampMode);
-    }
-
-    // 3. Update browser history
-    window.history.pushState({}, '', url);
-  }
+    // 6. Update browser history
+    window.history.pushState({}, '', url);
+  }
 
   // --- Form Population ---
   const baseColorInput = document.getElementById('base-color-input');
@@ -1133,93 +845,6 @@ function updateColorRamps(baseColorString) {
   if (accessibilityBanner && !window.__devForceAccessibilityBanner) {
     accessibilityBanner.style.display = 'none';
   }
-  const isGray = baseColor.toHsl().s < 0.01;
-
-  // Special handling for pure white or pure black inputs
-  if (baseColor.toHexString() === WHITE_HEX || baseColor.toHexString() === BLACK_HEX) {
-    let lightRamp, darkRamp, lightBaseScale, darkBaseScale;
-
-    if (baseColor.toHexString() === WHITE_HEX) {
-      lightRamp = generatePureGrayscaleRamp(WHITE_HEX, '50', false); // Light ramp UI: light to dark
-      let tempDarkRamp = generatePureGrayscaleRamp(WHITE_HEX, '950', true);   // Dark ramp UI: dark to light (reversed profile)
-      lightBaseScale = '50';
-      darkBaseScale = '950';
-      // Make the dark UI ramp shades (except base) slightly lighter
-      darkRamp = globallyLightenDarkRamp(tempDarkRamp, true, darkBaseScale, 0.015);
-    } else { // BLACK_HEX
-      lightRamp = generatePureGrayscaleRamp(BLACK_HEX, '950', false); // Light ramp UI: light to dark
-      let tempDarkRamp = generatePureGrayscaleRamp(BLACK_HEX, '50', true);    // Dark ramp UI: dark to light (reversed profile)
-      lightBaseScale = '950';
-      darkBaseScale = '50';
-      // Make the dark UI ramp shades (except base) slightly lighter
-      darkRamp = globallyLightenDarkRamp(tempDarkRamp, true, darkBaseScale, 0.015);
-    }
-
-    // Populate text color maps for these pure ramps
-    for (const scale in lightRamp) {
-      LIGHT_MODE_TEXT_COLORS[scale] = getContrastingTextColor(lightRamp[scale]);
-    }
-    for (const scale in darkRamp) {
-      DARK_MODE_TEXT_COLORS[scale] = getContrastingTextColor(darkRamp[scale]);
-    }
-
-    // Update background animation colors for pure white/black case
-    if (window.canvas && typeof window.canvas.updateColors === 'function') {
-      const darkRampArray = [
-        darkRamp['300']?.toHexString() || '#000000',
-        darkRamp['400']?.toHexString() || '#000000',
-        darkRamp['500']?.toHexString() || '#000000',
-        darkRamp['600']?.toHexString() || '#000000',
-        darkRamp['700']?.toHexString() || '#000000',
-      ];
-      window.canvas.updateColors({ darkRamp: darkRampArray, flashlight: flashlightColor });
-      // Use the 800 scale from the dark ramp for the dynamic color to ensure readability
-      const dynamicColor = darkRamp['800'] ? darkRamp['800'].toHexString() : '#ffffff';
-      document.body.style.setProperty('--dynamic-color', dynamicColor);
-    }
-
-    // Keep modal/input theming in sync even when bypassing the normal pipeline.
-    // Use the 900 shade of the Light mode ramp for a dark modal/input background.
-    const modalBgColor = lightRamp['900'] ? lightRamp['900'].toHexString() : '#111111';
-    const modalTextColor = lightRamp['50'] ? lightRamp['50'].toHexString() : '#ffffff';
-    document.documentElement.style.setProperty('--modal-bg-color', modalBgColor);
-    document.documentElement.style.setProperty('--modal-text-color', modalTextColor);
-
-    const inputBgColor = lightRamp['200'] ? lightRamp['200'].toHexString() : '#EEEEEE';
-    const inputTextColor = '#000000';
-    document.documentElement.style.setProperty('--input-bg-color', inputBgColor);
-    document.documentElement.style.setProperty('--input-text-color', inputTextColor);
-
-    // Keep Default Ramp Mode switch theming in sync for pure white/black.
-    const knobLightColor = darkRamp['100'] ? darkRamp['100'].toHexString() : '#0D0D0D';
-    const knobDarkColor = lightRamp['200'] ? lightRamp['200'].toHexString() : '#FFFFFF';
-    document.documentElement.style.setProperty('--knob-light-mode-color', knobLightColor);
-    document.documentElement.style.setProperty('--knob-dark-mode-color', knobDarkColor);
-
-    const switchBgLightColor = lightRamp['200'] ? lightRamp['200'].toHexString() : '#EEEEEE';
-    const switchBgDarkColor = darkRamp['100'] ? darkRamp['100'].toHexString() : '#333333';
-    document.documentElement.style.setProperty('--switch-bg-light-mode-color', switchBgLightColor);
-    document.documentElement.style.setProperty('--switch-bg-dark-mode-color', switchBgDarkColor);
-
-    updateRampUI('lightRamp', lightRamp, LIGHT_MODE_TEXT_COLORS, lightBaseScale, failedColors);
-    updateRampUI('darkRamp', darkRamp, DARK_MODE_TEXT_COLORS, darkBaseScale, failedColors);
-
-    // After first full render, prevent re-animation
-    if (!hasAnimatedSwatchesHsl) {
-      hasAnimatedSwatchesHsl = true;
-    }
-
-    if (failedColors.length > 0) {
-      if (baseColorInput) {
-        baseColorInput.value = baseColor.toHexString();
-      }
-      if (failedColorInput) {
-        failedColorInput.value = [...new Set(failedColors)].join(', ');
-      }
-    }
-    updateRefreshTimestamp();
-    return; // Bypass the rest of the pipeline for pure white/black
-  }
 
   const defaultRampToggle = document.getElementById('defaultRampToggle');
   if (!defaultRampToggle) {
@@ -1227,167 +852,126 @@ function updateColorRamps(baseColorString) {
   }
   const isDarkModeDefault = defaultRampToggle.checked;
 
-  let lightRampGenerated, darkRampGenerated;
-  let actualLightBaseScale, actualDarkBaseScale;
-
-
-
-  if (isDarkModeDefault) {
-    // DARK MODE IS DEFAULT - Generate dark ramp with exact base color
-    // First, determine the best scale for the base color in dark mode
-    const darkBaseScale = determineBaseScale(baseColor, true);
-
-    // Generate the dark ramp with the exact base color at the determined scale
-    darkRampGenerated = generateDarkRampWithExactBase(baseColor);
-    actualDarkBaseScale = darkBaseScale;
-
-    // For the light ramp, create a slightly varied version of the base color
-    // that ensures good contrast and visibility in light mode
-    const lightBaseForGen = createVariedBaseColor(baseColor, true);
-
-    // Determine the best scale for this varied color in light mode
-    const lightBaseScale = determineBaseScale(lightBaseForGen, false);
-
-    // Generate light ramp with the varied base color
-    lightRampGenerated = generateLightRampWithExactBase(lightBaseForGen);
-    actualLightBaseScale = lightBaseScale;
-
-    // Ensure the base color is exactly preserved in the dark ramp
-    if (darkRampGenerated[actualDarkBaseScale]) {
-      darkRampGenerated[actualDarkBaseScale] = baseColor.clone();
-
-      // Ensure smooth transitions from the base color to other shades
-      const baseHsl = baseColor.toHsl();
-      const scales = Object.keys(darkRampGenerated).sort((a, b) => parseInt(a) - parseInt(b));
-      const baseIndex = scales.indexOf(actualDarkBaseScale);
-
-      // Adjust shades lighter than base
-      for (let i = baseIndex + 1; i < scales.length; i++) {
-        const scale = scales[i];
-        const scaleHsl = darkRampGenerated[scale].toHsl();
-        // Ensure smooth lightness progression
-        const minLightness = baseHsl.l + (i - baseIndex) * 0.04;
-        if (scaleHsl.l < minLightness) {
-          darkRampGenerated[scale] = tinycolor({
-            h: scaleHsl.h,
-            s: scaleHsl.s,
-            l: minLightness
-          });
-        }
-      }
-
-      // Adjust shades darker than base
-      for (let i = baseIndex - 1; i >= 0; i--) {
-        const scale = scales[i];
-        const scaleHsl = darkRampGenerated[scale].toHsl();
-        // Ensure smooth darkness progression
-        const maxLightness = baseHsl.l - (baseIndex - i) * 0.05;
-        if (scaleHsl.l > maxLightness) {
-          darkRampGenerated[scale] = tinycolor({
-            h: scaleHsl.h,
-            s: scaleHsl.s,
-            l: maxLightness
-          });
-        }
-      }
-    }
-  } else {
-    // LIGHT MODE IS DEFAULT
-    const lightBaseForGen = baseColor.clone();
-
-    lightRampGenerated = generateLightRampWithExactBase(lightBaseForGen);
-    actualLightBaseScale = dynamicBaseScale;
-
-    // For dark mode, use the original base color and let the ramp generation handle the scaling
-    darkRampGenerated = generateDarkRampWithExactBase(baseColor);
-
-    // Find the scale in the dark ramp that's closest to the base color
-    let minDiff = Infinity;
-    let closestScale = '500';
-
-    Object.entries(darkRampGenerated).forEach(([scale, color]) => {
-      // Calculate perceptual difference using brightness and hue
-      const baseHsl = baseColor.toHsl();
-      const rampHsl = color.toHsl();
-      const brightnessDiff = Math.abs(baseHsl.l - rampHsl.l);
-      const hueDiff = Math.min(
-        Math.abs(baseHsl.h - rampHsl.h),
-        360 - Math.abs(baseHsl.h - rampHsl.h)
-      ) / 180; // Normalize to 0-1
-
-      const totalDiff = brightnessDiff * 0.7 + hueDiff * 0.3;
-
-      if (totalDiff < minDiff) {
-        minDiff = totalDiff;
-        closestScale = scale;
-      }
+  // Ramp generation lives in the shared engine; this page only renders the result.
+  let ramps;
+  try {
+    ramps = createRamp({
+      color: baseColorString,
+      space: 'hsl',
+      defaultMode: isDarkModeDefault ? 'dark' : 'light',
+      contrast: getContrastSetting(),
+      targets: getContrastTargets(),
+      minDistance: getMinDistance(),
+      surfaces: getSurfaces(),
+      curves: getCurveSettings(),
+      vibrancy: getVibrancy(),
+      baseScale: getBaseScale(),
+      anchors: getAnchorSettings(),
+      hueProfile: currentHueProfile
     });
-
-    actualDarkBaseScale = closestScale;
-  }
-
-  // --- Start of processing pipeline ---
-  currentLightRamp = lightRampGenerated; // Assign to the higher-scoped variables
-  currentDarkRamp = darkRampGenerated;
-
-  forceDarkModeDistinctness(currentLightRamp, currentDarkRamp); // Modifies in place
-  ensureDarkMode950IsLightest(currentDarkRamp); // Modifies in place
-  currentDarkRamp = adjustDarkRamp100Shade(currentDarkRamp); // Returns modified ramp
-
-  const { lightRamp: uniqueLR, darkRamp: uniqueDR, seenSet: currentSeenSet } = guaranteeUniqueColors(currentLightRamp, currentDarkRamp);
-  currentLightRamp = uniqueLR;
-  currentDarkRamp = uniqueDR;
-
-  currentLightRamp = ensureLightRamp950ContrastAndUniqueness(currentLightRamp, currentSeenSet); // Returns modified ramp
-
-  // Specific adjustments for Gray ramps displayed in the Dark UI slot
-  if (isGray) {
-    // 1. Targeted Lightening for darker shades of the Gray darkRamp
-    const darkerScalesForGray = ['50', '100', '200', '300', '400'];
-    const grayDarkerShadeBoost = 0.020; // 2.0% lightness boost
-
-    for (const scale of darkerScalesForGray) {
-      if (currentDarkRamp[scale]) {
-        // Preserve the base color if Dark Mode is default AND this scale is the base scale for dark ramp
-        if (!(isDarkModeDefault && scale === actualDarkBaseScale)) {
-          let hsl = currentDarkRamp[scale].toHsl();
-          hsl.l = Math.min(1, hsl.l + grayDarkerShadeBoost);
-          currentDarkRamp[scale] = tinycolor({ h: 0, s: 0, l: hsl.l });
-        }
-      }
-    }
-
-    // 2. Ensure Uniformity for the Gray darkRamp (smooth 100-200 transition)
-    // This is applied again after targeted lightening specifically for grays.
-    currentDarkRamp = adjustDarkRamp100Shade(currentDarkRamp);
-  }
-
-  // Update the UI
-  // The base color is already preserved in the dark ramp when dark mode is default
-  // and smooth transitions have been ensured during ramp generation
-
-  // Ensure the base color is preserved in the appropriate ramp based on the default mode
-  if (isDarkModeDefault) {
-    if (actualDarkBaseScale && baseColor && currentDarkRamp[actualDarkBaseScale]) {
-      // Ensure the base color is exactly preserved in the dark ramp
-      currentDarkRamp[actualDarkBaseScale] = baseColor.clone();
-    }
-  } else {
-    // Light mode is default, ensure the base color is preserved in the light ramp
-    if (actualLightBaseScale && baseColor && currentLightRamp[actualLightBaseScale]) {
-      if (currentLightRamp[actualLightBaseScale].toHexString() !== baseColor.toHexString()) {
-        currentLightRamp[actualLightBaseScale] = baseColor.clone();
-      }
-    }
+  } catch (e) {
+    // An anchor on the pinned base scale: say so and keep the last ramps
+    if (!(e instanceof RangeError)) throw e;
+    showPlacementWarnings([e.message]);
+    return;
   }
-
-
-  updateRampUI('lightRamp', currentLightRamp, LIGHT_MODE_TEXT_COLORS, actualLightBaseScale, failedColors);
-  // Dark ramp UI update will happen after global lightening
-
-  currentDarkRamp = globallyLightenDarkRamp(currentDarkRamp, isDarkModeDefault, actualDarkBaseScale);
-
-  updateRampUI('darkRamp', currentDarkRamp, DARK_MODE_TEXT_COLORS, actualDarkBaseScale, failedColors);
+  const { light, dark, surfaces, warnings } = ramps;
+  showPlacementWarnings(warnings);
+
+  // Keep plain scale -> tinycolor maps around for theming and "add to collection"
+  currentLightRamp = toColorMap(light.swatches);
+  currentDarkRamp = toColorMap(dark.swatches);
+
+  updateRampUI('lightRamp', light.swatches, light.baseScale, failedColors, light.contrast, surfaces.light, light.anchorScales);
+  updateRampUI('darkRamp', dark.swatches, dark.baseScale, failedColors, dark.contrast, surfaces.dark, dark.anchorScales);
+
+  // Alpha ramps composite to the ramps above on their own surfaces
+  const alphaRamps = document.getElementById('alpha-ramps');
+  if (alphaRamps && isAlphaShown()) {
+    renderRampStrips(alphaRamps, [{ label: 'Alpha', hex: ramps.base, light, dark }], { surfaces, onCopy: showToast, alpha: true });
+  }
+  const qualityPanel = document.getElementById('quality-panel');
+  if (qualityPanel && isQualityShown()) {
+    renderQualityPanel(qualityPanel, ramps);
+  }
+  updateCvdView();
+  updateHueProfileMatch(baseColor);
+
+  const neutralTint = getNeutralTint();
+  if (neutralTint !== null) {
+    const neutral = createRamp({
+      color: baseColorString,
+      space: 'hsl',
+      defaultMode: isDarkModeDefault ? 'dark' : 'light',
+      neutral: neutralTint,
+      contrast: getContrastSetting(),
+      targets: getContrastTargets(),
+      minDistance: getMinDistance(),
+      surfaces
+    });
+    currentNeutralLightRamp = toColorMap(neutral.light.swatches);
+    currentNeutralDarkRamp = toColorMap(neutral.dark.swatches);
+    updateRampUI('neutralLightRamp', neutral.light.swatches, neutral.light.baseScale, failedColors, neutral.light.contrast, surfaces.light);
+    updateRampUI('neutralDarkRamp', neutral.dark.swatches, neutral.dark.baseScale, failedColors, neutral.dark.contrast, surfaces.dark);
+  }
+
+  // Harmony colors share the ramp settings, but not the base color's own placement and anchors
+  const harmony = getHarmony();
+  const harmonyEntries = harmony ? harmonyColors(baseColor.toHexString(), harmony).map(({ offset, hex }) => {
+    const { light: harmonyLight, dark: harmonyDark } = createRamp({
+      color: hex,
+      space: 'hsl',
+      defaultMode: isDarkModeDefault ? 'dark' : 'light',
+      contrast: getContrastSetting(),
+      targets: getContrastTargets(),
+      minDistance: getMinDistance(),
+      surfaces,
+      curves: getCurveSettings(),
+      vibrancy: getVibrancy(),
+      hueProfile: currentHueProfile
+    });
+    return { label: `${offset > 0 ? '+' : ''}${offset}°`, hex, light: harmonyLight, dark: harmonyDark };
+  }) : [];
+  currentHarmonyRamps = harmonyEntries.map(({ hex, light: harmonyLight, dark: harmonyDark }) => ({
+    hex,
+    light: toColorMap(harmonyLight.swatches),
+    dark: toColorMap(harmonyDark.swatches)
+  }));
+  const harmonyNotice = document.getElementById('harmony-notice');
+  if (harmonyNotice) {
+    harmonyNotice.textContent = 'Grays have no hue to build a harmony from.';
+    harmonyNotice.hidden = !harmony || harmonyEntries.length > 0;
+  }
+  const harmonySaveBtn = document.getElementById('harmony-save-btn');
+  if (harmonySaveBtn) harmonySaveBtn.hidden = harmonyEntries.length === 0;
+  const harmonyRamps = document.getElementById('harmony-ramps');
+  if (harmonyRamps) renderRampStrips(harmonyRamps, harmonyEntries, { surfaces, onCopy: showToast });
+
+  // Colors from a dropped image get the same ramp settings as harmony colors
+  const imageEntries = (getImagePalette()?.colors ?? []).map(hex => {
+    const { light: imageLight, dark: imageDark } = createRamp({
+      color: hex,
+      space: 'hsl',
+      defaultMode: isDarkModeDefault ? 'dark' : 'light',
+      contrast: getContrastSetting(),
+      targets: getContrastTargets(),
+      minDistance: getMinDistance(),
+      surfaces,
+      curves: getCurveSettings(),
+      vibrancy: getVibrancy(),
+      hueProfile: currentHueProfile
+    });
+    return { label: hex, hex, light: imageLight, dark: imageDark };
+  });
+  currentImageRamps = imageEntries.map(({ hex, light: imageLight, dark: imageDark }) => ({
+    hex,
+    light: toColorMap(imageLight.swatches),
+    dark: toColorMap(imageDark.swatches)
+  }));
+  const imageSaveBtn = document.getElementById('image-palette-save-btn');
+  if (imageSaveBtn) imageSaveBtn.hidden = imageEntries.length === 0;
+  const imageRamps = document.getElementById('image-palette-ramps');
+  if (imageRamps) renderRampStrips(imageRamps, imageEntries, { surfaces, onCopy: showToast });
 
   // After first full render, prevent re-animation
   if (!hasAnimatedSwatchesHsl) {
@@ -1471,846 +1055,529 @@ function updateColorRamps(baseColorString) {
 }
 
 /**
- * Update the UI for a color ramp
- * @param {string} rampId - The ID of the ramp container
- * @param {Object} ramp - The color ramp object
- * @param {Object} textColors - The text color mapping for this ramp
- * @param {string} baseScale - The scale that uses the exact input color
+ * Reduces engine swatches to a plain scale -> tinycolor map
+ * @param {Object} swatches - Engine swatches keyed by scale
+ * @returns {Object} - The color ramp object
  */
-function updateRampUI(rampId, ramp, textColors, baseScale, failedColors) {
-  const rampContainer = document.getElementById(rampId);
-  const colorInput = document.getElementById('colorInput');
-  if (!rampContainer) return;
-
-  rampContainer.innerHTML = '';
-
-  // Dynamically style the 'Add to Collection' button with the dark ramp colors
-  if (rampId === 'darkRamp') {
-    const addButton = document.getElementById('add-color-shortcut-btn');
-    if (addButton && ramp['50'] && ramp['900']) {
-      addButton.style.backgroundColor = ramp['50'].toHexString();
-      addButton.style.color = ramp['900'].toHexString();
-    }
-  }
-
-  const pageTitle = document.querySelector('h1');
-  if (rampId === 'lightRamp' && pageTitle && ramp['300']) {
-    const color300Hex = ramp['300'].toHexString();
-    pageTitle.style.color = color300Hex;
-    document.querySelectorAll('.dynamic-color-text').forEach(heading => {
-      heading.style.color = color300Hex;
-    });
-  }
-
-  const isDefaultRamp = (rampId === 'lightRamp' && !isDarkModeDefault) || (rampId === 'darkRamp' && isDarkModeDefault);
-  const rampTitleContainer = rampContainer.closest('.light-mode-container, .dark-mode-container').querySelector('.ramp-title');
-  const rampType = rampId === 'lightRamp' ? 'Light Mode' : 'Dark Mode';
-  rampTitleContainer.innerHTML = `${rampType} Ramp`;
-  if (isDefaultRamp) {
-    rampTitleContainer.innerHTML += ' <span class="default-badge">Default</span>';
-  }
-
-  // Get all scales that exist in the ramp and sort them
-  const sortedScales = SCALES.filter(scale => ramp[scale]).sort((a, b) => {
-    return parseInt(a) - parseInt(b);
-  });
-
-  sortedScales.forEach((scale, index) => {
-    const color = ramp[scale];
-    if (!color) return;
-
-    const hexColor = color.toHexString();
-    const hslColor = color.toHsl();
-    const textColor = getContrastingTextColor(color);
-    const ratio = calculateContrastRatio(color, tinycolor(textColor)).toFixed(2);
-
-    const swatch = document.createElement('div');
-    swatch.className = 'swatch';
-    if (scale === baseScale) {
-      swatch.classList.add('base-swatch');
-      swatch.title = 'Base color';
-    }
-    if (ratio < 3) {
-      swatch.classList.add('fail-shade');
-      const banner = document.getElementById('accessibility-banner');
-      if (banner) banner.style.display = 'block';
-      if (failedColors) failedColors.push(hexColor);
-    }
-
-    let accessibilityBadge = 'Fail';
-    if (ratio >= 7) accessibilityBadge = 'AAA';
-    else if (ratio >= 3) accessibilityBadge = 'AA';
-
-    const box = document.createElement('div');
-    box.className = 'color-box';
-    box.style.backgroundColor = hexColor;
-    box.style.color = textColor;
-    box.innerHTML = `
-      <div class="box-content">
-        <div class="tailwind-scale">${scale}</div>
-        <a href="#" role="button" class="color-hex copyable" title="Click to copy HEX">${hexColor}</a>
-        <div class="color-hsl-container">
-          <div class="color-hsl-label">HSL</div>
-          <a href="#" role="button" class="color-hsl-values copyable" title="Click to copy HSL">${Math.round(hslColor.h)}° ${Math.round(hslColor.s * 100)}% ${Math.round(hslColor.l * 100)}%</a>
-        </div>
-        <div class="contrast"><span title="Contrast Ratio">${ratio}:1</span> <span class="accessibility-badge">${accessibilityBadge}</span></div>
-
-      </div>
-    `;
-
-    const hexValueEl = box.querySelector('.color-hex');
-    hexValueEl.addEventListener('click', (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      navigator.clipboard.writeText(hexColor).then(() => {
-        showToast('🗸 Copied HEX!', hexValueEl);
-      }).catch(err => console.error('Could not copy text: ', err));
-    });
-
-    const hslValuesEl = box.querySelector('.color-hsl-values');
-    hslValuesEl.addEventListener('click', (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      const hslString = `hsl(${Math.round(hslColor.h)}, ${Math.round(hslColor.s * 100)}%, ${Math.round(hslColor.l * 100)}%)`;
-      navigator.clipboard.writeText(hslString).then(() => {
-        showToast('🗸 Copied HSL!', hslValuesEl);
-      }).catch(err => console.error('Could not copy text: ', err));
-    });
-
-    swatch.appendChild(box);
-    rampContainer.appendChild(swatch);
-
-    // One-time, staggered load animation AFTER insertion to ensure it triggers
-    if (!hasAnimatedSwatchesHsl) {
-      const baseOffset = rampId === 'darkRamp' ? SCALES.length : 0;
-      // Force reflow to reset animation start point
-      void box.offsetWidth; // reads layout
-      // Next frame, add class and delay for a visible start
-      requestAnimationFrame(() => {
-        box.style.animationDelay = `${(baseOffset + index) * 20}ms`;
-        box.classList.add('animate-in');
-
-        box.addEventListener('animationend', () => {
-          box.classList.remove('animate-in');
-          box.style.animationDelay = '';
-        }, { once: true });
-      });
-    }
-
-    if (rampId === 'lightRamp' && scale === '100' && colorInput) {
-      colorInput.style.backgroundColor = hexColor;
-      colorInput.style.color = getContrastingTextColor(color);
-    }
+function toColorMap(swatches) {
+  const ramp = {};
+  Object.entries(swatches).forEach(([scale, swatch]) => {
+    ramp[scale] = swatch.color;
   });
+  return ramp;
 }
 
 /**
- * Check if a color string is valid
+ * Serializes a scale -> tinycolor map for storage with a collection color
+ * @param {Object} ramp - Map of scale -> tinycolor
+ * @returns {Object} - Map of scale -> HEX
  */
-function isValidColor(value) {
-  return tinycolor(value).isValid();
+function toHexRamp(ramp) {
+  const hexRamp = {};
+  Object.entries(ramp).forEach(([scale, color]) => {
+    hexRamp[scale] = tinycolor(color).toHexString();
+  });
+  return hexRamp;
 }
 
 /**
- * Generates a light mode color ramp with exact input color at the dynamically determined base scale
- * and fixed lightness values for lighter shades
+ * Reads the Text color pickers
+ * @returns {Object} - { dark, light } text colors
  */
-function generateLightRampWithExactBase(baseColor) {
-  const ramp = {};
-
-  // Determine the best scale for this color in light mode
-  dynamicBaseScale = determineBaseScale(baseColor, false);
-
-  // Extract the base color's HSL values
-  const baseHsl = baseColor.toHsl();
-  let baseH = baseHsl.h;
-  let baseS = baseHsl.s;
-  let baseL = baseHsl.l;
-
-  // Handle extreme colors (white, black, very light, very dark)
-  const isExtremeColor = baseL > 0.95 || baseL < 0.1 || baseS < 0.05;
-
-  // For extreme colors, adjust saturation and lightness to get better ramps
-  if (isExtremeColor) {
-    console.log('Handling extreme color:', baseColor.toHexString());
-
-    if (baseL > 0.95) { // White or very light colors
-      // For white or near-white, use a very light gray with slight hue
-      baseL = 0.9;
-      baseS = Math.max(0.1, baseS);
-      console.log('Adjusted very light color to:', baseL.toFixed(2), baseS.toFixed(2));
-    } else if (baseL < 0.1) { // Black or very dark colors
-      // For black or near-black, use a dark gray with slight hue
-      baseL = 0.15;
-      baseS = Math.max(0.1, baseS);
-      console.log('Adjusted very dark color to:', baseL.toFixed(2), baseS.toFixed(2));
-    } else if (baseS < 0.05) { // Grayscale colors (like #ccc, #ddd, #eee)
-      // For grayscale, keep them as pure grayscale (do NOT add saturation)
-      baseS = 0;
-      baseH = 0; // Explicitly set hue to 0 for grayscale
-      console.log('Keeping grayscale color pure gray:', baseS.toFixed(2));
-    }
-  }
-
-  // Define reference lightness values for light mode scales
-  const referenceLightness = {
-    '50': 0.97,   // Almost white
-    '100': 0.92,
-    '200': 0.85,
-    '300': 0.75,
-    '400': 0.65,
-    '500': 0.55,  // Middle reference
-    '600': 0.45,
-    '700': 0.35,
-    '800': 0.25,
-    '900': 0.15,
-    '950': 0.08   // Almost black
+function getTextColors() {
+  return {
+    dark: document.getElementById('text-color-dark-input')?.value,
+    light: document.getElementById('text-color-light-input')?.value
   };
-
-  // Generate colors for each scale
-  SCALES.forEach(scale => {
-    let currentColor;
-
-    if (scale === dynamicBaseScale && !isExtremeColor) {
-      // For the dynamic base scale, use the exact input color (unless extreme)
-      currentColor = baseColor.clone();
-    } else {
-      // For all other scales or when handling extreme colors,
-      // use a linear interpolation approach
-      const scaleNum = parseInt(scale);
-      const scaleIndex = SCALES.indexOf(scale);
-
-      // Get the reference lightness for this scale
-      const refL = referenceLightness[scale];
-
-      // Determine target lightness based on color type
-      let targetL;
-
-      if (isExtremeColor) {
-        // For extreme colors, use the reference values directly
-        // with slight adjustments to ensure proper progression
-        targetL = refL;
-      } else {
-        // For normal colors, use a mix of reference and proportional values
-        const baseScaleNum = parseInt(dynamicBaseScale);
-        const baseScaleRefL = referenceLightness[dynamicBaseScale];
-
-        if (scaleNum < baseScaleNum) {
-          // For scales lighter than base, use fixed lightness values
-          targetL = refL;
-        } else if (scaleNum > baseScaleNum) {
-          // For scales darker than base, ensure proper progression
-          // Handle different hue ranges differently
-          const hue = baseH;
-
-          // Identify problematic hue ranges
-          const isPinkish = (hue >= 300 && hue <= 360) || (hue >= 0 && hue <= 30);
-          const isGreenish = (hue >= 90 && hue <= 150);
-
-          if (isPinkish || isGreenish) {
-            // For problematic colors, use a linear approach
-            const steps = scaleIndex - SCALES.indexOf(dynamicBaseScale);
-            const darkeningPerStep = 0.12;
-            targetL = Math.max(0.05, baseL - (steps * darkeningPerStep));
-          } else {
-            // For other colors, use a mix of fixed and proportional
-            const ratio = refL / baseScaleRefL;
-            targetL = Math.max(0.05, Math.min(refL, baseL * ratio));
-          }
-        } else {
-          // This is the base scale
-          targetL = baseL;
-        }
-      }
-
-      // Create the color with the calculated lightness
-      currentColor = tinycolor({ h: baseH, s: baseS, l: targetL });
-    }
-
-    // Store the color in the ramp
-    ramp[scale] = currentColor;
-
-    // Calculate contrast with both black and white text
-    const blackContrast = calculateContrastRatio(currentColor, tinycolor('#000000'));
-    const whiteContrast = calculateContrastRatio(currentColor, tinycolor('#FFFFFF'));
-
-    // Choose the text color with the best contrast
-    const bestTextColor = blackContrast > whiteContrast ? '#000000' : '#FFFFFF';
-    const bestContrast = Math.max(blackContrast, whiteContrast);
-
-    // Update the text color mapping for this scale
-    LIGHT_MODE_TEXT_COLORS[scale] = bestTextColor;
-
-    // If the input baseColor to this function was gray, ensure currentColor is also pure gray.
-    if (baseColor.toHsl().s < 0.01) {
-      const currentHsl = currentColor.toHsl();
-      const originalHue = baseColor.toHsl().h; // Preserve hue of input gray
-      currentColor = tinycolor({ h: (isNaN(originalHue) ? 0 : originalHue), s: 0, l: currentHsl.l });
-    }
-    ramp[scale] = currentColor; // This line was part of the original target, re-adding it after modification
-
-    // Check if contrast meets AA standards
-    if (bestContrast < 4.5) {
-      // Contrast is below AA standard
-    }
-  });
-
-  return ramp;
 }
 
 /**
- * Generate a dark mode color ramp with exact input color at the dynamically determined base scale
- * Uses a consistent approach for all colors with simplified special case handling
+ * Applies a saved text color pair to the Text color pickers
+ * @param {Object} textColors - { dark, light } text colors
  */
-function generateDarkRampWithExactBase(baseColor) {
-  const ramp = {};
-  let baseHsl = baseColor.toHsl();
-  let { h: baseH, s: baseS, l: baseL } = baseHsl;
-
-  // Determine the best scale for this color in dark mode
-  const dynamicBaseScale = determineBaseScale(baseColor, true);
-
-  // Get special color handling if applicable
-  const specialColor = getSpecialColorHandling(baseH);
-
-  // Handle extreme colors (white, black, very light, very dark, low saturation)
-  const isGrayscale = baseS < 0.05; // Consider very low saturation as grayscale
-  const isExtremeColor = baseL > 0.95 || baseL < 0.1 || isGrayscale;
-
-  // Normalize the base color for ramp generation
-  if (isExtremeColor) {
-    if (isGrayscale) {
-      baseS = 0;
-      baseH = 0; // Explicitly set hue to 0 for grayscale
-      // Keep grayscale baseL within safe bounds [0.05, 0.985]
-      baseL = Math.max(0.05, Math.min(0.985, baseL));
-    } else if (baseL > 0.95) { // White or very light colors
-      baseL = 0.85; // Start darker than pure white
-      baseS = Math.max(0.3, baseS); // Ensure minimum saturation
-    } else if (baseL < 0.1) { // Black or very dark colors
-      baseL = 0.15; // Start slightly above pure black
-      baseS = Math.max(0.3, baseS); // Ensure minimum saturation
-    }
-  }
-
-  // Apply minimum saturation if needed for special colors (like blues), but NOT for grayscale
-  const minSaturation = specialColor?.darkRamp?.minSaturation || 0.3;
-  if (!isGrayscale) {
-    baseS = Math.max(minSaturation, baseS);
-  }
-
-  // Create smooth lightness progression based on the base color's lightness
-  const normalizedBaseL = Math.max(0.1, Math.min(0.9, baseL));
-
-  // Define the lightness range for dark mode (darker at bottom, lighter at top)
-  // Darkest shade (50) should be slightly lighter than light mode's darkest (0.08)
-  const minLightness = 0.10;
-  // Lightest shade (950) should be slightly lighter than light mode's lightest (0.97), but avoid pure white
-  const maxLightness = isGrayscale ? 0.985 : 0.95;
-
-  // Calculate smooth progression with the base color anchored at 500
-  // Calculate smooth progression with the base color anchored at its actual scale
-  const basePosition = SCALES.indexOf(dynamicBaseScale);
-  const totalSteps = SCALES.length - 1; // 10 steps total (0-10)
-
-  // Create smooth lightness curve with base color properly positioned
-  const lightnessValues = {};
-  SCALES.forEach((scale, index) => {
-    if (scale === dynamicBaseScale && !isExtremeColor) {
-      // Anchor the base color at its actual lightness
-      lightnessValues[scale] = normalizedBaseL;
-    } else {
-      // Create smooth progression around the base
-      const relativePosition = index / totalSteps; // 0 to 1
-      const baseRelativePosition = basePosition / (totalSteps || 1); // Avoid division by zero
-
-      let targetL;
-      if (relativePosition <= baseRelativePosition) {
-        // Below base: interpolate from min to base
-        const t = baseRelativePosition > 0 ? relativePosition / baseRelativePosition : 1;
-        targetL = minLightness + (normalizedBaseL - minLightness) * smoothStep(t);
-      } else {
-        // Above base: interpolate from base to max
-        const denominator = (1 - baseRelativePosition);
-        const t = denominator > 0 ? (relativePosition - baseRelativePosition) / denominator : 1;
-        targetL = normalizedBaseL + (maxLightness - normalizedBaseL) * smoothStep(t);
-      }
-
-      lightnessValues[scale] = Math.max(0.001, Math.min(0.999, targetL));
-    }
-  });
-
-  // Generate colors for each scale
-  SCALES.forEach(scale => {
-    let targetL = lightnessValues[scale];
-
-    // Start with the base color's saturation
-    let targetS = baseS;
-
-    // Create the color with the same hue and saturation as the base
-    let color = tinycolor({ h: baseH, s: targetS, l: targetL });
-
-    // For the base scale, use the exact input color (with any normalization applied)
-    if (scale === dynamicBaseScale && !isExtremeColor) {
-      color = tinycolor({ h: baseH, s: baseS, l: baseL });
-    }
-
-    // Ensure grayscale colors stay grayscale
-    if (isGrayscale) {
-      color = tinycolor({ h: 0, s: 0, l: targetL });
-    }
-
-    // Check contrast and adjust if needed for AA compliance
-    const blackContrast = calculateContrastRatio(color, tinycolor('#0D0D0D'));
-    const whiteContrast = calculateContrastRatio(color, tinycolor('#FFFFFF'));
-    const bestContrast = Math.max(blackContrast, whiteContrast);
-    const AA_MIN_CONTRAST = 4.5;
-    const EPSILON = 0.02;
-
-    // If contrast is too low, adjust to meet AA standards
-    if (bestContrast < AA_MIN_CONTRAST - EPSILON) {
-      const hsl = color.toHsl();
-      let adjustedS = hsl.s;
-      let adjustedL = hsl.l;
-      let adjustedColor = color.clone();
-
-      if (isGrayscale) {
-        // For grayscale colors, ONLY adjust lightness, never saturation
-        // Determine if we need to lighten or darken
-        if (blackContrast > whiteContrast) {
-          // Better contrast with black text, so lighten the background
-          adjustedL = Math.min(0.985, adjustedL + 0.1);
-        } else {
-          // Better contrast with white text, so darken the background
-          adjustedL = Math.max(0.10, adjustedL - 0.1);
-        }
-        adjustedColor = tinycolor({ h: 0, s: 0, l: adjustedL });
-      } else {
-        // For colored inputs, try increasing saturation first (preserves lightness)
-        adjustedS = Math.min(1, adjustedS * 1.5);
-        adjustedColor = tinycolor({ h: hsl.h, s: adjustedS, l: adjustedL });
-
-        // If still not enough contrast, adjust lightness slightly
-        if (Math.max(
-          calculateContrastRatio(adjustedColor, tinycolor('#0D0D0D')),
-          calculateContrastRatio(adjustedColor, tinycolor('#FFFFFF'))
-        ) < AA_MIN_CONTRAST - EPSILON) {
-          adjustedL = adjustedL > 0.5 ?
-            Math.max(0.05, adjustedL - 0.1) :
-            Math.min(0.95, adjustedL + 0.1);
-          adjustedColor = tinycolor({ h: hsl.h, s: adjustedS, l: adjustedL });
-        }
-      }
-
-      color = adjustedColor;
-    }
-
-    // Store the final color
-    ramp[scale] = color;
-
-    // Update text color based on best contrast
-    const newBlackContrast = calculateContrastRatio(color, tinycolor('#0D0D0D'));
-    const newWhiteContrast = calculateContrastRatio(color, tinycolor('#FFFFFF'));
-    DARK_MODE_TEXT_COLORS[scale] = newBlackContrast > newWhiteContrast ? '#0D0D0D' : '#FFFFFF';
-  });
-
-  return ramp;
+function setTextColors(textColors) {
+  if (!textColors) return;
+  const darkInput = document.getElementById('text-color-dark-input');
+  const lightInput = document.getElementById('text-color-light-input');
+  if (darkInput && textColors.dark) darkInput.value = textColors.dark;
+  if (lightInput && textColors.light) lightInput.value = textColors.light;
 }
 
 /**
- * Ensure a color meets accessibility standards for its scale
- * This function adjusts ONLY lightness to meet contrast requirements
- * Hue and saturation are preserved exactly as in the original color
+ * Reads the Contrast select and Text color pickers into { algorithm, target, textColors }
+ * @returns {Object} - The contrast setting
  */
-function ensureAccessibility(color, scale, isDarkMode = false) {
-  const textColor = isDarkMode ?
-    DARK_MODE_TEXT_COLORS[scale] :
-    LIGHT_MODE_TEXT_COLORS[scale];
-
-  // Extract the original HSL values
-  const originalHsl = color.toHsl();
-  const originalH = originalHsl.h;
-  const originalS = originalHsl.s;
-
-  // Start with the original color
-  let adjustedColor = tinycolor(color.toHexString());
-  let contrast = calculateContrastRatio(adjustedColor, tinycolor(textColor));
-  const minContrast = 4.5; // AA standard
-
-  // If contrast is already sufficient, return the color
-  if (contrast >= minContrast) {
-    return adjustedColor;
-  }
-
-  // Otherwise, adjust ONLY the lightness to meet contrast requirements
-  let iterations = 0;
-  const maxIterations = 30;
-
-  while (contrast < minContrast && iterations < maxIterations) {
-    const hsl = adjustedColor.toHsl();
-
-    // Determine if we need to lighten or darken
-    if (textColor === '#FFFFFF') {
-      // For white text, darken the color
-      hsl.l = Math.max(0.05, hsl.l - 0.03);
-    } else {
-      // For black text, lighten the color
-      hsl.l = Math.min(0.95, hsl.l + 0.03);
-    }
-
-    // IMPORTANT: Always preserve the original hue and saturation
-    hsl.h = originalH;
-    hsl.s = originalS;
-
-    adjustedColor = tinycolor(hsl);
-    contrast = calculateContrastRatio(adjustedColor, tinycolor(textColor));
-    iterations++;
-  }
+function getContrastSetting() {
+  return parseContrastSetting(document.getElementById('contrast-algorithm-select')?.value, getTextColors());
+}
 
-  // If we still don't have enough contrast after all iterations,
-  // make a final adjustment while preserving hue and saturation
-  if (contrast < minContrast) {
-    if (textColor === '#FFFFFF') {
-      // For white text, force to a darker color
-      adjustedColor = tinycolor({
-        h: originalH,
-        s: originalS,
-        l: 0.25 // Dark enough for white text
-      });
-    } else {
-      // For black text, force to a lighter color
-      adjustedColor = tinycolor({
-        h: originalH,
-        s: originalS,
-        l: 0.90 // Light enough for black text
-      });
-    }
+/**
+ * Puts the Text color pickers back to the defaults the ramps fall back to when the picked pair
+ * can't be used (a dark text color lighter than mid gray, say), and says why
+ */
+function checkTextColors() {
+  try {
+    resolveTextColors(getTextColors());
+  } catch (e) {
+    appToast.warning(e.message);
+    setTextColors(getContrastSetting().textColors);
   }
-
-  return adjustedColor;
 }
 
 /**
- * Calculate the contrast ratio between two colors
- * Based on WCAG 2.0 formula: https://www.w3.org/TR/WCAG20-TECHS/G17.html
+ * Reads the Surface pickers
+ * @returns {Object} - { light, dark } page backgrounds the ramps are built for
  */
-function calculateContrastRatio(color1, color2) {
-  // Get relative luminance for both colors
-  const getLuminance = (color) => {
-    const rgb = color.toRgb();
-
-    // Convert RGB to linear values
-    let r = rgb.r / 255;
-    let g = rgb.g / 255;
-    let b = rgb.b / 255;
-
-    // Apply gamma correction
-    r = r <= 0.03928 ? r / 12.92 : Math.pow((r + 0.055) / 1.055, 2.4);
-    g = g <= 0.03928 ? g / 12.92 : Math.pow((g + 0.055) / 1.055, 2.4);
-    b = b <= 0.03928 ? b / 12.92 : Math.pow((b + 0.055) / 1.055, 2.4);
-
-    // Calculate luminance
-    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+function getSurfaces() {
+  return {
+    light: document.getElementById('surface-light-input')?.value,
+    dark: document.getElementById('surface-dark-input')?.value
   };
+}
 
-  const luminance1 = getLuminance(color1);
-  const luminance2 = getLuminance(color2);
+/**
+ * Applies a saved surface pair to the Surface pickers
+ * @param {Object} surfaces - { light, dark } page backgrounds
+ */
+function setSurfaces(surfaces) {
+  if (!surfaces) return;
+  const lightInput = document.getElementById('surface-light-input');
+  const darkInput = document.getElementById('surface-dark-input');
+  if (lightInput && surfaces.light) lightInput.value = surfaces.light;
+  if (darkInput && surfaces.dark) darkInput.value = surfaces.dark;
+}
 
-  // Calculate contrast ratio
-  const lighter = Math.max(luminance1, luminance2);
-  const darker = Math.min(luminance1, luminance2);
+// Curve editors for the Curves panel, created on load
+let lightnessCurveEditor = null;
+let chromaCurveEditor = null;
 
-  return (lighter + 0.05) / (darker + 0.05);
+/**
+ * Reads the Curves panel as entered: curves are preset names or comma-separated values
+ * @returns {Object} - { name, lightness, chroma }
+ */
+function getCurveSettings() {
+  return {
+    name: document.getElementById('curve-name-input')?.value.trim() || '',
+    lightness: lightnessCurveEditor ? lightnessCurveEditor.getValue() : 'linear',
+    chroma: chromaCurveEditor ? chromaCurveEditor.getValue() : 'flat'
+  };
 }
 
 /**
- * Force dark mode colors to be distinctly different from light mode colors
- * This is a more aggressive approach to ensure no duplicates between ramps
- * @param {Object} lightRamp - The light mode color ramp
- * @param {Object} darkRamp - The dark mode color ramp
+ * Reads the Curves panel into the named profile saved with each color
+ * @returns {Object} - Resolved { name, lightness, chroma } profile
  */
-function forceDarkModeDistinctness(lightRamp, darkRamp) {
-  // Debug logging for dark mode distinctness
-
-  // Create a map of all light mode colors for quick lookup
-  const lightModeColors = {};
-  SCALES.forEach(scale => {
-    if (!lightRamp[scale]) return;
-    lightModeColors[lightRamp[scale].toHexString()] = scale;
-  });
+function getCurveProfile() {
+  return resolveCurveProfile(getCurveSettings());
+}
 
-  // First pass: Check each dark mode color against all light mode colors
-  // and darken any that match or are too similar
-  SCALES.forEach(scale => {
-    if (!darkRamp[scale]) return;
-
-    const darkColor = darkRamp[scale];
-    const darkHex = darkColor.toHexString();
-
-    // If this exact color exists in light mode, darken it significantly
-    if (lightModeColors[darkHex]) {
-      const matchingLightScale = lightModeColors[darkHex];
-
-      // Darken by a significant amount based on scale
-      const hsl = darkColor.toHsl();
-      const scaleNum = parseInt(scale);
-
-      // Darker scales need more adjustment to maintain progression
-      // But scales 900 and 950 should remain very light
-      let darkeningAmount;
-      if (scaleNum <= 300) {
-        darkeningAmount = 0.20; // 20% darker for scales 50-300
-      } else if (scaleNum <= 700) {
-        darkeningAmount = 0.18; // 18% darker for scales 400-700
-      } else if (scaleNum <= 800) {
-        darkeningAmount = 0.15; // 15% darker for scale 800
-      } else if (scaleNum === 900) {
-        darkeningAmount = 0.10; // Only 10% darker for scale 900 to keep it light
-      } else {
-        darkeningAmount = 0.05; // Only 5% darker for scale 950 to keep it very light
-      }
+/**
+ * Applies a curve profile to the Curves panel
+ * @param {Object} profile - Resolved { name, lightness, chroma } profile
+ */
+function setCurveProfile({ name, lightness, chroma }) {
+  const nameInput = document.getElementById('curve-name-input');
+  // 'Default' and 'Custom' are the names unnamed profiles get; leave them to the placeholder
+  if (nameInput) nameInput.value = name === 'Default' || name === 'Custom' ? '' : name;
+  lightnessCurveEditor?.setValue(lightness);
+  chromaCurveEditor?.setValue(chroma);
+}
 
-      const newLightness = Math.max(0.05, hsl.l - darkeningAmount);
-      const newColor = tinycolor({ h: hsl.h, s: hsl.s, l: newLightness });
+/**
+ * Reads the Vibrancy slider
+ * @returns {number} - Percent, 0-200
+ */
+function getVibrancy() {
+  return Number(document.getElementById('vibrancy-input')?.value) || 0;
+}
 
-      darkRamp[scale] = newColor;
+/**
+ * Sets the Vibrancy slider, or just syncs its label
+ * @param {number|string} [vibrancy] - Percent; values that don't resolve set 0. Leave out to keep the slider as it is
+ */
+function setVibrancy(vibrancy) {
+  const input = document.getElementById('vibrancy-input');
+  if (!input) return;
+  if (vibrancy !== undefined) {
+    try {
+      input.value = resolveVibrancy(vibrancy);
+    } catch (e) {
+      input.value = 0;
     }
-  });
-
-  // Second pass: Check for duplicates within the dark ramp itself
-  // and ensure proper progression with minimum lightness differences
-  const darkModeColors = new Map();
-
-  // First, ensure minimum lightness differences between adjacent scales
-  // This is especially important for darker scales (50-400)
-  const minLightnessDifferences = {
-    '50_100': 0.07,  // Minimum difference between 50 and 100
-    '100_200': 0.07, // Minimum difference between 100 and 200
-    '200_300': 0.08, // Minimum difference between 200 and 300
-    '300_400': 0.08, // Minimum difference between 300 and 400
-    '400_500': 0.09, // Minimum difference between 400 and 500
-    '500_600': 0.09, // Minimum difference between 500 and 600
-    '600_700': 0.09, // Minimum difference between 600 and 700
-    '700_800': 0.08, // Minimum difference between 700 and 800
-    '800_900': 0.07, // Minimum difference between 800 and 900
-    '900_950': 0.05  // Minimum difference between 900 and 950
-  };
-
-  // Get the base hue to check if this is a green color
-  let isGreen = false;
-  const baseColor = darkRamp['500'] || darkRamp[Object.keys(darkRamp)[0]];
-  if (baseColor) {
-    const baseHue = baseColor.toHsl().h;
-    isGreen = baseHue >= 90 && baseHue <= 150;
   }
+  document.getElementById('vibrancy-value').value = `${input.value}%`;
+}
 
-  // First pass: collect all light mode colors
-  SCALES.forEach(scale => {
-    if (lightRamp[scale]) {
-      lightModeColors[lightRamp[scale].toHexString()] = scale;
-    }
-  });
-
-  // Sort scales to process from dark to light
-  const sortedScales = [...SCALES].sort((a, b) => parseInt(a) - parseInt(b));
-
-  // For green colors in dark mode, be more gentle with adjustments
-  const minDifference = isGreen ? 0.05 : 0.07; // 5% for green, 7% for others
-  const maxLightness = isGreen ? 0.95 : 0.97; // Cap at 95% for green, 97% for others
-
-  // First, ensure minimum lightness differences between adjacent scales
-  for (let i = 0; i < sortedScales.length - 1; i++) {
-    const currentScale = sortedScales[i];
-    const nextScale = sortedScales[i + 1];
-
-    if (!darkRamp[currentScale] || !darkRamp[nextScale]) continue;
-
-    const currentL = darkRamp[currentScale].toHsl().l;
-    const nextL = darkRamp[nextScale].toHsl().l;
+/**
+ * Reads the Base at select
+ * @returns {string} - 'auto' or the scale the exact color is pinned to
+ */
+function getBaseScale() {
+  return document.getElementById('base-scale-select')?.value || 'auto';
+}
 
-    // If the difference is less than required, adjust the next scale
-    if (nextL - currentL < minDifference) {
-      // Adjust the next scale to be lighter by the minimum difference
-      const newLightness = Math.min(maxLightness, currentL + minDifference);
+// Anchor editor for the Anchors controls, created on load
+let anchorEditor = null;
 
-      // Get the HSL values of the next color
-      const hsl = darkRamp[nextScale].toHsl();
+/**
+ * Reads the Anchors controls as entered
+ * @returns {string} - A spec string such as "100=#dbeafe,900=#1e3a8a", '' for none
+ */
+function getAnchorSettings() {
+  return anchorEditor ? anchorEditor.getValue() : '';
+}
 
-      // Create a new color with the adjusted lightness
-      const newColor = tinycolor({ h: hsl.h, s: hsl.s, l: newLightness });
+/**
+ * Reads the Anchors controls into the table saved with each color
+ * @returns {Object} - Map of scale -> HEX
+ */
+function getAnchors() {
+  return resolveAnchors(getAnchorSettings());
+}
 
-      // Replace the next color with the adjusted version
-      darkRamp[nextScale] = newColor;
-    }
-  }
+/**
+ * Shows the engine's warnings about pinned and anchored shades, or hides the notice
+ * @param {string[]} warnings
+ */
+function showPlacementWarnings(warnings) {
+  const notice = document.getElementById('base-scale-warning');
+  if (!notice) return;
+  notice.textContent = warnings.join(' ');
+  notice.hidden = warnings.length === 0;
+}
 
-  sortedScales.forEach(scale => {
-    if (!darkRamp[scale]) return;
-
-    const darkColor = darkRamp[scale];
-    const darkHex = darkColor.toHexString();
-
-    // Check if this color already exists in our dark mode collection
-    if (darkModeColors.has(darkHex)) {
-      const existingScale = darkModeColors.get(darkHex);
-
-      // Adjust lightness based on scale relationship
-      const hsl = darkColor.toHsl();
-      const scaleNum = parseInt(scale);
-      const existingScaleNum = parseInt(existingScale);
-
-      let newLightness = hsl.l;
-
-      // Special handling for scales 900 and 950 to keep them very light
-      if (scaleNum === 950) {
-        // Scale 950 should always be very light
-        newLightness = isGreen ? Math.max(0.92, hsl.l) : Math.max(0.95, hsl.l);
-      } else if (scaleNum === 900) {
-        // Scale 900 should be light but darker than 950
-        newLightness = isGreen
-          ? Math.max(0.85, Math.min(0.91, hsl.l))
-          : Math.max(0.90, Math.min(0.94, hsl.l));
-      } else if (scaleNum > existingScaleNum) {
-        // This scale should be lighter than the existing one
-        const lightenAmount = isGreen ? 0.05 : 0.08;
-        newLightness = Math.min(isGreen ? 0.89 : 0.89, hsl.l + lightenAmount);
-      } else {
-        // This scale should be darker than the existing one
-        const darkenAmount = isGreen ? 0.05 : 0.08;
-        newLightness = Math.max(0.05, hsl.l - darkenAmount);
-      }
+/**
+ * Reads the matching neutral's tint
+ * @returns {number|null} - OKLCH chroma of the tint, or null while the neutral is hidden
+ */
+function getNeutralTint() {
+  if (document.getElementById('neutral-ramps')?.hidden !== false) return null;
+  return resolveNeutralTint(document.getElementById('neutral-tint-input').value);
+}
 
-      // For green colors, try to preserve the original saturation
-      const newSaturation = isGreen ? hsl.s : hsl.s * 0.9; // Slightly desaturate non-green colors
+/**
+ * Shows the matching neutral at a tint, or hides it
+ * @param {number|null} [tint] - OKLCH chroma; the current one when omitted, null to hide the neutral
+ */
+function setNeutralTint(tint) {
+  const section = document.getElementById('neutral-ramps');
+  const toggle = document.getElementById('neutral-toggle-btn');
+  const input = document.getElementById('neutral-tint-input');
+  if (!section || !toggle || !input) return;
+  if (tint !== null && tint !== undefined) input.value = tint;
+  document.getElementById('neutral-tint-value').value = Number(input.value).toFixed(3);
+  section.hidden = tint === null;
+  toggle.textContent = tint === null ? 'Generate matching neutral' : 'Hide matching neutral';
+  toggle.setAttribute('aria-expanded', String(tint !== null));
+}
 
-      const newColor = tinycolor({
-        h: hsl.h,
-        s: newSaturation,
-        l: newLightness
-      });
+/**
+ * Whether the alpha ramps are shown
+ * @returns {boolean}
+ */
+function isAlphaShown() {
+  return document.getElementById('alpha-ramps')?.hidden === false;
+}
 
-      darkRamp[scale] = newColor;
-      darkModeColors.set(newColor.toHexString(), scale);
-    } else {
-      darkModeColors.set(darkHex, scale);
-    }
-  });
+/**
+ * Shows or hides the alpha ramps
+ * @param {boolean} shown
+ */
+function setAlphaShown(shown) {
+  const section = document.getElementById('alpha-ramps');
+  const toggle = document.getElementById('alpha-toggle-btn');
+  if (!section || !toggle) return;
+  section.hidden = !shown;
+  toggle.textContent = shown ? 'Hide alpha ramps' : 'Show alpha ramps';
+  toggle.setAttribute('aria-expanded', String(shown));
+}
 
-  // Final safety pass: Check all dark mode colors against light mode again
-  // and darken any that still match
-  let safetyAdjustments = 0;
+/**
+ * Whether the ramp quality panel is shown
+ * @returns {boolean}
+ */
+function isQualityShown() {
+  return document.getElementById('quality-panel')?.hidden === false;
+}
 
-  SCALES.forEach(scale => {
-    if (!darkRamp[scale]) return;
+/**
+ * Shows or hides the ramp quality panel
+ * @param {boolean} shown
+ */
+function setQualityShown(shown) {
+  const section = document.getElementById('quality-panel');
+  const toggle = document.getElementById('quality-toggle-btn');
+  if (!section || !toggle) return;
+  section.hidden = !shown;
+  toggle.textContent = shown ? 'Hide ramp quality' : 'Show ramp quality';
+  toggle.setAttribute('aria-expanded', String(shown));
+}
 
-    const darkColor = darkRamp[scale];
-    let darkHex = darkColor.toHexString();
+/**
+ * Shows a hue profile in the editor and uses it for the ramps
+ * @param {Object} profile - Resolved hue profile
+ */
+function setHueProfile(profile) {
+  currentHueProfile = profile;
+  const input = document.getElementById('hue-profile-input');
+  if (input) input.value = JSON.stringify(profile, null, 2);
+  showHueProfileError('');
+}
 
-    // If this color exists in light mode, darken it
-    let attempts = 0;
-    while (lightModeColors[darkHex] && attempts < 10) {
-      attempts++;
-      safetyAdjustments++;
+/**
+ * Shows why the hue profile in the editor wasn't applied
+ * @param {string} message - '' to clear
+ */
+function showHueProfileError(message) {
+  const error = document.getElementById('hue-profile-error');
+  if (!error) return;
+  error.textContent = message;
+  error.hidden = !message;
+}
 
-      // Darken by a smaller amount each time
-      const hsl = darkColor.toHsl();
-      const newLightness = Math.max(0.05, hsl.l - 0.05);
-      const newColor = tinycolor({ h: hsl.h, s: hsl.s, l: newLightness });
+/**
+ * Says which of the hue profile's ranges the base color takes its rules from
+ * @param {Object} baseColor - The base tinycolor object
+ */
+function updateHueProfileMatch(baseColor) {
+  const match = document.getElementById('hue-profile-match');
+  if (!match) return;
+  const hue = baseColor.toHsl().h;
+  const names = hueProfileRanges(currentHueProfile, hue);
+  match.textContent = names.length > 0
+    ? `Hue ${Math.round(hue)}° takes its rules from: ${names.join(', ')}.`
+    : `Hue ${Math.round(hue)}° is in no range, so it takes the profile's own settings.`;
+}
 
-      darkRamp[scale] = newColor;
-      darkHex = newColor.toHexString();
-    }
-  });
+/**
+ * Reads the Simulate select and severity slider
+ * @returns {string} - "type" or "type:severity", '' for normal vision
+ */
+function getCvdSetting() {
+  const type = document.getElementById('cvd-select')?.value;
+  if (!CVD_TYPES[type]) return '';
+  const severity = Number(document.getElementById('cvd-severity-input')?.value ?? 1);
+  return severity < 1 ? `${type}:${severity}` : type;
+}
 
-  // Safety adjustments counter is maintained but not logged
+/**
+ * Sets the Simulate controls, or just syncs the severity label
+ * @param {Object|null} [cvd] - Resolved { type, severity }, null for normal vision; leave out to keep the controls as they are
+ */
+function setCvdSetting(cvd) {
+  const select = document.getElementById('cvd-select');
+  const input = document.getElementById('cvd-severity-input');
+  if (!select || !input) return;
+  if (cvd !== undefined) {
+    select.value = cvd ? cvd.type : '';
+    input.value = cvd ? cvd.severity : 1;
+  }
+  input.disabled = !select.value;
+  document.getElementById('cvd-severity-value').value = `${Math.round(Number(input.value) * 100)}%`;
 }
 
 /**
- * Ensure that the 950 scale is always the lightest color in the dark mode ramp
- * and that there is proper lightness progression across all scales
- * @param {Object} darkRamp - The dark mode color ramp
+ * Draws the ramps and collection swatches through the chosen color vision deficiency and lists the colors it merges
  */
-function ensureDarkMode950IsLightest(darkRamp) {
-  // If 950 scale doesn't exist, nothing to do
-  if (!darkRamp['950'] || !darkRamp['900']) return;
+function updateCvdView() {
+  const cvd = resolveCvd(getCvdSetting());
+  applyCvdFilter(cvd);
+  const report = document.getElementById('cvd-report');
+  if (!report) return;
+  const rampGroups = [['Light Mode', currentLightRamp], ['Dark Mode', currentDarkRamp]].map(([context, ramp]) => ({
+    context,
+    entries: Object.entries(ramp).map(([scale, color]) => ({ label: scale, hex: color.toHexString() })),
+    adjacent: true
+  }));
+  const collectionGroups = getCollections().collections.map(collection => ({
+    context: `Collection "${collection.name}":`,
+    entries: collection.colors.map(({ name, base }) => ({ label: name, hex: base })),
+    adjacent: false
+  }));
+  renderCvdReport(report, cvd, [...rampGroups, ...collectionGroups]);
+}
 
-  // First, ensure 900 and 950 are significantly lighter than other scales
-  // These are the lightest scales in dark mode and should be very light
+let imagePalette = null;
+
+/**
+ * Reads the colors kept from the dropped image
+ * @returns {{name: string, colors: string[]}|null} - Named after the image file; null before an image is read
+ */
+function getImagePalette() {
+  return imagePalette ? imagePalette.getValue() : null;
+}
 
-  // Get the lightness values of 900 and 950
-  let l900 = darkRamp['900'].toHsl().l;
-  let l950 = darkRamp['950'].toHsl().l;
+/**
+ * Reads the Harmony select
+ * @returns {string} - One of HARMONIES, '' for none
+ */
+function getHarmony() {
+  const harmony = document.getElementById('harmony-select')?.value;
+  return HARMONIES[harmony] ? harmony : '';
+}
 
-  // Ensure 900 is at least 90% lightness
-  if (l900 < 0.90) {
-    // Get the HSL values of the 900 color
-    const hsl900 = darkRamp['900'].toHsl();
+/**
+ * Reads the Targets select (a target table preset name)
+ * @returns {string} - The preset name
+ */
+function getContrastTargets() {
+  return document.getElementById('contrast-targets-select')?.value || 'uniform';
+}
 
-    // Set to at least 90% lightness
-    const newLightness900 = Math.max(0.90, l900);
+/**
+ * Reads the Spacing select
+ * @returns {string} - A minimum distance such as '2000:3', or '' for distinct HEX values only
+ */
+function getMinDistance() {
+  return document.getElementById('min-distance-select')?.value || '';
+}
 
-    // Create a new color with the adjusted lightness
-    const newColor900 = tinycolor({ h: hsl900.h, s: hsl900.s, l: newLightness900 });
+/**
+ * Update the UI for a color ramp
+ * @param {string} rampId - The ID of the ramp container
+ * @param {Object} swatches - Engine swatches keyed by scale ({ color, hex, text, ratio, lc, surfaceContrast })
+ * @param {string} baseScale - The scale that uses the exact input color
+ * @param {Array} failedColors - Collects HEX values of shades that fail contrast
+ * @param {Object} [contrast] - The contrast setting the badges are shown in ({ algorithm, target })
+ * @param {string} [surface] - The surface the ramp was built for; previewed behind the ramp
+ * @param {string[]} [anchorScales] - Scales holding anchored colors
+ */
+function updateRampUI(rampId, swatches, baseScale, failedColors, contrast = getContrastSetting(), surface, anchorScales = []) {
+  const rampContainer = document.getElementById(rampId);
+  const colorInput = document.getElementById('colorInput');
+  if (!rampContainer) return;
 
-    // Replace the 900 color with the lighter version
-    darkRamp['900'] = newColor900;
+  rampContainer.innerHTML = '';
 
-    // Update the lightness value for later use
-    l900 = newLightness900;
+  // Dynamically style the 'Add to Collection' button with the dark ramp colors
+  if (rampId === 'darkRamp') {
+    const addButton = document.getElementById('add-color-shortcut-btn');
+    if (addButton && swatches['50'] && swatches['900']) {
+      addButton.style.backgroundColor = swatches['50'].hex;
+      addButton.style.color = swatches['900'].hex;
+    }
   }
 
-  // Ensure 950 is at least 95% lightness and lighter than 900
-  if (l950 < 0.95 || l950 <= l900) {
-    // Get the HSL values of the 950 color
-    const hsl950 = darkRamp['950'].toHsl();
+  const pageTitle = document.querySelector('h1');
+  if (rampId === 'lightRamp' && pageTitle && swatches['300']) {
+    const color300Hex = swatches['300'].hex;
+    pageTitle.style.color = color300Hex;
+    document.querySelectorAll('.dynamic-color-text').forEach(heading => {
+      heading.style.color = color300Hex;
+    });
+  }
 
-    // Set to at least 95% lightness and 5% lighter than 900
-    const newLightness950 = Math.max(0.95, l900 + 0.05);
+  const isDefaultRamp = (rampId === 'lightRamp' && !isDarkModeDefault) || (rampId === 'darkRamp' && isDarkModeDefault);
+  const modeContainer = rampContainer.closest('.light-mode-container, .dark-mode-container');
+  const rampTitleContainer = modeContainer.querySelector('.ramp-title');
+  // Neutral ramps sit in light/dark mode containers like the main ones, titled by data-ramp-label
+  const rampType = modeContainer.classList.contains('dark-mode-container') ? 'Dark Mode' : 'Light Mode';
+  rampTitleContainer.innerHTML = `${rampType} ${rampContainer.dataset.rampLabel || 'Ramp'}`;
+  // Preview the ramp on the surface it was built for
+  if (surface) {
+    rampTitleContainer.parentElement.style.setProperty('--ramp-surface', surface);
+  }
+  if (isDefaultRamp) {
+    rampTitleContainer.innerHTML += ' <span class="default-badge">Default</span>';
+  }
 
-    // Create a new color with the adjusted lightness
-    const newColor950 = tinycolor({ h: hsl950.h, s: hsl950.s, l: newLightness950 });
+  // Get all scales that exist in the ramp and sort them
+  const sortedScales = SCALES.filter(scale => swatches[scale]).sort((a, b) => {
+    return parseInt(a) - parseInt(b);
+  });
 
-    // Replace the 950 color with the lighter version
-    darkRamp['950'] = newColor950;
-  }
+  sortedScales.forEach((scale, index) => {
+    const swatchData = swatches[scale];
+    if (!swatchData) return;
 
-  // Check all scales to ensure proper progression from dark to light
-  // Process in reverse (from 950 down to 50) to ensure we maintain the lightest colors
-  const reversedScales = [...SCALES].reverse();
+    const { hex: hexColor, text: textColor } = swatchData;
+    const hslColor = swatchData.color.toHsl();
+    const isApca = contrast.algorithm === 'apca';
+    const score = isApca ? swatchData.lc : swatchData.ratio;
+    const ratio = swatchData.ratio.toFixed(2);
 
-  for (let i = 0; i < reversedScales.length - 1; i++) {
-    const currentScale = reversedScales[i];
-    const nextScale = reversedScales[i + 1];
+    // Badges reflect the target the shade was built for (text, large text, non-text UI, AAA)
+    const accessibilityBadge = contrastBadge(score, contrast.algorithm, { use: swatchData.use, target: swatchData.target });
+    const badgeTitle = `Built for ${CONTRAST_USE_LABELS[swatchData.use]} (${formatContrast(swatchData.target, contrast.algorithm)})`;
 
-    // Skip if either scale doesn't exist
-    if (!darkRamp[currentScale] || !darkRamp[nextScale]) continue;
+    const swatch = document.createElement('div');
+    swatch.className = 'swatch';
+    if (scale === baseScale) {
+      swatch.classList.add('base-swatch');
+      swatch.title = 'Base color';
+    } else if (anchorScales.includes(scale)) {
+      swatch.classList.add('anchor-swatch');
+      swatch.title = 'Anchored color';
+    }
+    if (accessibilityBadge === 'Fail') {
+      swatch.classList.add('fail-shade');
+      const banner = document.getElementById('accessibility-banner');
+      if (banner) banner.style.display = 'block';
+      if (failedColors) failedColors.push(hexColor);
+    }
 
-    // Get the lightness values
-    const currentL = darkRamp[currentScale].toHsl().l;
-    const nextL = darkRamp[nextScale].toHsl().l;
+    const box = document.createElement('div');
+    box.className = 'color-box';
+    box.style.backgroundColor = hexColor;
+    box.style.color = textColor;
+    box.innerHTML = `
+      <div class="box-content">
+        <div class="tailwind-scale">${scale}</div>
+        <a href="#" role="button" class="color-hex copyable" title="Click to copy HEX">${hexColor}</a>
+        <div class="color-hsl-container">
+          <div class="color-hsl-label">HSL</div>
+          <a href="#" role="button" class="color-hsl-values copyable" title="Click to copy HSL">${Math.round(hslColor.h)}° ${Math.round(hslColor.s * 100)}% ${Math.round(hslColor.l * 100)}%</a>
+        </div>
+        <div class="contrast"><span title="${isApca ? 'APCA Lightness Contrast' : 'Contrast Ratio'}">${isApca ? formatContrast(score, 'apca') : `${ratio}:1`}</span> <span class="accessibility-badge" title="${badgeTitle}">${accessibilityBadge}</span></div>
+        <div class="surface-contrast" title="Against the ${rampType} surface (borders, fills)">on surface ${isApca ? formatContrast(swatchData.surfaceContrast, 'apca') : `${swatchData.surfaceContrast.toFixed(2)}:1`}</div>
 
-    // In dark mode with reversed processing, current scale should be lighter than next
-    if (currentL <= nextL) {
+      </div>
+    `;
 
-      // Calculate minimum lightness difference based on scale distance
-      const scaleDistance = Math.abs(parseInt(currentScale) - parseInt(nextScale));
-      const minDifference = Math.max(0.03, scaleDistance / 100); // At least 3% difference
+    const hexValueEl = box.querySelector('.color-hex');
+    hexValueEl.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      navigator.clipboard.writeText(hexColor).then(() => {
+        showToast('🗸 Copied HEX!', hexValueEl);
+      }).catch(err => console.error('Could not copy text: ', err));
+    });
 
-      // Make the next scale darker than current
-      const newLightness = Math.max(0.05, nextL - minDifference);
+    const hslValuesEl = box.querySelector('.color-hsl-values');
+    hslValuesEl.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const hslString = `hsl(${Math.round(hslColor.h)}, ${Math.round(hslColor.s * 100)}%, ${Math.round(hslColor.l * 100)}%)`;
+      navigator.clipboard.writeText(hslString).then(() => {
+        showToast('🗸 Copied HSL!', hslValuesEl);
+      }).catch(err => console.error('Could not copy text: ', err));
+    });
 
-      // Get the HSL values of the next color
-      const hsl = darkRamp[nextScale].toHsl();
+    swatch.appendChild(box);
+    rampContainer.appendChild(swatch);
 
-      // Create a new color with the adjusted lightness
-      const newColor = tinycolor({ h: hsl.h, s: hsl.s, l: newLightness });
+    // One-time, staggered load animation AFTER insertion to ensure it triggers
+    if (!hasAnimatedSwatchesHsl) {
+      const baseOffset = rampType === 'Dark Mode' ? SCALES.length : 0;
+      // Force reflow to reset animation start point
+      void box.offsetWidth; // reads layout
+      // Next frame, add class and delay for a visible start
+      requestAnimationFrame(() => {
+        box.style.animationDelay = `${(baseOffset + index) * 20}ms`;
+        box.classList.add('animate-in');
 
-      // Replace the next color with the darker version
-      darkRamp[nextScale] = newColor;
+        box.addEventListener('animationend', () => {
+          box.classList.remove('animate-in');
+          box.style.animationDelay = '';
+        }, { once: true });
+      });
+    }
 
-      // Debug: Log adjusted lightness values
+    if (rampId === 'lightRamp' && scale === '100' && colorInput) {
+      colorInput.style.backgroundColor = hexColor;
+      colorInput.style.color = textColor;
     }
-  }
+  });
 }
 
 // ---- Collections Logic ----
@@ -2547,273 +1814,16 @@ function renderCollections() {
 
   // Set up the moveColorItem handler for drag and drop
   window.moveColorItemHandler = createMoveColorItemHandler(getCollections, saveCollections, renderCollections);
-}
-
-// ---- Export Logic ----
-function generateJsonForFigma(collection, format) {
-  const output = {
-    format: format.replace('figma-', ''), // Ensure format is 'paired', 'themed', or 'backup'
-    collectionName: collection.name,
-  };
-
-  // This internal function processes a single color, using its stored ramps
-  const processColor = (color) => {
-    try {
-      // If the color already has ramps stored, use them
-      if (color.lightRamp && color.darkRamp) {
-        // Convert stored hex strings back to tinycolor objects
-        const lightRamp = {};
-        const darkRamp = {};
-
-        // Process light ramp
-        Object.entries(color.lightRamp).forEach(([scale, hex]) => {
-          lightRamp[scale] = tinycolor(hex);
-        });
-
-        // Process dark ramp
-        Object.entries(color.darkRamp).forEach(([scale, hex]) => {
-          darkRamp[scale] = tinycolor(hex);
-        });
-
-        return { lightRamp, darkRamp };
-      }
-
-      // Fallback to generating ramps if not stored (legacy support)
-      const colorValue = parseRgbInput(color.base);
-      const baseColor = tinycolor(colorValue);
-
-      if (!baseColor.isValid()) {
-        alert('Invalid color value.');
-        return null;
-      }
-
-      // Generate light and dark ramps using the HSL color space functions
-      const lightRamp = generateLightRampWithExactBase(baseColor);
-      const darkRamp = generateDarkRampWithExactBase(baseColor);
-
-      return { lightRamp, darkRamp };
-    } catch (e) {
-      alert('Skipping invalid color in collection.');
-      return null;
-    }
-  };
-
-  if (format === 'figma-paired') {
-    output.colors = {};
-    collection.colors.forEach(color => {
-      const processed = processColor(color);
-      if (!processed) return;
-
-      output.colors[color.name] = {};
-      SCALES.forEach(scale => {
-        output.colors[color.name][scale] = {
-          Light: processed.lightRamp[scale].toHexString(),
-          Dark: processed.darkRamp[scale].toHexString()
-        };
-      });
-    });
-    return output;
-  }
-  else if (format === 'figma-themed') {
-    output.themes = { Light: {}, Dark: {} };
-    collection.colors.forEach(color => {
-      const processed = processColor(color);
-      if (!processed) return;
-
-      output.themes.Light[color.name] = {};
-      output.themes.Dark[color.name] = {};
-
-      const normalizeHex = (hexValue) => {
-        const v = (hexValue || '').toString().trim().toLowerCase();
-        return v.startsWith('#') ? v : `#${v}`;
-      };
-
-      const baseHex = normalizeHex(color.base);
-      let lightBaseScale = '';
-      let darkBaseScale = '';
-
-      for (const scale of SCALES) {
-        const lightHex = processed.lightRamp?.[scale]?.toHexString?.();
-        const darkHex = processed.darkRamp?.[scale]?.toHexString?.();
-        if (!lightBaseScale && normalizeHex(lightHex) === baseHex) lightBaseScale = scale;
-        if (!darkBaseScale && normalizeHex(darkHex) === baseHex) darkBaseScale = scale;
-      }
-
-      SCALES.forEach(scale => {
-        const lightKey = (scale === lightBaseScale) ? `${scale}*` : scale;
-        const darkKey = (scale === darkBaseScale) ? `${scale}*` : scale;
-        output.themes.Light[color.name][lightKey] = processed.lightRamp[scale].toHexString();
-        output.themes.Dark[color.name][darkKey] = processed.darkRamp[scale].toHexString();
-      });
-    });
-    return output;
-  }
-  // Single ramp exports - Light
-  else if (format === 'light ramp') {
-    output.colors = {};
-    collection.colors.forEach(color => {
-      const processed = processColor(color);
-      if (!processed) return;
-      output.colors[color.name] = {};
-      SCALES.forEach(scale => {
-        output.colors[color.name][scale] = processed.lightRamp[scale].toHexString();
-      });
-    });
-    return output;
-  }
-  // Single ramp exports - Dark
-  else if (format === 'dark ramp') {
-    output.colors = {};
-    collection.colors.forEach(color => {
-      const processed = processColor(color);
-      if (!processed) return;
-      output.colors[color.name] = {};
-      SCALES.forEach(scale => {
-        output.colors[color.name][scale] = processed.darkRamp[scale].toHexString();
-      });
-    });
-    return output;
-  }
-  else if (format === 'backup') {
-    // Backup format (full collection data for import/export between browsers)
-    return {
-      format: 'backup',
-      data: collection,
-      version: '1.0',
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  // Default return if format is not recognized
-  return {
-    error: 'Unsupported export format',
-    format: format,
-    validFormats: ['figma-paired', 'figma-themed', 'backup']
-  };
-}
-
-function generateJsonStringForFigma(collection, format) {
-  const escapeJsonString = (value) => JSON.stringify(value ?? '');
-
-  // This internal function processes a single color, using its stored ramps
-  const processColor = (color) => {
-    try {
-      // If the color already has ramps stored, use them
-      if (color.lightRamp && color.darkRamp) {
-        const lightRamp = {};
-        const darkRamp = {};
-
-        Object.entries(color.lightRamp).forEach(([scale, hex]) => {
-          lightRamp[scale] = tinycolor(hex);
-        });
-
-        Object.entries(color.darkRamp).forEach(([scale, hex]) => {
-          darkRamp[scale] = tinycolor(hex);
-        });
-
-        return { lightRamp, darkRamp };
-      }
-
-      // Fallback to generating ramps if not stored (legacy support)
-      const colorValue = parseRgbInput(color.base);
-      const baseColor = tinycolor(colorValue);
-
-      if (!baseColor.isValid()) {
-        return null;
-      }
-
-      const lightRamp = generateLightRampWithExactBase(baseColor);
-      const darkRamp = generateDarkRampWithExactBase(baseColor);
-      return { lightRamp, darkRamp };
-    } catch (e) {
-      return null;
-    }
-  };
-
-  const normalizeHex = (hexValue) => {
-    const v = (hexValue || '').toString().trim().toLowerCase();
-    return v.startsWith('#') ? v : `#${v}`;
-  };
-
-  const getBaseScaleForRamp = (ramp, baseHex) => {
-    for (const scale of SCALES) {
-      const rampHex = ramp?.[scale]?.toHexString?.();
-      if (normalizeHex(rampHex) === baseHex) return scale;
-    }
-    return '';
-  };
-
-  const buildScaleBlock = (ramp, baseScale) => {
-    const lines = ['{'];
-    SCALES.forEach((scale, idx) => {
-      const key = (scale === baseScale) ? `${scale}*` : scale;
-      const value = ramp[scale].toHexString();
-      const comma = idx === SCALES.length - 1 ? '' : ',';
-      lines.push(`        ${escapeJsonString(key)}: ${escapeJsonString(value)}${comma}`);
-    });
-    lines.push('      }');
-    return lines;
-  };
-
-  const headerLines = [
-    '{',
-    `  "format": ${escapeJsonString(format.replace('figma-', ''))},`,
-    `  "collectionName": ${escapeJsonString(collection.name)},`
-  ];
-
-  const colors = Array.isArray(collection.colors) ? collection.colors : [];
-  const processedColors = colors
-    .map((color) => {
-      const processed = processColor(color);
-      if (!processed) return null;
-      const baseHex = normalizeHex(color.base);
-      const lightBaseScale = getBaseScaleForRamp(processed.lightRamp, baseHex);
-      const darkBaseScale = getBaseScaleForRamp(processed.darkRamp, baseHex);
-      return { color, processed, lightBaseScale, darkBaseScale };
-    })
-    .filter(Boolean);
-
-  if (format === 'figma-themed') {
-    const lines = [...headerLines, '  "themes": {', '    "Light": {'];
-
-    processedColors.forEach((item, idx) => {
-      const comma = idx === processedColors.length - 1 ? '' : ',';
-      lines.push(`      ${escapeJsonString(item.color.name)}: ${buildScaleBlock(item.processed.lightRamp, item.lightBaseScale).join('\n')}${comma}`);
-    });
-
-    lines.push('    },', '    "Dark": {');
-
-    processedColors.forEach((item, idx) => {
-      const comma = idx === processedColors.length - 1 ? '' : ',';
-      lines.push(`      ${escapeJsonString(item.color.name)}: ${buildScaleBlock(item.processed.darkRamp, item.darkBaseScale).join('\n')}${comma}`);
-    });
-
-    lines.push('    }', '  }', '}');
-    return lines.join('\n');
-  }
-
-  if (format === 'light ramp' || format === 'dark ramp') {
-    const lines = [...headerLines, '  "colors": {'];
-
-    processedColors.forEach((item, idx) => {
-      const comma = idx === processedColors.length - 1 ? '' : ',';
-      const ramp = (format === 'light ramp') ? item.processed.lightRamp : item.processed.darkRamp;
-      const baseScale = (format === 'light ramp') ? item.lightBaseScale : item.darkBaseScale;
-      lines.push(`    ${escapeJsonString(item.color.name)}: ${buildScaleBlock(ramp, baseScale).join('\n')}${comma}`);
-    });
-
-    lines.push('  }', '}');
-    return lines.join('\n');
-  }
 
-  const jsonOutput = generateJsonForFigma(collection, format);
-  return JSON.stringify(jsonOutput, null, 2);
+  updateCvdView();
 }
 
+// ---- Export Logic ----
 function openExportModal(collection) {
   const modal = document.getElementById('export-modal');
   const backdrop = document.getElementById('export-modal-backdrop');
   const formatSelect = document.getElementById('json-format-select');
+  const alphaCheckbox = document.getElementById('export-alpha-checkbox');
   const textarea = document.getElementById('export-json-textarea');
   const copyBtn = document.getElementById('copy-json-btn');
   const closeBtn = document.getElementById('close-export-modal');
@@ -2822,6 +1832,8 @@ function openExportModal(collection) {
   // Use cloneNode to avoid attaching multiple listeners if the modal is re-opened
   const newFormatSelect = formatSelect.cloneNode(true);
   formatSelect.parentNode.replaceChild(newFormatSelect, formatSelect);
+  const newAlphaCheckbox = alphaCheckbox.cloneNode(true);
+  alphaCheckbox.parentNode.replaceChild(newAlphaCheckbox, alphaCheckbox);
   const newCopyBtn = copyBtn.cloneNode(true);
   copyBtn.parentNode.replaceChild(newCopyBtn, copyBtn);
 
@@ -2830,23 +1842,16 @@ function openExportModal(collection) {
     let outputString;
 
     if (format === 'backup') {
-      const instructions = `***\nCollection Name: "${collection.name}"\nColor Space: HSL\n\nSave this JSON file to restore this color ramp here on Color-Ramp.com. Both ".json" or ".txt" file extensions are supported.\n\nThis JSON file is NOT to be used with the Figma plugin. For that, use the provided Dual Ramps or Single Ramp JSON formats.\n***`;
-      const collectionForBackup = {
-        ...collection,
-        tokenCount: Array.isArray(collection?.colors) ? collection.colors.length : 0,
-      };
-      const backupData = {
-        collections: [collectionForBackup]
-      };
-      const backupJsonString = JSON.stringify(backupData, null, 2);
-      outputString = `${instructions}\n\n${backupJsonString}`;
+      outputString = generateBackupString(collection, { space: 'hsl' });
     } else {
-      outputString = generateJsonStringForFigma(collection, format);
+      outputString = generateJsonStringForFigma(collection, format, { space: 'hsl', contrast: getContrastSetting(), targets: getContrastTargets(), minDistance: getMinDistance(), hueProfile: currentHueProfile, surfaces: getSurfaces(), alpha: newAlphaCheckbox.checked });
     }
+    newAlphaCheckbox.disabled = format === 'backup';
     textarea.value = outputString;
   }
 
   newFormatSelect.addEventListener('change', generateAndDisplayJson);
+  newAlphaCheckbox.addEventListener('change', generateAndDisplayJson);
 
   newCopyBtn.onclick = () => {
     textarea.select();
@@ -3402,8 +2407,12 @@ function toggleAddColorButtonVisibility() {
   }
 }
 
-// Function to add the current color to a collection
-function addColorToCollection() {
+/**
+ * Adds the current color to the first collection
+ * @param {Object} [options]
+ * @param {boolean} [options.withNeutral=false] - Also add its matching neutral ("Add both")
+ */
+function addColorToCollection({ withNeutral = false } = {}) {
   const colorInput = document.getElementById('colorInput');
   if (!colorInput || !colorInput.value) return;
 
@@ -3458,7 +2467,7 @@ function addColorToCollection() {
   const targetCollectionId = data.collections[0].id;
 
   // Add the color to the collection
-  addColorToSpecificCollection(targetCollectionId, colorValue);
+  addColorToSpecificCollection(targetCollectionId, colorValue, { withNeutral });
 
   // Scroll to the collections section
   const collectionsSection = document.getElementById('collections-section');
@@ -3795,8 +2804,25 @@ function formatHtmlColorName(name) {
     .join(' ');
 }
 
+/**
+ * Collections export with one text color pair and surface pair: a color made with others is refused, rather
+ * than changing how the colors already there export.
+ * @param {Object} collection
+ * @returns {boolean} - Whether the color can join; the collection then keeps the current settings.
+ */
+function joinCollection(collection) {
+  const settings = { textColors: getContrastSetting().textColors, surfaces: getSurfaces() };
+  const conflicts = collectionSettingsConflicts(collection, settings);
+  if (conflicts.length > 0) {
+    alert(`"${collection.name}" is exported with other ${conflicts.join(' and ')}. Switch back to them, or save this color to a new collection.`);
+    return false;
+  }
+  Object.assign(collection, settings);
+  return true;
+}
+
 // Function to add a color to a specific collection
-function addColorToSpecificCollection(collectionId, colorValue) {
+function addColorToSpecificCollection(collectionId, colorValue, { withNeutral = false } = {}) {
   const data = getCollections();
   const collection = data.collections.find(c => c.id === collectionId);
 
@@ -3826,7 +2852,10 @@ function addColorToSpecificCollection(collectionId, colorValue) {
     name: colorName,
     base: hexValue,  // Always store the hex value for consistent rendering
     defaultMode: document.getElementById('defaultRampToggle')?.checked ? 'dark' : 'light',
-    vibrancy: document.getElementById('vibrancy-boost-select')?.value || 0,
+    vibrancy: getVibrancy(),
+    curves: getCurveProfile(),
+    baseScale: getBaseScale(),
+    anchors: getAnchors(),
     createdAt: new Date().toISOString(),
     // Store the current ramps with the color for accurate export
     lightRamp: currentLightRamp,
@@ -3855,8 +2884,23 @@ function addColorToSpecificCollection(collectionId, colorValue) {
   }
 
   // Add color to the end of the collection
+  if (!joinCollection(collection)) return;
   collection.colors.push(newColor);
 
+  // "Add both" follows it with the matching neutral and its ramps
+  const neutralTint = getNeutralTint();
+  if (withNeutral && neutralTint !== null) {
+    collection.colors.push({
+      id: generateId(),
+      name: `${colorName} neutral`,
+      base: hexValue,
+      defaultMode: newColor.defaultMode,
+      neutral: neutralTint,
+      createdAt: newColor.createdAt,
+      lightRamp: toHexRamp(currentNeutralLightRamp),
+      darkRamp: toHexRamp(currentNeutralDarkRamp)
+    });
+  }
   // Save updated collections
   saveCollections(data);
 
@@ -3888,6 +2932,96 @@ function addColorToSpecificCollection(collectionId, colorValue) {
   }
 }
 
+/**
+ * Saves the current color and its harmony colors as a new collection
+ */
+function saveHarmonyCollection() {
+  const harmony = getHarmony();
+  const hexValue = parseRgbInput(document.getElementById('colorInput')?.value || '');
+  if (!harmony || !hexValue || !isValidColor(hexValue)) return;
+
+  const colorName = getBestColorName(hexValue);
+  const defaultMode = document.getElementById('defaultRampToggle')?.checked ? 'dark' : 'light';
+  const createdAt = new Date().toISOString();
+  const data = getCollections();
+  const collection = {
+    id: generateId(),
+    name: `${colorName} (${HARMONIES[harmony].label})`,
+    createdAt,
+    colors: [
+      {
+        id: generateId(),
+        name: colorName,
+        base: hexValue,
+        defaultMode,
+        curves: getCurveProfile(),
+        baseScale: getBaseScale(),
+        anchors: getAnchors(),
+        createdAt,
+        lightRamp: toHexRamp(currentLightRamp),
+        darkRamp: toHexRamp(currentDarkRamp)
+      },
+      ...currentHarmonyRamps.map(({ hex, light, dark }, i) => ({
+        id: generateId(),
+        name: harmonyColorName(colorName, harmony, i),
+        base: hex,
+        defaultMode,
+        curves: getCurveProfile(),
+        baseScale: 'auto',
+        anchors: {},
+        createdAt,
+        lightRamp: toHexRamp(light),
+        darkRamp: toHexRamp(dark)
+      }))
+    ],
+    textColors: getContrastSetting().textColors,
+    surfaces: getSurfaces()
+  };
+  data.collections.push(collection);
+  saveCollections(data);
+  renderCollections();
+  toggleAddColorButtonVisibility();
+  appToast.success('Collection created successfully!');
+  document.querySelector(`[data-collection-id="${collection.id}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Saves the colors kept from the dropped image as a new collection named after the file
+ */
+function saveImagePaletteCollection() {
+  const palette = getImagePalette();
+  if (!palette || currentImageRamps.length === 0) return;
+
+  const defaultMode = document.getElementById('defaultRampToggle')?.checked ? 'dark' : 'light';
+  const createdAt = new Date().toISOString();
+  const data = getCollections();
+  const collection = {
+    id: generateId(),
+    name: palette.name,
+    createdAt,
+    colors: currentImageRamps.map(({ hex, light, dark }) => ({
+      id: generateId(),
+      name: getBestColorName(hex),
+      base: hex,
+      defaultMode,
+      curves: getCurveProfile(),
+      baseScale: 'auto',
+      anchors: {},
+      createdAt,
+      lightRamp: toHexRamp(light),
+      darkRamp: toHexRamp(dark)
+    })),
+    textColors: getContrastSetting().textColors,
+    surfaces: getSurfaces()
+  };
+  data.collections.push(collection);
+  saveCollections(data);
+  renderCollections();
+  toggleAddColorButtonVisibility();
+  appToast.success('Collection created successfully!');
+  document.querySelector(`[data-collection-id="${collection.id}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
 // Import collections from JSON
 function importCollections(jsonString) {
   try {
@@ -4168,11 +3302,15 @@ document.addEventListener('DOMContentLoaded', function () {
     // Set up Add to Collection button
     const addToCollectionBtn = document.getElementById('add-color-shortcut-btn');
     if (addToCollectionBtn) {
-      addToCollectionBtn.addEventListener('click', addColorToCollection);
+      addToCollectionBtn.addEventListener('click', () => addColorToCollection());
     } else {
       alert('Add to Collection button not found');
     }
 
+    document.getElementById('neutral-add-both-btn')?.addEventListener('click', () => addColorToCollection({ withNeutral: true }));
+    document.getElementById('harmony-save-btn')?.addEventListener('click', saveHarmonyCollection);
+    document.getElementById('image-palette-save-btn')?.addEventListener('click', saveImagePaletteCollection);
+
     // Set up Create Collection button
     const createCollectionBtn = document.getElementById('create-collection-btn');
     if (createCollectionBtn) {
@@ -4302,11 +3440,15 @@ document.addEventListener('DOMContentLoaded', function () {
             name: colorName,
             base: hexValue,
             defaultMode: document.getElementById('defaultRampToggle').checked ? 'dark' : 'light',
-            vibrancy: document.getElementById('vibrancy-boost-select')?.value || 0,
+            vibrancy: getVibrancy(),
+            curves: getCurveProfile(),
+            baseScale: getBaseScale(),
+            anchors: getAnchors(),
             createdAt: new Date().toISOString()
           };
 
           // Add color to the end of the collection
+          if (!joinCollection(collection)) return;
           collection.colors.push(newColor);
 
           // Save and re-render
@@ -4354,6 +3496,21 @@ document.addEventListener('DOMContentLoaded', function () {
               // Update the ramp toggle based on the saved mode
               rampToggle.checked = (colorToLoad.defaultMode === 'dark');
 
+              // Evaluate contrast against the collection's text colors and surfaces
+              setTextColors(collection.textColors);
+              checkTextColors();
+              setSurfaces(collection.surfaces);
+              if (colorToLoad.neutral !== undefined) {
+                // A matching neutral loads its brand color with the neutral shown; the ramp settings stay as they are
+                setNeutralTint(colorToLoad.neutral);
+              } else {
+                // Colors saved before curve profiles existed load with the default one
+                setVibrancy(colorToLoad.vibrancy ?? 0);
+                setCurveProfile(resolveCurveProfile(colorToLoad.curves));
+                document.getElementById('base-scale-select').value = colorToLoad.baseScale || 'auto';
+                anchorEditor?.setValue(colorToLoad.anchors);
+              }
+
               // Trigger the color update with the new color
               updateColorRamps(colorToLoad.base);
             }
@@ -4586,114 +3743,4 @@ function getAutoColorName(userInput) {
 
   // Last resort
   return 'Unnamed Color';
-}
-
-/**
- * Special handling for specific color ranges to ensure optimal dark mode ramps
- * Each range defines min/max hue and specific ramp generation parameters
- */
-const SPECIAL_COLOR_RANGES = [
-  // Blue colors (200-260° hue) - for colors like #172554, #172590
-  {
-    minHue: 200,
-    maxHue: 260,
-    name: 'blue',
-    darkRamp: {
-      minSaturation: 0.55,   // Higher minimum saturation for better visibility
-      maxSaturation: 0.92,   // Allow for rich blues without being too intense
-      lightness: {
-        '50': 0.12,   // Dark but visible
-        '100': 0.22,  // Slightly lighter than 50
-        '200': 0.32,  // Noticeable step up
-        '300': 0.44,  // Medium dark
-        '400': 0.56,  // Mid-tone
-        '500': 0.66,  // Base color - slightly lighter than middle
-        '600': 0.74,  // Noticeably lighter than 500
-        '700': 0.81,  // Light
-        '800': 0.87,  // Very light
-        '900': 0.93,  // Almost white
-        '950': 0.97   // Near white
-      }
-    }
-  },
-  // Green colors (80-160° hue)
-  {
-    minHue: 80,
-    maxHue: 160,
-    name: 'green',
-    darkRamp: {
-      minSaturation: 0.5,
-      maxSaturation: 0.85,
-      lightness: {
-        '50': 0.14,   // Dark but visible
-        '100': 0.22,  // Slightly lighter than 50
-        '200': 0.32,  // Noticeable step up
-        '300': 0.44,  // Medium dark
-        '400': 0.54,  // Mid-tone
-        '500': 0.64,  // Base color
-        '600': 0.72,  // Noticeably lighter than 500
-        '700': 0.79,  // Light
-        '800': 0.86,  // Very light
-        '900': 0.92,  // Almost white
-        '950': 0.96   // Near white
-      }
-    }
-  },
-  // Red-orange colors (350-30° hue, wrapping around 0)
-  {
-    minHue: 350,
-    maxHue: 30,
-    name: 'red-orange',
-    darkRamp: {
-      minSaturation: 0.6,  // Higher minimum saturation for better visibility
-      maxSaturation: 0.9,  // Keep saturation in check for better appearance
-      lightness: {
-        '50': 0.14,   // Dark but visible
-        '100': 0.24,  // More distinct from 50
-        '200': 0.36,  // Clear step up from 100
-        '300': 0.48,  // Medium dark - distinct from 200
-        '400': 0.58,  // Mid-tone - slightly lighter
-        '500': 0.66,  // Base color - slightly lighter for better visibility
-        '600': 0.74,  // Noticeably lighter than 500
-        '700': 0.81,  // Light - more distinct from 600
-        '800': 0.87,  // Very light - better progression
-        '900': 0.93,  // Almost white
-        '950': 0.97   // Near white
-      }
-    }
-  },
-  // Purple/magenta colors (270-330° hue)
-  {
-    minHue: 270,
-    maxHue: 330,
-    name: 'purple-magenta',
-    darkRamp: {
-      minSaturation: 0.5,   // Slightly lower minimum saturation
-      maxSaturation: 0.88,  // Keep saturation in check for better appearance
-      lightness: {
-        '50': 0.13,   // Slightly lighter than red-orange for better visibility
-        '100': 0.23,  // More distinct from 50
-        '200': 0.35,  // Clear step up from 100
-        '300': 0.47,  // Medium dark - more distinct from 200
-        '400': 0.57,  // Mid-tone - slightly lighter
-        '500': 0.65,  // Base color - slightly lighter for better visibility
-        '600': 0.73,  // Noticeably lighter than 500
-        '700': 0.80,  // Light - more distinct from 600
-        '800': 0.87,  // Very light - better progression
-        '900': 0.93,  // Almost white
-        '950': 0.97   // Near white
-      }
-    }
-  }
-];
-
-/**
- * Get special color handling for a given hue, if any
- * @param {number} hue - The hue value (0-360)
- * @returns {Object|null} - The special color handling object or null if none
- */
-function getSpecialColorHandling(hue) {
-  return SPECIAL_COLOR_RANGES.find(range =>
-    (hue >= range.minHue && hue <= range.maxHue)
-  ) || null;
 }
\ No newline at end of file
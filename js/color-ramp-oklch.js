@@ -1,4 +1,13 @@
-import Color from "https://cdn.jsdelivr.net/npm/colorjs.io/dist/color.js";
+import Color from 'colorjs.io';
+import { createRamp, parseRgbInput, resolveHueShift, resolveVibrancy, migrateVibrancy, VIBRANCY_VERSION, resolveCurveProfile, resolveAnchors, resolveNeutralTint, harmonyColors, harmonyColorName, HARMONIES, statusColors, resolveCvd, resolveEndpoints, resolveInterpolation, interpolationString, CVD_TYPES, SCALES, SPACES, SPACE_LABELS, GAMUT_LABELS } from './ramp-engine/index.js';
+import { createCurveEditor } from './curve-editor.js';
+import { createAnchorEditor } from './anchor-editor.js';
+import { createImagePalette } from './image-palette.js';
+import { renderRampStrips } from './ramp-strips.js';
+import { renderQualityPanel } from './quality-panel.js';
+import { applyCvdFilter, renderCvdReport } from './cvd-view.js';
+import { generateJsonStringForFigma, generateBackupString, collectionSettingsConflicts } from './ramp-engine/export.js';
+import { parseContrastSetting, resolveTextColors, contrastBadge, formatContrast, CONTRAST_USE_LABELS } from './ramp-engine/contrast.js';
 // Module version marker for cache-busting verification
 try { window.__OKLCH_MODULE_VERSION__ = '1.2.0'; } catch(e) {}
 /* Color Ramp - using Color.js for OKLCH color space
@@ -7,9 +16,6 @@ try { window.__OKLCH_MODULE_VERSION__ = '1.2.0'; } catch(e) {}
    Originally created on: 6/23/2025
 */
 
-// ---- Constants ----
-const SCALES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
-
 // One-time animation flag for swatches on initial page load
 let hasAnimatedSwatches = false;
 
@@ -21,191 +27,354 @@ function getAccessibleColor(bgColor) {
   return ratio >= 4.5 ? 'white' : 'black';
 }
 
-// ---- Helpers ----
-function wcagRatio(c1, c2) {
-  const ratio = c1.contrast(c2, 'WCAG21');
-  // Truncate to two decimal places to match WebAIM's methodology
-  return Math.floor(ratio * 100) / 100;
+// Reads the Text color pickers into { dark, light }
+function getTextColors() {
+  return {
+    dark: document.getElementById('text-color-dark-input')?.value,
+    light: document.getElementById('text-color-light-input')?.value
+  };
 }
 
-function ensureAccessible(bgRaw) {
-    // CRITICAL FIX: First, clip the raw color to the sRGB gamut.
-    // All subsequent calculations MUST use this "safe" color.
-    let bg = bgRaw.to('srgb');
+// Applies a saved { dark, light } text color pair to the pickers
+function setTextColors(textColors) {
+  if (!textColors) return;
+  const darkInput = document.getElementById('text-color-dark-input');
+  const lightInput = document.getElementById('text-color-light-input');
+  if (darkInput && textColors.dark) darkInput.value = textColors.dark;
+  if (lightInput && textColors.light) lightInput.value = textColors.light;
+}
 
-    const black = new Color("#0D0D0D");
-    const white = new Color("#FFFFFF");
+// Reads the Contrast select and Text color pickers into { algorithm, target, textColors }
+function getContrastSetting() {
+  return parseContrastSetting(document.getElementById('contrast-algorithm-select')?.value, getTextColors());
+}
 
-    // Determine the best text color and initial ratio against the safe color.
-    let ratioBlack = wcagRatio(bg, black);
-    let ratioWhite = wcagRatio(bg, white);
-    let text = ratioBlack >= ratioWhite ? black : white;
-    let ratio = Math.max(ratioBlack, ratioWhite);
+// Puts the Text color pickers back to the defaults the ramps fall back to when the picked pair can't be used, and says why
+function checkTextColors() {
+  try {
+    resolveTextColors(getTextColors());
+  } catch (e) {
+    appToast.warning(e.message);
+    setTextColors(getContrastSetting().textColors);
+  }
+}
+
+// Reads the Surface pickers into { light, dark }
+function getSurfaces() {
+  return {
+    light: document.getElementById('surface-light-input')?.value,
+    dark: document.getElementById('surface-dark-input')?.value
+  };
+}
 
-    // If it fails, nudge the safe color's lightness until it passes.
-    if (ratio < 4.5) {
-        const oklch = bg.to("oklch");
-        const targetL = text.equals(black) ? 1 : 0; // if black text is better, move bg towards white, else towards black.
+// Applies a saved { light, dark } surface pair to the pickers
+function setSurfaces(surfaces) {
+  if (!surfaces) return;
+  const lightInput = document.getElementById('surface-light-input');
+  const darkInput = document.getElementById('surface-dark-input');
+  if (lightInput && surfaces.light) lightInput.value = surfaces.light;
+  if (darkInput && surfaces.dark) darkInput.value = surfaces.dark;
+}
 
-        for (let i = 0; i < 20 && ratio < 4.5; i++) {
-            oklch.l += (targetL - oklch.l) * 0.1; // Nudge 10%
+// Previews each ramp on the surface it was built for
+function applyRampSurfaces(surfaces) {
+  document.querySelectorAll('.light-mode-container').forEach(el => el.style.setProperty('--ramp-surface', surfaces.light));
+  document.querySelectorAll('.dark-mode-container').forEach(el => el.style.setProperty('--ramp-surface', surfaces.dark));
+}
 
-            // Create the new nudged color
-            let nudgedBg = new Color("oklch", [oklch.l, oklch.c, oklch.h]);
+// Reads the Hue Shift controls into { light, dark, easing }, keeping amounts within 0-180 degrees
+function getHueShift() {
+  const readDegrees = (id) => Math.max(0, Math.min(180, parseFloat(document.getElementById(id)?.value) || 0));
+  return {
+    light: readDegrees('hue-shift-light-input'),
+    dark: readDegrees('hue-shift-dark-input'),
+    easing: document.getElementById('hue-shift-easing-select')?.value || 'linear'
+  };
+}
 
-            // IMPORTANT: Clip the *nudged* color as well before re-calculating!
-            bg = nudgedBg.to('srgb');
+// Applies a { light, dark, easing } hue shift to the controls
+function setHueShift({ light, dark, easing }) {
+  const lightInput = document.getElementById('hue-shift-light-input');
+  const darkInput = document.getElementById('hue-shift-dark-input');
+  const easingSelect = document.getElementById('hue-shift-easing-select');
+  if (lightInput) lightInput.value = light;
+  if (darkInput) darkInput.value = dark;
+  if (easingSelect) easingSelect.value = easing;
+}
 
-            // Re-evaluate both text colors against the new safe color
-            ratioBlack = wcagRatio(bg, black);
-            ratioWhite = wcagRatio(bg, white);
+// Reads the Vibrancy slider, in percent
+function getVibrancy() {
+  return Number(document.getElementById('vibrancy-input')?.value) || 0;
+}
 
-            if (ratioBlack >= ratioWhite) {
-                text = black;
-                ratio = ratioBlack;
-            } else {
-                text = white;
-                ratio = ratioWhite;
-            }
-        }
+// Sets the Vibrancy slider (to 0 for a value that doesn't resolve); without a value, just syncs its label
+function setVibrancy(vibrancy) {
+  const input = document.getElementById('vibrancy-input');
+  if (!input) return;
+  if (vibrancy !== undefined) {
+    try {
+      input.value = resolveVibrancy(vibrancy);
+    } catch (e) {
+      input.value = 0;
     }
-    return { bg, text, ratio };
+  }
+  document.getElementById('vibrancy-value').value = `${input.value}%`;
 }
 
-function hex(color){return color && typeof color.toString === 'function' ? color.toString({format:'hex'}) : '#000000';}
+// Converts a boost saved before VIBRANCY_VERSION for the base color and gamut it's used with (0 for a color that doesn't parse)
+function migrateSavedVibrancy(vibrancy, base, gamut) {
+  try {
+    return migrateVibrancy(vibrancy, parseRgbInput(base), gamut);
+  } catch (e) {
+    return 0;
+  }
+}
 
-// Generate a dynamic, perceptually uniform ramp.
-function generateRamp(baseColor, isLightRamp, isDefaultRamp, vibrancyBoost) {
-  const ramp = {};
-  const oklch = baseColor.to('oklch');
-  const hue = oklch.h;
-  const originalChroma = oklch.c;
-  const baseLightness = oklch.l;
+// Curve editors for the Curves panel, created on load
+let lightnessCurveEditor = null;
+let chromaCurveEditor = null;
 
-  // For bias between start and end colors
-  let startEndBias = 0;
+// Reads the Curves panel as entered: { name, lightness, chroma }, curves as preset names or comma-separated values
+function getCurveSettings() {
+  return {
+    name: document.getElementById('curve-name-input')?.value.trim() || '',
+    lightness: lightnessCurveEditor ? lightnessCurveEditor.getValue() : 'linear',
+    chroma: chromaCurveEditor ? chromaCurveEditor.getValue() : 'flat'
+  };
+}
 
-  // Calculate boosted chroma for ramp generation (but not for base color)
-  let rampChroma = originalChroma;
+// Reads the Curves panel into the named profile saved with each color
+function getCurveProfile() {
+  return resolveCurveProfile(getCurveSettings());
+}
 
-  // For grayscale colors, force chroma to 0.
-  if (originalChroma < 0.01) {
-    rampChroma = 0;
-  } else {
-    // Use the passed vibrancyBoost if available, otherwise get it from the UI.
-    const boostValue = vibrancyBoost !== undefined ? parseInt(vibrancyBoost, 10) : parseInt(document.getElementById('vibrancy-boost-select').value, 10);
-    if (boostValue > 0) {
-        // Get hue angle in 0-360 range
-        const normalizedHue = ((hue % 360) + 360) % 360;
-
-        // Apply smart chroma boost with hue-specific compression
-        // Purple hues (260-330) get more compression to avoid sRGB clipping
-        let compressionFactor = 1.0;
-        if (normalizedHue >= 260 && normalizedHue <= 330) {
-          // More compression for purples (0.8-0.9)
-          compressionFactor = 0.85;
-        } else if ((normalizedHue >= 0 && normalizedHue <= 30) || (normalizedHue >= 330 && normalizedHue <= 360)) {
-          // Less compression for reds (0.9-0.95)
-          compressionFactor = 0.95;
-        }
+// Applies a resolved { name, lightness, chroma } profile to the Curves panel
+function setCurveProfile({ name, lightness, chroma }) {
+  const nameInput = document.getElementById('curve-name-input');
+  // 'Default' and 'Custom' are the names unnamed profiles get; leave them to the placeholder
+  if (nameInput) nameInput.value = name === 'Default' || name === 'Custom' ? '' : name;
+  lightnessCurveEditor?.setValue(lightness);
+  chromaCurveEditor?.setValue(chroma);
+}
 
-        // Calculate boosted chroma with compression
-        rampChroma = originalChroma * (1 + (boostValue / 100) * compressionFactor);
+// Reads the Base at select ('auto' or the scale the exact color is pinned to)
+function getBaseScale() {
+  return document.getElementById('base-scale-select')?.value || 'auto';
+}
 
-        // Add slight bias between start and end colors for more visible mid-ramp change
-        const biasAmount = 0.05 * (boostValue / 100); // 5% bias at 100% boost
-        startEndBias = biasAmount;
-    }
-  }
+// Anchor editor for the Anchors controls, created on load
+let anchorEditor = null;
+
+// Reads the Anchors controls as a spec string such as "100=#dbeafe,900=#1e3a8a" ('' for none)
+function getAnchorSettings() {
+  return anchorEditor ? anchorEditor.getValue() : '';
+}
+
+// Reads the Anchors controls into the { scale: HEX } table saved with each color
+function getAnchors() {
+  return resolveAnchors(getAnchorSettings());
+}
 
-  const L_start = isLightRamp ? 0.99 : 0.15;
-  const L_end = isLightRamp ? 0.15 : 0.99;
+// Shows the engine's warnings about pinned and anchored shades, or hides the notice
+function showPlacementWarnings(warnings) {
+  const notice = document.getElementById('base-scale-warning');
+  if (!notice) return;
+  notice.textContent = warnings.join(' ');
+  notice.hidden = warnings.length === 0;
+}
 
-  // Initial colors without bias
-  let startColor = new Color('oklch', [L_start, rampChroma, hue]);
-  let endColor = new Color('oklch', [L_end, rampChroma, hue]);
+// Reads the matching neutral's tint (OKLCH chroma), or null while the neutral is hidden
+function getNeutralTint() {
+  if (document.getElementById('neutral-ramps')?.hidden !== false) return null;
+  return resolveNeutralTint(document.getElementById('neutral-tint-input').value);
+}
 
-  let anchorScale;
+// Shows the matching neutral at a tint (the current one when omitted), or hides it for null
+function setNeutralTint(tint) {
+  const section = document.getElementById('neutral-ramps');
+  const toggle = document.getElementById('neutral-toggle-btn');
+  const input = document.getElementById('neutral-tint-input');
+  if (!section || !toggle || !input) return;
+  if (tint !== null && tint !== undefined) input.value = tint;
+  document.getElementById('neutral-tint-value').value = Number(input.value).toFixed(3);
+  section.hidden = tint === null;
+  toggle.textContent = tint === null ? 'Generate matching neutral' : 'Hide matching neutral';
+  toggle.setAttribute('aria-expanded', String(tint !== null));
+}
 
-  if (isDefaultRamp) {
-    // --- Anchored Ramp Generation (for default ramp) ---
-    const lightnessRange = Math.abs(L_start - L_end);
-    const progress = Math.abs(baseLightness - L_start) / lightnessRange;
-    let anchorIndex = Math.round(progress * (SCALES.length - 1));
-    // Clamp to valid range to avoid off-by-one issues
-    anchorIndex = Math.max(0, Math.min(SCALES.length - 1, anchorIndex));
-    anchorScale = SCALES[anchorIndex];
+// Reads the endpoint colors as { start, end }, or null while the ramps are built around the color input
+function getEndpoints() {
+  if (document.getElementById('endpoint-controls')?.hidden !== false) return null;
+  return resolveEndpoints({ start: document.getElementById('endpoint-start-input').value, end: document.getElementById('endpoint-end-input').value });
+}
 
-    // Apply bias to start/end colors for more visible mid-ramp change if needed
-    if (startEndBias > 0) {
-      const startChroma = rampChroma * (1 - startEndBias);
-      const endChroma = rampChroma * (1 + startEndBias);
-      startColor = new Color('oklch', [L_start, startChroma, hue]);
-      endColor = new Color('oklch', [L_end, endChroma, hue]);
-    }
+// Builds the ramps between endpoints ({ start, end }, or the current ones when omitted), or around the color input for null
+function setEndpoints(endpoints) {
+  const controls = document.getElementById('endpoint-controls');
+  const toggle = document.getElementById('endpoints-toggle-btn');
+  if (!controls || !toggle) return;
+  if (endpoints) {
+    const { start, end } = resolveEndpoints(endpoints);
+    document.getElementById('endpoint-start-input').value = start;
+    document.getElementById('endpoint-end-input').value = end;
+  }
+  controls.hidden = endpoints === null;
+  toggle.textContent = endpoints === null ? 'Build from two endpoints' : 'Build from one color';
+  toggle.setAttribute('aria-expanded', String(endpoints !== null));
+  // Vibrancy, hue shift, curves, base scale and anchors don't apply between endpoints
+  document.body.classList.toggle('endpoint-mode', endpoints !== null);
+}
 
-    // Generate the ramp using boosted chroma for surrounding colors
-    const rampBaseColor = new Color('oklch', [baseLightness, rampChroma, hue]);
+// Reads the Blend select as { space, hue }, or null to blend in the ramp's space
+function getInterpolation() {
+  return resolveInterpolation(document.getElementById('interpolation-select')?.value);
+}
 
-    const lighterShades = startColor.steps(rampBaseColor, {
-      steps: anchorIndex + 1,
-      space: 'oklch',
-      output: 'srgb'
-    });
-    const darkerShades = rampBaseColor.steps(endColor, {
-      steps: (SCALES.length - 1) - anchorIndex + 1,
-      space: 'oklch',
-      output: 'srgb'
-    });
+// Sets the Blend select from { space, hue } or "space:hue", or to the ramp's space for null
+function setInterpolation(interpolation) {
+  const select = document.getElementById('interpolation-select');
+  if (select) select.value = interpolationString(resolveInterpolation(interpolation));
+}
 
-    const rampColors = lighterShades.slice(0, -1).concat(darkerShades);
+// Reads the Harmony select (one of HARMONIES, '' for none)
+function getHarmony() {
+  const harmony = document.getElementById('harmony-select')?.value;
+  return HARMONIES[harmony] ? harmony : '';
+}
 
-    if (rampColors.length !== SCALES.length) {
-      console.error(`Ramp generation failed. Expected 11 colors, got ${rampColors.length}. Falling back to simple ramp.`);
-      const simpleRamp = startColor.steps(endColor, { steps: SCALES.length, space: 'oklch', output: 'srgb' });
-      SCALES.forEach((scale, i) => { ramp[scale] = simpleRamp[i]; });
-    } else {
-      SCALES.forEach((scale, i) => { ramp[scale] = rampColors[i]; });
-    }
+let imagePalette = null;
 
-    // Ensure continuity: use the interpolated color at the anchor index
-    ramp[anchorScale] = rampColors[anchorIndex];
-  } else {
-    // --- Simple Ramp Generation (for non-default ramp) ---
-    // Apply bias to start/end colors for more visible mid-ramp change if needed
-    if (startEndBias > 0) {
-      const startChroma = rampChroma * (1 - startEndBias);
-      const endChroma = rampChroma * (1 + startEndBias);
-      startColor = new Color('oklch', [L_start, startChroma, hue]);
-      endColor = new Color('oklch', [L_end, endChroma, hue]);
-    }
+// The colors kept from the dropped image, named after its file, or null before an image is read
+function getImagePalette() {
+  return imagePalette ? imagePalette.getValue() : null;
+}
 
-    // Create a simple ramp from start to end
-    const allShades = startColor.steps(endColor, {
-      steps: SCALES.length,
-      space: 'oklch',
-      output: 'srgb'
-    });
-    SCALES.forEach((scale, i) => { ramp[scale] = allShades[i]; });
-
-    // Find closest scale for the 'base' indicator (no injection on secondary ramp)
-    let minDiff = Infinity;
-    Object.keys(ramp).forEach(scale => {
-      const rampLightness = ramp[scale].to('oklch').l;
-      const diff = Math.abs(rampLightness - baseLightness);
-      if (diff < minDiff) {
-        minDiff = diff;
-        anchorScale = scale;
-      }
-    });
-    // Do NOT inject any base color here. The secondary ramp should only
-    // highlight the closest existing swatch via anchorScale.
-  }
+// Whether the status colors are shown
+function isStatusShown() {
+  return document.getElementById('status-ramps')?.hidden === false;
+}
 
-  return { ramp, anchorScale };
+// Shows or hides the status colors
+function setStatusShown(shown) {
+  const section = document.getElementById('status-ramps');
+  const toggle = document.getElementById('status-toggle-btn');
+  if (!section || !toggle) return;
+  section.hidden = !shown;
+  toggle.textContent = shown ? 'Hide status colors' : 'Generate status colors';
+  toggle.setAttribute('aria-expanded', String(shown));
+  document.getElementById('status-save-btn').hidden = !shown;
 }
 
-function updateRampUI(rampId, ramp, anchorScale) {
+// Whether the alpha ramps are shown
+function isAlphaShown() {
+  return document.getElementById('alpha-ramps')?.hidden === false;
+}
+
+// Shows or hides the alpha ramps
+function setAlphaShown(shown) {
+  const section = document.getElementById('alpha-ramps');
+  const toggle = document.getElementById('alpha-toggle-btn');
+  if (!section || !toggle) return;
+  section.hidden = !shown;
+  toggle.textContent = shown ? 'Hide alpha ramps' : 'Show alpha ramps';
+  toggle.setAttribute('aria-expanded', String(shown));
+}
+
+// Whether the ramp quality panel is shown
+function isQualityShown() {
+  return document.getElementById('quality-panel')?.hidden === false;
+}
+
+// Shows or hides the ramp quality panel
+function setQualityShown(shown) {
+  const section = document.getElementById('quality-panel');
+  const toggle = document.getElementById('quality-toggle-btn');
+  if (!section || !toggle) return;
+  section.hidden = !shown;
+  toggle.textContent = shown ? 'Hide ramp quality' : 'Show ramp quality';
+  toggle.setAttribute('aria-expanded', String(shown));
+}
+
+// The last ramps and collections drawn, for the simulation report when only one of them changes
+let currentRamps = null;
+let currentCollections = [];
+
+// Reads the Simulate select and severity slider: "type" or "type:severity", '' for normal vision
+function getCvdSetting() {
+  const type = document.getElementById('cvd-select')?.value;
+  if (!CVD_TYPES[type]) return '';
+  const severity = Number(document.getElementById('cvd-severity-input')?.value ?? 1);
+  return severity < 1 ? `${type}:${severity}` : type;
+}
+
+// Sets the Simulate controls from a resolved { type, severity }, or null for normal vision; without one, just syncs the severity label
+function setCvdSetting(cvd) {
+  const select = document.getElementById('cvd-select');
+  const input = document.getElementById('cvd-severity-input');
+  if (!select || !input) return;
+  if (cvd !== undefined) {
+    select.value = cvd ? cvd.type : '';
+    input.value = cvd ? cvd.severity : 1;
+  }
+  input.disabled = !select.value;
+  document.getElementById('cvd-severity-value').value = `${Math.round(Number(input.value) * 100)}%`;
+}
+
+// Draws the ramps and collection swatches through the chosen deficiency and lists the colors it merges
+function updateCvdView() {
+  const cvd = resolveCvd(getCvdSetting());
+  applyCvdFilter(cvd);
+  const report = document.getElementById('cvd-report');
+  if (!report) return;
+  const rampGroups = currentRamps ? [['Light Mode', currentRamps.light], ['Dark Mode', currentRamps.dark]].map(([context, { swatches }]) => ({
+    context,
+    entries: Object.entries(swatches).map(([scale, swatch]) => ({ label: scale, hex: swatch.hex })),
+    adjacent: true
+  })) : [];
+  const collectionGroups = currentCollections.map(collection => ({
+    context: `Collection "${collection.name}":`,
+    entries: collection.colors.map(({ name, base }) => ({ label: name, hex: base })),
+    adjacent: false
+  }));
+  renderCvdReport(report, cvd, [...rampGroups, ...collectionGroups]);
+}
+
+// Reads the Space select: the Color.js space shades are generated in ('oklch', 'lch', 'hsluv' or 'hct')
+function getRampSpace() {
+  const space = document.getElementById('ramp-space-select')?.value;
+  return SPACES.includes(space) && space !== 'hsl' ? space : 'oklch';
+}
+
+// A color's coordinates in a generator space, e.g. "H:266 C:64.2 T:55.6" for HCT
+function formatSpaceCoords(color, space) {
+  const converted = color.to(space);
+  return Object.keys(converted.space.coords).map((name, i) => {
+    const value = converted.coords[i];
+    return `${name.toUpperCase()}:${isNaN(value) ? 0 : Number(value.toFixed(1))}`;
+  }).join(' ');
+}
+
+// Reads the Gamut select ('srgb', 'p3' or 'rec2020')
+function getGamut() {
+  return document.getElementById('gamut-select')?.value || 'srgb';
+}
+
+// Reads the Mapping select ('css' or 'clip')
+function getGamutMapping() {
+  return document.getElementById('gamut-mapping-select')?.value || 'css';
+}
+
+// Reads the Targets select (a target table preset name)
+function getContrastTargets() {
+  return document.getElementById('contrast-targets-select')?.value || 'uniform';
+}
+
+// Reads the Spacing select: a minimum distance such as '2000:3', or '' for distinct HEX values only
+function getMinDistance() {
+  return document.getElementById('min-distance-select')?.value || '';
+}
+
+function updateRampUI(rampId, ramp, anchorScale, contrast = getContrastSetting(), lockedScales = []) {
   const rampElement = document.getElementById(rampId);
   rampElement.innerHTML = ''; // Clear previous ramp
 
@@ -213,8 +382,8 @@ function updateRampUI(rampId, ramp, anchorScale) {
   if (rampId === 'darkRamp') {
     const addButton = document.getElementById('add-color-shortcut-btn');
     if (addButton && ramp['50'] && ramp['900']) {
-      const bgColor = new Color(ramp['50'].bg).toString({format: 'hex'});
-      const textColor = new Color(ramp['900'].bg).toString({format: 'hex'});
+      const bgColor = ramp['50'].hex;
+      const textColor = ramp['900'].hex;
 
       addButton.style.backgroundColor = bgColor;
       addButton.style.color = textColor;
@@ -223,9 +392,15 @@ function updateRampUI(rampId, ramp, anchorScale) {
 
   // Sort scales numerically for consistent ordering
   const sortedScales = [...SCALES].sort((a, b) => a - b);
+  const gamutLabel = GAMUT_LABELS[getGamut()];
+  const rampSpace = getRampSpace();
+  const spaceLabel = SPACE_LABELS[rampSpace];
+
+  // Neutral ramps sit in light/dark mode containers like the main ones
+  const isDarkRamp = rampElement.closest('.dark-mode-container') !== null;
 
   // Base offset so that dark ramp continues stagger after light ramp
-  const baseOffset = rampId === 'darkRamp' ? SCALES.length : 0;
+  const baseOffset = isDarkRamp ? SCALES.length : 0;
 
   sortedScales.forEach((scale, idx) => {
     const swatch = document.createElement('div');
@@ -236,6 +411,9 @@ function updateRampUI(rampId, ramp, anchorScale) {
     if (scale == anchorScale) {
       box.classList.add('base-swatch');
       swatch.title = 'Base color';
+    } else if (lockedScales.includes(String(scale))) {
+      box.classList.add('anchor-swatch');
+      swatch.title = 'Anchored color';
     }
 
     // Check if this scale exists in the ramp
@@ -244,16 +422,20 @@ function updateRampUI(rampId, ramp, anchorScale) {
       return;
     }
 
-    const { bg, text, ratio } = ramp[scale];
-    const bgHex = hex(bg);
-    const txtColor = hex(text);
-    const badge = ratio >= 7 ? 'AAA' : (ratio >= 4.5 ? 'AA' : 'Fail');
+    const { color: bg, hex: bgHex, wide, text: txtColor, ratio, lc, use, target, surfaceContrast } = ramp[scale];
+    const isWideGamut = wide !== bgHex;
+    const isApca = contrast.algorithm === 'apca';
+    const score = isApca ? lc : ratio;
+    const badge = contrastBadge(score, contrast.algorithm, { use, target });
+    const badgeTitle = `Built for ${CONTRAST_USE_LABELS[use]} (${formatContrast(target, contrast.algorithm)})`;
     const oklch = bg.to('oklch');
     const hueDisplay = (oklch.h === null || isNaN(oklch.h)) ? '0' : oklch.h.toFixed(1);
     const oklchDisplay = `L:${(oklch.l * 100).toFixed(0)} C:${oklch.c.toFixed(3)} H:${hueDisplay}`;
     const oklchCopy = oklch.toString({ format: 'oklch' });
 
     box.style.backgroundColor = bgHex;
+    // Browsers without color() support ignore this and keep the sRGB fallback
+    if (isWideGamut) box.style.backgroundColor = wide;
     box.setAttribute('data-scale', scale);
     box.style.color = txtColor;
 
@@ -266,7 +448,16 @@ function updateRampUI(rampId, ramp, anchorScale) {
           ${oklchDisplay}
         </a>
       </div>
-      <div class="contrast"><span title="Contrast Ratio">${ratio.toFixed(2)} : 1</span> <span class="accessibility-badge ${badge.toLowerCase()}">${badge}</span></div>
+      ${rampSpace !== 'oklch' ? `<div class="oklch-container">
+        <span class="oklch-label">${spaceLabel}</span>
+        <a href="#" role="button" class="color-value color-space" title="Click to copy ${spaceLabel}">${formatSpaceCoords(bg, rampSpace)}</a>
+      </div>` : ''}
+      ${isWideGamut ? `<div class="oklch-container">
+        <span class="oklch-label">${gamutLabel}</span>
+        <a href="#" role="button" class="color-value color-wide" title="Click to copy ${gamutLabel}">${wide.replace(/^color\(\S+ (.*)\)$/, '$1')}</a>
+      </div>` : ''}
+      <div class="contrast"><span title="${isApca ? 'APCA Lightness Contrast' : 'Contrast Ratio'}">${formatContrast(score, contrast.algorithm)}</span> <span class="accessibility-badge ${badge.toLowerCase().replace(' ', '-')}" title="${badgeTitle}">${badge}</span></div>
+      <div class="surface-contrast" title="Against the ${isDarkRamp ? 'Dark' : 'Light'} Mode surface (borders, fills)">on surface ${formatContrast(surfaceContrast, contrast.algorithm)}</div>
     `;
 
     const hexLink = box.querySelector('.color-hex');
@@ -277,6 +468,26 @@ function updateRampUI(rampId, ramp, anchorScale) {
       showToast('🗸 Copied HEX!', e.currentTarget);
     });
 
+    const wideLink = box.querySelector('.color-wide');
+    if (wideLink) {
+      wideLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        navigator.clipboard.writeText(wide);
+        showToast(`🗸 Copied ${gamutLabel}!`, e.currentTarget);
+      });
+    }
+
+    const spaceLink = box.querySelector('.color-space');
+    if (spaceLink) {
+      spaceLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        navigator.clipboard.writeText(bg.to(rampSpace).toString());
+        showToast(`🗸 Copied ${spaceLabel}!`, e.currentTarget);
+      });
+    }
+
     const oklchLink = box.querySelector('.color-oklch');
     oklchLink.addEventListener('click', (e) => {
       e.preventDefault();
@@ -371,47 +582,6 @@ function showToast(message, targetElement) {
   }, 1200);
 }
 
-function processRamp(ramp, existingHexes) {
-  const processed = {};
-  const localHexes = new Set(existingHexes);
-
-  SCALES.forEach(scale => {
-    let originalColor = ramp[scale];
-    // Guard: if a scale is missing, backfill with nearest defined color to avoid crashes
-    if (!originalColor) {
-      const idx = SCALES.indexOf(scale);
-      let nearest;
-      for (let i = idx - 1; i >= 0 && !nearest; i--) {
-        if (ramp[SCALES[i]]) nearest = ramp[SCALES[i]];
-      }
-      for (let i = idx + 1; i < SCALES.length && !nearest; i++) {
-        if (ramp[SCALES[i]]) nearest = ramp[SCALES[i]];
-      }
-      if (nearest) {
-        originalColor = nearest;
-      } else {
-        // Absolute fallback: mid-gray to ensure structure remains intact
-        try { console.warn('[processRamp] Missing all references for scale', scale); } catch(e){}
-        originalColor = new Color('#808080');
-      }
-    }
-    let processedResult = ensureAccessible(originalColor);
-
-    // De-duplicate by nudging the original color and re-processing
-    while (localHexes.has(hex(processedResult.bg))) {
-      const oklch = originalColor.to('oklch');
-      oklch.l = Math.min(0.995, oklch.l + 0.005); // Nudge lightness slightly
-      originalColor = new Color('oklch', [oklch.l, oklch.c, oklch.h]);
-      processedResult = ensureAccessible(originalColor);
-    }
-
-    processed[scale] = processedResult;
-    localHexes.add(hex(processedResult.bg));
-  });
-
-  return { processedRamp: processed, allHexes: localHexes };
-}
-
 function updateDynamicTextColor(textColor) {
   document.body.style.setProperty('--dynamic-color', textColor);
   const dynamicElements = document.querySelectorAll('.dynamic-color-text');
@@ -424,53 +594,6 @@ function updateDynamicTextColor(textColor) {
   });
 }
 
-/**
- * Parses a string to see if it's a simplified RGB value (e.g., "255, 100, 50" or "255 100 50").
- * If so, it formats it into a standard "rgb(r, g, b)" string.
- * @param {string} input - The input string to parse.
- * @returns {string} - The formatted RGB string or the original input if it's not a simplified RGB value.
- */
-function parseRgbInput(input) {
-  const trimmedInput = input.trim();
-
-  // Check for hex patterns first and return as-is since they're handled elsewhere
-  if (/^#?[0-9a-fA-F]{3,6}$/.test(trimmedInput)) {
-    return input;
-  }
-
-  // If it contains characters that are not digits, spaces, or commas, it's not a simple RGB value.
-  if (/[^0-9\s,]/.test(trimmedInput)) {
-    return input;
-  }
-
-  // Split by space or comma and filter out empty strings.
-  const parts = trimmedInput.split(/[\s,]+/).filter(p => p.length > 0);
-
-  if (parts.length === 0 || parts.length > 3) {
-    return input; // Not a valid number of parts for RGB.
-  }
-
-  // Convert parts to numbers, clamp them to the 0-255 range.
-  const numbers = parts.map(p => {
-    const num = parseInt(p, 10);
-    if (isNaN(num)) return NaN; // Mark as invalid if not a number
-    return Math.max(0, Math.min(255, num));
-  });
-
-  // If any part was not a valid number, return original input.
-  if (numbers.some(isNaN)) {
-    return input;
-  }
-
-  let [r, g, b] = numbers;
-
-  // Set default values for missing parts
-  if (g === undefined) g = 255;
-  if (b === undefined) b = 255;
-
-  return `rgb(${r}, ${g}, ${b})`;
-}
-
 function updateAll() {
   const input = document.getElementById('colorInput');
   const preview = document.getElementById('colorPreview');
@@ -520,19 +643,125 @@ function updateAll() {
   // 1. Save all settings to localStorage
   localStorage.setItem('lastUsedColor_oklch', hex);
 
-  // Read vibrancy from the select control (primary source of truth)
-  const boostValue = (document.getElementById('vibrancy-boost-select')?.value) || '0';
-  localStorage.setItem('lastVibrancyBoost_oklch', boostValue);
+  // Read vibrancy from the slider (primary source of truth)
+  const boostValue = getVibrancy();
+  localStorage.setItem('vibrancy_oklch', boostValue);
+
+  const hueShift = getHueShift();
+  const hueShiftValue = `${hueShift.light},${hueShift.dark},${hueShift.easing}`;
+  localStorage.setItem('hueShift_oklch', hueShiftValue);
+
+  const curveSettings = getCurveSettings();
+  localStorage.setItem('lightnessCurve_oklch', curveSettings.lightness);
+  localStorage.setItem('chromaCurve_oklch', curveSettings.chroma);
+  localStorage.setItem('curveName_oklch', curveSettings.name);
+
+  const rampSpace = getRampSpace();
+  localStorage.setItem('rampSpace_oklch', rampSpace);
+
+  const baseScale = getBaseScale();
+  localStorage.setItem('baseScale_oklch', baseScale);
+  const anchors = getAnchorSettings();
+  localStorage.setItem('anchors_oklch', anchors);
+  const neutralTint = getNeutralTint();
+  localStorage.setItem('neutralTint_oklch', neutralTint ?? '');
+  const harmony = getHarmony();
+  localStorage.setItem('harmony_oklch', harmony);
+  const statusShown = isStatusShown();
+  localStorage.setItem('statusColors_oklch', statusShown ? 'on' : '');
+  const alphaShown = isAlphaShown();
+  localStorage.setItem('alphaRamps_oklch', alphaShown ? 'on' : '');
+  const qualityShown = isQualityShown();
+  localStorage.setItem('qualityPanel_oklch', qualityShown ? 'on' : '');
+  const cvd = getCvdSetting();
+  localStorage.setItem('cvd_oklch', cvd);
+
+  const endpoints = getEndpoints();
+  localStorage.setItem('endpoints_oklch', endpoints ? `${endpoints.start},${endpoints.end}` : '');
+  const interpolation = getInterpolation();
+  localStorage.setItem('interpolation_oklch', interpolationString(interpolation));
+
+  const gamut = getGamut();
+  localStorage.setItem('gamut_oklch', gamut);
+  const gamutMapping = getGamutMapping();
+  localStorage.setItem('gamutMapping_oklch', gamutMapping);
 
   const rampToggle = document.getElementById('defaultRampToggle');
   const rampMode = rampToggle.checked ? 'dark' : 'light';
   localStorage.setItem('defaultRampMode_oklch', rampMode);
+  const surfaces = getSurfaces();
+  localStorage.setItem('surfaceLight_oklch', surfaces.light);
+  localStorage.setItem('surfaceDark_oklch', surfaces.dark);
+
+  const contrastValue = (document.getElementById('contrast-algorithm-select')?.value) || 'wcag21';
+  localStorage.setItem('contrastAlgorithm_oklch', contrastValue);
+  const targetsValue = (document.getElementById('contrast-targets-select')?.value) || 'uniform';
+  localStorage.setItem('contrastTargets_oklch', targetsValue);
+  const minDistance = getMinDistance();
+  localStorage.setItem('minDistance_oklch', minDistance);
+  const contrastSetting = getContrastSetting();
+  localStorage.setItem('textColorDark_oklch', contrastSetting.textColors.dark);
+  localStorage.setItem('textColorLight_oklch', contrastSetting.textColors.light);
 
   // 2. Update URL with all parameters for sharing
   const url = new URL(window.location);
   url.searchParams.set('color', hexValue);
+  url.searchParams.set('space', rampSpace);
   url.searchParams.set('vibrancy', boostValue);
+  url.searchParams.set('vibrancy-version', VIBRANCY_VERSION);
+  url.searchParams.set('hue-shift', hueShiftValue);
+  url.searchParams.set('lightness-curve', curveSettings.lightness);
+  url.searchParams.set('chroma-curve', curveSettings.chroma);
+  if (curveSettings.name) {
+    url.searchParams.set('curve-name', curveSettings.name);
+  } else {
+    url.searchParams.delete('curve-name');
+  }
+  url.searchParams.set('base-scale', baseScale);
+  if (anchors) {
+    url.searchParams.set('anchors', anchors);
+  } else {
+    url.searchParams.delete('anchors');
+  }
+  if (neutralTint !== null) {
+    url.searchParams.set('neutral', neutralTint);
+  } else {
+    url.searchParams.delete('neutral');
+  }
+  if (harmony) {
+    url.searchParams.set('harmony', harmony);
+  } else {
+    url.searchParams.delete('harmony');
+  }
+  if (endpoints) {
+    url.searchParams.set('endpoints', `${endpoints.start},${endpoints.end}`.replace(/#/g, ''));
+  } else {
+    url.searchParams.delete('endpoints');
+  }
+  if (interpolation) {
+    url.searchParams.set('interpolation', interpolationString(interpolation));
+  } else {
+    url.searchParams.delete('interpolation');
+  }
+  url.searchParams.set('gamut', gamut);
+  url.searchParams.set('gamut-mapping', gamutMapping);
   url.searchParams.set('default-ramp', rampMode);
+  url.searchParams.set('surface-light', surfaces.light.replace('#', ''));
+  url.searchParams.set('surface-dark', surfaces.dark.replace('#', ''));
+  url.searchParams.set('contrast', contrastValue);
+  url.searchParams.set('targets', targetsValue);
+  if (minDistance) {
+    url.searchParams.set('min-distance', minDistance);
+  } else {
+    url.searchParams.delete('min-distance');
+  }
+  if (cvd) {
+    url.searchParams.set('cvd', cvd);
+  } else {
+    url.searchParams.delete('cvd');
+  }
+  url.searchParams.set('text-dark', contrastSetting.textColors.dark.replace('#', ''));
+  url.searchParams.set('text-light', contrastSetting.textColors.light.replace('#', ''));
 
   // Use replaceState to avoid polluting browser history
   window.history.replaceState({ path: url.href }, '', url.href);
@@ -540,21 +769,21 @@ function updateAll() {
   // --- Vibrancy Boost Disabling Logic ---
   const oklch = color.to('oklch');
   const isGrayscale = oklch.c < 0.01;
-  const vibrancySelect = document.getElementById('vibrancy-boost-select');
+  const vibrancyInput = document.getElementById('vibrancy-input');
   const vibrancyContainer = document.querySelector('.vibrancy-boost-container');
 
-  if (vibrancySelect) {
+  if (vibrancyInput) {
     if (isGrayscale) {
       // If grayscale, disable boost, reset to 0, and add tooltip.
-      vibrancySelect.disabled = true;
-      vibrancySelect.value = '0';
+      vibrancyInput.disabled = true;
+      setVibrancy(0);
       if (vibrancyContainer) {
         vibrancyContainer.classList.add('disabled');
         vibrancyContainer.title = 'Vibrancy Boost is disabled for grayscale colors.';
       }
     } else {
       // If not grayscale, re-enable boost and remove tooltip.
-      vibrancySelect.disabled = false;
+      vibrancyInput.disabled = false;
       if (vibrancyContainer) {
         vibrancyContainer.classList.remove('disabled');
         vibrancyContainer.title = '';
@@ -564,22 +793,99 @@ function updateAll() {
 
   const isDarkDefault = document.getElementById('defaultRampToggle').checked;
 
-  // Generate the two ramps: one for light mode, one for dark mode.
-  const effectiveBoost = (typeof vibrancySelect !== 'undefined' && vibrancySelect && typeof vibrancySelect.value !== 'undefined')
-    ? vibrancySelect.value
-    : boostValue;
-  const { ramp: lightRamp, anchorScale: lightAnchor } = generateRamp(color, true, !isDarkDefault, effectiveBoost);
-  const { ramp: darkRamp, anchorScale: darkAnchor } = generateRamp(color, false, isDarkDefault, effectiveBoost);
-
-  // Process ramps for accessibility and de-duplication
-  const { processedRamp: processedLightRamp, allHexes: lightHexes } = processRamp(lightRamp, new Set());
-  const { processedRamp: processedDarkRamp } = processRamp(darkRamp, lightHexes);
+  // Generate the two ramps (accessible and de-duplicated): one for light mode, one for dark mode.
+  const effectiveBoost = vibrancyInput ? getVibrancy() : boostValue;
+  let ramps;
+  try {
+    ramps = createRamp({
+      color,
+      space: rampSpace,
+      defaultMode: rampMode,
+      vibrancy: effectiveBoost,
+      hueShift,
+      curves: curveSettings,
+      baseScale,
+      anchors,
+      endpoints,
+      interpolation,
+      contrast: contrastSetting,
+      targets: targetsValue,
+      minDistance,
+      surfaces,
+      gamut,
+      gamutMapping
+    });
+  } catch (e) {
+    // An anchor on the pinned base scale: say so and keep the last ramps
+    if (!(e instanceof RangeError)) throw e;
+    showPlacementWarnings([e.message]);
+    return;
+  }
+  const { light, dark } = ramps;
+  showPlacementWarnings(ramps.warnings);
+  const { swatches: processedLightRamp, baseScale: lightAnchor } = light;
+  const { swatches: processedDarkRamp, baseScale: darkAnchor } = dark;
 
   // Do not re-inject raw base color; keep anchor swatch from generated ramp for uniformity under vibrancy.
 
   // Render ramps
-  updateRampUI('lightRamp', processedLightRamp, lightAnchor);
-  updateRampUI('darkRamp', processedDarkRamp, darkAnchor);
+  updateRampUI('lightRamp', processedLightRamp, lightAnchor, light.contrast, light.anchorScales);
+  updateRampUI('darkRamp', processedDarkRamp, darkAnchor, dark.contrast, dark.anchorScales);
+  // Alpha ramps composite to the ramps above on their own surfaces
+  const alphaRamps = document.getElementById('alpha-ramps');
+  if (alphaRamps && alphaShown) {
+    renderRampStrips(alphaRamps, [{ label: 'Alpha', hex: ramps.base, light, dark }], { surfaces: ramps.surfaces, onCopy: showToast, alpha: true });
+  }
+  const qualityPanel = document.getElementById('quality-panel');
+  if (qualityPanel && qualityShown) {
+    renderQualityPanel(qualityPanel, ramps);
+  }
+  currentRamps = ramps;
+  updateCvdView();
+  // Between endpoints, the color halfway stands in for the base color
+  const companionBase = endpoints ? ramps.base : color;
+  if (neutralTint !== null) {
+    const neutral = createRamp({ color: companionBase, space: rampSpace, defaultMode: rampMode, neutral: neutralTint, contrast: contrastSetting, targets: targetsValue, minDistance, surfaces, gamut, gamutMapping });
+    updateRampUI('neutralLightRamp', neutral.light.swatches, neutral.light.baseScale, neutral.light.contrast);
+    updateRampUI('neutralDarkRamp', neutral.dark.swatches, neutral.dark.baseScale, neutral.dark.contrast);
+  }
+
+  // Harmony colors share the ramp settings, but not the base color's own placement and anchors
+  const harmonyEntries = harmony ? harmonyColors(companionBase, harmony).map(({ offset, hex: harmonyHex }) => {
+    const { light: harmonyLight, dark: harmonyDark } = createRamp({ color: harmonyHex, space: rampSpace, interpolation, defaultMode: rampMode, vibrancy: effectiveBoost, hueShift, curves: curveSettings, contrast: contrastSetting, targets: targetsValue, minDistance, surfaces, gamut, gamutMapping });
+    return { label: `${offset > 0 ? '+' : ''}${offset}°`, hex: harmonyHex, light: harmonyLight, dark: harmonyDark };
+  }) : [];
+  const harmonyNotice = document.getElementById('harmony-notice');
+  if (harmonyNotice) {
+    harmonyNotice.textContent = 'Grays have no hue to build a harmony from.';
+    harmonyNotice.hidden = !harmony || harmonyEntries.length > 0;
+  }
+  const harmonySaveBtn = document.getElementById('harmony-save-btn');
+  if (harmonySaveBtn) harmonySaveBtn.hidden = harmonyEntries.length === 0;
+  const harmonyRamps = document.getElementById('harmony-ramps');
+  if (harmonyRamps) renderRampStrips(harmonyRamps, harmonyEntries, { surfaces: ramps.surfaces, onCopy: showToast });
+
+  // Status colors follow the base color's lightness and chroma, with the same ramp settings
+  const statusRamps = document.getElementById('status-ramps');
+  if (statusRamps && statusShown) {
+    const statusEntries = statusColors(companionBase).map(({ status, hex: statusHex }) => {
+      const { light: statusLight, dark: statusDark } = createRamp({ color: statusHex, space: rampSpace, interpolation, defaultMode: rampMode, vibrancy: effectiveBoost, hueShift, curves: curveSettings, contrast: contrastSetting, targets: targetsValue, minDistance, surfaces, gamut, gamutMapping });
+      return { label: status, hex: statusHex, light: statusLight, dark: statusDark };
+    });
+    renderRampStrips(statusRamps, statusEntries, { surfaces: ramps.surfaces, onCopy: showToast });
+  }
+
+  // Colors from a dropped image get the same ramp settings as harmony colors
+  const imagePaletteValue = getImagePalette();
+  const imageEntries = (imagePaletteValue?.colors ?? []).map(imageHex => {
+    const { light: imageLight, dark: imageDark } = createRamp({ color: imageHex, space: rampSpace, interpolation, defaultMode: rampMode, vibrancy: effectiveBoost, hueShift, curves: curveSettings, contrast: contrastSetting, targets: targetsValue, minDistance, surfaces, gamut, gamutMapping });
+    return { label: imageHex, hex: imageHex, light: imageLight, dark: imageDark };
+  });
+  const imageSaveBtn = document.getElementById('image-palette-save-btn');
+  if (imageSaveBtn) imageSaveBtn.hidden = imageEntries.length === 0;
+  const imageRamps = document.getElementById('image-palette-ramps');
+  if (imageRamps) renderRampStrips(imageRamps, imageEntries, { surfaces: ramps.surfaces, onCopy: showToast });
+  applyRampSurfaces(ramps.surfaces);
 
   // After first render, disable further load animations
   if (!hasAnimatedSwatches) {
@@ -595,17 +901,17 @@ function updateAll() {
     processedDarkRamp['50'] && processedDarkRamp['100'] && processedDarkRamp['300'] && processedDarkRamp['700'] && processedDarkRamp['800'] && processedDarkRamp['900'];
 
   if (canUpdateDynamicColors) {
-    const dark400 = processedDarkRamp['400'].bg.toString({ format: 'hex' });
+    const dark400 = processedDarkRamp['400'].hex;
     root.setProperty('--boost-box-active-bg', dark400);
 
-    const light200 = processedLightRamp['200'].bg.toString({ format: 'hex' });
-    const light300 = processedLightRamp['300'].bg.toString({ format: 'hex' });
-    const dark100 = processedDarkRamp['100'].bg.toString({ format: 'hex' });
-    const dark300 = processedDarkRamp['300'].bg.toString({ format: 'hex' });
-    const dark700 = processedDarkRamp['700'].bg.toString({ format: 'hex' });
-    const dark800 = processedDarkRamp['800'].bg.toString({ format: 'hex' });
-    const dark900 = processedDarkRamp['900'].bg.toString({ format: 'hex' });
-    const dark950 = processedDarkRamp['950'].bg.toString({ format: 'hex' });
+    const light200 = processedLightRamp['200'].hex;
+    const light300 = processedLightRamp['300'].hex;
+    const dark100 = processedDarkRamp['100'].hex;
+    const dark300 = processedDarkRamp['300'].hex;
+    const dark700 = processedDarkRamp['700'].hex;
+    const dark800 = processedDarkRamp['800'].hex;
+    const dark900 = processedDarkRamp['900'].hex;
+    const dark950 = processedDarkRamp['950'].hex;
 
     // Input field
     root.setProperty('--input-bg-color', light200);
@@ -637,7 +943,7 @@ function updateAll() {
     root.setProperty('--modal-text-color', dark900);
 
     // Dynamic text (e.g., h1)
-    updateDynamicTextColor(processedDarkRamp['800'].bg);
+    updateDynamicTextColor(processedDarkRamp['800'].hex);
   }
 
   // 7. Fix badge visibility by directly setting display style
@@ -656,33 +962,17 @@ function updateAll() {
   // 8. Update the background canvas colors
   if (window.canvas && typeof window.canvas.updateColors === 'function') {
     const darkRamp = [
-      processedDarkRamp['300']?.bg.toString({ format: 'hex' }) || '#000000',
-      processedDarkRamp['400']?.bg.toString({ format: 'hex' }) || '#000000',
-      processedDarkRamp['500']?.bg.toString({ format: 'hex' }) || '#000000',
-      processedDarkRamp['600']?.bg.toString({ format: 'hex' }) || '#000000',
-      processedDarkRamp['700']?.bg.toString({ format: 'hex' }) || '#000000',
+      processedDarkRamp['300']?.hex || '#000000',
+      processedDarkRamp['400']?.hex || '#000000',
+      processedDarkRamp['500']?.hex || '#000000',
+      processedDarkRamp['600']?.hex || '#000000',
+      processedDarkRamp['700']?.hex || '#000000',
     ];
     const flashlightColor = color.toString({ format: 'hex' });
     window.canvas.updateColors({ darkRamp: darkRamp, flashlight: flashlightColor });
   }
 }
 
-function findClosestScale(baseColor, processedRamp) {
-    let closestScale = null;
-    let minDiff = Infinity;
-    const baseColorForCompare = baseColor.to('srgb');
-
-    Object.keys(processedRamp).forEach(scale => {
-        const rampColor = processedRamp[scale].bg; // Compare against the final background color
-        const diff = baseColorForCompare.deltaE(rampColor, '2000');
-        if (diff < minDiff) {
-            minDiff = diff;
-            closestScale = scale;
-        }
-    });
-    return closestScale;
-}
-
 // ---- Init ----
 window.addEventListener('DOMContentLoaded', () => {
 
@@ -983,8 +1273,9 @@ window.addEventListener('DOMContentLoaded', () => {
   const colorInput = document.getElementById('colorInput');
   const rampToggle = document.getElementById('defaultRampToggle');
   // --- Vibrancy Boost Logic ---
-  const vibrancySelect = document.getElementById('vibrancy-boost-select');
-  vibrancySelect.addEventListener('change', updateAll);
+  const vibrancyInput = document.getElementById('vibrancy-input');
+  vibrancyInput.addEventListener('input', () => setVibrancy());
+  vibrancyInput.addEventListener('change', updateAll);
 
   // --- Initial State Loading: URL > localStorage > Default ---
   const urlParams = new URLSearchParams(window.location.search);
@@ -1016,16 +1307,221 @@ window.addEventListener('DOMContentLoaded', () => {
     colorInput.dispatchEvent(new Event('input'));
   }, 10);
 
-  // Vibrancy Boost
+  // Hue Shift
+  try {
+    setHueShift(resolveHueShift(urlParams.get('hue-shift') || localStorage.getItem('hueShift_oklch') || undefined));
+  } catch (e) {
+    // Keep the defaults for a malformed saved or shared value
+  }
+  ['hue-shift-light-input', 'hue-shift-dark-input', 'hue-shift-easing-select'].forEach(controlId => {
+    document.getElementById(controlId)?.addEventListener('change', updateAll);
+  });
+
+  // Curves (lightness and chroma curve profile)
+  const lightnessCurveSvg = document.getElementById('lightness-curve-editor');
+  const chromaCurveSvg = document.getElementById('chroma-curve-editor');
+  if (lightnessCurveSvg && chromaCurveSvg) {
+    lightnessCurveEditor = createCurveEditor({ svg: lightnessCurveSvg, select: document.getElementById('lightness-curve-select'), kind: 'lightness', onChange: updateAll });
+    chromaCurveEditor = createCurveEditor({ svg: chromaCurveSvg, select: document.getElementById('chroma-curve-select'), kind: 'chroma', onChange: updateAll });
+  }
+  try {
+    setCurveProfile(resolveCurveProfile({
+      name: urlParams.get('curve-name') ?? localStorage.getItem('curveName_oklch'),
+      lightness: urlParams.get('lightness-curve') || localStorage.getItem('lightnessCurve_oklch') || undefined,
+      chroma: urlParams.get('chroma-curve') || localStorage.getItem('chromaCurve_oklch') || undefined
+    }));
+  } catch (e) {
+    // Keep the defaults for a malformed saved or shared value
+  }
+  document.getElementById('curve-name-input')?.addEventListener('change', updateAll);
+
+  // Space
+  const rampSpaceSelect = document.getElementById('ramp-space-select');
+  if (rampSpaceSelect) {
+    const initialSpace = urlParams.get('space') || localStorage.getItem('rampSpace_oklch');
+    if (initialSpace && rampSpaceSelect.querySelector(`option[value="${initialSpace}"]`)) {
+      rampSpaceSelect.value = initialSpace;
+    }
+    rampSpaceSelect.addEventListener('change', updateAll);
+  }
+
+  // Base Scale
+  const baseScaleSelect = document.getElementById('base-scale-select');
+  if (baseScaleSelect) {
+    const initialBaseScale = urlParams.get('base-scale') || localStorage.getItem('baseScale_oklch');
+    if (initialBaseScale && baseScaleSelect.querySelector(`option[value="${initialBaseScale}"]`)) {
+      baseScaleSelect.value = initialBaseScale;
+    }
+    baseScaleSelect.addEventListener('change', updateAll);
+  }
+
+  // Anchors
+  const anchorList = document.getElementById('anchor-list');
+  if (anchorList) {
+    anchorEditor = createAnchorEditor({
+      select: document.getElementById('anchor-scale-select'),
+      colorInput: document.getElementById('anchor-color-input'),
+      addButton: document.getElementById('anchor-add-btn'),
+      list: anchorList,
+      onChange: updateAll
+    });
+    try {
+      anchorEditor.setValue(urlParams.get('anchors') ?? localStorage.getItem('anchors_oklch') ?? undefined);
+    } catch (e) {
+      // Keep no anchors for a malformed saved or shared value
+    }
+  }
+
+  // Blend (interpolation space and hue arc)
+  const interpolationSelect = document.getElementById('interpolation-select');
+  if (interpolationSelect) {
+    try {
+      setInterpolation(urlParams.get('interpolation') || localStorage.getItem('interpolation_oklch') || null);
+    } catch (e) {
+      // Blend in the ramp's space for a malformed saved or shared value
+    }
+    interpolationSelect.addEventListener('change', updateAll);
+  }
+
+  // Endpoints
+  const endpointsToggle = document.getElementById('endpoints-toggle-btn');
+  if (endpointsToggle) {
+    try {
+      const initialEndpoints = urlParams.get('endpoints') ?? localStorage.getItem('endpoints_oklch');
+      setEndpoints(initialEndpoints ? initialEndpoints.split(',').map(value => `#${value.replace(/#/, '')}`) : null);
+    } catch (e) {
+      // Build around the color input for malformed saved or shared endpoints
+      setEndpoints(null);
+    }
+    endpointsToggle.addEventListener('click', () => {
+      setEndpoints(getEndpoints() === null ? undefined : null);
+      updateAll();
+    });
+    ['endpoint-start-input', 'endpoint-end-input'].forEach(controlId => {
+      document.getElementById(controlId)?.addEventListener('change', updateAll);
+    });
+  }
+
+  // Harmony
+  const harmonySelect = document.getElementById('harmony-select');
+  if (harmonySelect) {
+    const initialHarmony = urlParams.get('harmony') ?? localStorage.getItem('harmony_oklch');
+    if (initialHarmony && HARMONIES[initialHarmony]) {
+      harmonySelect.value = initialHarmony;
+    }
+    harmonySelect.addEventListener('change', updateAll);
+  }
+
+  // Status colors
+  const statusToggle = document.getElementById('status-toggle-btn');
+  if (statusToggle) {
+    setStatusShown(localStorage.getItem('statusColors_oklch') === 'on');
+    statusToggle.addEventListener('click', () => {
+      setStatusShown(!isStatusShown());
+      updateAll();
+    });
+  }
+
+  // Image palette
+  const imageDropZone = document.getElementById('image-drop-zone');
+  if (imageDropZone) {
+    imagePalette = createImagePalette({
+      dropZone: imageDropZone,
+      fileInput: document.getElementById('image-palette-input'),
+      list: document.getElementById('image-palette-colors'),
+      status: document.getElementById('image-palette-status'),
+      onChange: updateAll
+    });
+  }
+
+  // Alpha ramps
+  const alphaToggle = document.getElementById('alpha-toggle-btn');
+  if (alphaToggle) {
+    setAlphaShown(localStorage.getItem('alphaRamps_oklch') === 'on');
+    alphaToggle.addEventListener('click', () => {
+      setAlphaShown(!isAlphaShown());
+      updateAll();
+    });
+  }
+
+  // Ramp quality
+  const qualityToggle = document.getElementById('quality-toggle-btn');
+  if (qualityToggle) {
+    setQualityShown(localStorage.getItem('qualityPanel_oklch') === 'on');
+    qualityToggle.addEventListener('click', () => {
+      setQualityShown(!isQualityShown());
+      updateAll();
+    });
+  }
+
+  // Color vision deficiency simulation
+  const cvdSelect = document.getElementById('cvd-select');
+  if (cvdSelect) {
+    try {
+      setCvdSetting(resolveCvd(urlParams.get('cvd') ?? localStorage.getItem('cvd_oklch')));
+    } catch (e) {
+      // Show normal vision for a malformed saved or shared setting
+      setCvdSetting(null);
+    }
+    cvdSelect.addEventListener('change', () => {
+      setCvdSetting();
+      updateAll();
+    });
+    const severityInput = document.getElementById('cvd-severity-input');
+    severityInput?.addEventListener('input', () => {
+      setCvdSetting();
+      updateCvdView();
+    });
+    severityInput?.addEventListener('change', updateAll);
+  }
+
+  // Matching neutral
+  const neutralToggle = document.getElementById('neutral-toggle-btn');
+  if (neutralToggle) {
+    try {
+      const initialTint = urlParams.get('neutral') ?? localStorage.getItem('neutralTint_oklch');
+      setNeutralTint(initialTint ? resolveNeutralTint(initialTint) : null);
+    } catch (e) {
+      // Keep the neutral hidden for a malformed saved or shared tint
+    }
+    neutralToggle.addEventListener('click', () => {
+      setNeutralTint(getNeutralTint() === null ? undefined : null);
+      updateAll();
+    });
+    document.getElementById('neutral-tint-input')?.addEventListener('input', () => {
+      setNeutralTint();
+      updateAll();
+    });
+  }
+
+  // Gamut & Gamut Mapping
+  [
+    ['gamut-select', 'gamut', 'gamut_oklch'],
+    ['gamut-mapping-select', 'gamut-mapping', 'gamutMapping_oklch']
+  ].forEach(([selectId, param, storageKey]) => {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+    const initialValue = urlParams.get(param) || localStorage.getItem(storageKey);
+    if (initialValue && select.querySelector(`option[value="${initialValue}"]`)) {
+      select.value = initialValue;
+    }
+    select.addEventListener('change', updateAll);
+  });
+
+  // Vibrancy Boost (after the gamut, which links and settings from before VIBRANCY_VERSION are converted for)
   const vibrancyFromUrl = urlParams.get('vibrancy');
-  const lastVibrancyBoost = localStorage.getItem('lastVibrancyBoost_oklch');
-  let initialVb = '0'; // Default vibrancy
+  const lastVibrancy = localStorage.getItem('vibrancy_oklch');
+  const legacyVibrancy = localStorage.getItem('lastVibrancyBoost_oklch');
+  let initialVb = 0; // Default vibrancy
   if (vibrancyFromUrl) {
-    initialVb = vibrancyFromUrl;
-  } else if (lastVibrancyBoost) {
-    initialVb = lastVibrancyBoost;
+    initialVb = urlParams.get('vibrancy-version') ? vibrancyFromUrl : migrateSavedVibrancy(vibrancyFromUrl, initialColor, getGamut());
+  } else if (lastVibrancy) {
+    initialVb = lastVibrancy;
+  } else if (legacyVibrancy) {
+    initialVb = migrateSavedVibrancy(legacyVibrancy, initialColor, getGamut());
   }
-  vibrancySelect.value = initialVb;
+  localStorage.removeItem('lastVibrancyBoost_oklch');
+  setVibrancy(initialVb);
 
   // Default Ramp Mode
   const rampModeFromUrl = urlParams.get('default-ramp');
@@ -1038,6 +1534,47 @@ window.addEventListener('DOMContentLoaded', () => {
   }
   document.getElementById('defaultRampToggle').checked = (initialRampMode === 'dark');
 
+  // Surfaces (Light and Dark Mode page backgrounds)
+  const surfaceLightFromUrl = urlParams.get('surface-light');
+  const surfaceDarkFromUrl = urlParams.get('surface-dark');
+  setSurfaces({
+    light: surfaceLightFromUrl ? `#${surfaceLightFromUrl.replace(/#/, '')}` : localStorage.getItem('surfaceLight_oklch'),
+    dark: surfaceDarkFromUrl ? `#${surfaceDarkFromUrl.replace(/#/, '')}` : localStorage.getItem('surfaceDark_oklch')
+  });
+  ['surface-light-input', 'surface-dark-input'].forEach(inputId => {
+    document.getElementById(inputId)?.addEventListener('change', updateAll);
+  });
+
+  // Contrast Algorithm, per-shade Targets & minimum Spacing
+  [
+    ['contrast-algorithm-select', 'contrast', 'contrastAlgorithm_oklch'],
+    ['contrast-targets-select', 'targets', 'contrastTargets_oklch'],
+    ['min-distance-select', 'min-distance', 'minDistance_oklch']
+  ].forEach(([selectId, param, storageKey]) => {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+    const initialValue = urlParams.get(param) || localStorage.getItem(storageKey);
+    if (initialValue && select.querySelector(`option[value="${initialValue}"]`)) {
+      select.value = initialValue;
+    }
+    select.addEventListener('change', updateAll);
+  });
+
+  // Text Colors (dark text on light shades, light text on dark shades)
+  const textDarkFromUrl = urlParams.get('text-dark');
+  const textLightFromUrl = urlParams.get('text-light');
+  setTextColors({
+    dark: textDarkFromUrl ? `#${textDarkFromUrl.replace(/#/, '')}` : localStorage.getItem('textColorDark_oklch'),
+    light: textLightFromUrl ? `#${textLightFromUrl.replace(/#/, '')}` : localStorage.getItem('textColorLight_oklch')
+  });
+  checkTextColors();
+  ['text-color-dark-input', 'text-color-light-input'].forEach(inputId => {
+    document.getElementById(inputId)?.addEventListener('change', () => {
+      checkTextColors();
+      updateAll();
+    });
+  });
+
   colorInput.addEventListener('click', (e) => e.target.select());
   rampToggle.addEventListener('change', updateAll);
 
@@ -1175,6 +1712,9 @@ function renderCollections() {
 
   // Set up the moveColorItem handler for drag and drop
   window.moveColorItemHandler = createMoveColorItemHandler(getCollections, saveCollections, renderCollections);
+
+  currentCollections = data.collections;
+  updateCvdView();
 }
 
 // Open export modal for a specific collection
@@ -1200,169 +1740,11 @@ function openExportModal(collectionId) {
 }
 
 // ---- Export Logic ----
-function generateJsonForFigma(collection, format) {
-  const output = {
-    format: format.replace('figma-', ''), // Ensure format is 'paired' or 'themed'
-    collectionName: collection.name,
-  };
-
-  // This internal function processes a single color, generating its light and dark ramps.
-  const processColor = (color) => {
-    try {
-      const parsedColorValue = parseRgbInput(color.base);
-      const baseColor = new Color(parsedColorValue);
-      const { ramp: lightRampRaw, anchorScale: lightAnchorScale } = generateRamp(baseColor, true, color.defaultMode === 'light', color.vibrancyBoost);
-      const { ramp: darkRampRaw, anchorScale: darkAnchorScale } = generateRamp(baseColor, false, color.defaultMode === 'dark', color.vibrancyBoost);
-      const { processedRamp: processedLightRamp, allHexes: lightHexes } = processRamp(lightRampRaw, new Set());
-      const { processedRamp: processedDarkRamp } = processRamp(darkRampRaw, lightHexes);
-      return { processedLightRamp, processedDarkRamp, lightAnchorScale, darkAnchorScale };
-    } catch (e) {
-      console.error(`Skipping invalid color in collection: "${color.name}" (base: "${color.base}")`, e);
-      return null;
-    }
-  };
-
-  if (format === 'figma-paired') {
-    output.colors = {};
-    collection.colors.forEach(color => {
-      const processed = processColor(color);
-      if (!processed) return;
-      output.colors[color.name] = {};
-      SCALES.forEach(scale => {
-        output.colors[color.name][scale] = {
-          Light: hex(processed.processedLightRamp[scale].bg),
-          Dark: hex(processed.processedDarkRamp[scale].bg)
-        };
-      });
-    });
-  } else if (format === 'figma-themed') {
-    output.themes = { Light: {}, Dark: {} };
-    collection.colors.forEach(color => {
-      const processed = processColor(color);
-      if (!processed) return;
-      output.themes.Light[color.name] = {};
-      output.themes.Dark[color.name] = {};
-      SCALES.forEach(scale => {
-        const lightKey = (scale === processed.lightAnchorScale) ? `${scale}*` : scale;
-        const darkKey = (scale === processed.darkAnchorScale) ? `${scale}*` : scale;
-        output.themes.Light[color.name][lightKey] = hex(processed.processedLightRamp[scale].bg);
-        output.themes.Dark[color.name][darkKey] = hex(processed.processedDarkRamp[scale].bg);
-      });
-    });
-  }
-  // Single ramp exports - Light
-  else if (format === 'light ramp') {
-    output.colors = {};
-    collection.colors.forEach(color => {
-      const processed = processColor(color);
-      if (!processed) return;
-      output.colors[color.name] = {};
-      SCALES.forEach(scale => {
-        output.colors[color.name][scale] = hex(processed.processedLightRamp[scale].bg);
-      });
-    });
-  }
-  // Single ramp exports - Dark
-  else if (format === 'dark ramp') {
-    output.colors = {};
-    collection.colors.forEach(color => {
-      const processed = processColor(color);
-      if (!processed) return;
-      output.colors[color.name] = {};
-      SCALES.forEach(scale => {
-        output.colors[color.name][scale] = hex(processed.processedDarkRamp[scale].bg);
-      });
-    });
-  }
-  return output;
-}
-
-function generateJsonStringForFigma(collection, format) {
-  const escapeJsonString = (value) => JSON.stringify(value ?? '');
-
-  const processColor = (color) => {
-    try {
-      const parsedColorValue = parseRgbInput(color.base);
-      const baseColor = new Color(parsedColorValue);
-      const { ramp: lightRampRaw, anchorScale: lightAnchorScale } = generateRamp(baseColor, true, color.defaultMode === 'light', color.vibrancyBoost);
-      const { ramp: darkRampRaw, anchorScale: darkAnchorScale } = generateRamp(baseColor, false, color.defaultMode === 'dark', color.vibrancyBoost);
-      const { processedRamp: processedLightRamp, allHexes: lightHexes } = processRamp(lightRampRaw, new Set());
-      const { processedRamp: processedDarkRamp } = processRamp(darkRampRaw, lightHexes);
-      return { processedLightRamp, processedDarkRamp, lightAnchorScale, darkAnchorScale };
-    } catch (e) {
-      console.error(`Skipping invalid color in collection: "${color.name}" (base: "${color.base}")`, e);
-      return null;
-    }
-  };
-
-  const buildScaleBlock = (ramp, baseScale) => {
-    const lines = ['{'];
-    SCALES.forEach((scale, idx) => {
-      const key = (scale === baseScale) ? `${scale}*` : String(scale);
-      const value = hex(ramp[scale].bg);
-      const comma = idx === SCALES.length - 1 ? '' : ',';
-      lines.push(`        ${escapeJsonString(key)}: ${escapeJsonString(value)}${comma}`);
-    });
-    lines.push('      }');
-    return lines;
-  };
-
-  const headerLines = [
-    '{',
-    `  "format": ${escapeJsonString(format.replace('figma-', ''))},`,
-    `  "collectionName": ${escapeJsonString(collection.name)},`
-  ];
-
-  if (format === 'figma-themed') {
-    const lines = [...headerLines, '  "themes": {', '    "Light": {'];
-
-    (collection.colors || []).forEach((color, colorIdx) => {
-      const processed = processColor(color);
-      if (!processed) return;
-
-      const isLastLight = colorIdx === (collection.colors.length - 1);
-      lines.push(`      ${escapeJsonString(color.name)}: ${buildScaleBlock(processed.processedLightRamp, processed.lightAnchorScale).join('\n')}${isLastLight ? '' : ','}`);
-    });
-
-    lines.push('    },', '    "Dark": {');
-
-    (collection.colors || []).forEach((color, colorIdx) => {
-      const processed = processColor(color);
-      if (!processed) return;
-
-      const isLastDark = colorIdx === (collection.colors.length - 1);
-      lines.push(`      ${escapeJsonString(color.name)}: ${buildScaleBlock(processed.processedDarkRamp, processed.darkAnchorScale).join('\n')}${isLastDark ? '' : ','}`);
-    });
-
-    lines.push('    }', '  }', '}');
-    return lines.join('\n');
-  }
-
-  if (format === 'light ramp' || format === 'dark ramp') {
-    const lines = [...headerLines, '  "colors": {'];
-
-    (collection.colors || []).forEach((color, colorIdx) => {
-      const processed = processColor(color);
-      if (!processed) return;
-
-      const ramp = (format === 'light ramp') ? processed.processedLightRamp : processed.processedDarkRamp;
-      const baseScale = (format === 'light ramp') ? processed.lightAnchorScale : processed.darkAnchorScale;
-      const isLastColor = colorIdx === (collection.colors.length - 1);
-      lines.push(`    ${escapeJsonString(color.name)}: ${buildScaleBlock(ramp, baseScale).join('\n')}${isLastColor ? '' : ','}`);
-    });
-
-    lines.push('  }', '}');
-    return lines.join('\n');
-  }
-
-  const jsonOutput = generateJsonForFigma(collection, format);
-  return JSON.stringify(jsonOutput, null, 2);
-}
-
 function openExportModalWithCollection(collection) {
   const modal = document.getElementById('export-modal');
   const backdrop = document.getElementById('export-modal-backdrop');
   const formatSelect = document.getElementById('json-format-select');
+  const alphaCheckbox = document.getElementById('export-alpha-checkbox');
   const textarea = document.getElementById('export-json-textarea');
   const copyBtn = document.getElementById('copy-json-btn');
   const returnFocusEl = document.activeElement;
@@ -1370,6 +1752,8 @@ function openExportModalWithCollection(collection) {
   // Use cloneNode to avoid attaching multiple listeners if the modal is re-opened
   const newFormatSelect = formatSelect.cloneNode(true);
   formatSelect.parentNode.replaceChild(newFormatSelect, formatSelect);
+  const newAlphaCheckbox = alphaCheckbox.cloneNode(true);
+  alphaCheckbox.parentNode.replaceChild(newAlphaCheckbox, alphaCheckbox);
   const newCopyBtn = copyBtn.cloneNode(true);
   copyBtn.parentNode.replaceChild(newCopyBtn, copyBtn);
 
@@ -1378,23 +1762,16 @@ function openExportModalWithCollection(collection) {
     let outputString;
 
     if (format === 'backup') {
-      const instructions = `***\nCollection Name: "${collection.name}"\nColor Space: OKLCH\n\nSave this JSON file to restore this color ramp here on Color-Ramp.com. Both ".json" or ".txt" file extensions are supported.\n\nThis JSON file is NOT to be used with the Figma plugin. For that, use the provided Dual Ramps or Single Ramp JSON formats.\n***`;
-      const collectionForBackup = {
-        ...collection,
-        tokenCount: Array.isArray(collection?.colors) ? collection.colors.length : 0,
-      };
-      const backupData = {
-        collections: [collectionForBackup]
-      };
-      const backupJsonString = JSON.stringify(backupData, null, 2);
-      outputString = `${instructions}\n\n${backupJsonString}`;
+      outputString = generateBackupString(collection, { space: 'oklch' });
     } else {
-      outputString = generateJsonStringForFigma(collection, format);
+      outputString = generateJsonStringForFigma(collection, format, { space: 'oklch', contrast: getContrastSetting(), targets: getContrastTargets(), minDistance: getMinDistance(), surfaces: getSurfaces(), gamut: getGamut(), gamutMapping: getGamutMapping(), alpha: newAlphaCheckbox.checked });
     }
+    newAlphaCheckbox.disabled = format === 'backup';
     textarea.value = outputString;
   }
 
   newFormatSelect.addEventListener('change', generateAndDisplayJson);
+  newAlphaCheckbox.addEventListener('change', generateAndDisplayJson);
 
   newCopyBtn.onclick = () => {
     textarea.select();
@@ -2198,68 +2575,229 @@ function initCollectionsCrudModals() {
   // Event listeners have already been set up above
   // This duplicate block has been removed to prevent multiple event listeners
 
-  // ---- Add Color Shortcut Button Listener ----
-  const addColorShortcutBtn = document.getElementById('add-color-shortcut-btn');
-  if (addColorShortcutBtn) {
-    addColorShortcutBtn.addEventListener('click', () => {
-      const data = getCollections();
-      const collections = data.collections;
+  // ---- Current Color ----
+  // The current color and its ramp settings as a collection color, or null when the input isn't a color
+  function currentColorEntry() {
+    const endpoints = getEndpoints();
+    if (endpoints) {
+      // A ramp between endpoints is saved with the color halfway as its base, for swatches and companions
+      const base = currentRamps?.base ?? endpoints.start;
+      return {
+        id: generateId(),
+        name: getAutoColorName(base),
+        base,
+        space: getRampSpace(),
+        endpoints,
+        interpolation: getInterpolation(),
+        defaultMode: document.getElementById('defaultRampToggle').checked ? 'dark' : 'light'
+      };
+    }
 
-      if (collections.length === 0) {
-        alert('Please create a collection first to save your color.');
-        document.getElementById('collections-section').scrollIntoView({ behavior: 'smooth' });
-        return;
-      }
+    let rawUserInput = document.getElementById('colorInput').value.trim();
 
-      // If there are multiple collections, use the first one
-      const collection = collections[0];
-      // Scroll to the collections section so the user can see the color being added
-      document.getElementById('collections-section').scrollIntoView({ behavior: 'smooth' });
-      let rawUserInput = document.getElementById('colorInput').value.trim();
+    // Handle hex values that might be missing the # prefix
+    if (/^[0-9A-Fa-f]{6}$/.test(rawUserInput)) {
+      rawUserInput = '#' + rawUserInput;
+    }
 
-      // Handle hex values that might be missing the # prefix
-      if (/^[0-9A-Fa-f]{6}$/.test(rawUserInput)) {
-        rawUserInput = '#' + rawUserInput;
+    const processedColor = parseRgbInput(rawUserInput);
+    const colorName = getAutoColorName(processedColor);
+    let currentBaseColor;
+
+    try {
+      currentBaseColor = new Color(processedColor).toString({ format: "hex" });
+    } catch (e) {
+      // If parsing fails, try adding # prefix if it's missing
+      if (!processedColor.startsWith('#') && /^[0-9A-Fa-f]{6}$/.test(processedColor)) {
+        currentBaseColor = '#' + processedColor;
+      } else {
+        // If we still can't parse it, show an error and return
+        showToast('Invalid color format. Please use a valid color name, hex, rgb, or hsl value.');
+        return null;
       }
+    }
 
-      const processedColor = parseRgbInput(rawUserInput);
-      const colorName = getAutoColorName(processedColor);
-      let currentBaseColor;
+    const currentDefaultMode = document.getElementById('defaultRampToggle').checked ? 'dark' : 'light';
+
+    return {
+      id: generateId(),
+      name: colorName,
+      base: currentBaseColor, // Save the consistent hex value
+      space: getRampSpace(),
+      interpolation: getInterpolation(),
+      vibrancy: getVibrancy(),
+      vibrancyVersion: VIBRANCY_VERSION,
+      hueShift: getHueShift(),
+      curves: getCurveProfile(),
+      baseScale: getBaseScale(),
+      anchors: getAnchors(),
+      defaultMode: currentDefaultMode
+    };
+  }
 
-      try {
-        currentBaseColor = new Color(processedColor).toString({ format: "hex" });
-      } catch (e) {
-        // If parsing fails, try adding # prefix if it's missing
-        if (!processedColor.startsWith('#') && /^[0-9A-Fa-f]{6}$/.test(processedColor)) {
-          currentBaseColor = '#' + processedColor;
-        } else {
-          // If we still can't parse it, show an error and return
-          showToast('Invalid color format. Please use a valid color name, hex, rgb, or hsl value.');
-          return;
-        }
-      }
+  // Harmony and status colors share the ramp settings, but not the color's own placement, anchors or endpoints
+  function companionEntry(entry, name, base) {
+    return {
+      id: generateId(),
+      name,
+      base,
+      space: entry.space,
+      interpolation: entry.interpolation,
+      vibrancy: getVibrancy(),
+      vibrancyVersion: VIBRANCY_VERSION,
+      hueShift: getHueShift(),
+      curves: getCurveProfile(),
+      baseScale: 'auto',
+      anchors: {},
+      defaultMode: entry.defaultMode
+    };
+  }
 
-      const currentVibrancy = document.getElementById('vibrancy-boost-select').value;
-      const currentDefaultMode = document.getElementById('defaultRampToggle').checked ? 'dark' : 'light';
+  // Collections export with one text color pair, surface pair and gamut setting: a color made with others is
+  // refused, rather than changing how the colors already there export
+  function joinCollection(collection) {
+    const settings = { textColors: getContrastSetting().textColors, surfaces: getSurfaces(), gamut: getGamut(), gamutMapping: getGamutMapping() };
+    const conflicts = collectionSettingsConflicts(collection, settings);
+    if (conflicts.length > 0) {
+      const names = conflicts.length > 1 ? `${conflicts.slice(0, -1).join(', ')} and ${conflicts[conflicts.length - 1]}` : conflicts[0];
+      alert(`"${collection.name}" is exported with other ${names}. Switch back to them, or save this color to a new collection.`);
+      return false;
+    }
+    Object.assign(collection, settings);
+    return true;
+  }
+
+  // ---- Add Color Shortcut ----
+  // Adds the current color to the first collection, followed by its matching neutral for "Add both"
+  function addColorShortcut({ withNeutral = false } = {}) {
+    const data = getCollections();
+    const collections = data.collections;
+
+    if (collections.length === 0) {
+      alert('Please create a collection first to save your color.');
+      document.getElementById('collections-section').scrollIntoView({ behavior: 'smooth' });
+      return;
+    }
 
+    // If there are multiple collections, use the first one
+    const collection = collections[0];
+    // Scroll to the collections section so the user can see the color being added
+    document.getElementById('collections-section').scrollIntoView({ behavior: 'smooth' });
+    const entry = currentColorEntry();
+    if (!entry || !joinCollection(collection)) return;
+    collection.colors.push(entry);
+    const neutralTint = getNeutralTint();
+    if (withNeutral && neutralTint !== null) {
       collection.colors.push({
         id: generateId(),
-        name: colorName,
-        base: currentBaseColor, // Save the consistent hex value
-        vibrancy: parseInt(currentVibrancy, 10),
-        defaultMode: currentDefaultMode
+        name: `${entry.name} neutral`,
+        base: entry.base,
+        space: entry.space,
+        neutral: neutralTint,
+        defaultMode: entry.defaultMode
       });
-      saveCollections(data);
-      renderCollections();
-      if (window.appToast && window.APP_TOAST_MESSAGES) {
-        window.appToast.success(window.APP_TOAST_MESSAGES.colorAdded);
-      } else if (window.showAppToast) {
-        window.showAppToast('Color added successfully!');
+    }
+    saveCollections(data);
+    renderCollections();
+    if (window.appToast && window.APP_TOAST_MESSAGES) {
+      window.appToast.success(window.APP_TOAST_MESSAGES.colorAdded);
+    } else if (window.showAppToast) {
+      window.showAppToast('Color added successfully!');
+    }
+    // Also scroll to the collection to see the new color
+    document.querySelector(`.collection-item[data-collection-id="${collection.id}"]`).scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+  document.getElementById('add-color-shortcut-btn')?.addEventListener('click', () => addColorShortcut());
+  document.getElementById('neutral-add-both-btn')?.addEventListener('click', () => addColorShortcut({ withNeutral: true }));
+
+  // ---- Save Harmony ----
+  // Saves the current color and its harmony colors as a new collection
+  function saveHarmonyCollection() {
+    const harmony = getHarmony();
+    const entry = currentColorEntry();
+    if (!harmony || !entry) return;
+
+    const data = getCollections();
+    const collection = {
+      id: generateId(),
+      name: `${entry.name} (${HARMONIES[harmony].label})`,
+      createdAt: new Date().toISOString(),
+      colors: [
+        entry,
+        ...harmonyColors(entry.base, harmony).map(({ hex }, i) => companionEntry(entry, harmonyColorName(entry.name, harmony, i), hex))
+      ],
+      textColors: getContrastSetting().textColors,
+      surfaces: getSurfaces(),
+      gamut: getGamut(),
+      gamutMapping: getGamutMapping()
+    };
+    data.collections.push(collection);
+    saveCollections(data);
+    renderCollections();
+    appToast.success('Collection created successfully!');
+    document.querySelector(`.collection-item[data-collection-id="${collection.id}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+  document.getElementById('harmony-save-btn')?.addEventListener('click', saveHarmonyCollection);
+
+  // ---- Save Image Palette ----
+  // Saves the colors kept from the dropped image as a new collection named after the file
+  function saveImagePaletteCollection() {
+    const palette = getImagePalette();
+    if (!palette || palette.colors.length === 0) return;
+
+    const settings = { space: getRampSpace(), interpolation: getInterpolation(), defaultMode: document.getElementById('defaultRampToggle').checked ? 'dark' : 'light' };
+    const data = getCollections();
+    const collection = {
+      id: generateId(),
+      name: palette.name,
+      createdAt: new Date().toISOString(),
+      colors: palette.colors.map(hex => companionEntry(settings, getAutoColorName(hex), hex)),
+      textColors: getContrastSetting().textColors,
+      surfaces: getSurfaces(),
+      gamut: getGamut(),
+      gamutMapping: getGamutMapping()
+    };
+    data.collections.push(collection);
+    saveCollections(data);
+    renderCollections();
+    appToast.success('Collection created successfully!');
+    document.querySelector(`.collection-item[data-collection-id="${collection.id}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+  document.getElementById('image-palette-save-btn')?.addEventListener('click', saveImagePaletteCollection);
+
+  // ---- Save Status Colors ----
+  // Adds success, warning, danger and info to the first collection, replacing colors of those names
+  function saveStatusColors() {
+    const data = getCollections();
+    if (data.collections.length === 0) {
+      alert('Please create a collection first to save your colors.');
+      document.getElementById('collections-section').scrollIntoView({ behavior: 'smooth' });
+      return;
+    }
+    const entry = currentColorEntry();
+    if (!entry) return;
+
+    const collection = data.collections[0];
+    if (!joinCollection(collection)) return;
+    statusColors(entry.base).forEach(({ status, hex }) => {
+      const statusColor = companionEntry(entry, status, hex);
+      const index = collection.colors.findIndex(c => c.name === status);
+      if (index === -1) {
+        collection.colors.push(statusColor);
+      } else {
+        collection.colors[index] = statusColor;
       }
-      // Also scroll to the collection to see the new color
-      document.querySelector(`.collection-item[data-collection-id="${collection.id}"]`).scrollIntoView({ behavior: 'smooth', block: 'center' });
     });
+    saveCollections(data);
+    renderCollections();
+    if (window.appToast && window.APP_TOAST_MESSAGES) {
+      window.appToast.success(window.APP_TOAST_MESSAGES.colorAdded);
+    } else if (window.showAppToast) {
+      window.showAppToast('Color added successfully!');
+    }
+    document.querySelector(`.collection-item[data-collection-id="${collection.id}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
   }
+  document.getElementById('status-save-btn')?.addEventListener('click', saveStatusColors);
 
   // Handle clicks inside the collections container (delegated events)
   if (collectionsContainer) {
@@ -2272,40 +2810,8 @@ function initCollectionsCrudModals() {
 
       // Add Current Color to Collection
       if (e.target.classList.contains('btn-add-color')) {
-        let rawUserInput = document.getElementById('colorInput').value.trim();
-
-        // Handle hex values that might be missing the # prefix
-        if (/^[0-9A-Fa-f]{6}$/.test(rawUserInput)) {
-          rawUserInput = '#' + rawUserInput;
-        }
-
-        const processedColor = parseRgbInput(rawUserInput);
-        const colorName = getAutoColorName(processedColor);
-        let currentBaseColor;
-
-        try {
-          currentBaseColor = new Color(processedColor).toString({ format: "hex" });
-        } catch (e) {
-          // If parsing fails, try adding # prefix if it's missing
-          if (!processedColor.startsWith('#') && /^[0-9A-Fa-f]{6}$/.test(processedColor)) {
-            currentBaseColor = '#' + processedColor;
-          } else {
-            // If we still can't parse it, show an error and return
-            showToast('Invalid color format. Please use a valid color name, hex, rgb, or hsl value.');
-            return;
-          }
-        }
-
-        const currentVibrancy = document.getElementById('vibrancy-boost-select').value;
-        const currentDefaultMode = document.getElementById('defaultRampToggle').checked ? 'dark' : 'light';
-
-        const newColor = {
-          id: `color-${Date.now()}`,
-          name: colorName,
-          base: currentBaseColor,
-          vibrancy: currentVibrancy,
-          defaultMode: currentDefaultMode,
-        };
+        const newColor = currentColorEntry();
+        if (!newColor || !joinCollection(collection)) return;
 
         collection.colors.push(newColor);
         saveCollections(data);
@@ -2403,8 +2909,36 @@ function initCollectionsCrudModals() {
 
         if (colorToLoad) {
           document.getElementById('colorInput').value = colorToLoad.base;
-          document.getElementById('vibrancy-boost-select').value = colorToLoad.vibrancy;
+          // Colors saved before the Space select existed are OKLCH
+          document.getElementById('ramp-space-select').value = colorToLoad.space || 'oklch';
+          // A ramp between endpoints loads with its endpoints; the color input keeps the color halfway
+          setEndpoints(colorToLoad.endpoints ?? null);
+          if (colorToLoad.neutral !== undefined) {
+            // A matching neutral loads its brand color with the neutral shown; the ramp settings stay as they are
+            setNeutralTint(colorToLoad.neutral);
+          } else {
+            // Colors saved before the Blend select existed blend in their space
+            setInterpolation(colorToLoad.interpolation ?? null);
+          }
+          // The other ramp settings don't apply between endpoints, so they stay as they are
+          if (!colorToLoad.endpoints && colorToLoad.neutral === undefined) {
+            // Very early saves stored `vibrancyBoost`; boosts saved before VIBRANCY_VERSION are converted
+            const savedVibrancy = colorToLoad.vibrancy ?? colorToLoad.vibrancyBoost ?? 0;
+            setVibrancy(colorToLoad.vibrancyVersion === undefined
+              ? migrateSavedVibrancy(savedVibrancy, colorToLoad.base, collection.gamut || getGamut())
+              : savedVibrancy);
+            // Colors saved before hue shifts existed load with none
+            setHueShift(resolveHueShift(colorToLoad.hueShift));
+            setCurveProfile(resolveCurveProfile(colorToLoad.curves));
+            document.getElementById('base-scale-select').value = colorToLoad.baseScale || 'auto';
+            anchorEditor?.setValue(colorToLoad.anchors);
+          }
           document.getElementById('defaultRampToggle').checked = (colorToLoad.defaultMode === 'dark');
+          setTextColors(collection.textColors);
+          checkTextColors();
+          setSurfaces(collection.surfaces);
+          if (collection.gamut) document.getElementById('gamut-select').value = collection.gamut;
+          if (collection.gamutMapping) document.getElementById('gamut-mapping-select').value = collection.gamutMapping;
           updateAll();
         }
       }
@@ -0,0 +1,188 @@
+import { resolveCurveProfile, lightnessAt, chromaFactorAt, LIGHTNESS_CURVE_PRESETS, CHROMA_CURVE_PRESETS } from './ramp-engine/curves.js';
+
+/* Color Ramp - curve editor
+   Small SVG editor for one of a ramp's curves (lightness or chroma, see ramp-engine/curves.js),
+   paired with a preset select. Drag the round handles (or focus one and use the arrow keys) to
+   reshape the curve; the dots show where the 11 scales land. Shared by both generator pages.
+*/
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// viewBox 0 0 120 80, with the plot inset by 8 on every side
+const VIEW = { width: 120, height: 80, pad: 8 };
+const PLOT_WIDTH = VIEW.width - VIEW.pad * 2;
+const PLOT_HEIGHT = VIEW.height - VIEW.pad * 2;
+const SCALE_COUNT = 11;
+const KEY_STEP = 0.02;
+
+// Which curve values each handle moves. `x`/`y` are indexes into the curve array;
+// handles with a fixed x (the chroma curve's ends) only move up and down.
+const KINDS = {
+  lightness: {
+    presets: LIGHTNESS_CURVE_PRESETS,
+    maxY: 1,
+    guide: 1,
+    handles: [{ x: 0, y: 1 }, { x: 2, y: 3 }],
+    toBezier: ([x1, y1, x2, y2]) => [[0, 0], [x1, y1], [x2, y2], [1, 1]],
+    sample: lightnessAt
+  },
+  chroma: {
+    presets: CHROMA_CURVE_PRESETS,
+    maxY: 2,
+    guide: 1,
+    handles: [{ fixedX: 0, y: 0 }, { x: 1, y: 2 }, { x: 3, y: 4 }, { fixedX: 1, y: 5 }],
+    toBezier: ([y0, x1, y1, x2, y2, y3]) => [[0, y0], [x1, y1], [x2, y2], [1, y3]],
+    sample: chromaFactorAt
+  }
+};
+
+function createSvgElement(tag, attributes) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Wires an SVG element and a preset select into a curve editor.
+ * @param {Object} options
+ * @param {SVGSVGElement} options.svg - Empty <svg> the curve is drawn into.
+ * @param {HTMLSelectElement} [options.select] - Preset select; its option values are preset names plus 'custom'.
+ * @param {string} options.kind - 'lightness' or 'chroma'.
+ * @param {Function} [options.onChange] - Called with getValue() once a drag or preset change is done.
+ * @returns {{getValue: Function, setValue: Function}}
+ */
+export function createCurveEditor({ svg, select, kind, onChange }) {
+  const config = KINDS[kind];
+  let points = [...resolveCurveProfile()[kind]];
+
+  svg.setAttribute('viewBox', `0 0 ${VIEW.width} ${VIEW.height}`);
+  svg.classList.add('curve-editor');
+
+  const toView = ([x, y]) => [VIEW.pad + x * PLOT_WIDTH, VIEW.pad + PLOT_HEIGHT - (y / config.maxY) * PLOT_HEIGHT];
+
+  function presetName() {
+    return Object.keys(config.presets).find(name => config.presets[name].every((value, i) => value === points[i]));
+  }
+
+  function syncSelect() {
+    if (select) select.value = presetName() || 'custom';
+  }
+
+  function render() {
+    svg.replaceChildren();
+    const bezier = config.toBezier(points).map(toView);
+
+    const [guideStartX, guideY] = toView([0, config.guide]);
+    const guide = kind === 'lightness'
+      ? createSvgElement('line', { x1: bezier[0][0], y1: bezier[0][1], x2: bezier[3][0], y2: bezier[3][1], class: 'curve-guide' })
+      : createSvgElement('line', { x1: guideStartX, y1: guideY, x2: toView([1, config.guide])[0], y2: guideY, class: 'curve-guide' });
+    svg.appendChild(guide);
+
+    svg.appendChild(createSvgElement('line', { x1: bezier[0][0], y1: bezier[0][1], x2: bezier[1][0], y2: bezier[1][1], class: 'curve-arm' }));
+    svg.appendChild(createSvgElement('line', { x1: bezier[3][0], y1: bezier[3][1], x2: bezier[2][0], y2: bezier[2][1], class: 'curve-arm' }));
+    svg.appendChild(createSvgElement('path', {
+      d: `M ${bezier[0].join(' ')} C ${bezier[1].join(' ')}, ${bezier[2].join(' ')}, ${bezier[3].join(' ')}`,
+      class: 'curve-line'
+    }));
+
+    for (let i = 0; i < SCALE_COUNT; i++) {
+      const x = i / (SCALE_COUNT - 1);
+      const [cx, cy] = toView([x, config.sample(points, x)]);
+      svg.appendChild(createSvgElement('circle', { cx, cy, r: 1.5, class: 'curve-scale' }));
+    }
+
+    config.handles.forEach((handle, index) => {
+      const x = handle.x === undefined ? handle.fixedX : points[handle.x];
+      const [cx, cy] = toView([x, points[handle.y]]);
+      const circle = createSvgElement('circle', { cx, cy, r: 4, class: 'curve-handle', tabindex: 0, 'data-handle': index });
+      svg.appendChild(circle);
+    });
+  }
+
+  function moveHandle(handle, x, y) {
+    if (handle.x !== undefined) points[handle.x] = round(Math.max(0, Math.min(1, x)));
+    points[handle.y] = round(Math.max(0, Math.min(config.maxY, y)));
+    syncSelect();
+    render();
+  }
+
+  function commit() {
+    if (onChange) onChange(getValue());
+  }
+
+  let dragging = null;
+
+  svg.addEventListener('pointerdown', (e) => {
+    const target = e.target.closest('.curve-handle');
+    if (!target) return;
+    dragging = config.handles[Number(target.dataset.handle)];
+    svg.setPointerCapture(e.pointerId);
+    e.preventDefault();
+  });
+
+  svg.addEventListener('pointermove', (e) => {
+    if (!dragging) return;
+    const rect = svg.getBoundingClientRect();
+    const viewX = ((e.clientX - rect.left) / rect.width) * VIEW.width;
+    const viewY = ((e.clientY - rect.top) / rect.height) * VIEW.height;
+    moveHandle(dragging, (viewX - VIEW.pad) / PLOT_WIDTH, ((VIEW.pad + PLOT_HEIGHT - viewY) / PLOT_HEIGHT) * config.maxY);
+  });
+
+  const endDrag = (e) => {
+    if (!dragging) return;
+    dragging = null;
+    if (svg.hasPointerCapture(e.pointerId)) svg.releasePointerCapture(e.pointerId);
+    commit();
+  };
+  svg.addEventListener('pointerup', endDrag);
+  svg.addEventListener('pointercancel', endDrag);
+
+  svg.addEventListener('keydown', (e) => {
+    const target = e.target.closest('.curve-handle');
+    const moves = { ArrowLeft: [-KEY_STEP, 0], ArrowRight: [KEY_STEP, 0], ArrowUp: [0, KEY_STEP], ArrowDown: [0, -KEY_STEP] };
+    if (!target || !moves[e.key]) return;
+    e.preventDefault();
+
+    const index = target.dataset.handle;
+    const handle = config.handles[Number(index)];
+    const [dx, dy] = moves[e.key];
+    const x = handle.x === undefined ? handle.fixedX : points[handle.x];
+    moveHandle(handle, x + dx, points[handle.y] + dy * config.maxY);
+    svg.querySelector(`[data-handle="${index}"]`)?.focus();
+    commit();
+  });
+
+  if (select) {
+    select.addEventListener('change', () => {
+      if (!config.presets[select.value]) return;
+      points = [...config.presets[select.value]];
+      render();
+      commit();
+    });
+  }
+
+  /**
+   * The current curve: its preset name, or its values joined by commas.
+   * @returns {string}
+   */
+  function getValue() {
+    return presetName() || points.join(',');
+  }
+
+  /**
+   * Shows a curve (preset name, array or comma-separated values).
+   * @param {string|number[]} curve
+   * @throws {RangeError} If the curve is invalid, see resolveCurveProfile().
+   */
+  function setValue(curve) {
+    points = [...resolveCurveProfile({ [kind]: curve })[kind]];
+    syncSelect();
+    render();
+  }
+
+  syncSelect();
+  render();
+  return { getValue, setValue };
+}
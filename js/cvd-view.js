@@ -0,0 +1,71 @@
+import { cvdMatrix, confusablePairs, describeConfusion, CVD_TYPES, DEFAULT_CVD_THRESHOLD, DISTANCE_METRICS } from './ramp-engine/index.js';
+
+/* Color Ramp - color vision deficiency view
+   Shows the ramps and collection swatches as they look with a color vision deficiency, through an
+   SVG filter built from the engine's simulation matrix (the stylesheet picks which elements), and
+   lists the shades and collection colors that stop being told apart. Shared by both generator pages.
+*/
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const FILTER_ID = 'cvd-filter';
+
+/**
+ * Turns the simulation on, off, or to another deficiency.
+ * @param {Object|null} cvd - Resolved { type, severity }, or null for normal vision.
+ */
+export function applyCvdFilter(cvd) {
+  let matrix = document.querySelector(`#${FILTER_ID} feColorMatrix`);
+  if (!matrix) {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('aria-hidden', 'true');
+    svg.setAttribute('class', 'cvd-filter-defs');
+    const filter = document.createElementNS(SVG_NS, 'filter');
+    filter.id = FILTER_ID;
+    // The simulation matrices are for linear RGB
+    filter.setAttribute('color-interpolation-filters', 'linearRGB');
+    matrix = document.createElementNS(SVG_NS, 'feColorMatrix');
+    matrix.setAttribute('type', 'matrix');
+    filter.appendChild(matrix);
+    svg.appendChild(filter);
+    document.body.appendChild(svg);
+  }
+  if (cvd) {
+    matrix.setAttribute('values', cvdMatrix(cvd).map(row => [...row, 0, 0].join(' ')).concat('0 0 0 1 0').join(' '));
+  }
+  document.body.classList.toggle('cvd-simulated', Boolean(cvd));
+}
+
+/**
+ * Lists what stops being told apart under the simulation.
+ * @param {HTMLElement} container - Emptied and filled with the report; hidden for normal vision.
+ * @param {Object|null} cvd - Resolved { type, severity }.
+ * @param {Array<Object>} groups - { context, entries, adjacent } per set of colors: what they are (e.g. 'Light Mode'
+ *   or 'Collection "Brand"'), their { label, hex } in order, and whether only neighbours are compared (ramps).
+ */
+export function renderCvdReport(container, cvd, groups) {
+  container.replaceChildren();
+  container.hidden = !cvd;
+  if (!cvd) return;
+
+  const name = `${CVD_TYPES[cvd.type].label}${cvd.severity < 1 ? ` (${Math.round(cvd.severity * 100)}%)` : ''}`;
+  const messages = groups.flatMap(({ context, entries, adjacent }) => confusablePairs(entries, cvd, { adjacent })
+    .map(pair => describeConfusion(pair, context)));
+  const { metric, min } = DEFAULT_CVD_THRESHOLD;
+
+  const summary = document.createElement('p');
+  summary.textContent = messages.length === 0
+    ? `With ${name}, every neighbouring shade and every collection color stays at least ${DISTANCE_METRICS[metric].label} ${min} apart.`
+    : `With ${name}, ${messages.length === 1 ? 'this pair falls' : `${messages.length} pairs fall`} under ${DISTANCE_METRICS[metric].label} ${min}:`;
+  container.appendChild(summary);
+  container.classList.toggle('has-confusions', messages.length > 0);
+
+  if (messages.length > 0) {
+    const list = document.createElement('ul');
+    messages.forEach(message => {
+      const item = document.createElement('li');
+      item.textContent = `${message}.`;
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+  }
+}
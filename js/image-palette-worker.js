@@ -0,0 +1,14 @@
+import { dominantColors } from './ramp-engine/quantize.js';
+
+/* Color Ramp - image palette worker
+   Finds an image's dominant colors off the main thread, so a large photo doesn't freeze the page.
+   Takes { id, pixels } (RGBA bytes) and answers { id, colors } or { id, error }.
+*/
+
+self.addEventListener('message', ({ data: { id, pixels } }) => {
+  try {
+    self.postMessage({ id, colors: dominantColors(pixels) });
+  } catch (e) {
+    self.postMessage({ id, error: e.message });
+  }
+});
@@ -0,0 +1,163 @@
+/* Color Ramp - image palette
+   Drop zone for starting a palette from a photo: the image is decoded and downscaled in the page,
+   its dominant colors are found in a worker (see ramp-engine/quantize.js), and each is offered as a
+   chip that can be switched off before the page generates ramps for the rest. Nothing is uploaded;
+   the image never leaves the browser. Shared by both generator pages.
+*/
+
+// Longest side the image is scaled down to before quantizing: plenty for its dominant colors
+const MAX_IMAGE_SIDE = 256;
+
+/**
+ * Decodes an image file and reads its pixels, scaled down to at most MAX_IMAGE_SIDE.
+ * @param {File} file
+ * @returns {Promise<Uint8ClampedArray>} - RGBA bytes.
+ */
+async function readPixels(file) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, MAX_IMAGE_SIDE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return context.getImageData(0, 0, canvas.width, canvas.height).data;
+}
+
+/**
+ * Wires a drop zone, a file input, a chip list and a status line into an image palette picker.
+ * @param {Object} options
+ * @param {HTMLElement} options.dropZone - Takes dropped image files; usually the file input's <label>.
+ * @param {HTMLInputElement} options.fileInput - <input type="file" accept="image/*">.
+ * @param {HTMLUListElement} options.list - Empty list the proposed colors are shown in.
+ * @param {HTMLElement} options.status - Line for progress and errors.
+ * @param {Function} [options.onChange] - Called with getValue() after an image is read or a color is switched.
+ * @returns {{getValue: Function}}
+ */
+export function createImagePalette({ dropZone, fileInput, list, status, onChange }) {
+  let worker = null;
+  let messageId = 0;
+  let latestRead = 0;
+  let name = '';
+  let colors = [];
+
+  function showStatus(message) {
+    status.textContent = message;
+    status.hidden = !message;
+  }
+
+  function render() {
+    list.replaceChildren();
+    colors.forEach(color => {
+      const item = document.createElement('li');
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'anchor-chip image-palette-chip';
+      const showSelected = () => {
+        chip.setAttribute('aria-pressed', String(color.selected));
+        chip.title = color.selected ? 'Leave this color out' : 'Keep this color';
+      };
+      showSelected();
+
+      const swatch = document.createElement('span');
+      swatch.className = 'anchor-chip-swatch';
+      swatch.style.backgroundColor = color.hex;
+
+      const label = document.createElement('span');
+      label.textContent = `${color.hex} ${Math.round(color.share * 100)}%`;
+
+      chip.addEventListener('click', () => {
+        color.selected = !color.selected;
+        showSelected();
+        commit();
+      });
+
+      chip.append(swatch, label);
+      item.appendChild(chip);
+      list.appendChild(item);
+    });
+    list.hidden = colors.length === 0;
+  }
+
+  function commit() {
+    if (onChange) onChange(getValue());
+  }
+
+  // One worker for the page, started with the first image
+  function quantize(pixels) {
+    if (!worker) {
+      worker = new Worker(new URL('./image-palette-worker.js', import.meta.url), { type: 'module' });
+    }
+    const id = ++messageId;
+    return new Promise((resolve, reject) => {
+      const onMessage = ({ data }) => {
+        if (data.id !== id) return;
+        worker.removeEventListener('message', onMessage);
+        if (data.error) {
+          reject(new Error(data.error));
+        } else {
+          resolve(data.colors);
+        }
+      };
+      worker.addEventListener('message', onMessage);
+      worker.postMessage({ id, pixels }, [pixels.buffer]);
+    });
+  }
+
+  async function readFile(file) {
+    if (!file) return;
+    if (!file.type.startsWith('image/')) {
+      showStatus(`"${file.name}" isn't an image. Try a PNG, JPEG or WebP file.`);
+      return;
+    }
+    showStatus(`Finding the colors in "${file.name}"…`);
+    const read = ++latestRead;
+    let found;
+    try {
+      found = await quantize(await readPixels(file));
+    } catch (e) {
+      if (read === latestRead) showStatus(`Couldn't read "${file.name}" as an image.`);
+      return;
+    }
+    // A newer image was dropped while this one was being read
+    if (read !== latestRead) return;
+    if (found.length === 0) {
+      showStatus(`"${file.name}" is fully transparent, so it has no colors to use.`);
+      return;
+    }
+    name = file.name.replace(/\.[^.]+$/, '') || file.name;
+    colors = found.map(({ hex, share }) => ({ hex, share, selected: true }));
+    showStatus(`${colors.length} colors found in "${file.name}". Switch off any you don't want to keep.`);
+    render();
+    commit();
+  }
+
+  /**
+   * @returns {{name: string, colors: string[]}|null} - The file name without its extension, and the HEX of
+   *   each color kept, most of the image first; null before an image is read.
+   */
+  function getValue() {
+    if (colors.length === 0) return null;
+    return { name, colors: colors.filter(color => color.selected).map(color => color.hex) };
+  }
+
+  fileInput.addEventListener('change', () => {
+    readFile(fileInput.files[0]);
+    // Choosing the same file again should read it again
+    fileInput.value = '';
+  });
+  ['dragenter', 'dragover'].forEach(type => dropZone.addEventListener(type, e => {
+    e.preventDefault();
+    dropZone.classList.add('is-dragover');
+  }));
+  dropZone.addEventListener('dragleave', () => dropZone.classList.remove('is-dragover'));
+  dropZone.addEventListener('drop', e => {
+    e.preventDefault();
+    dropZone.classList.remove('is-dragover');
+    readFile(e.dataTransfer.files[0]);
+  });
+
+  render();
+  return { getValue };
+}
@@ -0,0 +1,165 @@
+import { analyzeRamp, DISTANCE_METRICS } from './ramp-engine/index.js';
+import { formatContrast } from './ramp-engine/contrast.js';
+
+/* Color Ramp - ramp quality panel
+   Plots the Light and Dark ramps' OKLCH lightness, chroma and hue from 50 to 950, and lists each
+   shade's distance from its neighbour, its contrast with white and black text, and whether the
+   contrast pass nudged it or gamut mapping clipped it. The scores come from analyzeRamp(), the
+   same on both generator pages, so settings and pages can be compared. Shared by both pages.
+*/
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// viewBox 0 0 220 90, with the plot inset by 8 on every side
+const VIEW = { width: 220, height: 90, pad: 8 };
+const PLOT_WIDTH = VIEW.width - VIEW.pad * 2;
+const PLOT_HEIGHT = VIEW.height - VIEW.pad * 2;
+
+// Chroma is plotted against a fixed top (raised for wider gamuts) so plots of different settings line up
+const MIN_CHROMA_TOP = 0.4;
+
+// What each plotted line reads, and how it's scaled into 0-1
+const SERIES = [
+  { key: 'l', label: 'Lightness', scale: value => value },
+  { key: 'c', label: 'Chroma', scale: (value, chromaTop) => value / chromaTop },
+  { key: 'h', label: 'Hue', scale: value => value / 360 }
+];
+
+function createSvgElement(tag, attributes) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Draws one ramp's lightness, chroma and hue lines. Grays have no hue, so the hue line breaks at them.
+ * Nudged shades get a ring on the lightness line, clipped ones a ring on the chroma line.
+ * @param {Array<Object>} steps - analyzeRamp() steps.
+ * @param {string} label - 'Light' or 'Dark'.
+ * @returns {SVGSVGElement}
+ */
+function buildPlot(steps, label) {
+  const svg = createSvgElement('svg', {
+    class: 'quality-plot',
+    viewBox: `0 0 ${VIEW.width} ${VIEW.height}`,
+    role: 'img',
+    'aria-label': `${label} Mode ramp: OKLCH lightness, chroma and hue from ${steps[0]?.scale} to ${steps[steps.length - 1]?.scale}`
+  });
+  const chromaTop = Math.max(MIN_CHROMA_TOP, ...steps.map(step => step.c));
+  const x = i => round(VIEW.pad + (steps.length > 1 ? (i / (steps.length - 1)) * PLOT_WIDTH : PLOT_WIDTH / 2));
+  const y = value => round(VIEW.pad + (1 - Math.min(1, Math.max(0, value))) * PLOT_HEIGHT);
+
+  svg.appendChild(createSvgElement('rect', { class: 'quality-frame', x: VIEW.pad, y: VIEW.pad, width: PLOT_WIDTH, height: PLOT_HEIGHT }));
+  SERIES.forEach(({ key, scale }) => {
+    let path = '';
+    let drawing = false;
+    steps.forEach((step, i) => {
+      if (step[key] === null) {
+        drawing = false;
+        return;
+      }
+      path += `${drawing ? 'L' : 'M'}${x(i)} ${y(scale(step[key], chromaTop))} `;
+      drawing = true;
+    });
+    svg.appendChild(createSvgElement('path', { class: `quality-line quality-line-${key}`, d: path.trim() }));
+  });
+
+  steps.forEach((step, i) => {
+    if (step.nudged) {
+      svg.appendChild(createSvgElement('circle', { class: 'quality-mark is-nudged', cx: x(i), cy: y(step.l), r: 3 }));
+    }
+    if (step.clipped) {
+      svg.appendChild(createSvgElement('circle', { class: 'quality-mark is-clipped', cx: x(i), cy: y(step.c / chromaTop), r: 3 }));
+    }
+  });
+  return svg;
+}
+
+/**
+ * Lists one ramp's steps.
+ * @param {Array<Object>} steps - analyzeRamp() steps.
+ * @param {string} metric - The distance metric, one of DISTANCE_METRICS.
+ * @param {string} algorithm - The contrast algorithm.
+ * @returns {HTMLTableElement}
+ */
+function buildTable(steps, metric, algorithm) {
+  const table = document.createElement('table');
+  table.className = 'quality-table';
+  const digits = metric === 'ok' ? 3 : 1;
+
+  const head = table.createTHead().insertRow();
+  ['Scale', 'L', 'C', 'H', DISTANCE_METRICS[metric].label, 'White text', 'Black text', 'Adjusted'].forEach(text => {
+    const cell = document.createElement('th');
+    cell.scope = 'col';
+    cell.textContent = text;
+    head.appendChild(cell);
+  });
+
+  const body = table.createTBody();
+  steps.forEach(step => {
+    const row = body.insertRow();
+    const adjusted = [step.nudged && 'Nudged', step.clipped && 'Clipped'].filter(Boolean).join(', ');
+    [
+      step.scale,
+      step.l.toFixed(3),
+      step.c.toFixed(3),
+      step.h === null ? '–' : `${step.h.toFixed(1)}°`,
+      step.distance === null ? '–' : step.distance.toFixed(digits),
+      formatContrast(step.contrastWhite, algorithm),
+      formatContrast(step.contrastBlack, algorithm),
+      adjusted || '–'
+    ].forEach(text => { row.insertCell().textContent = text; });
+    if (adjusted) row.className = 'is-adjusted';
+  });
+  return table;
+}
+
+/**
+ * Draws the quality report for a pair of ramps.
+ * @param {HTMLElement} container - Emptied and filled with one block per ramp.
+ * @param {Object} ramps - A createRamp() result. Distances use its minimum distance metric (ΔE2000 when off),
+ *   contrast its algorithm.
+ */
+export function renderQualityPanel(container, ramps) {
+  const metric = ramps.minDistance?.metric ?? '2000';
+  const { algorithm } = ramps.contrast;
+  container.replaceChildren();
+
+  [['Light', ramps.light], ['Dark', ramps.dark]].forEach(([label, { swatches }]) => {
+    const { steps, scores } = analyzeRamp(swatches, { metric, algorithm });
+    const block = document.createElement('div');
+    block.className = 'quality-ramp';
+
+    const title = document.createElement('div');
+    title.className = 'quality-title';
+    const overall = document.createElement('strong');
+    overall.className = 'quality-score';
+    overall.title = 'Average of evenness and smoothness, out of 100';
+    overall.textContent = `${scores.overall}`;
+    const details = document.createElement('span');
+    details.className = 'quality-subscores';
+    details.textContent = `Evenness ${scores.evenness} · Smoothness ${scores.smoothness}`;
+    details.title = `Evenness: how alike the ${DISTANCE_METRICS[metric].label} steps between neighbours are. Smoothness: how steadily lightness and hue change.`;
+    title.append(`${label} Mode `, overall, details);
+
+    const legend = document.createElement('div');
+    legend.className = 'quality-legend';
+    SERIES.forEach(({ key, label: seriesLabel }) => {
+      const item = document.createElement('span');
+      item.className = `quality-key quality-key-${key}`;
+      item.textContent = seriesLabel;
+      legend.appendChild(item);
+    });
+    [['is-nudged', 'Nudged for contrast'], ['is-clipped', 'Clipped to sRGB']].forEach(([className, text]) => {
+      const item = document.createElement('span');
+      item.className = `quality-key quality-key-mark ${className}`;
+      item.textContent = text;
+      legend.appendChild(item);
+    });
+
+    block.append(title, buildPlot(steps, label), legend, buildTable(steps, metric, algorithm));
+    container.appendChild(block);
+  });
+}
@@ -0,0 +1,47 @@
+import tinycolor from 'tinycolor2';
+
+/* Ramp Engine - alpha ramps
+   Transparent versions of a ramp's shades: for each shade, the least-opaque rgba() of a single color
+   that composites over the ramp's surface to that shade. Overlays, hovers and borders built from them
+   look the same as the solid ramp on that surface and take on whatever sits behind them elsewhere.
+*/
+
+// Alpha is rounded up to this many decimals, so the color under it never needs to leave 0-255
+const ALPHA_PRECISION = 1000;
+
+/**
+ * Finds the least-opaque color that composites over a surface to a target color.
+ * Each channel needs at least enough alpha to reach the target from the surface with a fully dark (0) or fully
+ * bright (255) channel; the largest of those is the alpha, and the color under it follows from it.
+ * @param {string} target - The solid shade, any color tinycolor parses.
+ * @param {string} surface - The surface it sits on.
+ * @returns {string} - An "rgba(r, g, b, a)" string; fully transparent when the shade is the surface itself.
+ */
+export function alphaColor(target, surface) {
+  const t = tinycolor(target).toRgb();
+  const s = tinycolor(surface).toRgb();
+  const channels = ['r', 'g', 'b'];
+
+  const needed = Math.max(...channels.map(ch => {
+    if (t[ch] > s[ch]) return (t[ch] - s[ch]) / (255 - s[ch]);
+    if (t[ch] < s[ch]) return (s[ch] - t[ch]) / s[ch];
+    return 0;
+  }));
+  const alpha = Math.ceil(needed * ALPHA_PRECISION - 1e-9) / ALPHA_PRECISION;
+  if (alpha <= 0) return `rgba(${s.r}, ${s.g}, ${s.b}, 0)`;
+
+  const [r, g, b] = channels.map(ch => Math.min(255, Math.max(0, Math.round(s[ch] + (t[ch] - s[ch]) / alpha))));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+/**
+ * Builds the alpha version of a ramp.
+ * @param {Object} hexRamp - Map of scale -> HEX.
+ * @param {string} surface - The surface the ramp was built for.
+ * @returns {Object} - Map of scale -> "rgba(r, g, b, a)".
+ */
+export function alphaRamp(hexRamp, surface) {
+  const ramp = {};
+  Object.entries(hexRamp).forEach(([scale, hex]) => { ramp[scale] = alphaColor(hex, surface); });
+  return ramp;
+}
@@ -0,0 +1,264 @@
+import Color from 'colorjs.io';
+import { interpolationOptions } from './interpolation.js';
+
+/* Ramp Engine - anchors
+   Known colors locked at chosen scales ("100 is #E0F0FF, 900 is #0A1A40"), for palettes that
+   already have a few approved shades. Anchors are locked in the ramp that holds the exact base
+   color, and every other shade is interpolated between its nearest locked neighbours (anchors, the
+   base color and the ramp's own ends), in OKLCH unless the ramp sets its own interpolation.
+   Anchors given the other way round from the ramp are mirrored onto it. Shared by both generators.
+*/
+
+const SCALES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+const ORDER_STEP = 0.005;
+const ORDER_MAX_STEPS = 200;
+
+/**
+ * Resolves an anchor table, normalizing colors to 6-digit HEX.
+ * @param {Object|string} [anchors] - { scale: color }, or a spec string such as "100=#e0f0ff,900=#0a1a40".
+ * @returns {Object} - Map of scale (string) -> HEX; empty when there are no anchors.
+ * @throws {RangeError} If a scale or color is invalid.
+ */
+export function resolveAnchors(anchors) {
+  let table = anchors || {};
+  if (typeof anchors === 'string') {
+    table = {};
+    anchors.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const [scale, color] = entry.split('=').map(part => part.trim());
+      table[scale] = color;
+    });
+  }
+
+  const resolved = {};
+  Object.entries(table).forEach(([scale, color]) => {
+    if (!SCALES.includes(String(scale))) {
+      throw new RangeError(`Unknown anchor scale "${scale}". Expected one of: ${SCALES.join(', ')}.`);
+    }
+    try {
+      resolved[scale] = new Color(color).to('srgb').toString({ format: 'hex', collapse: false });
+    } catch (e) {
+      throw new RangeError(`Invalid anchor color "${color}" at ${scale}.`);
+    }
+  });
+  return resolved;
+}
+
+/**
+ * Finds the free scale closest to a taken one, looking first on the side the color belongs on.
+ * @param {number} takenIndex
+ * @param {Set<number>} taken - Indexes already locked.
+ * @param {number} direction - -1 (toward 50) or 1 (toward 950).
+ * @returns {number} - A free index, or -1 when every scale is taken.
+ */
+function nearestFreeIndex(takenIndex, taken, direction) {
+  for (let distance = 1; distance < SCALES.length; distance++) {
+    for (const step of [direction, -direction]) {
+      const index = takenIndex + step * distance;
+      if (index >= 0 && index < SCALES.length && !taken.has(index)) return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Counts the neighbouring locked colors that run against a ramp's direction.
+ * @param {Map<number, number>} lightnesses - Index -> OKLCH lightness of each locked color.
+ * @param {boolean} isLightRamp
+ * @returns {number}
+ */
+function countReversals(lightnesses, isLightRamp) {
+  const indexes = [...lightnesses.keys()].sort((a, b) => a - b);
+  return indexes.slice(1).filter((index, i) => {
+    const previous = lightnesses.get(indexes[i]);
+    const current = lightnesses.get(index);
+    return isLightRamp ? current > previous : current < previous;
+  }).length;
+}
+
+/**
+ * Locks anchors into a ramp and re-interpolates the shades between them.
+ * @param {Object} ramp - Map of scale -> Color.js color; the ramp's own shades, whose ends are kept
+ *   unless an anchor takes them. Not modified.
+ * @param {string} baseScale - Scale holding the base color.
+ * @param {Object} anchors - Resolved anchor table, see resolveAnchors().
+ * @param {boolean} isLightRamp - Light ramps get darker toward 950, dark ramps lighter.
+ * @param {Object|null} [interpolation] - Resolved { space, hue } the shades between stops are blended in, see
+ *   resolveInterpolation(); OKLCH, shorter arc, when omitted.
+ * @returns {{ramp: Object, baseScale: string, anchorScales: string[], warnings: string[]}} - The anchored ramp
+ *   (scale -> Color, in sRGB space), where the base color ended up (it moves to the nearest free scale when an anchor
+ *   takes its own), the scales the anchors were locked at in scale order (mirrored when the anchors run the other
+ *   way from the ramp), and warnings about mirrored anchors and anchors out of lightness order.
+ */
+export function applyAnchors(ramp, baseScale, anchors, isLightRamp, interpolation = null) {
+  const givenScales = SCALES.filter(scale => anchors[scale]);
+  if (givenScales.length === 0) {
+    return { ramp, baseScale, anchorScales: givenScales, warnings: [] };
+  }
+
+  const lightnessOf = color => color.to('oklch').l;
+  const baseColor = ramp[baseScale];
+  let baseIndex = SCALES.indexOf(String(baseScale));
+  const warnings = [];
+
+  // Anchors that run the other way from the ramp (light to dark in a Dark Mode ramp, say from a light palette)
+  // are locked at the mirrored scales, 100 at 900 and so on, when that puts fewer of them out of order
+  const lockedLightnesses = mirrored => {
+    const lightnesses = new Map([[baseIndex, lightnessOf(baseColor)]]);
+    givenScales.forEach(scale => {
+      const index = SCALES.indexOf(scale);
+      lightnesses.set(mirrored ? SCALES.length - 1 - index : index, lightnessOf(new Color(anchors[scale])));
+    });
+    return lightnesses;
+  };
+  const isMirrored = countReversals(lockedLightnesses(true), isLightRamp) < countReversals(lockedLightnesses(false), isLightRamp);
+  const scaleFor = scale => isMirrored ? SCALES[SCALES.length - 1 - SCALES.indexOf(scale)] : scale;
+  if (isMirrored) {
+    warnings.push(`The anchors run ${isLightRamp ? 'dark to light' : 'light to dark'}, the other way from the ${isLightRamp ? 'Light' : 'Dark'} Mode ramp, so they're locked at the mirrored scales: ${givenScales.map(scale => `${scale} at ${scaleFor(scale)}`).join(', ')}.`);
+  }
+  const anchorScales = givenScales.map(scaleFor).sort((a, b) => SCALES.indexOf(a) - SCALES.indexOf(b));
+  const anchorColors = Object.fromEntries(givenScales.map(scale => [scaleFor(scale), anchors[scale]]));
+
+  const stops = new Map();
+  anchorScales.forEach(scale => stops.set(SCALES.indexOf(scale), new Color(anchorColors[scale])));
+
+  // The base color keeps its place unless an anchor holds it
+  if (stops.has(baseIndex)) {
+    const isLighter = lightnessOf(baseColor) > lightnessOf(stops.get(baseIndex));
+    baseIndex = nearestFreeIndex(baseIndex, new Set(stops.keys()), isLighter === isLightRamp ? -1 : 1);
+  }
+  if (baseIndex !== -1) stops.set(baseIndex, baseColor);
+
+  // The ramp's ends anchor the outermost stretches
+  [0, SCALES.length - 1].forEach(index => {
+    if (!stops.has(index)) stops.set(index, ramp[SCALES[index]]);
+  });
+
+  const indexes = [...stops.keys()].sort((a, b) => a - b);
+  const anchored = {};
+  indexes.forEach((index, i) => {
+    anchored[SCALES[index]] = stops.get(index).to('srgb');
+    const next = indexes[i + 1];
+    if (next === undefined || next - index < 2) return;
+    const shades = stops.get(index).steps(stops.get(next), { steps: next - index + 1, ...interpolationOptions(interpolation, 'oklch') });
+    for (let j = index + 1; j < next; j++) {
+      anchored[SCALES[j]] = shades[j - index].to('srgb');
+    }
+  });
+
+  // Light ramps should get darker shade by shade, dark ramps lighter
+  const locked = indexes.filter(index => index === baseIndex || anchorColors[SCALES[index]]);
+  for (let i = 1; i < locked.length; i++) {
+    const previous = lightnessOf(stops.get(locked[i - 1]));
+    const current = lightnessOf(stops.get(locked[i]));
+    if (isLightRamp ? current > previous : current < previous) {
+      warnings.push(`The shade locked at ${SCALES[locked[i]]} is ${isLightRamp ? 'lighter' : 'darker'} than the one at ${SCALES[locked[i - 1]]}, so the ramp doubles back between them.`);
+    }
+  }
+
+  return {
+    ramp: anchored,
+    baseScale: baseIndex === -1 ? baseScale : SCALES[baseIndex],
+    anchorScales,
+    warnings
+  };
+}
+
+/**
+ * Puts a finished ramp back in lightness order after its shades were nudged to their contrast targets:
+ * a nudge can carry a shade past its neighbour, or an end past the shade next to it. The shades on the
+ * other side of a nudged shade, up to the next locked shade or end, are spread out again evenly between
+ * the two; when that can't hold their contrast, the shade out of order is only moved just past its
+ * neighbour. Locked shades never move, and no shade moves onto a HEX either ramp already has.
+ * @param {Object} ramp - Map of scale -> shade. Modified in place.
+ * @param {Object} options
+ * @param {Array<number|string>} options.lockedScales - Scales that never move: the base color and anchors.
+ * @param {Array<number|string>} [options.nudgedScales=[]] - Scales the contrast nudge moved.
+ * @param {boolean} options.isLightRamp - Light ramps get darker toward 950, dark ramps lighter.
+ * @param {function(*): number} options.lightnessOf - OKLCH lightness of a shade.
+ * @param {function(*, string, number): *} options.nudge - (shade, scale, amount) -> the shade moved by `amount`
+ *   lightness and brought back up to its contrast target, as for spreadRamps().
+ * @param {function(*): string} options.toHex - HEX of a shade.
+ * @param {Iterable<string>} [options.takenHexes] - HEX values of the other ramp.
+ * @param {string} [options.name='Light Mode'] - Ramp name for warnings.
+ * @returns {string[]} - Warnings for the shades that couldn't be put in order.
+ */
+export function restoreLightnessOrder(ramp, { lockedScales, nudgedScales = [], isLightRamp, lightnessOf, nudge, toHex, takenHexes = [], name = 'Light Mode' }) {
+  const scales = SCALES.filter(scale => ramp[scale]);
+  const locked = new Set(lockedScales.map(String));
+  const nudged = new Set(nudgedScales.map(String));
+  const direction = isLightRamp ? -1 : 1;
+  const last = scales.length - 1;
+  const inOrder = (before, after) => (lightnessOf(after) - lightnessOf(before)) * direction > 0;
+  const taken = new Set(takenHexes);
+
+  // Moves the shades between two indexes to the given lightnesses; false, leaving the ramp as it was,
+  // when any of them lands out of order or on a HEX that's taken
+  const place = (from, to, lightnessAt) => {
+    const moved = [];
+    let previous = ramp[scales[from]];
+    for (let k = from + 1; k < to; k++) {
+      if (locked.has(scales[k])) return false;
+      const shade = ramp[scales[k]];
+      const next = nudge(shade, scales[k], lightnessAt(k) - lightnessOf(shade));
+      if (!inOrder(previous, next)) return false;
+      moved.push(next);
+      previous = next;
+    }
+    if (!inOrder(previous, ramp[scales[to]])) return false;
+    const hexes = [...scales.filter((scale, k) => k <= from || k >= to).map(scale => toHex(ramp[scale])), ...taken];
+    if (moved.some((shade, k) => hexes.includes(toHex(shade)) || moved.findIndex(other => toHex(other) === toHex(shade)) !== k)) return false;
+    moved.forEach((shade, k) => { ramp[scales[from + 1 + k]] = shade; });
+    return true;
+  };
+
+  // Spreads the shades between two indexes evenly in lightness; false when there are none between them
+  const respread = (from, to) => {
+    if (to - from < 2 || !inOrder(ramp[scales[from]], ramp[scales[to]])) return false;
+    const start = lightnessOf(ramp[scales[from]]);
+    const end = lightnessOf(ramp[scales[to]]);
+    return place(from, to, k => start + (end - start) * (k - from) / (to - from));
+  };
+  const isStop = k => k === 0 || k === last || locked.has(scales[k]);
+  const stopAfter = k => scales.findIndex((scale, j) => j > k && isStop(j));
+  const stopBefore = k => scales.findLastIndex((scale, j) => j < k && isStop(j));
+
+  // Steps one shade along until it fits, or gives up once a step no longer moves it or it leaves its room
+  const stepPast = (index, step, fits, hasRoom) => {
+    const isFree = shade => !taken.has(toHex(shade)) && !scales.some((scale, k) => k !== index && toHex(ramp[scale]) === toHex(shade));
+    let shade = ramp[scales[index]];
+    for (let i = 0; i < ORDER_MAX_STEPS; i++) {
+      const moved = nudge(shade, scales[index], step);
+      if (Math.abs(lightnessOf(moved) - lightnessOf(shade)) < 1e-6 || !hasRoom(moved)) return false;
+      shade = moved;
+      if (fits(shade) && isFree(shade)) {
+        ramp[scales[index]] = shade;
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const warnings = [];
+  for (let i = 1; i < scales.length; i++) {
+    if (inOrder(ramp[scales[i - 1]], ramp[scales[i]])) continue;
+    const before = ramp[scales[i - 1]];
+    const after = ramp[scales[i]];
+
+    // Re-spread the side away from the shade the contrast nudge moved
+    const spreadOn = () => respread(i - 1, stopAfter(i - 1));
+    const spreadBack = () => respread(stopBefore(i), i);
+    const spreads = nudged.has(scales[i]) && !nudged.has(scales[i - 1]) ? [spreadBack, spreadOn] : [spreadOn, spreadBack];
+    if (spreads.some(spread => spread())) continue;
+
+    // Otherwise move just one of them past the other, without passing the next locked shade
+    const nextLocked = scales.findIndex((scale, j) => j > i && locked.has(scale));
+    const moved = (!locked.has(scales[i]) && stepPast(i, direction * ORDER_STEP, shade => inOrder(before, shade),
+      shade => nextLocked === -1 || inOrder(shade, ramp[scales[nextLocked]]))) ||
+      (!locked.has(scales[i - 1]) && stepPast(i - 1, -direction * ORDER_STEP,
+        shade => inOrder(shade, after), shade => i < 2 || inOrder(ramp[scales[i - 2]], shade)));
+    if (!moved) {
+      warnings.push(`${name} ${scales[i]} is ${isLightRamp ? 'lighter' : 'darker'} than ${scales[i - 1]}: there's no room between their neighbours to put them in order and keep their contrast.`);
+    }
+  }
+  return warnings;
+}
@@ -0,0 +1,270 @@
+import Color from 'colorjs.io';
+
+/* Ramp Engine - contrast algorithms
+   WCAG 2.1 ratios and APCA lightness contrast (Lc), so every generator can
+   pick text colors (black/white by default, or the user's own pair) and nudge
+   shades toward whichever target the user chose.
+   Target tables say what each shade is for (text, large text, non-text UI, AAA),
+   so border and background shades aren't pushed to text contrast.
+   Surfaces are the page backgrounds each ramp sits on; shades are also measured
+   against them, since borders and fills are read against the surface, not the text.
+*/
+
+export const CONTRAST_ALGORITHMS = ['wcag21', 'apca'];
+
+// Lc 60: body text minimum, Lc 75: preferred body text, Lc 90: small/thin text
+export const APCA_TARGETS = [60, 75, 90];
+
+// Badge tiers add Lc 45 (large/bold text) and Lc 30 (non-text UI) below the text targets
+const APCA_BADGE_TIERS = [90, 75, 60, 45, 30];
+
+export const DEFAULT_CONTRAST_TARGETS = { wcag21: 4.5, apca: 60 };
+
+// Text colors shades are evaluated against: `dark` goes on light shades, `light` on dark shades
+export const DEFAULT_TEXT_COLORS = { dark: '#0D0D0D', light: '#FFFFFF' };
+
+// Relative luminance with the same WCAG 2.1 contrast against black and white: text colors sit either side of it
+const MID_GRAY_LUMINANCE = Math.sqrt(1.05 * 0.05) - 0.05;
+
+// Page backgrounds the Light and Dark Mode ramps are built for
+export const DEFAULT_SURFACES = { light: '#FFFFFF', dark: '#121212' };
+
+const SCALE_KEYS = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+
+// What a shade is built for. 'text' follows the selected target; the others are fixed per algorithm.
+export const CONTRAST_USES = ['text', 'large-text', 'non-text', 'aaa'];
+
+export const CONTRAST_USE_LABELS = {
+  text: 'text',
+  'large-text': 'large text',
+  'non-text': 'non-text UI',
+  aaa: 'AAA text'
+};
+
+const USE_TARGETS = {
+  'large-text': { wcag21: 3, apca: 45 }, // WCAG 1.4.3 large text
+  'non-text': { wcag21: 3, apca: 30 }, // WCAG 1.4.11 borders, fills, icons
+  aaa: { wcag21: 7, apca: 90 }
+};
+
+// Scale -> use tables; scales that aren't listed are 'text'
+const BY_USE = { '50': 'non-text', '100': 'non-text', '200': 'non-text', '300': 'large-text', '400': 'large-text' };
+export const TARGET_PRESETS = {
+  uniform: {},
+  'by-use': BY_USE,
+  'by-use-aaa': { ...BY_USE, '500': 'aaa', '600': 'aaa', '700': 'aaa', '800': 'aaa', '900': 'aaa', '950': 'aaa' }
+};
+
+/**
+ * WCAG 2.1 contrast ratio, truncated to two decimals to match WebAIM's methodology.
+ * @param {Color|string} background
+ * @param {Color|string} text
+ * @returns {number}
+ */
+export function wcagRatio(background, text) {
+  const ratio = new Color(background).contrast(text, 'WCAG21');
+  return Math.floor(ratio * 100) / 100;
+}
+
+/**
+ * APCA lightness contrast of text on a background. Polarity is dropped:
+ * light-on-dark and dark-on-light are compared on the same 0-106 scale.
+ * @param {Color|string} background
+ * @param {Color|string} text
+ * @returns {number} - |Lc|, rounded to one decimal.
+ */
+export function apcaContrast(background, text) {
+  const lc = new Color(background).contrast(text, 'APCA');
+  return Math.round(Math.abs(lc) * 10) / 10;
+}
+
+/**
+ * Fills in a { key: color } pair from its defaults, normalizing custom colors to 6-digit HEX.
+ * @param {Object} [colors]
+ * @param {Object} defaults
+ * @param {string} label - Used in the error message, e.g. 'text color'.
+ * @returns {Object}
+ * @throws {RangeError} If a color can't be parsed.
+ */
+function resolveColorPair(colors, defaults, label) {
+  const resolved = {};
+  Object.keys(defaults).forEach(key => {
+    const value = colors?.[key];
+    if (!value) {
+      resolved[key] = defaults[key];
+      return;
+    }
+    try {
+      resolved[key] = new Color(value).to('srgb').toString({ format: 'hex', collapse: false });
+    } catch (e) {
+      throw new RangeError(`Invalid ${key} ${label} "${value}".`);
+    }
+  });
+  return resolved;
+}
+
+/**
+ * Resolves the dark/light text color pair, normalizing custom colors to 6-digit HEX.
+ * @param {Object} [textColors] - { dark, light }; missing entries use DEFAULT_TEXT_COLORS.
+ * @returns {{dark: string, light: string}}
+ * @throws {RangeError} If a color can't be parsed, or the dark text color isn't darker than mid gray or the light one lighter.
+ */
+export function resolveTextColors(textColors) {
+  const resolved = resolveColorPair(textColors, DEFAULT_TEXT_COLORS, 'text color');
+  // Shades are nudged away from their text color, toward white under the dark one and black under the
+  // light one, which only raises contrast when each text color is on its own side of mid gray
+  if (new Color(resolved.dark).luminance >= MID_GRAY_LUMINANCE) {
+    throw new RangeError(`Invalid dark text color "${resolved.dark}". Expected a color darker than mid gray, such as ${DEFAULT_TEXT_COLORS.dark}.`);
+  }
+  if (new Color(resolved.light).luminance <= MID_GRAY_LUMINANCE) {
+    throw new RangeError(`Invalid light text color "${resolved.light}". Expected a color lighter than mid gray, such as ${DEFAULT_TEXT_COLORS.light}.`);
+  }
+  return resolved;
+}
+
+/**
+ * Resolves the Light/Dark Mode surface pair, normalizing custom colors to 6-digit HEX.
+ * @param {Object} [surfaces] - { light, dark }; missing entries use DEFAULT_SURFACES.
+ * @returns {{light: string, dark: string}}
+ * @throws {RangeError} If a color can't be parsed.
+ */
+export function resolveSurfaces(surfaces) {
+  return resolveColorPair(surfaces, DEFAULT_SURFACES, 'surface');
+}
+
+/**
+ * Resolves a contrast setting, filling in the default target for the algorithm.
+ * @param {Object} [options]
+ * @param {string} [options.algorithm='wcag21'] - 'wcag21' or 'apca'.
+ * @param {number|string} [options.target] - Minimum ratio (WCAG) or Lc (APCA).
+ * @param {Object} [options.textColors] - { dark, light } text colors to evaluate against, see resolveTextColors().
+ * @returns {{algorithm: string, target: number, textColors: {dark: string, light: string}}}
+ * @throws {RangeError} If the algorithm or a text color is invalid.
+ */
+export function resolveContrast({ algorithm = 'wcag21', target, textColors } = {}) {
+  if (!CONTRAST_ALGORITHMS.includes(algorithm)) {
+    throw new RangeError(`Unknown contrast algorithm "${algorithm}". Expected one of: ${CONTRAST_ALGORITHMS.join(', ')}.`);
+  }
+  const parsedTarget = parseFloat(target);
+  return {
+    algorithm,
+    target: parsedTarget > 0 ? parsedTarget : DEFAULT_CONTRAST_TARGETS[algorithm],
+    textColors: resolveTextColors(textColors)
+  };
+}
+
+/**
+ * Parses the pages' contrast select value ('wcag21', 'apca-60', 'apca-75', 'apca-90').
+ * @param {string} value
+ * @param {Object} [textColors] - { dark, light } text colors; invalid ones fall back to the defaults.
+ * @returns {{algorithm: string, target: number, textColors: Object}} - Falls back to WCAG 2.1 for anything unrecognized.
+ */
+export function parseContrastSetting(value, textColors) {
+  const [algorithm, target] = String(value || '').split('-');
+  let resolvedTextColors;
+  try {
+    resolvedTextColors = resolveTextColors(textColors);
+  } catch (e) {
+    resolvedTextColors = resolveTextColors();
+  }
+  try {
+    return resolveContrast({ algorithm, target, textColors: resolvedTextColors });
+  } catch (e) {
+    return resolveContrast({ textColors: resolvedTextColors });
+  }
+}
+
+/**
+ * Expands a target table into a full scale -> use map.
+ * @param {string|Object} [targets='uniform'] - A TARGET_PRESETS name, a { scale: use } object, or a
+ *   spec string such as "50-200=non-text,300-400=large-text" (ranges are inclusive, by scale).
+ * @returns {Object} - Map of every scale (string) -> use.
+ * @throws {RangeError} If a preset, scale or use is unknown.
+ */
+export function resolveTargetTable(targets = 'uniform') {
+  let table = targets;
+  if (typeof targets === 'string') {
+    if (TARGET_PRESETS[targets]) {
+      table = TARGET_PRESETS[targets];
+    } else if (targets.includes('=')) {
+      table = {};
+      targets.split(',').forEach(entry => {
+        const [range, use] = entry.split('=').map(part => part.trim());
+        const [from, to = from] = range.split('-');
+        const start = SCALE_KEYS.indexOf(from);
+        const end = SCALE_KEYS.indexOf(to);
+        if (start === -1 || end === -1 || end < start) {
+          throw new RangeError(`Unknown scale range "${range}".`);
+        }
+        SCALE_KEYS.slice(start, end + 1).forEach(scale => { table[scale] = use; });
+      });
+    } else {
+      throw new RangeError(`Unknown target preset "${targets}". Expected one of: ${Object.keys(TARGET_PRESETS).join(', ')}.`);
+    }
+  }
+
+  const resolved = {};
+  SCALE_KEYS.forEach(scale => {
+    const use = (table && table[scale]) || 'text';
+    if (!CONTRAST_USES.includes(use)) {
+      throw new RangeError(`Unknown contrast use "${use}" for scale ${scale}. Expected one of: ${CONTRAST_USES.join(', ')}.`);
+    }
+    resolved[scale] = use;
+  });
+  return resolved;
+}
+
+/**
+ * The minimum a shade must reach for its use.
+ * @param {string} use - One of CONTRAST_USES.
+ * @param {Object} contrast - Resolved contrast setting.
+ * @returns {number} - WCAG ratio or |Lc|.
+ */
+export function shadeTarget(use, { algorithm, target }) {
+  if (use === 'aaa') return Math.max(target, USE_TARGETS.aaa[algorithm]);
+  if (USE_TARGETS[use]) return USE_TARGETS[use][algorithm];
+  return target;
+}
+
+/**
+ * Measures a background/text pair with the given algorithm.
+ * @param {Color|string} background
+ * @param {Color|string} text
+ * @param {string} [algorithm='wcag21']
+ * @returns {number} - WCAG ratio or |Lc|.
+ */
+export function measureContrast(background, text, algorithm = 'wcag21') {
+  return algorithm === 'apca' ? apcaContrast(background, text) : wcagRatio(background, text);
+}
+
+/**
+ * Badge text for a swatch: the highest level met, or 'Fail' when the shade misses the target it was built for.
+ * @param {number} value - WCAG ratio or |Lc|.
+ * @param {string} [algorithm='wcag21']
+ * @param {Object} [shade]
+ * @param {string} [shade.use='text'] - One of CONTRAST_USES.
+ * @param {number} [shade.target] - The shade's minimum; defaults to the use's default target.
+ * @returns {string} - e.g. 'AAA', 'AA', 'AA Large', 'AA UI', 'Lc 75' or 'Fail'.
+ */
+export function contrastBadge(value, algorithm = 'wcag21', { use = 'text', target } = {}) {
+  const minimum = target ?? shadeTarget(use, resolveContrast({ algorithm }));
+  if (value < minimum) return 'Fail';
+
+  if (algorithm === 'apca') {
+    const tier = APCA_BADGE_TIERS.find(lc => value >= lc);
+    return tier ? `Lc ${tier}` : `Lc ${Math.floor(value)}`;
+  }
+  if (value >= 7) return 'AAA';
+  if (value >= 4.5) return 'AA';
+  return use === 'non-text' ? 'AA UI' : 'AA Large';
+}
+
+/**
+ * Display text for a measured value: "4.53 : 1" or "Lc 78.2".
+ * @param {number} value - WCAG ratio or |Lc|.
+ * @param {string} [algorithm='wcag21']
+ * @returns {string}
+ */
+export function formatContrast(value, algorithm = 'wcag21') {
+  return algorithm === 'apca' ? `Lc ${value.toFixed(1)}` : `${value.toFixed(2)} : 1`;
+}
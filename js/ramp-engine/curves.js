@@ -0,0 +1,169 @@
+/* Ramp Engine - curve profiles
+   Lightness and chroma curves across the 11 scales, shared by both generators.
+   A profile is { name, lightness, chroma }, with x running from scale 50 (0) to 950 (1):
+   - `lightness` is a CSS-style cubic-bezier [x1, y1, x2, y2] from (0, 0) to (1, 1); y is how much of
+     the ramp's lightness range a shade has covered, starting from its surface. Linear is the even spacing
+     the generators have always used.
+   - `chroma` is [y0, x1, y1, x2, y2, y3], a cubic bezier from (0, y0) to (1, y3); y multiplies each
+     shade's chroma (HSL: saturation). Flat (all 1) leaves chroma as generated.
+   The base shade is pinned either way: curves only reshape the shades around it.
+*/
+
+export const LIGHTNESS_CURVE_PRESETS = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+export const CHROMA_CURVE_PRESETS = {
+  flat: [1, 0.33, 1, 0.67, 1, 1],
+  bell: [0.6, 0.3, 1.3, 0.7, 1.3, 0.6],
+  'muted-50': [0.5, 0.4, 1, 0.7, 1, 1],
+  'muted-950': [1, 0.3, 1, 0.6, 1, 0.5]
+};
+
+// Highest chroma multiplier a chroma curve may reach
+const MAX_CHROMA_FACTOR = 2;
+
+export const DEFAULT_CURVE_PROFILE = {
+  name: 'Default',
+  lightness: LIGHTNESS_CURVE_PRESETS.linear,
+  chroma: CHROMA_CURVE_PRESETS.flat
+};
+
+/**
+ * Resolves one curve from a preset name, a number array or a comma-separated string of numbers.
+ * @param {string|number[]} curve
+ * @param {Object} presets - LIGHTNESS_CURVE_PRESETS or CHROMA_CURVE_PRESETS.
+ * @param {string} label - Used in error messages, e.g. 'lightness'.
+ * @returns {number[]}
+ * @throws {RangeError} If the preset is unknown or the curve has the wrong number of values.
+ */
+function resolveCurvePoints(curve, presets, label) {
+  if (typeof curve === 'string' && presets[curve]) return [...presets[curve]];
+
+  const points = (Array.isArray(curve) ? curve : String(curve).split(',')).map(Number);
+  const expected = presets.linear ? 4 : 6;
+  if (points.length !== expected || points.some(isNaN)) {
+    throw new RangeError(`Invalid ${label} curve "${curve}". Expected one of: ${Object.keys(presets).join(', ')}, or ${expected} numbers.`);
+  }
+  return points;
+}
+
+/**
+ * Resolves a curve profile, filling in missing curves from DEFAULT_CURVE_PROFILE.
+ * @param {Object} [profile] - { name, lightness, chroma }; each curve is a preset name, an array or a
+ *   comma-separated string ("0.42,0,1,1" for lightness, "0.6,0.3,1.3,0.7,1.3,0.6" for chroma).
+ *   Unnamed profiles are called 'Default' when both curves leave the ramp as generated, 'Custom' otherwise.
+ * @returns {{name: string, lightness: number[], chroma: number[]}}
+ * @throws {RangeError} If a curve is unknown, malformed or out of range.
+ */
+export function resolveCurveProfile(profile) {
+  if (!profile) {
+    return { ...DEFAULT_CURVE_PROFILE, lightness: [...DEFAULT_CURVE_PROFILE.lightness], chroma: [...DEFAULT_CURVE_PROFILE.chroma] };
+  }
+
+  const lightness = profile.lightness === undefined || profile.lightness === ''
+    ? [...DEFAULT_CURVE_PROFILE.lightness]
+    : resolveCurvePoints(profile.lightness, LIGHTNESS_CURVE_PRESETS, 'lightness');
+  const chroma = profile.chroma === undefined || profile.chroma === ''
+    ? [...DEFAULT_CURVE_PROFILE.chroma]
+    : resolveCurvePoints(profile.chroma, CHROMA_CURVE_PRESETS, 'chroma');
+
+  // Handles stay inside the unit square (lightness) so shades never double back
+  const [x1, y1, x2, y2] = lightness;
+  if ([x1, y1, x2, y2].some(value => value < 0 || value > 1)) {
+    throw new RangeError(`Invalid lightness curve "${lightness.join(',')}". Expected handles within 0-1.`);
+  }
+  const [, cx1, , cx2] = chroma;
+  const levels = [chroma[0], chroma[2], chroma[4], chroma[5]];
+  if (cx1 < 0 || cx1 > 1 || cx2 < 0 || cx2 > 1 || levels.some(value => value < 0 || value > MAX_CHROMA_FACTOR)) {
+    throw new RangeError(`Invalid chroma curve "${chroma.join(',')}". Expected handle positions within 0-1 and levels within 0-${MAX_CHROMA_FACTOR}.`);
+  }
+
+  const name = String(profile.name || '').trim() || (isLinearCurve(lightness) && isFlatCurve(chroma) ? DEFAULT_CURVE_PROFILE.name : 'Custom');
+  return { name, lightness, chroma };
+}
+
+/**
+ * Samples a cubic bezier from (0, y0) to (1, y3) at x. The x handles are within 0-1, so x(t) is monotonic.
+ * @param {number} x - 0-1.
+ * @param {number[]} points - [y0, x1, y1, x2, y2, y3].
+ * @returns {number}
+ */
+function sampleBezier(x, [y0, x1, y1, x2, y2, y3]) {
+  const at = (t, a, b, c, d) => {
+    const u = 1 - t;
+    return u * u * u * a + 3 * u * u * t * b + 3 * u * t * t * c + t * t * t * d;
+  };
+
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 30; i++) {
+    const t = (low + high) / 2;
+    if (at(t, 0, x1, x2, 1) < x) low = t;
+    else high = t;
+  }
+  return at((low + high) / 2, y0, y1, y2, y3);
+}
+
+/**
+ * Whether a lightness curve is a straight line (both handles on the diagonal).
+ * @param {number[]} lightness
+ * @returns {boolean}
+ */
+export function isLinearCurve([x1, y1, x2, y2]) {
+  return x1 === y1 && x2 === y2;
+}
+
+/**
+ * Whether a chroma curve leaves every shade's chroma as generated.
+ * @param {number[]} chroma
+ * @returns {boolean}
+ */
+export function isFlatCurve([y0, , y1, , y2, y3]) {
+  return y0 === 1 && y1 === 1 && y2 === 1 && y3 === 1;
+}
+
+/**
+ * Share of the lightness range covered at ramp position x.
+ * @param {number[]} lightness - Resolved lightness curve.
+ * @param {number} x - 0 (scale 50) to 1 (scale 950).
+ * @returns {number} - 0-1.
+ */
+export function lightnessAt(lightness, x) {
+  const clamped = Math.max(0, Math.min(1, x));
+  if (isLinearCurve(lightness)) return clamped;
+  const [x1, y1, x2, y2] = lightness;
+  return sampleBezier(clamped, [0, x1, y1, x2, y2, 1]);
+}
+
+/**
+ * Chroma multiplier at ramp position x.
+ * @param {number[]} chroma - Resolved chroma curve.
+ * @param {number} x - 0 (scale 50) to 1 (scale 950).
+ * @returns {number} - 0-2.
+ */
+export function chromaFactorAt(chroma, x) {
+  if (isFlatCurve(chroma)) return 1;
+  return Math.max(0, sampleBezier(Math.max(0, Math.min(1, x)), chroma));
+}
+
+/**
+ * Eases a ramp position around a pinned anchor: positions on each side of the anchor follow the
+ * curve, scaled so the anchor, and both ends, stay where they are.
+ * @param {number[]} lightness - Resolved lightness curve.
+ * @param {number} x - Position to ease, 0-1.
+ * @param {number} anchor - Position of the pinned shade, 0-1.
+ * @returns {number} - Eased position, 0-1.
+ */
+export function anchoredProgress(lightness, x, anchor) {
+  const eased = lightnessAt(lightness, x);
+  const easedAnchor = lightnessAt(lightness, anchor);
+  if (x <= anchor) {
+    return easedAnchor > 0 ? anchor * (eased / easedAnchor) : x;
+  }
+  return easedAnchor < 1 ? anchor + (1 - anchor) * ((eased - easedAnchor) / (1 - easedAnchor)) : x;
+}
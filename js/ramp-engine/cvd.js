@@ -0,0 +1,138 @@
+import Color from 'colorjs.io';
+import { resolveMinDistance, shadeDistance, DISTANCE_METRICS } from './distance.js';
+
+/* Ramp Engine - color vision deficiency simulation
+   How colors look with protanopia, deuteranopia or tritanopia (Machado et al. 2009) or achromatopsia,
+   and which neighbouring shades, or which colors of a set, stop being told apart. Milder severities
+   blend the full simulation with the original color, which is close to the paper's own tables.
+   The simulation runs on linear sRGB, so the same matrix works as an SVG feColorMatrix.
+*/
+
+// Full-severity matrices on linear sRGB, rows are the simulated r, g, b
+export const CVD_TYPES = {
+  protanopia: {
+    label: 'Protanopia',
+    matrix: [
+      [0.152286, 1.052583, -0.204868],
+      [0.114503, 0.786281, 0.099216],
+      [-0.003882, -0.048116, 1.051998]
+    ]
+  },
+  deuteranopia: {
+    label: 'Deuteranopia',
+    matrix: [
+      [0.367322, 0.860646, -0.227968],
+      [0.280085, 0.672501, 0.047413],
+      [-0.011820, 0.042940, 0.968881]
+    ]
+  },
+  tritanopia: {
+    label: 'Tritanopia',
+    matrix: [
+      [1.255528, -0.076749, -0.178779],
+      [-0.078411, 0.930809, 0.147602],
+      [0.004733, 0.691367, 0.303900]
+    ]
+  },
+  achromatopsia: {
+    label: 'Achromatopsia',
+    // Relative luminance in every channel
+    matrix: [
+      [0.2126, 0.7152, 0.0722],
+      [0.2126, 0.7152, 0.0722],
+      [0.2126, 0.7152, 0.0722]
+    ]
+  }
+};
+
+// Colors closer than this under simulation read as the same color; about twice the usual spacing minimum
+export const DEFAULT_CVD_THRESHOLD = { metric: '2000', min: 5 };
+
+/**
+ * Resolves a simulation setting.
+ * @param {Object|string|null} [cvd] - { type, severity }, or a "type" / "type:severity" string ("deuteranopia:0.6").
+ *   Severity runs from 0 to 1 (default 1, the full deficiency). Empty or null turns simulation off.
+ * @returns {{type: string, severity: number}|null}
+ * @throws {RangeError} If the type is unknown or the severity is outside 0-1.
+ */
+export function resolveCvd(cvd) {
+  if (cvd === undefined || cvd === null || cvd === '' || cvd === false) return null;
+  let type = cvd;
+  let severity = 1;
+  if (typeof cvd === 'object') {
+    ({ type, severity = 1 } = cvd);
+  } else {
+    const [name, amount] = String(cvd).trim().toLowerCase().split(':');
+    type = name;
+    if (amount !== undefined) severity = amount;
+  }
+  if (!CVD_TYPES[type]) {
+    throw new RangeError(`Unknown color vision deficiency "${type}". Expected one of: ${Object.keys(CVD_TYPES).join(', ')}.`);
+  }
+  const value = Number(severity);
+  if (severity === '' || isNaN(value) || value < 0 || value > 1) {
+    throw new RangeError(`Invalid severity "${severity}". Expected a number from 0 to 1.`);
+  }
+  return { type, severity: value };
+}
+
+/**
+ * The simulation as one matrix on linear sRGB: the full-severity matrix blended with the identity.
+ * @param {Object} cvd - Resolved { type, severity }.
+ * @returns {number[][]} - 3 rows of 3.
+ */
+export function cvdMatrix({ type, severity }) {
+  return CVD_TYPES[type].matrix.map((row, i) => row.map((value, j) => severity * value + (1 - severity) * (i === j ? 1 : 0)));
+}
+
+/**
+ * Simulates how a color looks with a color vision deficiency.
+ * @param {string|Color} color - Any CSS color string or Color.js object.
+ * @param {Object} cvd - Resolved { type, severity }.
+ * @returns {string} - sRGB HEX.
+ */
+export function simulateCvd(color, cvd) {
+  const linear = new Color(color).to('srgb-linear').coords.map(value => (isNaN(value) ? 0 : value));
+  const simulated = cvdMatrix(cvd).map(row => Math.min(1, Math.max(0, row.reduce((sum, value, j) => sum + value * linear[j], 0))));
+  return new Color('srgb-linear', simulated).to('srgb').toString({ format: 'hex', collapse: false });
+}
+
+/**
+ * Finds the colors that are told apart normally but not under simulation.
+ * @param {Array<{label: string, hex: string}>} entries - The colors, in order.
+ * @param {Object} cvd - Resolved { type, severity }.
+ * @param {Object} [options]
+ * @param {Object|string|number} [options.threshold] - Closest two colors may be and still read as different, in the
+ *   form resolveMinDistance() takes (default DEFAULT_CVD_THRESHOLD).
+ * @param {boolean} [options.adjacent=false] - Only compare each color with the next, as for the shades of a ramp.
+ * @returns {Array<{a: string, b: string, distance: number, metric: string, min: number}>} - One per pair, with the
+ *   simulated distance; `a` and `b` are the pair's labels.
+ * @throws {RangeError} If the threshold is invalid.
+ */
+export function confusablePairs(entries, cvd, { threshold = DEFAULT_CVD_THRESHOLD, adjacent = false } = {}) {
+  const { metric, min } = resolveMinDistance(threshold) ?? DEFAULT_CVD_THRESHOLD;
+  const simulated = entries.map(({ hex }) => simulateCvd(hex, cvd));
+  const pairs = [];
+  entries.forEach((a, i) => {
+    const others = adjacent ? entries.slice(i + 1, i + 2) : entries.slice(i + 1);
+    others.forEach((b, n) => {
+      const j = i + 1 + n;
+      if (shadeDistance(a.hex, b.hex, metric) < min) return;
+      const distance = shadeDistance(simulated[i], simulated[j], metric);
+      if (distance < min) pairs.push({ a: a.label, b: b.label, distance, metric, min });
+    });
+  });
+  return pairs;
+}
+
+/**
+ * Describes a pair from confusablePairs().
+ * @param {Object} pair
+ * @param {string} [context=''] - Prefix for both labels, e.g. 'Light Mode'.
+ * @returns {string} - e.g. "Light Mode 800 and 900 are ΔE2000 3.2 apart".
+ */
+export function describeConfusion({ a, b, distance, metric }, context = '') {
+  const digits = metric === 'ok' ? 3 : 1;
+  const value = (Math.floor(distance * 10 ** digits) / 10 ** digits).toFixed(digits);
+  return `${context ? `${context} ` : ''}${a} and ${b} are ${DISTANCE_METRICS[metric].label} ${value} apart`;
+}
@@ -0,0 +1,258 @@
+import Color from 'colorjs.io';
+
+/* Ramp Engine - minimum shade distance
+   De-duplication only keeps shades from sharing a HEX; two shades one HEX apart are still
+   useless side by side. With a minimum distance set, both generators spread each finished ramp
+   out from its fixed shades (base color, anchors) until neighbours, and each Light/Dark pair, are
+   at least that far apart, never onto a HEX either ramp already has, and say where there isn't room.
+*/
+
+const SCALES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+
+// Color difference formulas, by Color.js deltaE method; defaults are about twice a just noticeable difference
+export const DISTANCE_METRICS = {
+  '2000': { label: 'ΔE2000', defaultMin: 3 },
+  ok: { label: 'ΔEOK', defaultMin: 0.02 }
+};
+
+// Lightness step per nudge, and how far a shade may move in total (same units as the generator's lightness)
+const NUDGE_STEP = 0.005;
+const MAX_NUDGES = 80;
+
+// Halvings when looking for the largest minimum a crowded stretch of the ramp has room for
+const FALLBACK_SEARCH_STEPS = 5;
+
+/**
+ * Resolves a minimum distance setting.
+ * @param {Object|string|number|null} [minDistance] - { metric, min }, a "metric:min" string ("2000:3",
+ *   "ok:0.02"), a bare number (ΔE2000), or a metric name for its default minimum. Empty, 0 or null turns it off.
+ * @returns {{metric: string, min: number}|null}
+ * @throws {RangeError} If the metric is unknown or the minimum isn't a positive number.
+ */
+export function resolveMinDistance(minDistance) {
+  if (minDistance === undefined || minDistance === null || minDistance === '' || minDistance === false || minDistance === 0) {
+    return null;
+  }
+  let metric = '2000';
+  let min = minDistance;
+  if (typeof minDistance === 'object') {
+    ({ metric = '2000', min } = minDistance);
+  } else if (typeof minDistance === 'string' && !/^[\d.]+$/.test(minDistance.trim())) {
+    [metric, min] = minDistance.trim().toLowerCase().split(':');
+  }
+  if (!DISTANCE_METRICS[metric]) {
+    throw new RangeError(`Unknown distance metric "${metric}". Expected one of: ${Object.keys(DISTANCE_METRICS).join(', ')}.`);
+  }
+  const value = min === undefined ? DISTANCE_METRICS[metric].defaultMin : Number(min);
+  if (isNaN(value) || value <= 0) {
+    throw new RangeError(`Invalid minimum distance "${min}". Expected a positive ${DISTANCE_METRICS[metric].label}, such as ${DISTANCE_METRICS[metric].defaultMin}.`);
+  }
+  return { metric, min: value };
+}
+
+/**
+ * Measures how far apart two shades are.
+ * @param {string} hexA
+ * @param {string} hexB
+ * @param {string} metric - One of DISTANCE_METRICS.
+ * @returns {number}
+ */
+export function shadeDistance(hexA, hexB, metric) {
+  return new Color(hexA).deltaE(new Color(hexB), metric === 'ok' ? 'OK' : '2000');
+}
+
+// OKLCH lightness of a HEX, which orders shades along the ramp
+function lightnessOf(hex) {
+  return new Color(hex).to('oklch').l;
+}
+
+/**
+ * Spreads one finished ramp so each shade is at least the minimum distance from its neighbour, and from the
+ * same scale of the other ramp when given. Shades are walked outward from the fixed ones (or from 500 when
+ * none is fixed) and moved further along the ramp's direction (darker toward 950 in Light Mode, lighter in
+ * Dark Mode) until they're far enough, pushing the rest ahead of them. Fixed shades never move.
+ * A stretch without room for the minimum is spread to the largest one it has room for instead, so shades
+ * never pass each other. No shade settles on a HEX another shade of either ramp already has.
+ * @param {Object} ramp - Map of scale -> shade, in the generator's own shade shape. Modified in place.
+ * @param {Object} options
+ * @param {Object} options.minDistance - Resolved { metric, min }.
+ * @param {boolean} options.isLightRamp - Light ramps go from light to dark.
+ * @param {string[]} [options.fixedScales=[]] - Scales holding the base color or anchors.
+ * @param {Object} [options.pairRamp] - The other ramp's scale -> HEX, to keep Light/Dark pairs apart too.
+ * @param {string[]} [options.takenHexes=[]] - The other ramp's HEX values, which no shade may take.
+ * @param {Function} options.toHex - Reads a shade's sRGB HEX.
+ * @param {Function} options.nudge - (shade, scale, amount) -> shade with its lightness moved by `amount`, brought
+ *   back up to its contrast target.
+ */
+function spreadRamp(ramp, { minDistance, isLightRamp, fixedScales = [], pairRamp, takenHexes = [], toHex, nudge }) {
+  const { metric, min } = minDistance;
+  const fixed = SCALES.map((scale, i) => (fixedScales.includes(scale) && ramp[scale] ? i : -1)).filter(i => i >= 0);
+  const pivots = fixed.length > 0 ? fixed : [SCALES.indexOf('500')];
+
+  const farEnough = (hex, scale, neighbourHex, minimum) => shadeDistance(hex, neighbourHex, metric) >= minimum &&
+    (!pairRamp || !pairRamp[scale] || shadeDistance(hex, pairRamp[scale], metric) >= minimum);
+  const isTaken = (hex, scale) => takenHexes.includes(hex) ||
+    SCALES.some(other => other !== scale && ramp[other] && toHex(ramp[other]) === hex);
+
+  // Moves one shade away from its settled neighbour, on the ramp's side of it; false when it runs out of room
+  const settle = (i, from, minimum) => {
+    const scale = SCALES[i];
+    const neighbour = ramp[SCALES[from]];
+    if (!ramp[scale] || !neighbour) return true;
+    const neighbourHex = toHex(neighbour);
+
+    // Toward 950 is darker in Light Mode and lighter in Dark Mode
+    const direction = (i > from) === isLightRamp ? -1 : 1;
+    const neighbourLightness = lightnessOf(neighbourHex);
+    const fits = hex => direction * (lightnessOf(hex) - neighbourLightness) >= 0 && farEnough(hex, scale, neighbourHex, minimum) &&
+      !isTaken(hex, scale);
+    if (fits(toHex(ramp[scale]))) return true;
+
+    let previousHex = toHex(ramp[scale]);
+    let unchanged = 0;
+    for (let k = 1; k <= MAX_NUDGES; k++) {
+      const candidate = nudge(ramp[scale], scale, direction * k * NUDGE_STEP);
+      const candidateHex = toHex(candidate);
+      if (fits(candidateHex)) {
+        ramp[scale] = candidate;
+        return true;
+      }
+      // Stuck at white or black
+      unchanged = candidateHex === previousHex ? unchanged + 1 : 0;
+      if (unchanged >= 3) return false;
+      previousHex = candidateHex;
+    }
+    return false;
+  };
+
+  // Spreads the stretch between a fixed shade and the end of the ramp or the next fixed shade (`stop`).
+  // `indices` run away from the fixed shade, `step` apart. Shades are pushed outward first; when that runs
+  // out of room, they're pulled in from the far end toward the fixed shade instead.
+  const spreadStretch = (indices, step, stop) => {
+    if (indices.length === 0) return;
+    const original = indices.map(i => ramp[SCALES[i]]);
+    const pivot = indices[0] - step;
+    const apart = (a, b, minimum) => !ramp[SCALES[a]] || !ramp[SCALES[b]] ||
+      shadeDistance(toHex(ramp[SCALES[a]]), toHex(ramp[SCALES[b]]), metric) >= minimum;
+    const restore = () => indices.forEach((i, n) => { ramp[SCALES[i]] = original[n]; });
+
+    const outward = minimum => {
+      restore();
+      return indices.every(i => settle(i, i - step, minimum)) &&
+        (stop === undefined || apart(indices[indices.length - 1], stop, minimum));
+    };
+    // The last shade of the ramp stays where it is and the rest are settled back from it
+    const inward = minimum => {
+      restore();
+      const reversed = [...indices].reverse();
+      const moved = stop === undefined ? reversed.slice(1) : reversed;
+      return moved.every(i => settle(i, i + step, minimum)) && apart(indices[0], pivot, minimum);
+    };
+    const spread = minimum => outward(minimum) || inward(minimum);
+    if (spread(min)) return;
+
+    // No room for the minimum: spread to the largest one there is room for, reported by distanceWarnings()
+    let low = 0;
+    let high = min;
+    for (let n = 0; n < FALLBACK_SEARCH_STEPS; n++) {
+      const mid = (low + high) / 2;
+      if (spread(mid)) low = mid;
+      else high = mid;
+    }
+    spread(low);
+  };
+
+  const range = (from, to, step) => Array.from({ length: Math.max(0, (to - from) / step + 1) }, (_, n) => from + n * step);
+  spreadStretch(range(pivots[0] - 1, 0, -1), -1);
+  pivots.forEach((pivot, p) => {
+    const next = p + 1 < pivots.length ? pivots[p + 1] : undefined;
+    spreadStretch(range(pivot + 1, (next ?? SCALES.length) - 1, 1), 1, next);
+  });
+}
+
+/**
+ * Lists the neighbours, and Light/Dark pairs, still closer than the minimum distance.
+ * @param {Object} lightHexes - Light ramp scale -> HEX.
+ * @param {Object} darkHexes - Dark ramp scale -> HEX.
+ * @param {Object} minDistance - Resolved { metric, min }.
+ * @param {string[]} [fixedScales=[]] - Scales fixed in either ramp, whose Light/Dark pairs may match.
+ * @returns {string[]} - One message per pair.
+ */
+function distanceWarnings(lightHexes, darkHexes, { metric, min }, fixedScales = []) {
+  const { label } = DISTANCE_METRICS[metric];
+  // Rounded down, so a shade just under the minimum never reads as meeting it
+  const digits = metric === 'ok' ? 3 : 1;
+  const format = value => (Math.floor(value * 10 ** digits) / 10 ** digits).toFixed(digits);
+  const warnings = [];
+
+  [['Light Mode', lightHexes], ['Dark Mode', darkHexes]].forEach(([name, hexes]) => {
+    const scales = SCALES.filter(scale => hexes[scale]);
+    scales.slice(1).forEach((scale, i) => {
+      const distance = shadeDistance(hexes[scales[i]], hexes[scale], metric);
+      if (distance < min) {
+        warnings.push(`${name} ${scales[i]} and ${scale} are ${label} ${format(distance)} apart, under the ${min} minimum: there's no room to spread them further.`);
+      }
+    });
+  });
+  SCALES.forEach(scale => {
+    if (!lightHexes[scale] || !darkHexes[scale] || fixedScales.includes(scale)) return;
+    const distance = shadeDistance(lightHexes[scale], darkHexes[scale], metric);
+    if (distance < min) {
+      warnings.push(`Light and Dark Mode ${scale} are ${label} ${format(distance)} apart, under the ${min} minimum.`);
+    }
+  });
+  return warnings;
+}
+
+/**
+ * Lists the shades left repeating a HEX of either ramp, unless both are fixed (a pinned base color holds the
+ * same HEX in both ramps).
+ * @param {Object} lightHexes - Light ramp scale -> HEX.
+ * @param {Object} darkHexes - Dark ramp scale -> HEX.
+ * @param {string[]} lightFixedScales
+ * @param {string[]} darkFixedScales
+ * @returns {string[]} - One message per repeat.
+ */
+function duplicateWarnings(lightHexes, darkHexes, lightFixedScales, darkFixedScales) {
+  const seen = new Map();
+  const warnings = [];
+  [['Light Mode', lightHexes, lightFixedScales], ['Dark Mode', darkHexes, darkFixedScales]].forEach(([name, hexes, fixedScales]) => {
+    SCALES.filter(scale => hexes[scale]).forEach(scale => {
+      const hex = hexes[scale].toLowerCase();
+      const isFixed = fixedScales.includes(scale);
+      const first = seen.get(hex);
+      if (!first) {
+        seen.set(hex, { shade: `${name} ${scale}`, isFixed });
+      } else if (!first.isFixed || !isFixed) {
+        warnings.push(`${name} ${scale} repeats ${hex}, the HEX of ${first.shade}: there's no room to spread it to one of its own.`);
+      }
+    });
+  });
+  return warnings;
+}
+
+/**
+ * Spreads both finished ramps to a minimum distance: the Light Mode ramp, then the Dark Mode ramp, kept
+ * apart from it as well (the generators' de-duplication runs in the same order). Shades keep HEX values
+ * of their own across both ramps.
+ * @param {Object} lightRamp - Map of scale -> shade. Modified in place.
+ * @param {Object} darkRamp - Map of scale -> shade. Modified in place.
+ * @param {Object} options
+ * @param {Object} options.minDistance - Resolved { metric, min }, see resolveMinDistance().
+ * @param {string[]} [options.lightFixedScales=[]] - Light ramp scales that never move (base color, anchors).
+ * @param {string[]} [options.darkFixedScales=[]] - Dark ramp scales that never move.
+ * @param {Function} options.toHex - Reads a shade's sRGB HEX.
+ * @param {Function} options.nudge - (shade, scale, amount) -> shade with its lightness moved by `amount`, brought
+ *   back up to its contrast target.
+ * @returns {string[]} - Warnings for the shades there wasn't room to spread, or to give a HEX of their own.
+ */
+export function spreadRamps(lightRamp, darkRamp, { minDistance, lightFixedScales = [], darkFixedScales = [], toHex, nudge }) {
+  const hexesOf = ramp => Object.fromEntries(Object.entries(ramp).map(([scale, shade]) => [scale, toHex(shade)]));
+
+  spreadRamp(lightRamp, { minDistance, isLightRamp: true, fixedScales: lightFixedScales, takenHexes: Object.values(hexesOf(darkRamp)), toHex, nudge });
+  spreadRamp(darkRamp, { minDistance, isLightRamp: false, fixedScales: darkFixedScales, pairRamp: hexesOf(lightRamp), takenHexes: Object.values(hexesOf(lightRamp)), toHex, nudge });
+  return [
+    ...distanceWarnings(hexesOf(lightRamp), hexesOf(darkRamp), minDistance, [...lightFixedScales, ...darkFixedScales]),
+    ...duplicateWarnings(hexesOf(lightRamp), hexesOf(darkRamp), lightFixedScales, darkFixedScales)
+  ];
+}
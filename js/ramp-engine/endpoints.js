@@ -0,0 +1,77 @@
+import Color from 'colorjs.io';
+import { interpolateColors } from './interpolation.js';
+
+/* Ramp Engine - ramps between two endpoints
+   For when the lightest tint and darkest shade are known (from an illustration palette, say) rather
+   than a mid-tone: the eleven shades are blended from one to the other, and the Dark Mode ramp runs
+   the same path the other way, darkest shade first. Whichever endpoint is lighter goes at 50 of the
+   Light Mode ramp, so the endpoints can be entered in either order. The generators lock the endpoints
+   in the default ramp and run the shades between through their usual contrast pass.
+*/
+
+const SCALES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+
+/**
+ * Reads one endpoint color.
+ * @param {*} value
+ * @param {string} which - 'start' or 'end', for error messages.
+ * @returns {string} - sRGB HEX.
+ * @throws {RangeError} If it isn't a color.
+ */
+function resolveEndpoint(value, which) {
+  try {
+    return new Color(String(value).trim()).to('srgb').toGamut().toString({ format: 'hex', collapse: false });
+  } catch (e) {
+    throw new RangeError(`Invalid ${which} color "${value}". Expected a CSS color, such as #f5efe6.`);
+  }
+}
+
+/**
+ * Resolves a pair of endpoints.
+ * @param {Object|string|Array} [endpoints] - { start, end }, [start, end] or "start,end" ("#f5efe6,#2b1a0e").
+ *   Empty or null for none.
+ * @returns {{start: string, end: string}|null} - Both as sRGB HEX, in the order given.
+ * @throws {RangeError} If there aren't exactly two colors, or one isn't a color.
+ */
+export function resolveEndpoints(endpoints) {
+  if (endpoints === undefined || endpoints === null || endpoints === '' || endpoints === false) return null;
+  let pair = endpoints;
+  if (typeof endpoints === 'string') {
+    // Commas inside rgb() and the like don't separate the two colors
+    pair = endpoints.split(/,(?![^(]*\))/);
+  } else if (!Array.isArray(endpoints) && typeof endpoints === 'object') {
+    pair = [endpoints.start, endpoints.end];
+  }
+  if (!Array.isArray(pair) || pair.length !== 2 || pair.some(value => value === undefined || value === null || String(value).trim() === '')) {
+    const given = typeof endpoints === 'string' ? `"${endpoints}"` : JSON.stringify(endpoints);
+    throw new RangeError(`Invalid endpoints ${given}. Expected a start and an end color, such as "#f5efe6,#2b1a0e".`);
+  }
+  return { start: resolveEndpoint(pair[0], 'start'), end: resolveEndpoint(pair[1], 'end') };
+}
+
+/**
+ * Blends the shades of one ramp between its endpoints.
+ * @param {Object} endpoints - Resolved { start, end }.
+ * @param {Object|null} interpolation - Resolved { space, hue }, see resolveInterpolation(); null for `space`.
+ * @param {boolean} isLightRamp - Light ramps go from the lighter endpoint to the darker, dark ramps the other way.
+ * @param {string} [space='oklch'] - The ramp's space, blended in without an interpolation.
+ * @returns {Object} - Map of scale (string) -> Color.js color in the interpolation space.
+ */
+export function endpointShades({ start, end }, interpolation, isLightRamp, space = 'oklch') {
+  const [lighter, darker] = new Color(start).to('oklch').l >= new Color(end).to('oklch').l ? [start, end] : [end, start];
+  const colors = interpolateColors(lighter, darker, SCALES.length, interpolation, space);
+  if (!isLightRamp) colors.reverse();
+  return Object.fromEntries(SCALES.map((scale, i) => [scale, colors[i]]));
+}
+
+/**
+ * The color halfway between the endpoints, for what a ramp's base color stands for elsewhere
+ * (collection swatches, harmonies).
+ * @param {Object} endpoints - Resolved { start, end }.
+ * @param {Object|null} interpolation - Resolved { space, hue }, or null for `space`.
+ * @param {string} [space='oklch'] - The ramp's space.
+ * @returns {Color} - In the interpolation space.
+ */
+export function endpointMidpoint({ start, end }, interpolation, space = 'oklch') {
+  return interpolateColors(start, end, 3, interpolation, space)[1];
+}
@@ -0,0 +1,570 @@
+import tinycolor from 'tinycolor2';
+import { createRamp, parseRgbInput, resolveAnchors, migrateVibrancy, alphaRamp, SCALES, SPACES, SPACE_LABELS, GAMUTS, GAMUT_MAPPINGS } from './index.js';
+import { resolveContrast, resolveSurfaces } from './contrast.js';
+
+/* Ramp Engine - export formats
+   Builds the JSON the export modal shows (and the CLI writes) for a collection:
+   Figma paired/themed, single light/dark ramps and the restorable backup. Figma and single ramp
+   exports can add an `alpha` group: each shade's rgba() that composites to it on its surface.
+*/
+
+export const EXPORT_FORMATS = ['figma-paired', 'figma-themed', 'light ramp', 'dark ramp', 'backup'];
+
+function normalizeHex(hexValue) {
+  const v = (hexValue || '').toString().trim().toLowerCase();
+  return v.startsWith('#') ? v : `#${v}`;
+}
+
+function findScaleByHex(hexRamp, baseHex) {
+  return SCALES.find(scale => normalizeHex(hexRamp[scale]) === baseHex) || '';
+}
+
+// Scales holding the base color or an anchor are marked "500*" in exported scale keys
+function markedScaleKey(scale, baseScale, anchorScales = []) {
+  return (scale === baseScale || anchorScales.includes(scale)) ? `${scale}*` : scale;
+}
+
+/**
+ * Resolves the light/dark ramps for one saved collection color.
+ * HSL colors saved with their ramps are exported as stored; everything else is regenerated, in the
+ * space the color was saved with when it has one (the OKLCH page's LCH, HSLuv and HCT modes).
+ * Shades are 6-digit HEX strings (the sRGB fallback when a wide gamut is selected), wide shades the CSS colors in
+ * that gamut, and alpha shades rgba() strings for the ramp's surface.
+ * @param {Object} color - A collection color ({ name, base, defaultMode, vibrancy, vibrancyVersion?, hueShift?, curves?, baseScale?, anchors?, neutral?, endpoints?, interpolation?, lightRamp?, darkRamp? }).
+ * @param {string} space - The collection's space: 'hsl', or one of the Color.js spaces.
+ * @param {Object} settings - { contrast, targets, minDistance, surfaces, gamut, gamutMapping, hueProfile } for regenerated ramps.
+ * @returns {{lightRamp: Object, darkRamp: Object, lightWide: Object|null, darkWide: Object|null, lightAlpha: Object,
+ *   darkAlpha: Object, lightBaseScale: string, darkBaseScale: string, lightAnchorScales: string[],
+ *   darkAnchorScales: string[]}|null} - The wide ramps are null for sRGB.
+ */
+function resolveColorRamps(color, space, { contrast, targets, minDistance, surfaces, gamut, gamutMapping, hueProfile }) {
+  try {
+    // The OKLCH page's colors may each be generated in another Color.js space
+    if (space !== 'hsl' && color.space !== 'hsl' && SPACES.includes(color.space)) {
+      space = color.space;
+    }
+    if (space === 'hsl') {
+      const baseHex = normalizeHex(color.base);
+      let lightRamp, darkRamp;
+
+      if (color.lightRamp && color.darkRamp) {
+        lightRamp = {};
+        darkRamp = {};
+        Object.entries(color.lightRamp).forEach(([scale, hex]) => { lightRamp[scale] = tinycolor(hex).toHexString(); });
+        Object.entries(color.darkRamp).forEach(([scale, hex]) => { darkRamp[scale] = tinycolor(hex).toHexString(); });
+      } else {
+        // Legacy colors saved without ramps
+        const { light, dark } = createRamp({
+          color: parseRgbInput(color.base),
+          space,
+          defaultMode: color.defaultMode === 'dark' ? 'dark' : 'light',
+          vibrancy: color.vibrancy,
+          curves: color.curves,
+          baseScale: color.baseScale,
+          anchors: color.anchors,
+          neutral: color.neutral,
+          contrast,
+          targets,
+          minDistance,
+          surfaces,
+          hueProfile
+        });
+        lightRamp = toHexRamp(light.swatches);
+        darkRamp = toHexRamp(dark.swatches);
+      }
+
+      // Stored ramps hold the anchors exactly, wherever they were locked; matching neutrals hold neither
+      const anchors = color.neutral === undefined ? resolveAnchors(color.anchors) : {};
+      const anchorScalesIn = ramp => SCALES.filter(scale => anchors[scale] && normalizeHex(ramp[scale]) === anchors[scale]);
+      return {
+        lightRamp,
+        darkRamp,
+        lightWide: null,
+        darkWide: null,
+        lightAlpha: alphaRamp(lightRamp, surfaces.light),
+        darkAlpha: alphaRamp(darkRamp, surfaces.dark),
+        lightBaseScale: color.neutral === undefined ? findScaleByHex(lightRamp, baseHex) : '',
+        darkBaseScale: color.neutral === undefined ? findScaleByHex(darkRamp, baseHex) : '',
+        lightAnchorScales: anchorScalesIn(lightRamp),
+        darkAnchorScales: anchorScalesIn(darkRamp)
+      };
+    }
+
+    // Saved colors store `vibrancy`; very early saves used `vibrancyBoost`. Boosts saved before `vibrancyVersion`
+    // multiplied chroma, so they're converted to the boost that comes closest
+    const savedVibrancy = color.vibrancy ?? color.vibrancyBoost;
+    const { light, dark } = createRamp({
+      color: parseRgbInput(color.base),
+      space,
+      defaultMode: color.defaultMode === 'dark' ? 'dark' : 'light',
+      vibrancy: color.vibrancyVersion === undefined ? migrateVibrancy(savedVibrancy, parseRgbInput(color.base), gamut) : savedVibrancy,
+      hueShift: color.hueShift,
+      curves: color.curves,
+      baseScale: color.baseScale,
+      anchors: color.anchors,
+      neutral: color.neutral,
+      endpoints: color.endpoints,
+      interpolation: color.interpolation,
+      contrast,
+      targets,
+      minDistance,
+      surfaces,
+      gamut,
+      gamutMapping
+    });
+    return {
+      lightRamp: toHexRamp(light.swatches),
+      darkRamp: toHexRamp(dark.swatches),
+      lightWide: gamut === 'srgb' ? null : toWideRamp(light.swatches),
+      darkWide: gamut === 'srgb' ? null : toWideRamp(dark.swatches),
+      lightAlpha: toAlphaRamp(light.swatches),
+      darkAlpha: toAlphaRamp(dark.swatches),
+      lightBaseScale: light.baseScale,
+      darkBaseScale: dark.baseScale,
+      lightAnchorScales: light.anchorScales,
+      darkAnchorScales: dark.anchorScales
+    };
+  } catch (e) {
+    console.error(`Skipping invalid color in collection: "${color.name}" (base: "${color.base}")`, e);
+    return null;
+  }
+}
+
+/**
+ * Collections saved with their own text colors are evaluated against those, not the caller's.
+ * @param {Object} collection
+ * @param {Object} [contrast] - The caller's contrast setting.
+ * @returns {Object} - Resolved contrast setting.
+ */
+function resolveCollectionContrast(collection, contrast) {
+  return resolveContrast({ ...contrast, textColors: collection.textColors || contrast?.textColors });
+}
+
+/**
+ * Collections saved with their own surfaces are generated for those, not the caller's.
+ * @param {Object} collection
+ * @param {Object} [surfaces] - The caller's { light, dark } surfaces.
+ * @returns {Object} - Resolved surfaces.
+ */
+function resolveCollectionSurfaces(collection, surfaces) {
+  return resolveSurfaces(collection.surfaces || surfaces);
+}
+
+/**
+ * Collections saved with their own gamut are exported in it. HSL ramps are always sRGB.
+ * @param {Object} collection
+ * @param {string} space
+ * @param {string} [gamut] - The caller's gamut.
+ * @returns {string} - One of GAMUTS.
+ */
+function resolveCollectionGamut(collection, space, gamut) {
+  const resolved = space === 'hsl' ? 'srgb' : (collection.gamut || gamut || 'srgb');
+  if (!GAMUTS.includes(resolved)) {
+    throw new RangeError(`Unknown gamut "${resolved}". Expected one of: ${GAMUTS.join(', ')}.`);
+  }
+  return resolved;
+}
+
+/**
+ * Lists the collection-wide settings a color made with `settings` would be exported without: collections keep one
+ * text color pair, surface pair, gamut and gamut mapping for all their colors. An empty collection, and settings
+ * a collection never saved, fit anything.
+ * @param {Object} collection
+ * @param {Object} settings - { textColors, surfaces, gamut, gamutMapping } the color was made with; leave out the
+ *   gamut settings for HSL.
+ * @returns {string[]} - The settings that differ ('text colors', 'surfaces', 'gamut', 'gamut mapping'), empty when
+ *   the color fits.
+ */
+export function collectionSettingsConflicts(collection, { textColors, surfaces, gamut, gamutMapping }) {
+  if (collection.colors.length === 0) return [];
+  const samePair = (saved, current, resolve) => {
+    if (!saved) return true;
+    const a = resolve(saved);
+    const b = resolve(current);
+    return tinycolor.equals(a.light, b.light) && tinycolor.equals(a.dark, b.dark);
+  };
+  return [
+    ['text colors', samePair(collection.textColors, textColors, pair => resolveContrast({ textColors: pair }).textColors)],
+    ['surfaces', samePair(collection.surfaces, surfaces, resolveSurfaces)],
+    ['gamut', gamut === undefined || !collection.gamut || collection.gamut === gamut],
+    ['gamut mapping', gamutMapping === undefined || !collection.gamutMapping || collection.gamutMapping === gamutMapping]
+  ].filter(([, fits]) => !fits).map(([name]) => name);
+}
+
+/**
+ * Collections saved with their own gamut mapping are exported with it.
+ * @param {Object} collection
+ * @param {string} [gamutMapping] - The caller's gamut mapping.
+ * @returns {string} - One of GAMUT_MAPPINGS.
+ */
+function resolveCollectionGamutMapping(collection, gamutMapping) {
+  const resolved = collection.gamutMapping || gamutMapping || 'css';
+  if (!GAMUT_MAPPINGS.includes(resolved)) {
+    throw new RangeError(`Unknown gamut mapping "${resolved}". Expected one of: ${GAMUT_MAPPINGS.join(', ')}.`);
+  }
+  return resolved;
+}
+
+// Always the 6-digit form: the Figma plugin and most token tools don't read "#fff"
+function toHexRamp(swatches) {
+  const ramp = {};
+  Object.entries(swatches).forEach(([scale, swatch]) => { ramp[scale] = tinycolor(swatch.hex).toHexString(); });
+  return ramp;
+}
+
+function toAlphaRamp(swatches) {
+  const ramp = {};
+  Object.entries(swatches).forEach(([scale, swatch]) => { ramp[scale] = swatch.alpha; });
+  return ramp;
+}
+
+// Wide-gamut shades go in a group of their own, so tools that only read HEX keep their sRGB fallbacks
+function toWideRamp(swatches) {
+  const ramp = {};
+  Object.entries(swatches).forEach(([scale, swatch]) => { ramp[scale] = swatch.wide; });
+  return ramp;
+}
+
+/**
+ * Builds the export object for a collection.
+ * @param {Object} collection - { name, colors: [...] }
+ * @param {string} format - One of EXPORT_FORMATS.
+ * @param {Object} [options]
+ * @param {string} [options.space='oklch'] - Color space the collection was created in.
+ * @param {Object} [options.contrast] - { algorithm, target, textColors } the ramps are generated for; recorded in the output.
+ * @param {string|Object} [options.targets='uniform'] - Per-shade target table the ramps are generated for.
+ * @param {Object|string} [options.minDistance] - Minimum distance between shades regenerated ramps are spread to.
+ * @param {Object|string} [options.hueProfile] - Hue profile HSL colors saved without ramps are regenerated with.
+ * @param {Object} [options.surfaces] - { light, dark } surfaces the ramps are generated for; recorded in the output.
+ * @param {string} [options.gamut='srgb'] - Target gamut (OKLCH only); a wide gamut adds a group named after it (`p3`,
+ *   `rec2020`) holding each shade's CSS color, shaped like `colors`/`themes`, which keep the sRGB HEX fallbacks.
+ * @param {string} [options.gamutMapping='css'] - How out-of-gamut shades are brought in (OKLCH only): 'css' or 'clip'.
+ * @param {boolean} [options.alpha=false] - Add an `alpha` group holding each shade's alpha version (not backups).
+ * @returns {Object}
+ */
+export function generateJsonForFigma(collection, format, { space = 'oklch', contrast, targets, surfaces, gamut, gamutMapping, minDistance, hueProfile, alpha = false } = {}) {
+  contrast = resolveCollectionContrast(collection, contrast);
+  surfaces = resolveCollectionSurfaces(collection, surfaces);
+  gamut = resolveCollectionGamut(collection, space, gamut);
+  gamutMapping = resolveCollectionGamutMapping(collection, gamutMapping);
+  const settings = { contrast, targets, minDistance, surfaces, gamut, gamutMapping, hueProfile };
+  const output = {
+    format: format.replace('figma-', ''), // Ensure format is 'paired', 'themed', or 'backup'
+    collectionName: collection.name,
+    contrast,
+    surfaces,
+    gamut,
+    gamutMapping,
+  };
+  const colors = Array.isArray(collection.colors) ? collection.colors : [];
+
+  const wide = gamut !== 'srgb';
+
+  if (format === 'figma-paired') {
+    output.colors = {};
+    if (wide) output[gamut] = {};
+    if (alpha) output.alpha = {};
+    colors.forEach(color => {
+      const processed = resolveColorRamps(color, space, settings);
+      if (!processed) return;
+      output.colors[color.name] = {};
+      if (wide) output[gamut][color.name] = {};
+      if (alpha) output.alpha[color.name] = {};
+      SCALES.forEach(scale => {
+        output.colors[color.name][scale] = {
+          Light: processed.lightRamp[scale],
+          Dark: processed.darkRamp[scale]
+        };
+        if (wide) {
+          output[gamut][color.name][scale] = {
+            Light: processed.lightWide[scale],
+            Dark: processed.darkWide[scale]
+          };
+        }
+        if (alpha) {
+          output.alpha[color.name][scale] = {
+            Light: processed.lightAlpha[scale],
+            Dark: processed.darkAlpha[scale]
+          };
+        }
+      });
+    });
+    return output;
+  }
+
+  if (format === 'figma-themed') {
+    output.themes = { Light: {}, Dark: {} };
+    if (wide) output[gamut] = { Light: {}, Dark: {} };
+    if (alpha) output.alpha = { Light: {}, Dark: {} };
+    colors.forEach(color => {
+      const processed = resolveColorRamps(color, space, settings);
+      if (!processed) return;
+      output.themes.Light[color.name] = {};
+      output.themes.Dark[color.name] = {};
+      if (wide) {
+        output[gamut].Light[color.name] = {};
+        output[gamut].Dark[color.name] = {};
+      }
+      if (alpha) {
+        output.alpha.Light[color.name] = {};
+        output.alpha.Dark[color.name] = {};
+      }
+      SCALES.forEach(scale => {
+        const lightKey = markedScaleKey(scale, processed.lightBaseScale, processed.lightAnchorScales);
+        const darkKey = markedScaleKey(scale, processed.darkBaseScale, processed.darkAnchorScales);
+        output.themes.Light[color.name][lightKey] = processed.lightRamp[scale];
+        output.themes.Dark[color.name][darkKey] = processed.darkRamp[scale];
+        if (wide) {
+          output[gamut].Light[color.name][lightKey] = processed.lightWide[scale];
+          output[gamut].Dark[color.name][darkKey] = processed.darkWide[scale];
+        }
+        if (alpha) {
+          output.alpha.Light[color.name][lightKey] = processed.lightAlpha[scale];
+          output.alpha.Dark[color.name][darkKey] = processed.darkAlpha[scale];
+        }
+      });
+    });
+    return output;
+  }
+
+  // Single ramp exports - Light / Dark
+  if (format === 'light ramp' || format === 'dark ramp') {
+    output.colors = {};
+    if (wide) output[gamut] = {};
+    if (alpha) output.alpha = {};
+    colors.forEach(color => {
+      const processed = resolveColorRamps(color, space, settings);
+      if (!processed) return;
+      const ramp = (format === 'light ramp') ? processed.lightRamp : processed.darkRamp;
+      const wideShades = (format === 'light ramp') ? processed.lightWide : processed.darkWide;
+      const alphaShades = (format === 'light ramp') ? processed.lightAlpha : processed.darkAlpha;
+      output.colors[color.name] = {};
+      if (wide) output[gamut][color.name] = {};
+      if (alpha) output.alpha[color.name] = {};
+      SCALES.forEach(scale => {
+        output.colors[color.name][scale] = ramp[scale];
+        if (wide) output[gamut][color.name][scale] = wideShades[scale];
+        if (alpha) output.alpha[color.name][scale] = alphaShades[scale];
+      });
+    });
+    return output;
+  }
+
+  if (format === 'backup') {
+    // Backup format (full collection data for import/export between browsers)
+    return {
+      format: 'backup',
+      data: collection,
+      version: '1.0',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Default return if format is not recognized
+  return {
+    error: 'Unsupported export format',
+    format: format,
+    validFormats: EXPORT_FORMATS
+  };
+}
+
+/**
+ * Builds the export JSON string for a collection.
+ * Scale blocks are written by hand so keys keep their order ("50" … "950", including "500*").
+ * @param {Object} collection - { name, colors: [...] }
+ * @param {string} format - One of EXPORT_FORMATS.
+ * @param {Object} [options]
+ * @param {string} [options.space='oklch'] - Color space the collection was created in.
+ * @param {Object} [options.contrast] - { algorithm, target, textColors } the ramps are generated for; recorded in the output.
+ * @param {string|Object} [options.targets='uniform'] - Per-shade target table the ramps are generated for.
+ * @param {Object|string} [options.minDistance] - Minimum distance between shades regenerated ramps are spread to.
+ * @param {Object|string} [options.hueProfile] - Hue profile HSL colors saved without ramps are regenerated with.
+ * @param {Object} [options.surfaces] - { light, dark } surfaces the ramps are generated for; recorded in the output.
+ * @param {string} [options.gamut='srgb'] - Target gamut (OKLCH only); a wide gamut adds a group named after it (`p3`,
+ *   `rec2020`) holding each shade's CSS color, shaped like `colors`/`themes`, which keep the sRGB HEX fallbacks.
+ * @param {string} [options.gamutMapping='css'] - How out-of-gamut shades are brought in (OKLCH only): 'css' or 'clip'.
+ * @param {boolean} [options.alpha=false] - Add an `alpha` group holding each shade's alpha version (not backups).
+ * @returns {string}
+ */
+export function generateJsonStringForFigma(collection, format, { space = 'oklch', contrast, targets, surfaces, gamut, gamutMapping, minDistance, hueProfile, alpha = false } = {}) {
+  contrast = resolveCollectionContrast(collection, contrast);
+  surfaces = resolveCollectionSurfaces(collection, surfaces);
+  gamut = resolveCollectionGamut(collection, space, gamut);
+  gamutMapping = resolveCollectionGamutMapping(collection, gamutMapping);
+  const settings = { contrast, targets, minDistance, surfaces, gamut, gamutMapping, hueProfile };
+  const escapeJsonString = (value) => JSON.stringify(value ?? '');
+
+  const buildScaleBlock = (ramp, baseScale, anchorScales) => {
+    const lines = ['{'];
+    SCALES.forEach((scale, idx) => {
+      const key = markedScaleKey(scale, baseScale, anchorScales);
+      const comma = idx === SCALES.length - 1 ? '' : ',';
+      lines.push(`        ${escapeJsonString(key)}: ${escapeJsonString(ramp[scale])}${comma}`);
+    });
+    lines.push('      }');
+    return lines;
+  };
+
+  const headerLines = [
+    '{',
+    `  "format": ${escapeJsonString(format.replace('figma-', ''))},`,
+    `  "collectionName": ${escapeJsonString(collection.name)},`,
+    `  "contrast": { "algorithm": ${escapeJsonString(contrast.algorithm)}, "target": ${contrast.target}, "textColors": { "dark": ${escapeJsonString(contrast.textColors.dark)}, "light": ${escapeJsonString(contrast.textColors.light)} } },`,
+    `  "surfaces": { "light": ${escapeJsonString(surfaces.light)}, "dark": ${escapeJsonString(surfaces.dark)} },`,
+    `  "gamut": ${escapeJsonString(gamut)},`,
+    `  "gamutMapping": ${escapeJsonString(gamutMapping)},`
+  ];
+
+  const colors = Array.isArray(collection.colors) ? collection.colors : [];
+  const processedColors = (format === 'figma-themed' || format === 'light ramp' || format === 'dark ramp')
+    ? colors
+      .map((color) => {
+        const processed = resolveColorRamps(color, space, settings);
+        return processed ? { color, processed } : null;
+      })
+      .filter(Boolean)
+    : [];
+
+  if (format === 'figma-themed') {
+    const lines = [...headerLines, '  "themes": {', '    "Light": {'];
+
+    processedColors.forEach((item, idx) => {
+      const comma = idx === processedColors.length - 1 ? '' : ',';
+      lines.push(`      ${escapeJsonString(item.color.name)}: ${buildScaleBlock(item.processed.lightRamp, item.processed.lightBaseScale, item.processed.lightAnchorScales).join('\n')}${comma}`);
+    });
+
+    lines.push('    },', '    "Dark": {');
+
+    processedColors.forEach((item, idx) => {
+      const comma = idx === processedColors.length - 1 ? '' : ',';
+      lines.push(`      ${escapeJsonString(item.color.name)}: ${buildScaleBlock(item.processed.darkRamp, item.processed.darkBaseScale, item.processed.darkAnchorScales).join('\n')}${comma}`);
+    });
+
+    if (gamut !== 'srgb') {
+      lines.push('    }', '  },', `  ${escapeJsonString(gamut)}: {`, '    "Light": {');
+      processedColors.forEach((item, idx) => {
+        const comma = idx === processedColors.length - 1 ? '' : ',';
+        lines.push(`      ${escapeJsonString(item.color.name)}: ${buildScaleBlock(item.processed.lightWide, item.processed.lightBaseScale, item.processed.lightAnchorScales).join('\n')}${comma}`);
+      });
+      lines.push('    },', '    "Dark": {');
+      processedColors.forEach((item, idx) => {
+        const comma = idx === processedColors.length - 1 ? '' : ',';
+        lines.push(`      ${escapeJsonString(item.color.name)}: ${buildScaleBlock(item.processed.darkWide, item.processed.darkBaseScale, item.processed.darkAnchorScales).join('\n')}${comma}`);
+      });
+    }
+
+    if (alpha) {
+      lines.push('    }', '  },', '  "alpha": {', '    "Light": {');
+      processedColors.forEach((item, idx) => {
+        const comma = idx === processedColors.length - 1 ? '' : ',';
+        lines.push(`      ${escapeJsonString(item.color.name)}: ${buildScaleBlock(item.processed.lightAlpha, item.processed.lightBaseScale, item.processed.lightAnchorScales).join('\n')}${comma}`);
+      });
+      lines.push('    },', '    "Dark": {');
+      processedColors.forEach((item, idx) => {
+        const comma = idx === processedColors.length - 1 ? '' : ',';
+        lines.push(`      ${escapeJsonString(item.color.name)}: ${buildScaleBlock(item.processed.darkAlpha, item.processed.darkBaseScale, item.processed.darkAnchorScales).join('\n')}${comma}`);
+      });
+    }
+
+    lines.push('    }', '  }', '}');
+    return lines.join('\n');
+  }
+
+  if (format === 'light ramp' || format === 'dark ramp') {
+    const lines = [...headerLines, '  "colors": {'];
+
+    processedColors.forEach((item, idx) => {
+      const comma = idx === processedColors.length - 1 ? '' : ',';
+      const ramp = (format === 'light ramp') ? item.processed.lightRamp : item.processed.darkRamp;
+      const baseScale = (format === 'light ramp') ? item.processed.lightBaseScale : item.processed.darkBaseScale;
+      const anchorScales = (format === 'light ramp') ? item.processed.lightAnchorScales : item.processed.darkAnchorScales;
+      lines.push(`    ${escapeJsonString(item.color.name)}: ${buildScaleBlock(ramp, baseScale, anchorScales).join('\n')}${comma}`);
+    });
+
+    if (gamut !== 'srgb') {
+      lines.push('  },', `  ${escapeJsonString(gamut)}: {`);
+      processedColors.forEach((item, idx) => {
+        const comma = idx === processedColors.length - 1 ? '' : ',';
+        const wideShades = (format === 'light ramp') ? item.processed.lightWide : item.processed.darkWide;
+        const baseScale = (format === 'light ramp') ? item.processed.lightBaseScale : item.processed.darkBaseScale;
+        const anchorScales = (format === 'light ramp') ? item.processed.lightAnchorScales : item.processed.darkAnchorScales;
+        lines.push(`    ${escapeJsonString(item.color.name)}: ${buildScaleBlock(wideShades, baseScale, anchorScales).join('\n')}${comma}`);
+      });
+    }
+
+    if (alpha) {
+      lines.push('  },', '  "alpha": {');
+      processedColors.forEach((item, idx) => {
+        const comma = idx === processedColors.length - 1 ? '' : ',';
+        const alphaShades = (format === 'light ramp') ? item.processed.lightAlpha : item.processed.darkAlpha;
+        const baseScale = (format === 'light ramp') ? item.processed.lightBaseScale : item.processed.darkBaseScale;
+        const anchorScales = (format === 'light ramp') ? item.processed.lightAnchorScales : item.processed.darkAnchorScales;
+        lines.push(`    ${escapeJsonString(item.color.name)}: ${buildScaleBlock(alphaShades, baseScale, anchorScales).join('\n')}${comma}`);
+      });
+    }
+
+    lines.push('  }', '}');
+    return lines.join('\n');
+  }
+
+  return JSON.stringify(generateJsonForFigma(collection, format, { space, contrast, targets, minDistance, surfaces, gamut, gamutMapping, hueProfile, alpha }), null, 2);
+}
+
+/**
+ * Builds the restorable backup text shown in the export modal ("***" instructions + JSON).
+ * @param {Object} collection - The collection to back up.
+ * @param {Object} [options]
+ * @param {string} [options.space='oklch'] - Color space the collection was created in.
+ * @returns {string}
+ */
+export function generateBackupString(collection, { space = 'oklch' } = {}) {
+  const instructions = `***\nCollection Name: "${collection.name}"\nColor Space: ${SPACE_LABELS[space] || space.toUpperCase()}\n\nSave this JSON file to restore this color ramp here on Color-Ramp.com. Both ".json" or ".txt" file extensions are supported.\n\nThis JSON file is NOT to be used with the Figma plugin. For that, use the provided Dual Ramps or Single Ramp JSON formats.\n***`;
+  const collectionForBackup = {
+    ...collection,
+    tokenCount: Array.isArray(collection?.colors) ? collection.colors.length : 0,
+  };
+  const backupData = {
+    collections: [collectionForBackup]
+  };
+  return `${instructions}\n\n${JSON.stringify(backupData, null, 2)}`;
+}
+
+/**
+ * Reads a backup file (as written by generateBackupString, a bare collections array,
+ * or the older { format: 'backup', data } object).
+ * @param {string} text - File contents.
+ * @returns {{collections: Array, space: string|null}} - `space` comes from the "Color Space:" header when present.
+ * @throws {Error} If the text holds no collections.
+ */
+export function parseBackup(text) {
+  // The header holds the space's label ("OKLCH", "CIE LCH"); older files may hold its id
+  const spaceMatch = /Color Space:\s*([A-Za-z][A-Za-z ]*)/.exec(text);
+  const label = spaceMatch ? spaceMatch[1].trim().toLowerCase() : null;
+  const space = label ? (SPACES.find(id => SPACE_LABELS[id].toLowerCase() === label) || label) : null;
+
+  // The JSON part is the last non-empty chunk after splitting on the *** delimiters
+  let jsonString = text;
+  const parts = text.split('***');
+  for (let i = parts.length - 1; i >= 0; i--) {
+    const part = parts[i].trim();
+    if (part && (part.startsWith('{') || part.startsWith('['))) {
+      jsonString = part;
+      break;
+    }
+  }
+
+  const data = JSON.parse(jsonString);
+  let collections = null;
+  if (Array.isArray(data?.collections)) {
+    collections = data.collections;
+  } else if (Array.isArray(data)) {
+    collections = data;
+  } else if (data?.format === 'backup' && data.data) {
+    collections = Array.isArray(data.data) ? data.data : (Array.isArray(data.data.collections) ? data.data.collections : [data.data]);
+  }
+
+  if (!collections) {
+    throw new Error('Invalid backup format. The file must contain an array of collections.');
+  }
+  return { collections, space };
+}
@@ -0,0 +1,48 @@
+import Color from 'colorjs.io';
+
+/* Ramp Engine - color harmonies
+   Companion colors for a base color, found by rotating its OKLCH hue at constant lightness and
+   chroma, so each one reads as bright as the base. Every harmony color is a base color in its own
+   right: callers run it through createRamp() like any other.
+*/
+
+// Hue offsets (degrees) of the colors each harmony adds to the base
+export const HARMONIES = {
+  complementary: { label: 'Complementary', offsets: [180] },
+  analogous: { label: 'Analogous', offsets: [-30, 30] },
+  triadic: { label: 'Triadic', offsets: [120, 240] },
+  'split-complementary': { label: 'Split-complementary', offsets: [150, 210] },
+  tetradic: { label: 'Tetradic', offsets: [60, 180, 240] }
+};
+
+/**
+ * Finds the colors a harmony adds to a base color. Grays have no hue to rotate, so they have none.
+ * @param {string|Color} baseColor - Any CSS color string or Color.js object.
+ * @param {string} harmony - One of HARMONIES.
+ * @returns {Array<{offset: number, hex: string}>} - Each color's hue offset from the base and its sRGB HEX,
+ *   mapped into sRGB along OKLCH chroma.
+ * @throws {RangeError} If the harmony is unknown.
+ */
+export function harmonyColors(baseColor, harmony) {
+  if (!HARMONIES[harmony]) {
+    throw new RangeError(`Unknown harmony "${harmony}". Expected one of: ${Object.keys(HARMONIES).join(', ')}.`);
+  }
+  const { l, c, h } = new Color(baseColor).to('oklch');
+  if (c < 0.01 || isNaN(h)) return [];
+
+  return HARMONIES[harmony].offsets.map(offset => ({
+    offset,
+    hex: new Color('oklch', [l, c, (h + offset + 360) % 360]).toGamut({ space: 'srgb' }).to('srgb').toString({ format: 'hex', collapse: false })
+  }));
+}
+
+/**
+ * Names a harmony color after its base: "Blue complement", or "Blue triadic 2" for harmonies of several colors.
+ * @param {string} baseName - The base color's name.
+ * @param {string} harmony - One of HARMONIES.
+ * @param {number} index - The color's place in harmonyColors().
+ * @returns {string}
+ */
+export function harmonyColorName(baseName, harmony, index) {
+  return harmony === 'complementary' ? `${baseName} complement` : `${baseName} ${harmony} ${index + 1}`;
+}
@@ -0,0 +1,1653 @@
+import tinycolor from 'tinycolor2';
+import Color from 'colorjs.io';
+import { measureContrast, resolveContrast, resolveTargetTable, shadeTarget, resolveSurfaces, DEFAULT_TEXT_COLORS, DEFAULT_SURFACES, DEFAULT_CONTRAST_TARGETS } from './contrast.js';
+import { resolveCurveProfile, isLinearCurve, isFlatCurve, chromaFactorAt, anchoredProgress } from './curves.js';
+import { resolveAnchors, applyAnchors, restoreLightnessOrder } from './anchors.js';
+import { resolveNeutralTint, neutralShades, NEUTRAL_GRAY_LIGHTNESS_PROFILE, REVERSED_NEUTRAL_GRAY_LIGHTNESS_PROFILE } from './neutral.js';
+import { resolveMinDistance, spreadRamps } from './distance.js';
+import { resolveHueProfile, hueProfileSetting, DEFAULT_HUE_PROFILE } from './hue-profiles.js';
+import { resolveVibrancy, boostShade } from './vibrancy.js';
+
+/* Ramp Engine - HSL generator (Tinycolor.js)
+   Headless port of the HSL page pipeline: no DOM, no globals, no storage.
+   Every function takes its state as arguments and returns tinycolor objects.
+*/
+
+// Constants
+export const SCALES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+
+const WHITE_HEX = '#ffffff';
+const BLACK_HEX = '#000000';
+
+// --- Utility Functions ---
+/**
+ * Smooth step interpolation function for creating smooth transitions
+ * @param {number} t - Input value between 0 and 1
+ * @returns {number} - Smoothed output value between 0 and 1
+ */
+function smoothStep(t) {
+  // Clamp t to [0, 1]
+  t = Math.max(0, Math.min(1, t));
+  // Smooth step formula: 3t² - 2t³
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Determines the contrasting text color (dark or light) for a given background color.
+ * @param {Object} backgroundColor - A tinycolor object representing the background.
+ * @param {Object} [textColors] - { dark, light } text colors to choose from (black/white by default).
+ * @returns {string} - The dark text color (e.g. '#0D0D0D') or the light one (e.g. '#FFFFFF').
+ */
+export function getContrastingTextColor(backgroundColor, textColors = DEFAULT_TEXT_COLORS) {
+  const { dark: black, light: white } = textColors;
+  if (!backgroundColor || !backgroundColor.isValid()) {
+    // console.warn('Invalid background color provided to getContrastingTextColor:', backgroundColor);
+    return black; // Default to dark text if color is invalid
+  }
+
+  const readableWithBlack = tinycolor.isReadable(backgroundColor, black, { level: "AA", size: "small" });
+  const readableWithWhite = tinycolor.isReadable(backgroundColor, white, { level: "AA", size: "small" });
+
+  if (readableWithBlack && readableWithWhite) {
+    // If both are readable, pick the one with higher contrast
+    return tinycolor.readability(backgroundColor, black) > tinycolor.readability(backgroundColor, white) ? black : white;
+  } else if (readableWithBlack) {
+    return black;
+  } else if (readableWithWhite) {
+    return white;
+  } else {
+    // If neither is readable to AA, default to white on dark, black on light (fallback)
+    return backgroundColor.getLuminance() > 0.5 ? black : white;
+  }
+}
+
+/**
+ * Generates a pure grayscale ramp with a specific base color at a specific scale.
+ * All other shades are derived from a neutral gray lightness profile.
+ * @param {string} targetBaseHex - The HEX string of the base color (e.g., '#ffffff').
+ * @param {string} targetBaseScaleKey - The scale key where the targetBaseHex should be placed (e.g., '50').
+ * @param {boolean} [useReversedProfile=false] - Whether to use the reversed lightness profile.
+ * @returns {Object} - A ramp object with tinycolor objects.
+ */
+function generatePureGrayscaleRamp(targetBaseHex, targetBaseScaleKey, useReversedProfile = false) {
+  const ramp = {};
+  const profile = useReversedProfile ? REVERSED_NEUTRAL_GRAY_LIGHTNESS_PROFILE : NEUTRAL_GRAY_LIGHTNESS_PROFILE;
+  SCALES.forEach(scaleKey => {
+    if (scaleKey === targetBaseScaleKey) {
+      ramp[scaleKey] = tinycolor(targetBaseHex);
+    } else {
+      ramp[scaleKey] = tinycolor({ h: 0, s: 0, l: profile[scaleKey] });
+    }
+  });
+  return ramp;
+}
+
+/**
+ * Determine the best scale for a color based on its lightness
+ * @param {Object} color - TinyColor object
+ * @param {Boolean} isDarkMode - Whether we're generating a dark mode ramp
+ * @returns {String} - The scale that best matches the color's lightness
+ */
+function determineBaseScale(color, isDarkMode = false) {
+  const lightness = color.toHsl().l;
+
+  // Define lightness ranges for each scale
+  const lightModeScales = {
+    '50': { min: 0.95, max: 1.00 },
+    '100': { min: 0.90, max: 0.95 },
+    '200': { min: 0.80, max: 0.90 },
+    '300': { min: 0.70, max: 0.80 },
+    '400': { min: 0.60, max: 0.70 },
+    '500': { min: 0.50, max: 0.60 },
+    '600': { min: 0.40, max: 0.50 },
+    '700': { min: 0.30, max: 0.40 },
+    '800': { min: 0.20, max: 0.30 },
+    '900': { min: 0.10, max: 0.20 },
+    '950': { min: 0.00, max: 0.10 }
+  };
+
+  const darkModeScales = {
+    '950': { min: 0.95, max: 1.00 },
+    '900': { min: 0.90, max: 0.95 },
+    '800': { min: 0.80, max: 0.90 },
+    '700': { min: 0.70, max: 0.80 },
+    '600': { min: 0.60, max: 0.70 },
+    '500': { min: 0.50, max: 0.60 },
+    '400': { min: 0.40, max: 0.50 },
+    '300': { min: 0.30, max: 0.40 },
+    '200': { min: 0.20, max: 0.30 },
+    '100': { min: 0.10, max: 0.20 },
+    '50': { min: 0.00, max: 0.10 }
+  };
+
+  const scales = isDarkMode ? darkModeScales : lightModeScales;
+
+  // Find the scale that matches the color's lightness
+  for (const scale in scales) {
+    const { min, max } = scales[scale];
+    if (lightness >= min && lightness < max) {
+      return scale;
+    }
+  }
+
+  // Default to 500 if no match is found
+  return '500';
+}
+
+/**
+ * Radical solution to ensure absolute uniqueness of all colors across both ramps
+ * This function will detect and fix any duplicate colors with increasingly aggressive methods
+ * @param {Object} lightRamp - The light mode color ramp
+ * @param {Object} darkRamp - The dark mode color ramp
+ * @returns {Object} - Object containing deduplicated light and dark ramps
+ */
+function guaranteeUniqueColors(lightRamp, darkRamp) {
+  // Debug: Ensuring color uniqueness across ramps
+
+  // Step 1: Create a map of all existing colors for tracking
+  const colorMap = new Map();
+  const allColors = [];
+
+  // Helper function to add a color to our tracking structures
+  function trackColor(color, rampType, scale) {
+    const hex = color.toHexString();
+    const info = { hex, rampType, scale, color };
+    colorMap.set(hex, info);
+    allColors.push(info);
+  }
+
+  // Track all light ramp colors
+  SCALES.forEach(scale => {
+    if (lightRamp[scale]) {
+      trackColor(lightRamp[scale], 'light', scale);
+    }
+  });
+
+  // Track all dark ramp colors
+  SCALES.forEach(scale => {
+    if (darkRamp[scale]) {
+      trackColor(darkRamp[scale], 'dark', scale);
+    }
+  });
+
+  // Step 2: Find and fix duplicates
+  const seen = new Set();
+  const duplicates = [];
+
+  allColors.forEach(info => {
+    if (seen.has(info.hex)) {
+      duplicates.push(info);
+    } else {
+      seen.add(info.hex);
+    }
+  });
+
+  // If there are duplicates, fix them
+  if (duplicates.length > 0) {
+    duplicates.forEach(info => {
+      const { rampType, scale, color } = info;
+      const scaleNum = parseInt(scale);
+      const hsl = color.toHsl();
+
+      // Check if this is a grayscale color
+      const isGrayscale = hsl.s < 0.05;
+
+      // Determine which direction to adjust based on scale and ramp type
+      let lightnessAdjustment, saturationAdjustment, hueAdjustment;
+
+      if (rampType === 'light') {
+        // For light ramp: lower scales get lighter, higher scales get darker
+        lightnessAdjustment = scaleNum <= 500 ? 0.1 : -0.1;
+        saturationAdjustment = scaleNum <= 500 ? -0.1 : 0.1;
+      } else {
+        // For dark ramp: higher scales get lighter, lower scales get darker
+        lightnessAdjustment = scaleNum >= 500 ? 0.1 : -0.1;
+        saturationAdjustment = scaleNum >= 500 ? -0.1 : 0.1;
+      }
+
+      // Try increasingly aggressive adjustments until we get a unique color
+      let newColor = color;
+      let newHex = info.hex;
+      let attempts = 0;
+      const maxAttempts = 10;
+
+      while (seen.has(newHex) && attempts < maxAttempts) {
+        attempts++;
+
+        if (isGrayscale) {
+          // For grayscale colors, ONLY adjust lightness
+          const currentLightnessAdjustment = lightnessAdjustment * attempts * 0.01;
+          const newLightness = Math.max(0.10, Math.min(0.985, hsl.l + currentLightnessAdjustment));
+          newColor = tinycolor({ h: 0, s: 0, l: newLightness });
+        } else {
+          // For colored inputs, adjust saturation and hue as before
+          const currentLightnessAdjustment = lightnessAdjustment * attempts;
+          const currentSaturationAdjustment = saturationAdjustment * (attempts > 3 ? (attempts - 2) : 0);
+          hueAdjustment = attempts > 6 ? (attempts - 5) * 5 : 0;
+
+          const newLightness = Math.max(0.05, Math.min(0.95, hsl.l + currentLightnessAdjustment));
+          const newSaturation = Math.max(0.05, Math.min(0.95, hsl.s + currentSaturationAdjustment));
+          const newHue = (hsl.h + hueAdjustment) % 360;
+
+          newColor = tinycolor({ h: newHue, s: newSaturation, l: newLightness });
+        }
+
+        newHex = newColor.toHexString();
+      }
+
+      // If we still have a duplicate after max attempts, use a nuclear option
+      if (seen.has(newHex)) {
+        if (isGrayscale) {
+          // For grayscale, just use a random lightness
+          const newLightness = rampType === 'light' ?
+            (scaleNum <= 500 ? 0.8 + (Math.random() * 0.15) : 0.1 + (Math.random() * 0.2)) :
+            (scaleNum >= 500 ? 0.7 + (Math.random() * 0.28) : 0.1 + (Math.random() * 0.2));
+          newColor = tinycolor({ h: 0, s: 0, l: Math.min(0.985, newLightness) });
+        } else {
+          // Nuclear option for colored inputs
+          const hueShift = 30 + (Math.random() * 60);
+          const newHue = (hsl.h + hueShift) % 360;
+          const newSaturation = 0.5 + (Math.random() * 0.4);
+          const newLightness = rampType === 'light' ?
+            (scaleNum <= 500 ? 0.8 + (Math.random() * 0.15) : 0.1 + (Math.random() * 0.2)) :
+            (scaleNum >= 500 ? 0.8 + (Math.random() * 0.15) : 0.1 + (Math.random() * 0.2));
+
+          newColor = tinycolor({ h: newHue, s: newSaturation, l: newLightness });
+        }
+        newHex = newColor.toHexString();
+      }
+
+      // Update the color in the appropriate ramp
+      if (rampType === 'light') {
+        lightRamp[scale] = newColor;
+      } else {
+        darkRamp[scale] = newColor;
+      }
+
+      // Add the new color to our seen set
+      seen.add(newHex);
+    });
+  } else {
+    // Debug: No duplicate colors found
+  }
+
+  // The 'seen' set now contains all unique hex codes from both ramps.
+  return { lightRamp, darkRamp, seenSet: seen };
+}
+
+/**
+ * Ensures that the 950 shade in the light ramp has a higher contrast ratio than the 900 shade,
+ * and that the 950 shade remains unique.
+ * @param {Object} lightRamp - The light mode color ramp, already de-duplicated by guaranteeUniqueColors.
+ * @param {Set<string>} seenHexSet - A set of all unique hex codes from both ramps.
+ * @param {string} [lightSurface] - The Light Mode surface the contrast is measured against.
+ * @returns {Object} - The modified lightRamp.
+ */
+function ensureLightRamp950ContrastAndUniqueness(lightRamp, seenHexSet, lightSurface = DEFAULT_SURFACES.light) {
+  if (!lightRamp['950'] || !lightRamp['900']) {
+    console.warn('Light ramp 950 or 900 not found, skipping terminal contrast adjustment.');
+    return lightRamp;
+  }
+
+  const bgLight = tinycolor(lightSurface);
+  let color950 = lightRamp['950'];
+  const color900 = lightRamp['900'];
+  const originalHex950 = color950.toHexString();
+  let contrast950 = tinycolor.readability(bgLight, color950);
+  const contrast900 = tinycolor.readability(bgLight, color900);
+
+  if (contrast950 <= contrast900) {
+    let hsl950 = color950.toHsl();
+    let attempts = 0;
+    const maxContrastAttempts = 15;
+
+    while (contrast950 <= contrast900 && attempts < maxContrastAttempts) {
+      attempts++;
+      hsl950.l = Math.max(0.01, hsl950.l - (0.005 + 0.001 * attempts)); // Gradually decrease lightness
+      hsl950.s = Math.min(1.0, hsl950.s + (0.002 + 0.0005 * attempts)); // Slightly increase saturation
+      color950 = tinycolor(hsl950);
+      contrast950 = tinycolor.readability(bgLight, color950);
+    }
+    lightRamp['950'] = color950;
+    if (contrast950 <= contrast900) {
+      console.warn(`  Light Ramp: Could not sufficiently adjust 950 contrast. Final: ${contrast950.toFixed(2)}`);
+    }
+  }
+
+  // Uniqueness check for the (potentially) modified color950
+  const finalAdjustedHex950 = color950.toHexString();
+
+  // If 950 changed, remove its original hex from seen set (if it was there) and check new one.
+  if (finalAdjustedHex950 !== originalHex950) {
+    seenHexSet.delete(originalHex950);
+  }
+
+  if (seenHexSet.has(finalAdjustedHex950)) {
+    let uniqueAttempts = 0;
+    const maxUniqueAttempts = 10;
+    let current950ForUniqueness = color950.clone();
+    let currentHexForUniqueness = finalAdjustedHex950;
+
+    while (seenHexSet.has(currentHexForUniqueness) && uniqueAttempts < maxUniqueAttempts) {
+      uniqueAttempts++;
+      let hsl = current950ForUniqueness.toHsl();
+      // Try small hue shift first, then tiny lightness adjustment if hue shift fails
+      if (uniqueAttempts <= 5) {
+        hsl.h = (hsl.h + uniqueAttempts * 2) % 360;
+      } else {
+        // Try to adjust lightness slightly, ensuring it doesn't make contrast worse than 900
+        // This is a delicate balance: aim for darker if possible
+        const L_ADJUST = 0.002 * (uniqueAttempts - 5);
+        const potentialLighterL = Math.min(0.99, hsl.l + L_ADJUST);
+        const potentialDarkerL = Math.max(0.01, hsl.l - L_ADJUST);
+
+        const colorTryDarker = tinycolor({ ...hsl, l: potentialDarkerL });
+        const contrastTryDarker = tinycolor.readability(bgLight, colorTryDarker);
+
+        if (contrastTryDarker > contrast900) {
+          hsl.l = potentialDarkerL;
+        } else {
+          // Fallback: if making it darker hurts contrast too much, try making it slightly lighter
+          // Or, if it was already very dark, a tiny bit lighter might be okay.
+          hsl.l = potentialLighterL;
+        }
+      }
+      current950ForUniqueness = tinycolor(hsl);
+      currentHexForUniqueness = current950ForUniqueness.toHexString();
+    }
+
+    if (seenHexSet.has(currentHexForUniqueness)) {
+      let hsl = current950ForUniqueness.toHsl();
+      hsl.h = (hsl.h + Math.random() * 10 - 5) % 360;
+      hsl.s = Math.max(0.05, Math.min(0.95, hsl.s + Math.random() * 0.1 - 0.05));
+      // Try to keep lightness dark for 950
+      hsl.l = Math.max(0.01, Math.min(0.3, hsl.l + Math.random() * 0.02 - 0.01));
+      current950ForUniqueness = tinycolor(hsl);
+      currentHexForUniqueness = current950ForUniqueness.toHexString();
+    }
+
+    lightRamp['950'] = current950ForUniqueness;
+    color950 = current950ForUniqueness; // update color950 to the latest unique version
+  }
+
+  // Add the final version of 950's hex to the seen set
+  seenHexSet.add(color950.toHexString());
+
+  return lightRamp;
+}
+
+/**
+ * Adjusts the 100 shade in the dark ramp to create a smoother lightness transition
+ * between the 50, 100, and 200 shades. It positions L(100) proportionally
+ * between L(50) and L(200), ensuring it remains distinctly lighter than L(50)
+ * and distinctly darker than L(200).
+ * @param {Object} darkRamp - The dark mode color ramp.
+ * @returns {Object} - The modified darkRamp.
+ */
+function adjustDarkRamp100Shade(darkRamp) {
+  const color50 = darkRamp['50'];
+  const color100_obj = darkRamp['100']; // Use a different name to avoid confusion with its HSL properties
+  const color200 = darkRamp['200'];
+
+  if (!color50 || !color100_obj || !color200) {
+    return darkRamp;
+  }
+
+  const l50 = color50.toHsl().l;
+  const l100_initial = color100_obj.toHsl().l;
+  const l200 = color200.toHsl().l;
+
+  // Position L100 proportionally: 1/3rd of the way from L50 to L200
+  const rawTargetL100 = l50 + (l200 - l50) * 0.33;
+  let targetL100 = rawTargetL100;
+
+  // Define strict separation bounds for L100
+  const minL100_bound = l50 + 0.015; // Must be at least 1.5% lighter than L50
+  const maxL100_bound = l200 - 0.015; // Must be at least 1.5% darker than L200
+
+  // Clamp the targetL100 to these separation bounds
+  targetL100 = Math.max(minL100_bound, targetL100);
+  targetL100 = Math.min(maxL100_bound, targetL100);
+
+  // Ensure targetL100 is within absolute valid lightness range
+  targetL100 = Math.max(0.001, Math.min(0.999, targetL100));
+
+  // Only apply if the bounds are valid and the change is significant
+  if (maxL100_bound > minL100_bound && Math.abs(l100_initial - targetL100) > 0.001) {
+    const originalHsl100 = color100_obj.toHsl();
+    darkRamp['100'] = tinycolor({ ...originalHsl100, l: targetL100 });
+  }
+  return darkRamp;
+}
+
+/**
+ * Creates a slightly varied base color for the non-default ramp.
+ * @param {tinycolor} originalBaseColor - The original input base color.
+ * @param {boolean} isVariationForLightRamp - True if the variation is for the light ramp's base, false for dark ramp's base.
+ * @returns {tinycolor} - The varied color.
+ */
+function createVariedBaseColor(originalBaseColor, isVariationForLightRamp) {
+  const hsl = originalBaseColor.toHsl();
+  if (isVariationForLightRamp) { // Dark is default, creating variation for Light ramp's base
+    hsl.l = Math.min(0.95, hsl.l + 0.03); // Slightly lighter
+    hsl.s = Math.min(1.00, hsl.s + 0.03); // Slightly more saturated
+  } else { // Light is default, creating variation for Dark ramp's base
+    hsl.l = Math.max(0.05, hsl.l - 0.03); // Slightly darker
+    hsl.s = Math.max(0.00, hsl.s - 0.03); // Slightly less saturated
+  }
+  if (isNaN(hsl.h) && originalBaseColor.toHsl().s === 0) {
+    hsl.h = originalBaseColor.toHsl().h;
+  } else if (isNaN(hsl.h)) {
+    hsl.h = 0;
+  }
+
+  const variedColor = tinycolor(hsl);
+  if (originalBaseColor.toHsl().s < 0.01) {
+    const variedHsl = variedColor.toHsl();
+    const originalHue = originalBaseColor.toHsl().h;
+    return tinycolor({ h: (isNaN(originalHue) ? 0 : originalHue), s: 0, l: variedHsl.l });
+  }
+  return variedColor;
+}
+
+/**
+ * Globally lightens all shades in the dark ramp by a small amount.
+ * @param {Object} darkRamp - The dark mode color ramp.
+ * @param {boolean} isDefaultDarkRamp - Whether the dark ramp is the default one.
+ * @param {string} baseScaleOfDefaultDarkRamp - The scale of the base color if dark ramp is default.
+ * @param {number} [amount=0.01] - The amount to increase lightness by (0.0 to 1.0).
+ * @returns {Object} - The modified darkRamp with lighter shades.
+ */
+function globallyLightenDarkRamp(darkRamp, isDefaultDarkRamp, baseScaleOfDefaultDarkRamp, amount = 0.01) {
+  const lightenedDarkRamp = {};
+  for (const scale in darkRamp) {
+    if (Object.hasOwnProperty.call(darkRamp, scale)) {
+      const color = darkRamp[scale];
+      if (isDefaultDarkRamp && scale === baseScaleOfDefaultDarkRamp) {
+        lightenedDarkRamp[scale] = color;
+      } else {
+        const originalHsl = color.toHsl();
+        let newLightness = originalHsl.l + amount;
+
+        // Check if this is a grayscale color
+        const isGrayscale = originalHsl.s < 0.05;
+
+        if (newLightness >= 0.99) { // Check if new lightness is approaching or exceeding 99%
+          if (isGrayscale) {
+            // For grayscale colors, cap just below pure white to avoid #FFF
+            lightenedDarkRamp[scale] = tinycolor({ h: 0, s: 0, l: 0.985 });
+          } else if (originalHsl.s >= 0.05) { // If it's a colored input
+            // Cap lightness at 0.99 for colored inputs to prevent becoming pure white
+            lightenedDarkRamp[scale] = tinycolor({ h: originalHsl.h, s: originalHsl.s, l: Math.min(0.99, newLightness) });
+          } else { // Near-grayscale but not reaching full white (e.g. L=0.99 for a gray)
+            lightenedDarkRamp[scale] = tinycolor({ h: originalHsl.h, s: originalHsl.s, l: Math.min(0.99, newLightness) });
+          }
+        } else { // If newLightness is safely below 0.99
+          if (isGrayscale) {
+            // Ensure grays remain pure and cap at our max range
+            lightenedDarkRamp[scale] = tinycolor({ h: 0, s: 0, l: Math.min(0.985, newLightness) });
+          } else {
+            lightenedDarkRamp[scale] = tinycolor({ h: originalHsl.h, s: originalHsl.s, l: newLightness });
+          }
+        }
+      }
+    }
+  }
+  return lightenedDarkRamp;
+}
+
+/**
+ * How far a custom surface's HSL lightness is from the default one, so the shades next to it move with it.
+ * @param {string} surface
+ * @param {string} mode - 'light' or 'dark'.
+ * @returns {number}
+ */
+function surfaceLightnessShift(surface, mode) {
+  return tinycolor(surface).toHsl().l - tinycolor(DEFAULT_SURFACES[mode]).toHsl().l;
+}
+
+/**
+ * Generates a light mode color ramp with exact input color at the dynamically determined base scale
+ * and fixed lightness values for lighter shades
+ * @param {Object} baseColor - The base tinycolor object
+ * @param {string} [lightSurface] - The Light Mode surface; the 50 shade sits just below it
+ * @param {Object} [hueProfile] - Resolved hue profile; hues with a darkening step darken by it below the base
+ */
+function generateLightRampWithExactBase(baseColor, lightSurface = DEFAULT_SURFACES.light, hueProfile = DEFAULT_HUE_PROFILE) {
+  const ramp = {};
+
+  // Determine the best scale for this color in light mode
+  const dynamicBaseScale = determineBaseScale(baseColor, false);
+
+  // Extract the base color's HSL values
+  const baseHsl = baseColor.toHsl();
+  let baseH = baseHsl.h;
+  let baseS = baseHsl.s;
+  let baseL = baseHsl.l;
+
+  // Handle extreme colors (white, black, very light, very dark)
+  const isExtremeColor = baseL > 0.95 || baseL < 0.1 || baseS < 0.05;
+
+  // For extreme colors, adjust saturation and lightness to get better ramps
+  if (isExtremeColor) {
+    if (baseL > 0.95) { // White or very light colors
+      // For white or near-white, use a very light gray with slight hue
+      baseL = 0.9;
+      baseS = Math.max(0.1, baseS);
+    } else if (baseL < 0.1) { // Black or very dark colors
+      // For black or near-black, use a dark gray with slight hue
+      baseL = 0.15;
+      baseS = Math.max(0.1, baseS);
+    } else if (baseS < 0.05) { // Grayscale colors (like #ccc, #ddd, #eee)
+      // For grayscale, keep them as pure grayscale (do NOT add saturation)
+      baseS = 0;
+      baseH = 0; // Explicitly set hue to 0 for grayscale
+    }
+  }
+
+  // Define reference lightness values for light mode scales
+  const referenceLightness = {
+    '50': 0.97,   // Almost white
+    '100': 0.92,
+    '200': 0.85,
+    '300': 0.75,
+    '400': 0.65,
+    '500': 0.55,  // Middle reference
+    '600': 0.45,
+    '700': 0.35,
+    '800': 0.25,
+    '900': 0.15,
+    '950': 0.08   // Almost black
+  };
+
+  // Off-white surfaces pull the shades lighter than 500 down with them, 50 the most
+  const surfaceShift = surfaceLightnessShift(lightSurface, 'light');
+  if (surfaceShift !== 0) {
+    ['50', '100', '200', '300', '400'].forEach(scale => {
+      const weight = (referenceLightness[scale] - referenceLightness['500']) / (referenceLightness['50'] - referenceLightness['500']);
+      referenceLightness[scale] = Math.max(0.05, Math.min(0.99, referenceLightness[scale] + surfaceShift * weight));
+    });
+  }
+
+  // Generate colors for each scale
+  SCALES.forEach(scale => {
+    let currentColor;
+
+    if (scale === dynamicBaseScale && !isExtremeColor) {
+      // For the dynamic base scale, use the exact input color (unless extreme)
+      currentColor = baseColor.clone();
+    } else {
+      // For all other scales or when handling extreme colors,
+      // use a linear interpolation approach
+      const scaleNum = parseInt(scale);
+      const scaleIndex = SCALES.indexOf(scale);
+
+      // Get the reference lightness for this scale
+      const refL = referenceLightness[scale];
+
+      // Determine target lightness based on color type
+      let targetL;
+
+      if (isExtremeColor) {
+        // For extreme colors, use the reference values directly
+        // with slight adjustments to ensure proper progression
+        targetL = refL;
+      } else {
+        // For normal colors, use a mix of reference and proportional values
+        const baseScaleNum = parseInt(dynamicBaseScale);
+        const baseScaleRefL = referenceLightness[dynamicBaseScale];
+
+        if (scaleNum < baseScaleNum) {
+          // For scales lighter than base, use fixed lightness values
+          targetL = refL;
+        } else if (scaleNum > baseScaleNum) {
+          // For scales darker than base, ensure proper progression
+          // Handle different hue ranges differently, as the hue profile says
+          const darkeningPerStep = hueProfileSetting(hueProfile, baseH, 'lightDarkeningStep');
+
+          if (darkeningPerStep !== null) {
+            // For problematic colors, use a linear approach
+            const steps = scaleIndex - SCALES.indexOf(dynamicBaseScale);
+            targetL = Math.max(0.05, baseL - (steps * darkeningPerStep));
+          } else {
+            // For other colors, use a mix of fixed and proportional
+            const ratio = refL / baseScaleRefL;
+            targetL = Math.max(0.05, Math.min(refL, baseL * ratio));
+          }
+        } else {
+          // This is the base scale
+          targetL = baseL;
+        }
+      }
+
+      // Create the color with the calculated lightness
+      currentColor = tinycolor({ h: baseH, s: baseS, l: targetL });
+    }
+
+    // If the input baseColor to this function was gray, ensure currentColor is also pure gray.
+    if (baseColor.toHsl().s < 0.01) {
+      const currentHsl = currentColor.toHsl();
+      const originalHue = baseColor.toHsl().h; // Preserve hue of input gray
+      currentColor = tinycolor({ h: (isNaN(originalHue) ? 0 : originalHue), s: 0, l: currentHsl.l });
+    }
+    ramp[scale] = currentColor;
+  });
+
+  return ramp;
+}
+
+/**
+ * Generate a dark mode color ramp with exact input color at the dynamically determined base scale
+ * Uses a consistent approach for all colors with simplified special case handling
+ * @param {Object} baseColor - The base tinycolor object
+ * @param {Object} [textColors] - { dark, light } text colors the AA check runs against
+ * @param {string} [darkSurface] - The Dark Mode surface; the 50 shade sits just above it
+ * @param {Object} [hueProfile] - Resolved hue profile, for the saturation floor of the base color's hue
+ */
+function generateDarkRampWithExactBase(baseColor, textColors = DEFAULT_TEXT_COLORS, darkSurface = DEFAULT_SURFACES.dark, hueProfile = DEFAULT_HUE_PROFILE) {
+  const ramp = {};
+  let baseHsl = baseColor.toHsl();
+  let { h: baseH, s: baseS, l: baseL } = baseHsl;
+
+  // Determine the best scale for this color in dark mode
+  const dynamicBaseScale = determineBaseScale(baseColor, true);
+
+  // Minimum saturation for the base color's hue (higher for blues, for one)
+  const minSaturation = hueProfileSetting(hueProfile, baseH, 'darkMinSaturation');
+
+  // Handle extreme colors (white, black, very light, very dark, low saturation)
+  const isGrayscale = baseS < 0.05; // Consider very low saturation as grayscale
+  const isExtremeColor = baseL > 0.95 || baseL < 0.1 || isGrayscale;
+
+  // Normalize the base color for ramp generation
+  if (isExtremeColor) {
+    if (isGrayscale) {
+      baseS = 0;
+      baseH = 0; // Explicitly set hue to 0 for grayscale
+      // Keep grayscale baseL within safe bounds [0.05, 0.985]
+      baseL = Math.max(0.05, Math.min(0.985, baseL));
+    } else if (baseL > 0.95) { // White or very light colors
+      baseL = 0.85; // Start darker than pure white
+      baseS = Math.max(0.3, baseS); // Ensure minimum saturation
+    } else if (baseL < 0.1) { // Black or very dark colors
+      baseL = 0.15; // Start slightly above pure black
+      baseS = Math.max(0.3, baseS); // Ensure minimum saturation
+    }
+  }
+
+  // Apply minimum saturation if needed for special colors (like blues), but NOT for grayscale
+  if (!isGrayscale) {
+    baseS = Math.max(minSaturation, baseS);
+  }
+
+  // Create smooth lightness progression based on the base color's lightness
+  const normalizedBaseL = Math.max(0.1, Math.min(0.9, baseL));
+
+  // Define the lightness range for dark mode (darker at bottom, lighter at top)
+  // Darkest shade (50) should be slightly lighter than light mode's darkest (0.08),
+  // and keep the same distance from the Dark Mode surface as from the default one
+  const minLightness = Math.max(0.02, Math.min(0.5, 0.10 + surfaceLightnessShift(darkSurface, 'dark')));
+  // Lightest shade (950) should be slightly lighter than light mode's lightest (0.97), but avoid pure white
+  const maxLightness = isGrayscale ? 0.985 : 0.95;
+
+  // Calculate smooth progression with the base color anchored at 500
+  // Calculate smooth progression with the base color anchored at its actual scale
+  const basePosition = SCALES.indexOf(dynamicBaseScale);
+  const totalSteps = SCALES.length - 1; // 10 steps total (0-10)
+
+  // Create smooth lightness curve with base color properly positioned
+  const lightnessValues = {};
+  SCALES.forEach((scale, index) => {
+    if (scale === dynamicBaseScale && !isExtremeColor) {
+      // Anchor the base color at its actual lightness
+      lightnessValues[scale] = normalizedBaseL;
+    } else {
+      // Create smooth progression around the base
+      const relativePosition = index / totalSteps; // 0 to 1
+      const baseRelativePosition = basePosition / (totalSteps || 1); // Avoid division by zero
+
+      let targetL;
+      if (relativePosition <= baseRelativePosition) {
+        // Below base: interpolate from min to base
+        const t = baseRelativePosition > 0 ? relativePosition / baseRelativePosition : 1;
+        targetL = minLightness + (normalizedBaseL - minLightness) * smoothStep(t);
+      } else {
+        // Above base: interpolate from base to max
+        const denominator = (1 - baseRelativePosition);
+        const t = denominator > 0 ? (relativePosition - baseRelativePosition) / denominator : 1;
+        targetL = normalizedBaseL + (maxLightness - normalizedBaseL) * smoothStep(t);
+      }
+
+      lightnessValues[scale] = Math.max(0.001, Math.min(0.999, targetL));
+    }
+  });
+
+  // Generate colors for each scale
+  SCALES.forEach(scale => {
+    let targetL = lightnessValues[scale];
+
+    // Start with the base color's saturation
+    let targetS = baseS;
+
+    // Create the color with the same hue and saturation as the base
+    let color = tinycolor({ h: baseH, s: targetS, l: targetL });
+
+    // For the base scale, use the exact input color (with any normalization applied)
+    if (scale === dynamicBaseScale && !isExtremeColor) {
+      color = tinycolor({ h: baseH, s: baseS, l: baseL });
+    }
+
+    // Ensure grayscale colors stay grayscale
+    if (isGrayscale) {
+      color = tinycolor({ h: 0, s: 0, l: targetL });
+    }
+
+    // Check contrast and adjust if needed for AA compliance
+    const blackContrast = calculateContrastRatio(color, tinycolor(textColors.dark));
+    const whiteContrast = calculateContrastRatio(color, tinycolor(textColors.light));
+    const bestContrast = Math.max(blackContrast, whiteContrast);
+    const AA_MIN_CONTRAST = 4.5;
+    const EPSILON = 0.02;
+
+    // If contrast is too low, adjust to meet AA standards
+    if (bestContrast < AA_MIN_CONTRAST - EPSILON) {
+      const hsl = color.toHsl();
+      let adjustedS = hsl.s;
+      let adjustedL = hsl.l;
+      let adjustedColor = color.clone();
+
+      if (isGrayscale) {
+        // For grayscale colors, ONLY adjust lightness, never saturation
+        // Determine if we need to lighten or darken
+        if (blackContrast > whiteContrast) {
+          // Better contrast with black text, so lighten the background
+          adjustedL = Math.min(0.985, adjustedL + 0.1);
+        } else {
+          // Better contrast with white text, so darken the background
+          adjustedL = Math.max(0.10, adjustedL - 0.1);
+        }
+        adjustedColor = tinycolor({ h: 0, s: 0, l: adjustedL });
+      } else {
+        // For colored inputs, try increasing saturation first (preserves lightness)
+        adjustedS = Math.min(1, adjustedS * 1.5);
+        adjustedColor = tinycolor({ h: hsl.h, s: adjustedS, l: adjustedL });
+
+        // If still not enough contrast, adjust lightness slightly
+        if (Math.max(
+          calculateContrastRatio(adjustedColor, tinycolor(textColors.dark)),
+          calculateContrastRatio(adjustedColor, tinycolor(textColors.light))
+        ) < AA_MIN_CONTRAST - EPSILON) {
+          adjustedL = adjustedL > 0.5 ?
+            Math.max(0.05, adjustedL - 0.1) :
+            Math.min(0.95, adjustedL + 0.1);
+          adjustedColor = tinycolor({ h: hsl.h, s: adjustedS, l: adjustedL });
+        }
+      }
+
+      color = adjustedColor;
+    }
+
+    // Store the final color
+    ramp[scale] = color;
+  });
+
+  return ramp;
+}
+
+/**
+ * Calculate the contrast ratio between two colors
+ * Based on WCAG 2.0 formula: https://www.w3.org/TR/WCAG20-TECHS/G17.html
+ */
+export function calculateContrastRatio(color1, color2) {
+  // Get relative luminance for both colors
+  const getLuminance = (color) => {
+    const rgb = color.toRgb();
+
+    // Convert RGB to linear values
+    let r = rgb.r / 255;
+    let g = rgb.g / 255;
+    let b = rgb.b / 255;
+
+    // Apply gamma correction
+    r = r <= 0.03928 ? r / 12.92 : Math.pow((r + 0.055) / 1.055, 2.4);
+    g = g <= 0.03928 ? g / 12.92 : Math.pow((g + 0.055) / 1.055, 2.4);
+    b = b <= 0.03928 ? b / 12.92 : Math.pow((b + 0.055) / 1.055, 2.4);
+
+    // Calculate luminance
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  };
+
+  const luminance1 = getLuminance(color1);
+  const luminance2 = getLuminance(color2);
+
+  // Calculate contrast ratio
+  const lighter = Math.max(luminance1, luminance2);
+  const darker = Math.min(luminance1, luminance2);
+
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Force dark mode colors to be distinctly different from light mode colors
+ * This is a more aggressive approach to ensure no duplicates between ramps
+ * @param {Object} lightRamp - The light mode color ramp
+ * @param {Object} darkRamp - The dark mode color ramp
+ */
+function forceDarkModeDistinctness(lightRamp, darkRamp) {
+  // Debug logging for dark mode distinctness
+
+  // Create a map of all light mode colors for quick lookup
+  const lightModeColors = {};
+  SCALES.forEach(scale => {
+    if (!lightRamp[scale]) return;
+    lightModeColors[lightRamp[scale].toHexString()] = scale;
+  });
+
+  // First pass: Check each dark mode color against all light mode colors
+  // and darken any that match or are too similar
+  SCALES.forEach(scale => {
+    if (!darkRamp[scale]) return;
+
+    const darkColor = darkRamp[scale];
+    const darkHex = darkColor.toHexString();
+
+    // If this exact color exists in light mode, darken it significantly
+    if (lightModeColors[darkHex]) {
+      const matchingLightScale = lightModeColors[darkHex];
+
+      // Darken by a significant amount based on scale
+      const hsl = darkColor.toHsl();
+      const scaleNum = parseInt(scale);
+
+      // Darker scales need more adjustment to maintain progression
+      // But scales 900 and 950 should remain very light
+      let darkeningAmount;
+      if (scaleNum <= 300) {
+        darkeningAmount = 0.20; // 20% darker for scales 50-300
+      } else if (scaleNum <= 700) {
+        darkeningAmount = 0.18; // 18% darker for scales 400-700
+      } else if (scaleNum <= 800) {
+        darkeningAmount = 0.15; // 15% darker for scale 800
+      } else if (scaleNum === 900) {
+        darkeningAmount = 0.10; // Only 10% darker for scale 900 to keep it light
+      } else {
+        darkeningAmount = 0.05; // Only 5% darker for scale 950 to keep it very light
+      }
+
+      const newLightness = Math.max(0.05, hsl.l - darkeningAmount);
+      const newColor = tinycolor({ h: hsl.h, s: hsl.s, l: newLightness });
+
+      darkRamp[scale] = newColor;
+    }
+  });
+
+  // Second pass: Check for duplicates within the dark ramp itself
+  // and ensure proper progression with minimum lightness differences
+  const darkModeColors = new Map();
+
+  // First, ensure minimum lightness differences between adjacent scales
+  // This is especially important for darker scales (50-400)
+  const minLightnessDifferences = {
+    '50_100': 0.07,  // Minimum difference between 50 and 100
+    '100_200': 0.07, // Minimum difference between 100 and 200
+    '200_300': 0.08, // Minimum difference between 200 and 300
+    '300_400': 0.08, // Minimum difference between 300 and 400
+    '400_500': 0.09, // Minimum difference between 400 and 500
+    '500_600': 0.09, // Minimum difference between 500 and 600
+    '600_700': 0.09, // Minimum difference between 600 and 700
+    '700_800': 0.08, // Minimum difference between 700 and 800
+    '800_900': 0.07, // Minimum difference between 800 and 900
+    '900_950': 0.05  // Minimum difference between 900 and 950
+  };
+
+  // Get the base hue to check if this is a green color
+  let isGreen = false;
+  const baseColor = darkRamp['500'] || darkRamp[Object.keys(darkRamp)[0]];
+  if (baseColor) {
+    const baseHue = baseColor.toHsl().h;
+    isGreen = baseHue >= 90 && baseHue <= 150;
+  }
+
+  // First pass: collect all light mode colors
+  SCALES.forEach(scale => {
+    if (lightRamp[scale]) {
+      lightModeColors[lightRamp[scale].toHexString()] = scale;
+    }
+  });
+
+  // Sort scales to process from dark to light
+  const sortedScales = [...SCALES].sort((a, b) => parseInt(a) - parseInt(b));
+
+  // For green colors in dark mode, be more gentle with adjustments
+  const minDifference = isGreen ? 0.05 : 0.07; // 5% for green, 7% for others
+  const maxLightness = isGreen ? 0.95 : 0.97; // Cap at 95% for green, 97% for others
+
+  // First, ensure minimum lightness differences between adjacent scales
+  for (let i = 0; i < sortedScales.length - 1; i++) {
+    const currentScale = sortedScales[i];
+    const nextScale = sortedScales[i + 1];
+
+    if (!darkRamp[currentScale] || !darkRamp[nextScale]) continue;
+
+    const currentL = darkRamp[currentScale].toHsl().l;
+    const nextL = darkRamp[nextScale].toHsl().l;
+
+    // If the difference is less than required, adjust the next scale
+    if (nextL - currentL < minDifference) {
+      // Adjust the next scale to be lighter by the minimum difference
+      const newLightness = Math.min(maxLightness, currentL + minDifference);
+
+      // Get the HSL values of the next color
+      const hsl = darkRamp[nextScale].toHsl();
+
+      // Create a new color with the adjusted lightness
+      const newColor = tinycolor({ h: hsl.h, s: hsl.s, l: newLightness });
+
+      // Replace the next color with the adjusted version
+      darkRamp[nextScale] = newColor;
+    }
+  }
+
+  sortedScales.forEach(scale => {
+    if (!darkRamp[scale]) return;
+
+    const darkColor = darkRamp[scale];
+    const darkHex = darkColor.toHexString();
+
+    // Check if this color already exists in our dark mode collection
+    if (darkModeColors.has(darkHex)) {
+      const existingScale = darkModeColors.get(darkHex);
+
+      // Adjust lightness based on scale relationship
+      const hsl = darkColor.toHsl();
+      const scaleNum = parseInt(scale);
+      const existingScaleNum = parseInt(existingScale);
+
+      let newLightness = hsl.l;
+
+      // Special handling for scales 900 and 950 to keep them very light
+      if (scaleNum === 950) {
+        // Scale 950 should always be very light
+        newLightness = isGreen ? Math.max(0.92, hsl.l) : Math.max(0.95, hsl.l);
+      } else if (scaleNum === 900) {
+        // Scale 900 should be light but darker than 950
+        newLightness = isGreen
+          ? Math.max(0.85, Math.min(0.91, hsl.l))
+          : Math.max(0.90, Math.min(0.94, hsl.l));
+      } else if (scaleNum > existingScaleNum) {
+        // This scale should be lighter than the existing one
+        const lightenAmount = isGreen ? 0.05 : 0.08;
+        newLightness = Math.min(isGreen ? 0.89 : 0.89, hsl.l + lightenAmount);
+      } else {
+        // This scale should be darker than the existing one
+        const darkenAmount = isGreen ? 0.05 : 0.08;
+        newLightness = Math.max(0.05, hsl.l - darkenAmount);
+      }
+
+      // For green colors, try to preserve the original saturation
+      const newSaturation = isGreen ? hsl.s : hsl.s * 0.9; // Slightly desaturate non-green colors
+
+      const newColor = tinycolor({
+        h: hsl.h,
+        s: newSaturation,
+        l: newLightness
+      });
+
+      darkRamp[scale] = newColor;
+      darkModeColors.set(newColor.toHexString(), scale);
+    } else {
+      darkModeColors.set(darkHex, scale);
+    }
+  });
+
+  // Final safety pass: Check all dark mode colors against light mode again
+  // and darken any that still match
+  let safetyAdjustments = 0;
+
+  SCALES.forEach(scale => {
+    if (!darkRamp[scale]) return;
+
+    const darkColor = darkRamp[scale];
+    let darkHex = darkColor.toHexString();
+
+    // If this color exists in light mode, darken it
+    let attempts = 0;
+    while (lightModeColors[darkHex] && attempts < 10) {
+      attempts++;
+      safetyAdjustments++;
+
+      // Darken by a smaller amount each time
+      const hsl = darkColor.toHsl();
+      const newLightness = Math.max(0.05, hsl.l - 0.05);
+      const newColor = tinycolor({ h: hsl.h, s: hsl.s, l: newLightness });
+
+      darkRamp[scale] = newColor;
+      darkHex = newColor.toHexString();
+    }
+  });
+
+  // Safety adjustments counter is maintained but not logged
+}
+
+/**
+ * Ensure that the 950 scale is always the lightest color in the dark mode ramp
+ * and that there is proper lightness progression across all scales
+ * @param {Object} darkRamp - The dark mode color ramp
+ */
+function ensureDarkMode950IsLightest(darkRamp) {
+  // If 950 scale doesn't exist, nothing to do
+  if (!darkRamp['950'] || !darkRamp['900']) return;
+
+  // First, ensure 900 and 950 are significantly lighter than other scales
+  // These are the lightest scales in dark mode and should be very light
+
+  // Get the lightness values of 900 and 950
+  let l900 = darkRamp['900'].toHsl().l;
+  let l950 = darkRamp['950'].toHsl().l;
+
+  // Ensure 900 is at least 90% lightness
+  if (l900 < 0.90) {
+    // Get the HSL values of the 900 color
+    const hsl900 = darkRamp['900'].toHsl();
+
+    // Set to at least 90% lightness
+    const newLightness900 = Math.max(0.90, l900);
+
+    // Create a new color with the adjusted lightness
+    const newColor900 = tinycolor({ h: hsl900.h, s: hsl900.s, l: newLightness900 });
+
+    // Replace the 900 color with the lighter version
+    darkRamp['900'] = newColor900;
+
+    // Update the lightness value for later use
+    l900 = newLightness900;
+  }
+
+  // Ensure 950 is at least 95% lightness and lighter than 900
+  if (l950 < 0.95 || l950 <= l900) {
+    // Get the HSL values of the 950 color
+    const hsl950 = darkRamp['950'].toHsl();
+
+    // Set to at least 95% lightness and 5% lighter than 900
+    const newLightness950 = Math.max(0.95, l900 + 0.05);
+
+    // Create a new color with the adjusted lightness
+    const newColor950 = tinycolor({ h: hsl950.h, s: hsl950.s, l: newLightness950 });
+
+    // Replace the 950 color with the lighter version
+    darkRamp['950'] = newColor950;
+  }
+
+  // Check all scales to ensure proper progression from dark to light
+  // Process in reverse (from 950 down to 50) to ensure we maintain the lightest colors
+  const reversedScales = [...SCALES].reverse();
+
+  for (let i = 0; i < reversedScales.length - 1; i++) {
+    const currentScale = reversedScales[i];
+    const nextScale = reversedScales[i + 1];
+
+    // Skip if either scale doesn't exist
+    if (!darkRamp[currentScale] || !darkRamp[nextScale]) continue;
+
+    // Get the lightness values
+    const currentL = darkRamp[currentScale].toHsl().l;
+    const nextL = darkRamp[nextScale].toHsl().l;
+
+    // In dark mode with reversed processing, current scale should be lighter than next
+    if (currentL <= nextL) {
+
+      // Calculate minimum lightness difference based on scale distance
+      const scaleDistance = Math.abs(parseInt(currentScale) - parseInt(nextScale));
+      const minDifference = Math.max(0.03, scaleDistance / 100); // At least 3% difference
+
+      // Make the next scale darker than current
+      const newLightness = Math.max(0.05, nextL - minDifference);
+
+      // Get the HSL values of the next color
+      const hsl = darkRamp[nextScale].toHsl();
+
+      // Create a new color with the adjusted lightness
+      const newColor = tinycolor({ h: hsl.h, s: hsl.s, l: newLightness });
+
+      // Replace the next color with the darker version
+      darkRamp[nextScale] = newColor;
+
+      // Debug: Log adjusted lightness values
+    }
+  }
+}
+
+/**
+ * Builds both HSL ramps for a base color, before the per-shade contrast pass.
+ * The steps run in the same order the HSL page has always used: generate,
+ * separate dark from light, fix the dark 950/100 shades, de-duplicate,
+ * fix the light 950 shade, then re-pin the exact base color.
+ * @param {Object} baseColor - A valid tinycolor object.
+ * @param {boolean} isDarkModeDefault - Whether the dark ramp holds the exact base color.
+ * @param {Object} textColors - Resolved { dark, light } text colors.
+ * @param {Object} surfaces - Resolved { light, dark } surfaces.
+ * @param {Object} hueProfile - Resolved hue profile.
+ * @returns {{lightRamp: Object, darkRamp: Object, lightBaseScale: string, darkBaseScale: string}}
+ */
+function buildHslRamps(baseColor, isDarkModeDefault, textColors, surfaces, hueProfile) {
+  const isGray = baseColor.toHsl().s < 0.01;
+
+  // Special handling for pure white or pure black inputs
+  if (baseColor.toHexString() === WHITE_HEX) {
+    return {
+      lightRamp: generatePureGrayscaleRamp(WHITE_HEX, '50', false), // Light ramp UI: light to dark
+      // Dark ramp UI: dark to light (reversed profile), shades except base slightly lighter
+      darkRamp: globallyLightenDarkRamp(generatePureGrayscaleRamp(WHITE_HEX, '950', true), true, '950', 0.015),
+      lightBaseScale: '50',
+      darkBaseScale: '950'
+    };
+  }
+  if (baseColor.toHexString() === BLACK_HEX) {
+    return {
+      lightRamp: generatePureGrayscaleRamp(BLACK_HEX, '950', false),
+      darkRamp: globallyLightenDarkRamp(generatePureGrayscaleRamp(BLACK_HEX, '50', true), true, '50', 0.015),
+      lightBaseScale: '950',
+      darkBaseScale: '50'
+    };
+  }
+
+  let lightRamp, darkRamp;
+  let lightBaseScale, darkBaseScale;
+
+  if (isDarkModeDefault) {
+    // DARK MODE IS DEFAULT - Generate dark ramp with exact base color
+    darkBaseScale = determineBaseScale(baseColor, true);
+    darkRamp = generateDarkRampWithExactBase(baseColor, textColors, surfaces.dark, hueProfile);
+
+    // For the light ramp, create a slightly varied version of the base color
+    // that ensures good contrast and visibility in light mode
+    const lightBaseForGen = createVariedBaseColor(baseColor, true);
+    lightBaseScale = determineBaseScale(lightBaseForGen, false);
+    lightRamp = generateLightRampWithExactBase(lightBaseForGen, surfaces.light, hueProfile);
+
+    // Ensure the base color is exactly preserved in the dark ramp
+    if (darkRamp[darkBaseScale]) {
+      darkRamp[darkBaseScale] = baseColor.clone();
+
+      // Ensure smooth transitions from the base color to other shades
+      const baseHsl = baseColor.toHsl();
+      const scales = Object.keys(darkRamp).sort((a, b) => parseInt(a) - parseInt(b));
+      const baseIndex = scales.indexOf(darkBaseScale);
+
+      // Adjust shades lighter than base
+      for (let i = baseIndex + 1; i < scales.length; i++) {
+        const scale = scales[i];
+        const scaleHsl = darkRamp[scale].toHsl();
+        // Ensure smooth lightness progression
+        const minLightness = baseHsl.l + (i - baseIndex) * 0.04;
+        if (scaleHsl.l < minLightness) {
+          darkRamp[scale] = tinycolor({ h: scaleHsl.h, s: scaleHsl.s, l: minLightness });
+        }
+      }
+
+      // Adjust shades darker than base
+      for (let i = baseIndex - 1; i >= 0; i--) {
+        const scale = scales[i];
+        const scaleHsl = darkRamp[scale].toHsl();
+        // Ensure smooth darkness progression
+        const maxLightness = baseHsl.l - (baseIndex - i) * 0.05;
+        if (scaleHsl.l > maxLightness) {
+          darkRamp[scale] = tinycolor({ h: scaleHsl.h, s: scaleHsl.s, l: maxLightness });
+        }
+      }
+    }
+  } else {
+    // LIGHT MODE IS DEFAULT
+    lightBaseScale = determineBaseScale(baseColor, false);
+    lightRamp = generateLightRampWithExactBase(baseColor.clone(), surfaces.light, hueProfile);
+
+    // For dark mode, use the original base color and let the ramp generation handle the scaling
+    darkRamp = generateDarkRampWithExactBase(baseColor, textColors, surfaces.dark, hueProfile);
+
+    // Find the scale in the dark ramp that's closest to the base color
+    let minDiff = Infinity;
+    darkBaseScale = '500';
+
+    Object.entries(darkRamp).forEach(([scale, color]) => {
+      // Calculate perceptual difference using brightness and hue
+      const baseHsl = baseColor.toHsl();
+      const rampHsl = color.toHsl();
+      const brightnessDiff = Math.abs(baseHsl.l - rampHsl.l);
+      const hueDiff = Math.min(
+        Math.abs(baseHsl.h - rampHsl.h),
+        360 - Math.abs(baseHsl.h - rampHsl.h)
+      ) / 180; // Normalize to 0-1
+
+      const totalDiff = brightnessDiff * 0.7 + hueDiff * 0.3;
+
+      if (totalDiff < minDiff) {
+        minDiff = totalDiff;
+        darkBaseScale = scale;
+      }
+    });
+  }
+
+  // --- Start of processing pipeline ---
+  forceDarkModeDistinctness(lightRamp, darkRamp); // Modifies in place
+  ensureDarkMode950IsLightest(darkRamp); // Modifies in place
+  darkRamp = adjustDarkRamp100Shade(darkRamp); // Returns modified ramp
+
+  const { lightRamp: uniqueLR, darkRamp: uniqueDR, seenSet } = guaranteeUniqueColors(lightRamp, darkRamp);
+  lightRamp = ensureLightRamp950ContrastAndUniqueness(uniqueLR, seenSet, surfaces.light); // Returns modified ramp
+  darkRamp = uniqueDR;
+
+  // Specific adjustments for Gray ramps displayed in the Dark UI slot
+  if (isGray) {
+    // 1. Targeted Lightening for darker shades of the Gray darkRamp
+    const darkerScalesForGray = ['50', '100', '200', '300', '400'];
+    const grayDarkerShadeBoost = 0.020; // 2.0% lightness boost
+
+    for (const scale of darkerScalesForGray) {
+      // Preserve the base color if Dark Mode is default AND this scale is the base scale for dark ramp
+      if (darkRamp[scale] && !(isDarkModeDefault && scale === darkBaseScale)) {
+        const hsl = darkRamp[scale].toHsl();
+        darkRamp[scale] = tinycolor({ h: 0, s: 0, l: Math.min(1, hsl.l + grayDarkerShadeBoost) });
+      }
+    }
+
+    // 2. Ensure Uniformity for the Gray darkRamp (smooth 100-200 transition)
+    darkRamp = adjustDarkRamp100Shade(darkRamp);
+  }
+
+  // Ensure the base color is preserved in the appropriate ramp based on the default mode
+  if (isDarkModeDefault) {
+    if (darkRamp[darkBaseScale]) {
+      darkRamp[darkBaseScale] = baseColor.clone();
+    }
+  } else if (lightRamp[lightBaseScale] && lightRamp[lightBaseScale].toHexString() !== baseColor.toHexString()) {
+    lightRamp[lightBaseScale] = baseColor.clone();
+  }
+
+  darkRamp = globallyLightenDarkRamp(darkRamp, isDarkModeDefault, darkBaseScale);
+
+  return { lightRamp, darkRamp, lightBaseScale, darkBaseScale };
+}
+
+/**
+ * Builds both ramps around a base color pinned to one scale. Lightness runs evenly from the
+ * ramp's surface end to the base, then on to the far end, at the base's hue and saturation;
+ * the ends are the ones the automatic ramps use. Both ramps hold the exact base color.
+ * @param {Object} baseColor - A valid tinycolor object.
+ * @param {string} pinnedScale - One of SCALES.
+ * @param {Object} surfaces - Resolved { light, dark } surfaces.
+ * @returns {{lightRamp: Object, darkRamp: Object, lightBaseScale: string, darkBaseScale: string}}
+ */
+function buildPinnedHslRamps(baseColor, pinnedScale, surfaces) {
+  const { h, s, l } = baseColor.toHsl();
+  const pinnedIndex = SCALES.indexOf(pinnedScale);
+  const lastIndex = SCALES.length - 1;
+
+  const buildRamp = (startL, endL) => {
+    const ramp = {};
+    SCALES.forEach((scale, i) => {
+      if (i === pinnedIndex) {
+        ramp[scale] = baseColor.clone();
+        return;
+      }
+      const targetL = i < pinnedIndex
+        ? startL + (l - startL) * (i / pinnedIndex)
+        : l + (endL - l) * ((i - pinnedIndex) / (lastIndex - pinnedIndex));
+      ramp[scale] = tinycolor({ h, s, l: targetL });
+    });
+    return ramp;
+  };
+
+  const lightStartL = Math.max(0.05, Math.min(0.99, 0.97 + surfaceLightnessShift(surfaces.light, 'light')));
+  const darkStartL = Math.max(0.02, Math.min(0.5, 0.10 + surfaceLightnessShift(surfaces.dark, 'dark')));
+  return {
+    lightRamp: buildRamp(lightStartL, 0.08),
+    darkRamp: buildRamp(darkStartL, 0.95),
+    lightBaseScale: pinnedScale,
+    darkBaseScale: pinnedScale
+  };
+}
+
+/**
+ * Nudges shades that miss their contrast target toward white or black, away from
+ * whichever text color (dark or light) they already pair better with (the OKLCH pipeline's ensureAccessible
+ * does the same). Shades holding the exact base color, and anchored shades, are never touched.
+ * @param {Object} ramp - Map of scale -> tinycolor. Modified in place.
+ * @param {Object} targetTable - Resolved scale -> use map.
+ * @param {Object} contrast - Resolved { algorithm, target }.
+ * @param {string} baseHex - The exact base color.
+ * @param {string[]} [anchorScales=[]] - Scales holding anchor colors.
+ * @returns {string[]} - The scales that had to be nudged.
+ */
+function ensureShadeContrast(ramp, targetTable, contrast, baseHex, anchorScales = []) {
+  const { dark: black, light: white } = contrast.textColors;
+  const { algorithm } = contrast;
+  const nudgedScales = [];
+
+  Object.keys(ramp).forEach(scale => {
+    let color = ramp[scale];
+    if (color.toHexString() === baseHex || anchorScales.includes(scale)) return;
+
+    const target = shadeTarget(targetTable[scale], contrast);
+    let scoreBlack = measureContrast(color.toHexString(), black, algorithm);
+    let scoreWhite = measureContrast(color.toHexString(), white, algorithm);
+    if (Math.max(scoreBlack, scoreWhite) >= target) return;
+
+    const hsl = color.toHsl();
+    const targetL = scoreBlack >= scoreWhite ? 1 : 0;
+    for (let i = 0; i < 20 && Math.max(scoreBlack, scoreWhite) < target; i++) {
+      hsl.l += (targetL - hsl.l) * 0.1; // Nudge 10%
+      color = tinycolor(hsl);
+      scoreBlack = measureContrast(color.toHexString(), black, algorithm);
+      scoreWhite = measureContrast(color.toHexString(), white, algorithm);
+    }
+    ramp[scale] = color;
+    nudgedScales.push(scale);
+  });
+  return nudgedScales;
+}
+
+/**
+ * Moves nudged shades that landed on a HEX another shade already has further the way they were nudged,
+ * away from their text color, so contrast only rises, until each has a HEX of its own.
+ * @param {Object} lightRamp - Map of scale -> tinycolor. Modified in place.
+ * @param {Object} darkRamp - Map of scale -> tinycolor. Modified in place.
+ * @param {string[]} lightNudgedScales - Scales ensureShadeContrast() moved; the others stay where they are.
+ * @param {string[]} darkNudgedScales
+ * @param {Object} contrast - Resolved { algorithm, textColors }.
+ * @returns {string[]} - Warnings for the shades that reached white or black still repeating a HEX.
+ */
+function separateNudgedShades(lightRamp, darkRamp, lightNudgedScales, darkNudgedScales, contrast) {
+  const { dark: black, light: white } = contrast.textColors;
+  const { algorithm } = contrast;
+  const ramps = [['Light Mode', lightRamp, lightNudgedScales], ['Dark Mode', darkRamp, darkNudgedScales]];
+  const warnings = [];
+
+  ramps.forEach(([name, ramp, nudgedScales]) => nudgedScales.forEach(scale => {
+    const taken = new Set();
+    ramps.forEach(([, other]) => Object.keys(other).forEach(otherScale => {
+      if (other !== ramp || otherScale !== scale) taken.add(other[otherScale].toHexString());
+    }));
+    let color = ramp[scale];
+    if (!taken.has(color.toHexString())) return;
+
+    const hsl = color.toHsl();
+    const step = measureContrast(color.toHexString(), black, algorithm) >= measureContrast(color.toHexString(), white, algorithm) ? 0.005 : -0.005;
+    while (taken.has(color.toHexString()) && hsl.l > 0 && hsl.l < 1) {
+      hsl.l = Math.min(1, Math.max(0, hsl.l + step));
+      color = tinycolor(hsl);
+    }
+    ramp[scale] = color;
+    if (taken.has(color.toHexString())) {
+      warnings.push(`${name} ${scale} repeats ${color.toHexString()}, a shade already in the ramps: there's no lightness left to move it to.`);
+    }
+  }));
+  return warnings;
+}
+
+/**
+ * Moves a shade along HSL lightness, then brings it back up to its contrast target like ensureShadeContrast() does.
+ * @param {Object} color - tinycolor shade.
+ * @param {string} scale - The shade's scale, for its target.
+ * @param {number} amount - Lightness to add, negative to darken.
+ * @param {Object} targetTable - Resolved scale -> use map.
+ * @param {Object} contrast - Resolved { algorithm, target, textColors }.
+ * @returns {Object} - The moved tinycolor.
+ */
+function nudgeHslShade(color, scale, amount, targetTable, contrast) {
+  const hsl = color.toHsl();
+  hsl.l = Math.min(0.995, Math.max(0.005, hsl.l + amount));
+  const shade = { [scale]: tinycolor(hsl) };
+  ensureShadeContrast(shade, targetTable, contrast, '');
+  return shade[scale];
+}
+
+/**
+ * Puts both nudged ramps back in lightness order, see restoreLightnessOrder(), the Light Mode ramp first.
+ * @param {Object} lightRamp - Map of scale -> tinycolor. Modified in place.
+ * @param {Object} darkRamp - Map of scale -> tinycolor. Modified in place.
+ * @param {string[]} lightLockedScales - Scales that never move: the base color and anchors.
+ * @param {string[]} darkLockedScales
+ * @param {string[]} lightNudgedScales - Scales ensureShadeContrast() moved.
+ * @param {string[]} darkNudgedScales
+ * @param {Object} targetTable - Resolved scale -> use map.
+ * @param {Object} contrast - Resolved { algorithm, target, textColors }.
+ * @returns {string[]} - Warnings for the shades that couldn't be put in order.
+ */
+function orderHslRamps(lightRamp, darkRamp, lightLockedScales, darkLockedScales, lightNudgedScales, darkNudgedScales, targetTable, contrast) {
+  const hexesOf = ramp => Object.values(ramp).map(color => color.toHexString());
+  const options = {
+    lightnessOf: color => new Color(color.toHexString()).to('oklch').l,
+    nudge: (color, scale, amount) => nudgeHslShade(color, scale, amount, targetTable, contrast),
+    toHex: color => color.toHexString()
+  };
+  return [
+    ...restoreLightnessOrder(lightRamp, { ...options, lockedScales: lightLockedScales, nudgedScales: lightNudgedScales, isLightRamp: true, takenHexes: hexesOf(darkRamp), name: 'Light Mode' }),
+    ...restoreLightnessOrder(darkRamp, { ...options, lockedScales: darkLockedScales, nudgedScales: darkNudgedScales, isLightRamp: false, takenHexes: hexesOf(lightRamp), name: 'Dark Mode' })
+  ];
+}
+
+/**
+ * Spreads both finished ramps to a minimum distance, see spreadRamps(). Shades are moved along HSL
+ * lightness, then brought back up to their contrast target like ensureShadeContrast() does.
+ * @param {Object} lightRamp - Map of scale -> tinycolor. Modified in place.
+ * @param {Object} darkRamp - Map of scale -> tinycolor. Modified in place.
+ * @param {Object} minDistance - Resolved { metric, min }.
+ * @param {Object} targetTable - Resolved scale -> use map.
+ * @param {Object} contrast - Resolved { algorithm, target, textColors }.
+ * @param {string[]} lightFixedScales - Scales that never move: the base color and anchors.
+ * @param {string[]} darkFixedScales
+ * @returns {string[]} - Warnings for the shades there wasn't room to spread.
+ */
+function spreadHslRamps(lightRamp, darkRamp, minDistance, targetTable, contrast, lightFixedScales, darkFixedScales) {
+  return spreadRamps(lightRamp, darkRamp, {
+    minDistance,
+    lightFixedScales,
+    darkFixedScales,
+    toHex: color => color.toHexString(),
+    nudge: (color, scale, amount) => nudgeHslShade(color, scale, amount, targetTable, contrast)
+  });
+}
+
+/**
+ * Reshapes a finished ramp along a curve profile. The tuned lightness tables stay the starting
+ * point: each shade's place between the 50 and 950 shades is eased by the lightness curve around
+ * the base scale, and its saturation multiplied by the chroma curve. The base scale is left alone.
+ * @param {Object} ramp - Map of scale -> tinycolor. Modified in place.
+ * @param {string} baseScale - The ramp's base scale.
+ * @param {Object} curves - Resolved { lightness, chroma } curve profile.
+ */
+function applyCurveProfile(ramp, baseScale, { lightness, chroma }) {
+  const isLinear = isLinearCurve(lightness);
+  if ((isLinear && isFlatCurve(chroma)) || !ramp['50'] || !ramp['950']) return;
+
+  const first = ramp['50'].toHsl().l;
+  const range = ramp['950'].toHsl().l - first;
+  const positionOf = l => Math.max(0, Math.min(1, (l - first) / range));
+  const anchor = ramp[baseScale] ? positionOf(ramp[baseScale].toHsl().l) : 0.5;
+
+  SCALES.forEach((scale, i) => {
+    if (scale === baseScale || !ramp[scale]) return;
+    const hsl = ramp[scale].toHsl();
+    if (!isLinear && Math.abs(range) > 0.01) {
+      hsl.l = first + anchoredProgress(lightness, positionOf(hsl.l), anchor) * range;
+    }
+    hsl.s = Math.min(1, hsl.s * chromaFactorAt(chroma, i / (SCALES.length - 1)));
+    ramp[scale] = tinycolor(hsl);
+  });
+}
+
+/**
+ * Boosts a finished ramp's chroma toward the most sRGB can show at each shade's lightness and hue.
+ * The base scale is left alone.
+ * @param {Object} ramp - Map of scale -> tinycolor. Modified in place.
+ * @param {string} baseScale - The ramp's base scale.
+ * @param {number} vibrancy - Resolved boost, 0-200%, see resolveVibrancy().
+ */
+function applyVibrancy(ramp, baseScale, vibrancy) {
+  if (vibrancy === 0) return;
+
+  SCALES.forEach(scale => {
+    if (scale === baseScale || !ramp[scale]) return;
+    const boosted = boostShade(new Color(ramp[scale].toHexString()), vibrancy);
+    ramp[scale] = tinycolor(boosted.toGamut().toString({ format: 'hex' }));
+  });
+}
+
+/**
+ * Runs the full HSL pipeline for a base color and returns both ramps, with every
+ * shade except the exact base color brought up to the contrast target for its use.
+ * @param {string|Object} baseColorInput - Any color string or tinycolor object.
+ * @param {Object} [options]
+ * @param {boolean} [options.isDarkModeDefault=false] - Whether the dark ramp holds the exact base color.
+ * @param {Object} [options.contrast] - { algorithm, target, textColors }, see resolveContrast().
+ * @param {string|Object} [options.targets='uniform'] - Per-shade target table, see resolveTargetTable().
+ * @param {Object} [options.surfaces] - { light, dark } surfaces the ramps start from, see resolveSurfaces().
+ * @param {Object} [options.curves] - { name, lightness, chroma } curve profile, see resolveCurveProfile().
+ * @param {number|string} [options.vibrancy=0] - Vibrancy boost in percent, 0-200, see resolveVibrancy(): how far each
+ *   shade's chroma goes toward the most sRGB shows at its lightness and hue.
+ * @param {string} [options.baseScale] - Scale both ramps hold the exact base color at; chosen per ramp when omitted.
+ * @param {Object|string} [options.anchors] - More colors locked at chosen scales of the default ramp, see resolveAnchors().
+ *   The shades between them are interpolated in OKLCH, replacing the tuned lightness tables there.
+ * @param {Object|string|number} [options.minDistance] - Minimum distance between neighbouring shades and Light/Dark
+ *   pairs, see resolveMinDistance(); off by default, when shades only need different HEX values.
+ * @param {Object|string} [options.hueProfile] - Per-hue saturation floors and darkening steps, as an object or JSON,
+ *   see resolveHueProfile(); default DEFAULT_HUE_PROFILE. Pinned base scales don't use it.
+ * @returns {{lightRamp: Object, darkRamp: Object, lightBaseScale: string, darkBaseScale: string,
+ *   lightAnchorScales: string[], darkAnchorScales: string[], lightNudgedScales: string[], darkNudgedScales: string[],
+ *   warnings: string[]}} - The nudged scales are the shades moved to meet their contrast target.
+ * @throws {Error} If the base color can't be parsed.
+ * @throws {RangeError} If an anchor is invalid or takes the pinned base scale, or the minimum distance, hue profile
+ *   or vibrancy is invalid.
+ */
+export function generateHslRamps(baseColorInput, { isDarkModeDefault = false, contrast, targets, surfaces, curves, vibrancy = 0, baseScale, anchors, minDistance, hueProfile } = {}) {
+  const baseColor = tinycolor(baseColorInput);
+  if (!baseColor.isValid()) {
+    throw new Error(`Invalid base color: "${baseColorInput}"`);
+  }
+
+  const resolvedContrast = resolveContrast(contrast);
+  const resolvedAnchors = resolveAnchors(anchors);
+  if (baseScale && resolvedAnchors[baseScale]) {
+    throw new RangeError(`The anchor at ${baseScale} takes the scale the base color is pinned to.`);
+  }
+  const resolvedMinDistance = resolveMinDistance(minDistance);
+  const resolvedHueProfile = resolveHueProfile(hueProfile);
+  const boost = resolveVibrancy(vibrancy);
+  const resolvedSurfaces = resolveSurfaces(surfaces);
+  const ramps = baseScale
+    ? buildPinnedHslRamps(baseColor, baseScale, resolvedSurfaces)
+    : buildHslRamps(baseColor, isDarkModeDefault, resolvedContrast.textColors, resolvedSurfaces, resolvedHueProfile);
+  const resolvedCurves = resolveCurveProfile(curves);
+  applyCurveProfile(ramps.lightRamp, ramps.lightBaseScale, resolvedCurves);
+  applyCurveProfile(ramps.darkRamp, ramps.darkBaseScale, resolvedCurves);
+  applyVibrancy(ramps.lightRamp, ramps.lightBaseScale, boost);
+  applyVibrancy(ramps.darkRamp, ramps.darkBaseScale, boost);
+
+  // Anchors are locked in the default ramp, next to the exact base color
+  ramps.lightAnchorScales = [];
+  ramps.darkAnchorScales = [];
+  ramps.warnings = [];
+  if (Object.keys(resolvedAnchors).length > 0) {
+    const ramp = isDarkModeDefault ? ramps.darkRamp : ramps.lightRamp;
+    const rampColors = {};
+    Object.keys(ramp).forEach(scale => {
+      rampColors[scale] = new Color(ramp[scale].toHexString());
+    });
+    const anchored = applyAnchors(rampColors, isDarkModeDefault ? ramps.darkBaseScale : ramps.lightBaseScale, resolvedAnchors, !isDarkModeDefault);
+    if (baseScale && anchored.anchorScales.includes(String(baseScale))) {
+      throw new RangeError(`The anchor mirrored onto ${baseScale} takes the scale the base color is pinned to.`);
+    }
+    SCALES.forEach(scale => {
+      ramp[scale] = tinycolor(anchored.ramp[scale].toGamut().toString({ format: 'hex' }));
+    });
+    if (isDarkModeDefault) {
+      ramps.darkBaseScale = anchored.baseScale;
+      ramps.darkAnchorScales = anchored.anchorScales;
+    } else {
+      ramps.lightBaseScale = anchored.baseScale;
+      ramps.lightAnchorScales = anchored.anchorScales;
+    }
+    ramps.warnings = anchored.warnings;
+  }
+
+  const targetTable = resolveTargetTable(targets);
+  // The tuned lightness tables are balanced for text at WCAG 4.5 on the default text colors, surfaces and hue
+  // profile as they are. Shades are only nudged once they're asked for more (targets by use, another algorithm
+  // or target), measured against other colors, or reshaped away from the tables.
+  const isDefaultPair = (pair, defaults) => Object.keys(defaults).every(key => tinycolor.equals(pair[key], defaults[key]));
+  const isTuned = Object.values(targetTable).every(use => use === 'text') &&
+    resolvedContrast.algorithm === 'wcag21' && resolvedContrast.target === DEFAULT_CONTRAST_TARGETS.wcag21 &&
+    isDefaultPair(resolvedContrast.textColors, DEFAULT_TEXT_COLORS) && isDefaultPair(resolvedSurfaces, DEFAULT_SURFACES) &&
+    JSON.stringify(resolvedHueProfile) === JSON.stringify(resolveHueProfile(DEFAULT_HUE_PROFILE)) &&
+    !baseScale && isLinearCurve(resolvedCurves.lightness) && isFlatCurve(resolvedCurves.chroma) &&
+    boost === 0 && Object.keys(resolvedAnchors).length === 0;
+  ramps.lightNudgedScales = [];
+  ramps.darkNudgedScales = [];
+  if (!isTuned) {
+    ramps.lightNudgedScales = ensureShadeContrast(ramps.lightRamp, targetTable, resolvedContrast, baseColor.toHexString(), ramps.lightAnchorScales);
+    ramps.darkNudgedScales = ensureShadeContrast(ramps.darkRamp, targetTable, resolvedContrast, baseColor.toHexString(), ramps.darkAnchorScales);
+    const lockedIn = (ramp, anchorScales) => SCALES.filter(scale => anchorScales.includes(scale) || ramp[scale].toHexString() === baseColor.toHexString());
+    ramps.warnings = [
+      ...ramps.warnings,
+      ...separateNudgedShades(ramps.lightRamp, ramps.darkRamp, ramps.lightNudgedScales, ramps.darkNudgedScales, resolvedContrast),
+      ...orderHslRamps(ramps.lightRamp, ramps.darkRamp, lockedIn(ramps.lightRamp, ramps.lightAnchorScales),
+        lockedIn(ramps.darkRamp, ramps.darkAnchorScales), ramps.lightNudgedScales, ramps.darkNudgedScales, targetTable, resolvedContrast)
+    ];
+  }
+
+  // Spread shades too close to tell apart, out from the base color and anchors
+  if (resolvedMinDistance) {
+    ramps.warnings = [
+      ...ramps.warnings,
+      ...spreadHslRamps(ramps.lightRamp, ramps.darkRamp, resolvedMinDistance, targetTable, resolvedContrast,
+        [ramps.lightBaseScale, ...ramps.lightAnchorScales], [ramps.darkBaseScale, ...ramps.darkAnchorScales])
+    ];
+  }
+  return ramps;
+}
+
+/**
+ * Builds a neutral ramp pair for a brand color: tinted grays at its hue, see neutralShades(),
+ * brought up to the contrast target for each shade's use. No shade holds the base color.
+ * @param {string|Object} baseColorInput - The brand color, any color string or tinycolor object.
+ * @param {Object} [options]
+ * @param {number|string} [options.tint] - OKLCH chroma of the tint, see resolveNeutralTint().
+ * @param {Object} [options.contrast] - { algorithm, target, textColors }, see resolveContrast().
+ * @param {string|Object} [options.targets='uniform'] - Per-shade target table, see resolveTargetTable().
+ * @param {Object|string|number} [options.minDistance] - Minimum distance between shades, see resolveMinDistance().
+ * @returns {{lightRamp: Object, darkRamp: Object, lightBaseScale: string, darkBaseScale: string,
+ *   lightAnchorScales: string[], darkAnchorScales: string[], lightNudgedScales: string[], darkNudgedScales: string[],
+ *   warnings: string[]}} - Same shape as generateHslRamps(),
+ *   with empty base scales.
+ * @throws {Error} If the base color can't be parsed.
+ * @throws {RangeError} If the tint or the minimum distance is out of range.
+ */
+export function generateHslNeutralRamps(baseColorInput, { tint, contrast, targets, minDistance } = {}) {
+  const baseColor = tinycolor(baseColorInput);
+  if (!baseColor.isValid()) {
+    throw new Error(`Invalid base color: "${baseColorInput}"`);
+  }
+
+  const resolvedTint = resolveNeutralTint(tint);
+  const toTinycolorRamp = shades => {
+    const ramp = {};
+    SCALES.forEach(scale => {
+      ramp[scale] = tinycolor(shades[scale].toString({ format: 'hex' }));
+    });
+    return ramp;
+  };
+  const lightRamp = toTinycolorRamp(neutralShades(baseColor.toHexString(), resolvedTint, true));
+  const darkRamp = toTinycolorRamp(neutralShades(baseColor.toHexString(), resolvedTint, false));
+
+  const resolvedContrast = resolveContrast(contrast);
+  const targetTable = resolveTargetTable(targets);
+  const lightNudgedScales = ensureShadeContrast(lightRamp, targetTable, resolvedContrast, '');
+  const darkNudgedScales = ensureShadeContrast(darkRamp, targetTable, resolvedContrast, '');
+  const resolvedMinDistance = resolveMinDistance(minDistance);
+  const warnings = [
+    ...separateNudgedShades(lightRamp, darkRamp, lightNudgedScales, darkNudgedScales, resolvedContrast),
+    ...orderHslRamps(lightRamp, darkRamp, [], [], lightNudgedScales, darkNudgedScales, targetTable, resolvedContrast),
+    ...(resolvedMinDistance ? spreadHslRamps(lightRamp, darkRamp, resolvedMinDistance, targetTable, resolvedContrast, [], []) : [])
+  ];
+  return { lightRamp, darkRamp, lightBaseScale: '', darkBaseScale: '', lightAnchorScales: [], darkAnchorScales: [], lightNudgedScales, darkNudgedScales, warnings };
+}
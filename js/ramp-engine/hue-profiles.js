@@ -0,0 +1,164 @@
+/* Ramp Engine - hue profiles
+   The HSL generator's per-hue tuning, as data. A profile says which hues get a higher saturation floor
+   in the Dark Mode ramp (so dark blues don't turn gray), and which darken by a fixed lightness step
+   below the base in the Light Mode ramp instead of following the tuned lightness table (pinks and
+   greens muddy otherwise). Profiles are plain JSON, so a team can tune how its own yellows or blues
+   behave, keep the file next to its tokens, and load it on the HSL page or the command line:
+
+     {
+       "name": "Default",
+       "darkMinSaturation": 0.3,
+       "ranges": [
+         { "name": "Blues", "hues": [200, 260], "darkMinSaturation": 0.55 },
+         { "name": "Pinks and reds", "hues": [300, 30], "lightDarkeningStep": 0.12 }
+       ]
+     }
+
+   `hues` run from the first hue to the second, both included, wrapping past 0° when the first is larger.
+   Each setting comes from the first range that covers the hue and sets it, else from the top level.
+   The OKLCH generators have no per-hue rules: gamut mapping brings in the shades a gamut can't show.
+*/
+
+// Settings a profile (or one of its ranges) can hold, with the values each may take
+export const HUE_PROFILE_SETTINGS = {
+  darkMinSaturation: { label: 'Dark Mode minimum saturation', min: 0, max: 1 },
+  lightDarkeningStep: { label: 'Light Mode darkening per step', min: 0.01, max: 0.3 }
+};
+
+// The rules the HSL generator has always used
+export const DEFAULT_HUE_PROFILE = {
+  name: 'Default',
+  darkMinSaturation: 0.3,
+  lightDarkeningStep: null,
+  ranges: [
+    { name: 'Blues', hues: [200, 260], darkMinSaturation: 0.55 },
+    { name: 'Greens', hues: [80, 160], darkMinSaturation: 0.5 },
+    { name: 'Purples and magentas', hues: [270, 330], darkMinSaturation: 0.5 },
+    { name: 'Pinks and reds', hues: [300, 30], lightDarkeningStep: 0.12 },
+    { name: 'Mid greens', hues: [90, 150], lightDarkeningStep: 0.12 }
+  ]
+};
+
+const RANGE_KEYS = ['name', 'hues', ...Object.keys(HUE_PROFILE_SETTINGS)];
+const PROFILE_KEYS = ['name', 'ranges', ...Object.keys(HUE_PROFILE_SETTINGS)];
+
+/**
+ * Checks one setting's value.
+ * @param {string} key - One of HUE_PROFILE_SETTINGS.
+ * @param {*} value
+ * @param {string} where - Used in error messages, e.g. 'range "Blues"'.
+ * @returns {number}
+ * @throws {RangeError} If the value isn't a number in the setting's range.
+ */
+function resolveSetting(key, value, where) {
+  const { label, min, max } = HUE_PROFILE_SETTINGS[key];
+  const number = Number(value);
+  if (value === null || value === '' || typeof value === 'boolean' || isNaN(number) || number < min || number > max) {
+    throw new RangeError(`Invalid ${label.toLowerCase()} "${value}" in ${where}. Expected a number from ${min} to ${max}.`);
+  }
+  return number;
+}
+
+/**
+ * Checks that an object only holds known keys.
+ * @param {Object} object
+ * @param {string[]} keys - The keys it may hold.
+ * @param {string} where - Used in error messages.
+ * @throws {RangeError} On the first unknown key.
+ */
+function checkKeys(object, keys, where) {
+  const unknown = Object.keys(object).find(key => !keys.includes(key));
+  if (unknown !== undefined) {
+    throw new RangeError(`Unknown hue profile setting "${unknown}" in ${where}. Expected one of: ${keys.join(', ')}.`);
+  }
+}
+
+/**
+ * Resolves a hue profile.
+ * @param {Object|string} [profile] - A profile object, or its JSON. Empty for DEFAULT_HUE_PROFILE.
+ *   Top-level settings left out fall back to the default profile's; `ranges` left out means none.
+ * @returns {{name: string, darkMinSaturation: number, lightDarkeningStep: number|null,
+ *   ranges: Array<{name: string, hues: number[]}>}} - A new object; ranges only hold the settings they set.
+ * @throws {RangeError} If the JSON can't be parsed, or a key, hue range or setting is invalid.
+ */
+export function resolveHueProfile(profile) {
+  if (profile === undefined || profile === null || profile === '') {
+    return resolveHueProfile(DEFAULT_HUE_PROFILE);
+  }
+  let data = profile;
+  if (typeof profile === 'string') {
+    try {
+      data = JSON.parse(profile);
+    } catch (e) {
+      throw new RangeError(`Invalid hue profile JSON: ${e.message}`);
+    }
+  }
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new RangeError('Invalid hue profile. Expected an object with "name", "ranges" and settings.');
+  }
+  checkKeys(data, PROFILE_KEYS, 'the profile');
+
+  const resolved = { name: data.name ? String(data.name) : 'Custom' };
+  Object.keys(HUE_PROFILE_SETTINGS).forEach(key => {
+    if (data[key] === undefined) {
+      resolved[key] = DEFAULT_HUE_PROFILE[key];
+    } else {
+      resolved[key] = data[key] === null && DEFAULT_HUE_PROFILE[key] === null ? null : resolveSetting(key, data[key], 'the profile');
+    }
+  });
+
+  const ranges = data.ranges ?? [];
+  if (!Array.isArray(ranges)) {
+    throw new RangeError('Invalid hue profile ranges. Expected an array of { name, hues, ...settings }.');
+  }
+  resolved.ranges = ranges.map((range, i) => {
+    const where = `range ${typeof range?.name === 'string' && range.name ? `"${range.name}"` : i + 1}`;
+    if (typeof range !== 'object' || range === null || Array.isArray(range)) {
+      throw new RangeError(`Invalid ${where}. Expected an object with "hues" and settings.`);
+    }
+    checkKeys(range, RANGE_KEYS, where);
+    const hues = Array.isArray(range.hues) ? range.hues.map(Number) : [];
+    if (hues.length !== 2 || hues.some(hue => isNaN(hue) || hue < 0 || hue > 360)) {
+      throw new RangeError(`Invalid hues "${range.hues}" in ${where}. Expected [from, to] within 0-360, such as [200, 260].`);
+    }
+    const resolvedRange = { name: range.name ? String(range.name) : `Range ${i + 1}`, hues };
+    Object.keys(HUE_PROFILE_SETTINGS).forEach(key => {
+      if (range[key] !== undefined) resolvedRange[key] = resolveSetting(key, range[key], where);
+    });
+    return resolvedRange;
+  });
+  return resolved;
+}
+
+/**
+ * Whether a hue falls in a range, wrapping past 0° when the range's first hue is larger.
+ * @param {number} hue - 0-360.
+ * @param {number[]} hues - [from, to].
+ * @returns {boolean}
+ */
+function inHueRange(hue, [from, to]) {
+  return from <= to ? hue >= from && hue <= to : hue >= from || hue <= to;
+}
+
+/**
+ * Looks up one setting for a hue.
+ * @param {Object} profile - Resolved hue profile.
+ * @param {number} hue - HSL hue, 0-360.
+ * @param {string} key - One of HUE_PROFILE_SETTINGS.
+ * @returns {number|null} - From the first range covering the hue that sets it, else the profile's own.
+ */
+export function hueProfileSetting(profile, hue, key) {
+  const range = profile.ranges.find(r => r[key] !== undefined && inHueRange(hue, r.hues));
+  return range ? range[key] : profile[key];
+}
+
+/**
+ * Names the ranges a hue takes settings from, for showing which rules a color gets.
+ * @param {Object} profile - Resolved hue profile.
+ * @param {number} hue - HSL hue, 0-360.
+ * @returns {string[]} - In profile order; empty when the top-level settings apply.
+ */
+export function hueProfileRanges(profile, hue) {
+  const used = Object.keys(HUE_PROFILE_SETTINGS).map(key => profile.ranges.find(r => r[key] !== undefined && inHueRange(hue, r.hues)));
+  return profile.ranges.filter(range => used.includes(range)).map(range => range.name);
+}
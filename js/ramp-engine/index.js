@@ -0,0 +1,383 @@
+import Color from 'colorjs.io';
+import tinycolor from 'tinycolor2';
+import { generateOklchRamps, generateOklchNeutralRamps, generateOklchEndpointRamps, gamutCss, hex, resolveHueShift, RAMP_SPACES, GAMUTS, GAMUT_LABELS, GAMUT_MAPPINGS, HUE_SHIFT_EASINGS } from './oklch.js';
+import { generateHslRamps, generateHslNeutralRamps, getContrastingTextColor, calculateContrastRatio } from './hsl.js';
+import { apcaContrast, formatContrast, measureContrast, resolveContrast, resolveSurfaces, resolveTargetTable, shadeTarget } from './contrast.js';
+import { resolveCurveProfile, LIGHTNESS_CURVE_PRESETS, CHROMA_CURVE_PRESETS } from './curves.js';
+import { resolveAnchors } from './anchors.js';
+import { resolveNeutralTint, DEFAULT_NEUTRAL_TINT, MAX_NEUTRAL_TINT } from './neutral.js';
+import { HARMONIES, harmonyColors, harmonyColorName } from './harmony.js';
+import { STATUS_HUES, statusColors } from './status.js';
+import { alphaColor, alphaRamp } from './alpha.js';
+import { resolveMinDistance, DISTANCE_METRICS } from './distance.js';
+import { analyzeRamp } from './quality.js';
+import { CVD_TYPES, DEFAULT_CVD_THRESHOLD, resolveCvd, cvdMatrix, simulateCvd, confusablePairs, describeConfusion } from './cvd.js';
+import { HUE_PROFILE_SETTINGS, DEFAULT_HUE_PROFILE, resolveHueProfile, hueProfileRanges } from './hue-profiles.js';
+import { MAX_VIBRANCY, VIBRANCY_VERSION, resolveVibrancy, migrateVibrancy, gamutCusp, maxChroma } from './vibrancy.js';
+import { INTERPOLATION_SPACES, HUE_ARCS, DEFAULT_HUE_ARC, resolveInterpolation, interpolationString, interpolationLabel } from './interpolation.js';
+import { resolveEndpoints, endpointMidpoint } from './endpoints.js';
+import { MIN_PALETTE_COLORS, MAX_PALETTE_COLORS, dominantColors } from './quantize.js';
+
+/* Ramp Engine - shared entry point
+   DOM-free ramp generation used by both generator pages (and anything else
+   that can import an ES module). The pages stay thin UI layers on top of it.
+
+   Usage:
+     import { createRamp } from './ramp-engine/index.js';
+     const { light, dark } = createRamp({ color: '#04f700', space: 'oklch', defaultMode: 'light', vibrancy: 50 });
+     light.swatches['500'].hex; // '#…'
+*/
+
+export const SCALES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+// 'hsl' runs the HSL generator (TinyColor); the others the Color.js generator, spacing shades in that space
+export const SPACES = [...Object.keys(RAMP_SPACES), 'hsl'];
+export const SPACE_LABELS = { ...Object.fromEntries(Object.entries(RAMP_SPACES).map(([id, { label }]) => [id, label])), hsl: 'HSL' };
+export const DEFAULT_MODES = ['light', 'dark'];
+// 'auto' lets each ramp place the base color by its lightness; a scale pins it there in both ramps
+export const BASE_SCALES = ['auto', ...SCALES];
+export { GAMUTS, GAMUT_LABELS, GAMUT_MAPPINGS, HUE_SHIFT_EASINGS, resolveHueShift };
+export { LIGHTNESS_CURVE_PRESETS, CHROMA_CURVE_PRESETS, resolveCurveProfile, resolveAnchors };
+export { resolveNeutralTint, DEFAULT_NEUTRAL_TINT, MAX_NEUTRAL_TINT };
+export { HARMONIES, harmonyColors, harmonyColorName, STATUS_HUES, statusColors };
+export { alphaColor, alphaRamp, resolveMinDistance, DISTANCE_METRICS, analyzeRamp };
+export { CVD_TYPES, DEFAULT_CVD_THRESHOLD, resolveCvd, cvdMatrix, simulateCvd, confusablePairs, describeConfusion };
+export { HUE_PROFILE_SETTINGS, DEFAULT_HUE_PROFILE, resolveHueProfile, hueProfileRanges };
+export { MAX_VIBRANCY, VIBRANCY_VERSION, resolveVibrancy, migrateVibrancy, gamutCusp, maxChroma };
+export { INTERPOLATION_SPACES, HUE_ARCS, DEFAULT_HUE_ARC, resolveInterpolation, interpolationString, interpolationLabel, resolveEndpoints };
+export { MIN_PALETTE_COLORS, MAX_PALETTE_COLORS, dominantColors };
+
+/**
+ * Parses a string to see if it's a simplified RGB value (e.g., "255, 100, 50" or "255 100 50").
+ * If so, it formats it into a standard "rgb(r, g, b)" string.
+ * @param {string} input - The input string to parse.
+ * @returns {string} - The formatted RGB string or the original input if it's not a simplified RGB value.
+ */
+export function parseRgbInput(input) {
+  const trimmedInput = input.trim();
+
+  // Check for hex patterns first and return as-is since they're handled elsewhere
+  if (/^#?[0-9a-fA-F]{3,6}$/.test(trimmedInput)) {
+    return input;
+  }
+
+  // If it contains characters that are not digits, spaces, or commas, it's not a simple RGB value.
+  if (/[^0-9\s,]/.test(trimmedInput)) {
+    return input;
+  }
+
+  // Split by space or comma and filter out empty strings.
+  const parts = trimmedInput.split(/[\s,]+/).filter(p => p.length > 0);
+
+  if (parts.length === 0 || parts.length > 3) {
+    return input; // Not a valid number of parts for RGB.
+  }
+
+  // Convert parts to numbers, clamp them to the 0-255 range.
+  const numbers = parts.map(p => {
+    const num = parseInt(p, 10);
+    if (isNaN(num)) return NaN; // Mark as invalid if not a number
+    return Math.max(0, Math.min(255, num));
+  });
+
+  // If any part was not a valid number, return original input.
+  if (numbers.some(isNaN)) {
+    return input;
+  }
+
+  let [r, g, b] = numbers;
+
+  // Set default values for missing parts
+  if (g === undefined) g = 255;
+  if (b === undefined) b = 255;
+
+  return `rgb(${r}, ${g}, ${b})`;
+}
+
+/**
+ * Converts a space-specific ramp into the engine's common swatch shape, measuring each shade against its surface
+ * and finding its alpha version on it.
+ * @param {Object} ramp - Map of scale -> swatch data from a space generator.
+ * @param {Function} toSwatch - Maps one ramp entry and its scale to { color, hex, wide, text, ratio, lc, use, target,
+ *   nudged, clipped }.
+ * @param {string} surface - The surface the ramp sits on.
+ * @param {string} algorithm - Contrast algorithm the surface contrast is measured with.
+ * @returns {Object} - Map of scale (string) -> { color, hex, wide, text, ratio, lc, use, target, nudged, clipped,
+ *   surfaceContrast, alpha }.
+ */
+function normalizeRamp(ramp, toSwatch, surface, algorithm) {
+  const swatches = {};
+  SCALES.forEach(scale => {
+    if (!ramp[scale]) return;
+    const swatch = toSwatch(ramp[scale], scale);
+    swatches[scale] = { ...swatch, surfaceContrast: measureContrast(surface, swatch.hex, algorithm), alpha: alphaColor(swatch.hex, surface) };
+  });
+  return swatches;
+}
+
+/**
+ * Picks the dark or light text color for a background by APCA Lc (the HSL generator's own picker is WCAG-based).
+ * @param {string} backgroundHex
+ * @param {Object} textColors - Resolved { dark, light } text colors.
+ * @returns {string} - textColors.dark or textColors.light.
+ */
+function getApcaTextColor(backgroundHex, { dark, light }) {
+  return apcaContrast(backgroundHex, dark) >= apcaContrast(backgroundHex, light) ? dark : light;
+}
+
+/**
+ * Warns when locked shades (a pinned base color, anchors) miss the contrast target of the scale they hold.
+ * @param {Object} swatches - The swatches of the ramp holding them. A pinned base color is in both ramps
+ *   at the same scale, so the light ramp speaks for both.
+ * @param {string[]} scales - The locked scales.
+ * @param {string} label - What is locked there, e.g. 'base color'.
+ * @param {string} algorithm - Contrast algorithm.
+ * @returns {string[]}
+ */
+function placementWarnings(swatches, scales, label, algorithm) {
+  return scales.filter(scale => swatches[scale]).flatMap(scale => {
+    const swatch = swatches[scale];
+    const value = algorithm === 'apca' ? swatch.lc : swatch.ratio;
+    if (value >= swatch.target) return [];
+    return [`The ${label} at ${scale} only reaches ${formatContrast(value, algorithm)} against its text, below the ${formatContrast(swatch.target, algorithm)} that shade is built for.`];
+  });
+}
+
+/**
+ * Warns when shades the generator was free to move still miss the contrast target of their scale. The contrast
+ * passes should rule this out on both generators; the HSL tables, left as they are for default settings, can miss.
+ * @param {Object} swatches - The ramp's swatches.
+ * @param {string[]} lockedScales - Scales holding the exact base color, anchors or endpoints, which are warned about
+ *   by placementWarnings() instead.
+ * @param {string} label - 'Light Mode' or 'Dark Mode'.
+ * @param {string} algorithm - Contrast algorithm.
+ * @returns {string[]}
+ */
+function targetWarnings(swatches, lockedScales, label, algorithm) {
+  return SCALES.filter(scale => swatches[scale] && !lockedScales.includes(scale)).flatMap(scale => {
+    const swatch = swatches[scale];
+    const value = algorithm === 'apca' ? swatch.lc : swatch.ratio;
+    if (value >= swatch.target) return [];
+    // Truncated like WebAIM, so a ratio just under the target doesn't read as reaching it
+    const shown = algorithm === 'apca' ? value : Math.floor(value * 100) / 100;
+    return [`${label} ${scale} only reaches ${formatContrast(shown, algorithm)} against its text, below the ${formatContrast(swatch.target, algorithm)} that shade is built for.`];
+  });
+}
+
+/**
+ * Generates the light and dark ramps for a base color.
+ * @param {Object} options
+ * @param {string} [options.color] - Base color (any CSS color string the space's library understands). Not needed
+ *   for a ramp built from endpoints.
+ * @param {string} [options.space='oklch'] - Generator space: 'oklch', 'lch' (CIE LCH), 'hsluv', 'hct' (Material's
+ *   hue, chroma and tone) or 'hsl'. All but 'hsl' share one pipeline and differ in the space shades are spaced in.
+ * @param {string} [options.defaultMode='light'] - Which ramp is anchored on the exact base color.
+ * @param {number|string} [options.vibrancy=0] - Vibrancy boost in percent, 0-200 (see resolveVibrancy()): how far
+ *   chroma goes toward the most the hue can take, 200% being the gamut's edge. HSL boosts each shade toward the sRGB
+ *   edge at its own lightness; the other spaces boost the ramp toward the hue's cusp in the target gamut, and hold
+ *   each shade inside it.
+ * @param {Object} [options.contrast] - { algorithm: 'wcag21'|'apca', target, textColors }. The algorithm and
+ *   target 'text' shades are nudged to meet (default WCAG 2.1 at 4.5:1), and the { dark, light } text colors
+ *   every shade is evaluated against (default '#0D0D0D' / '#FFFFFF').
+ * @param {string|Object} [options.targets='uniform'] - What each shade is for: a preset name
+ *   ('uniform', 'by-use', 'by-use-aaa'), a { scale: use } table or a spec string; see resolveTargetTable().
+ * @param {Object} [options.surfaces] - { light, dark } page backgrounds the Light and Dark Mode ramps are
+ *   built for (default '#FFFFFF' / '#121212'). They set where each ramp starts; see resolveSurfaces().
+ * @param {string} [options.gamut='srgb'] - Target gamut (all but HSL): 'srgb', 'p3' or 'rec2020'. Shades keep the
+ *   chroma the gamut can show; contrast is still guaranteed on the sRGB fallback.
+ * @param {string} [options.gamutMapping='css'] - How out-of-gamut shades are brought in (all but HSL): 'css'
+ *   (CSS Color 4 chroma reduction, keeps hue) or 'clip'. HSL ramps are always inside sRGB.
+ * @param {Object|string} [options.hueShift] - { light, dark, easing } (all but HSL): the most degrees the lightest
+ *   shades rotate toward yellow and the darkest toward blue, eased by distance from the base; see resolveHueShift().
+ * @param {Object} [options.curves] - { name, lightness, chroma } curve profile: how shades are spaced in lightness
+ *   and how much chroma each keeps, from scale 50 to 950 (default evenly spaced, chroma as generated);
+ *   see resolveCurveProfile().
+ * @param {string} [options.baseScale='auto'] - Scale both ramps hold the exact base color at, with the other shades
+ *   built around it, or 'auto' to let each ramp place it by lightness. A pinned shade is never nudged for contrast;
+ *   `warnings` says when it misses its target.
+ * @param {Object|string} [options.anchors] - More known colors locked at chosen scales of the default ramp, as
+ *   { scale: color } or "100=#e0f0ff,900=#0a1a40"; the shades between them are interpolated in OKLCH. An anchor
+ *   on the scale the base color was placed at moves the base to the nearest free scale; see resolveAnchors().
+ *   Anchored shades are never nudged for contrast either.
+ * @param {number|string|boolean} [options.neutral] - Build the brand color's matching neutral instead: tinted grays
+ *   at its hue with this much OKLCH chroma (true for the default), see resolveNeutralTint(). No shade holds the base
+ *   color, so both base scales are '', and vibrancy, hue shift, curves, base scale and anchors don't apply.
+ * @param {Object|string|Array} [options.endpoints] - Build the ramps between a known lightest tint and darkest shade
+ *   instead: { start, end } or "start,end", see resolveEndpoints(). The Light Mode ramp runs from the lighter one at
+ *   50 to the darker at 950 and the Dark Mode ramp the other way; the default ramp holds both exactly and the shades
+ *   between are nudged for contrast as usual. Not for 'hsl' or neutrals. Both base scales are '', `base` is the
+ *   color halfway between, and vibrancy, hue shift, curves, base scale and anchors don't apply.
+ * @param {Object|string} [options.interpolation] - { space, hue } the shades are blended in (all but HSL and neutrals):
+ *   'oklab', 'lab' or 'srgb-linear', which go straight across and can't swing the hue of a low-chroma color, or
+ *   'oklch' or 'lch' with a hue arc ('shorter', 'longer', 'increasing', 'decreasing'), as an object or
+ *   "oklch:longer"; see resolveInterpolation(). It covers anchored stretches and endpoints too. By default shades
+ *   are blended in the generator space, the shorter way round, and anchored stretches in OKLCH.
+ * @param {Object|string|number} [options.minDistance] - Minimum color difference between neighbouring shades, and
+ *   between each scale's Light and Dark Mode shades: { metric, min }, "2000:3" (ΔE2000) or "ok:0.02" (ΔEOK), see
+ *   resolveMinDistance(). Off by default, when shades only need different HEX values. Shades are spread out from
+ *   the base color and anchors; `warnings` lists the ones there was no room for.
+ * @param {Object|string} [options.hueProfile] - Per-hue rules for the HSL generator, as an object or JSON: which hues
+ *   keep more saturation in Dark Mode and which darken by a fixed step in Light Mode; see resolveHueProfile().
+ *   Default DEFAULT_HUE_PROFILE. The other spaces have no per-hue rules, and neither do neutrals.
+ * @returns {{space: string, defaultMode: string, vibrancy: number, base: string, contrast: Object, targets: Object,
+ *   surfaces: Object, gamut: string, gamutMapping: string, hueShift: Object, curves: Object, baseScale: string,
+ *   anchors: Object, neutral: number|null, endpoints: Object|null, interpolation: Object|null, minDistance: Object|null,
+ *   hueProfile: Object|null, warnings: string[],
+ *   light: {baseScale: string, anchorScales: string[], swatches: Object},
+ *   dark: {baseScale: string, anchorScales: string[], swatches: Object}}}
+ *   Each swatch is { color, hex, wide, text, ratio, lc, use, target, nudged, clipped, surfaceContrast, alpha };
+ *   `color` is the space's native color object, `hex` the sRGB fallback, `wide` the CSS color in the target gamut (the HEX itself for sRGB),
+ *   `ratio` the WCAG 2.1 ratio, `lc` the APCA lightness contrast of text on color, `use`/`target`
+ *   what the shade was built for, `nudged` whether its lightness was moved to meet that target, `clipped` whether
+ *   it had to be mapped into sRGB, `surfaceContrast` the shade against its ramp's surface (WCAG ratio or |Lc|,
+ *   per the contrast algorithm), and `alpha` the least-opaque rgba() that composites to `hex` on that surface.
+ * @throws {RangeError} If a setting is invalid, or settings conflict (an anchor on the pinned base scale).
+ * @throws {Error} If the base color can't be parsed.
+ */
+export function createRamp({ color, space = 'oklch', defaultMode = 'light', vibrancy = 0, contrast, targets, surfaces, gamut = 'srgb', gamutMapping = 'css', hueShift, curves, baseScale = 'auto', anchors, neutral, endpoints, interpolation, minDistance, hueProfile } = {}) {
+  if (!SPACES.includes(space)) {
+    throw new RangeError(`Unknown color space "${space}". Expected one of: ${SPACES.join(', ')}.`);
+  }
+  if (!DEFAULT_MODES.includes(defaultMode)) {
+    throw new RangeError(`Unknown default mode "${defaultMode}". Expected "light" or "dark".`);
+  }
+  if (!GAMUTS.includes(gamut)) {
+    throw new RangeError(`Unknown gamut "${gamut}". Expected one of: ${GAMUTS.join(', ')}.`);
+  }
+  if (!GAMUT_MAPPINGS.includes(gamutMapping)) {
+    throw new RangeError(`Unknown gamut mapping "${gamutMapping}". Expected one of: ${GAMUT_MAPPINGS.join(', ')}.`);
+  }
+  const pinnedScale = String(baseScale);
+  if (!BASE_SCALES.includes(pinnedScale)) {
+    throw new RangeError(`Unknown base scale "${baseScale}". Expected one of: ${BASE_SCALES.join(', ')}.`);
+  }
+  // A matching neutral takes only the base color's hue; placement and shaping options don't apply to it
+  const neutralTint = neutral === undefined || neutral === null || neutral === false ? null : resolveNeutralTint(neutral);
+  const isNeutral = neutralTint !== null;
+  // So does a ramp between endpoints, which is wholly set by the two colors and how they're blended
+  const resolvedEndpoints = resolveEndpoints(endpoints);
+  if (resolvedEndpoints && space === 'hsl') {
+    throw new RangeError(`Ramps between endpoints are blended by the Color.js generator. Expected a space from: ${Object.keys(RAMP_SPACES).join(', ')}.`);
+  }
+  if (resolvedEndpoints && isNeutral) {
+    throw new RangeError('A ramp is built either between endpoints or as a neutral. Expected one of: endpoints, neutral.');
+  }
+  const resolvedInterpolation = space === 'hsl' || isNeutral ? null : resolveInterpolation(interpolation);
+  const isShaped = !isNeutral && !resolvedEndpoints;
+  const isPinned = pinnedScale !== 'auto' && isShaped;
+  const resolvedAnchors = isShaped ? resolveAnchors(anchors) : {};
+  if (isPinned && resolvedAnchors[pinnedScale]) {
+    throw new RangeError(`The anchor at ${pinnedScale} takes the scale the base color is pinned to.`);
+  }
+
+  const isDarkModeDefault = defaultMode === 'dark';
+  const resolvedContrast = resolveContrast(contrast);
+  const targetTable = resolveTargetTable(targets);
+  const resolvedSurfaces = resolveSurfaces(surfaces);
+  const resolvedHueShift = resolveHueShift(space === 'hsl' || !isShaped ? undefined : hueShift);
+  const resolvedCurves = resolveCurveProfile(isShaped ? curves : undefined);
+  const resolvedMinDistance = resolveMinDistance(minDistance);
+  const resolvedHueProfile = space === 'hsl' && !isNeutral ? resolveHueProfile(hueProfile) : null;
+  const boost = isShaped ? resolveVibrancy(vibrancy) : 0;
+  const { algorithm } = resolvedContrast;
+
+  // Locked shades that miss their target, plus anchors out of lightness order, then any other shade that does
+  const lockedWarnings = (lightSwatches, darkSwatches, { lightAnchorScales, darkAnchorScales, warnings }, baseHex) => {
+    // The exact base color is never nudged, in whichever ramp and scale it ends up
+    const lockedIn = (swatches, anchorScales) => SCALES.filter(scale =>
+      anchorScales.map(String).includes(scale) || (isPinned && scale === pinnedScale) ||
+      (isShaped && swatches[scale]?.hex.toLowerCase() === baseHex.toLowerCase()));
+    return [
+      ...(isPinned ? placementWarnings(lightSwatches, [pinnedScale], 'base color', algorithm) : []),
+      ...placementWarnings(isDarkModeDefault ? darkSwatches : lightSwatches, (isDarkModeDefault ? darkAnchorScales : lightAnchorScales).map(String), resolvedEndpoints ? 'endpoint' : 'anchor', algorithm),
+      ...warnings,
+      ...targetWarnings(lightSwatches, lockedIn(lightSwatches, lightAnchorScales), 'Light Mode', algorithm),
+      ...targetWarnings(darkSwatches, lockedIn(darkSwatches, darkAnchorScales), 'Dark Mode', algorithm)
+    ];
+  };
+
+  if (space === 'hsl') {
+    const ramps = isNeutral
+      ? generateHslNeutralRamps(color, { tint: neutralTint, contrast: resolvedContrast, targets: targetTable, minDistance: resolvedMinDistance })
+      : generateHslRamps(color, { isDarkModeDefault, contrast: resolvedContrast, targets: targetTable, surfaces: resolvedSurfaces, curves: resolvedCurves, vibrancy: boost, baseScale: isPinned ? pinnedScale : undefined, anchors: resolvedAnchors, minDistance: resolvedMinDistance, hueProfile: resolvedHueProfile });
+    // HSL shades are built inside sRGB, so only the contrast nudges are tracked
+    const toSwatch = nudgedScales => (tc, scale) => {
+      const hexColor = tc.toHexString();
+      const text = resolvedContrast.algorithm === 'apca'
+        ? getApcaTextColor(hexColor, resolvedContrast.textColors)
+        : getContrastingTextColor(tc, resolvedContrast.textColors);
+      return {
+        color: tc,
+        hex: hexColor,
+        wide: hexColor,
+        text,
+        ratio: calculateContrastRatio(tc, tinycolor(text)),
+        lc: apcaContrast(hexColor, text),
+        use: targetTable[scale],
+        target: shadeTarget(targetTable[scale], resolvedContrast),
+        nudged: nudgedScales.includes(scale),
+        clipped: false
+      };
+    };
+    const lightSwatches = normalizeRamp(ramps.lightRamp, toSwatch(ramps.lightNudgedScales), resolvedSurfaces.light, algorithm);
+    const darkSwatches = normalizeRamp(ramps.darkRamp, toSwatch(ramps.darkNudgedScales), resolvedSurfaces.dark, algorithm);
+    return {
+      space,
+      defaultMode,
+      vibrancy: boost,
+      base: tinycolor(color).toHexString(),
+      contrast: resolvedContrast,
+      targets: targetTable,
+      surfaces: resolvedSurfaces,
+      gamut: 'srgb',
+      gamutMapping,
+      hueShift: resolvedHueShift,
+      curves: resolvedCurves,
+      baseScale: isNeutral ? 'auto' : pinnedScale,
+      anchors: resolvedAnchors,
+      neutral: neutralTint,
+      endpoints: null,
+      interpolation: null,
+      minDistance: resolvedMinDistance,
+      hueProfile: resolvedHueProfile,
+      warnings: lockedWarnings(lightSwatches, darkSwatches, ramps, tinycolor(color).toHexString()),
+      light: { baseScale: ramps.lightBaseScale, anchorScales: ramps.lightAnchorScales, swatches: lightSwatches },
+      dark: { baseScale: ramps.darkBaseScale, anchorScales: ramps.darkAnchorScales, swatches: darkSwatches }
+    };
+  }
+
+  let ramps;
+  if (resolvedEndpoints) {
+    ramps = generateOklchEndpointRamps(resolvedEndpoints, { space, interpolation: resolvedInterpolation, isDarkModeDefault, contrast: resolvedContrast, targets: targetTable, gamut, gamutMapping, minDistance: resolvedMinDistance });
+  } else if (isNeutral) {
+    ramps = generateOklchNeutralRamps(color, { tint: neutralTint, contrast: resolvedContrast, targets: targetTable, gamut, gamutMapping, minDistance: resolvedMinDistance });
+  } else {
+    ramps = generateOklchRamps(color, { space, interpolation: resolvedInterpolation, isDarkModeDefault, vibrancy: boost, contrast: resolvedContrast, targets: targetTable, surfaces: resolvedSurfaces, gamut, gamutMapping, hueShift: resolvedHueShift, curves: resolvedCurves, baseScale: isPinned ? Number(pinnedScale) : undefined, anchors: resolvedAnchors, minDistance: resolvedMinDistance });
+  }
+  const toSwatch = ({ bg, wide, text, ratio, lc, use, target, nudged, clipped }) => ({ color: bg, hex: hex(bg), wide: gamutCss(wide, gamut), text: hex(text), ratio, lc, use, target, nudged, clipped });
+  const lightSwatches = normalizeRamp(ramps.lightRamp, toSwatch, resolvedSurfaces.light, algorithm);
+  const darkSwatches = normalizeRamp(ramps.darkRamp, toSwatch, resolvedSurfaces.dark, algorithm);
+  const base = hex((resolvedEndpoints ? endpointMidpoint(resolvedEndpoints, resolvedInterpolation, space) : new Color(color)).to('srgb'));
+  return {
+    space,
+    defaultMode,
+    vibrancy: boost,
+    base,
+    contrast: resolvedContrast,
+    targets: targetTable,
+    surfaces: resolvedSurfaces,
+    gamut,
+    gamutMapping,
+    hueShift: resolvedHueShift,
+    curves: resolvedCurves,
+    baseScale: isShaped ? pinnedScale : 'auto',
+    anchors: resolvedAnchors,
+    neutral: neutralTint,
+    endpoints: resolvedEndpoints,
+    interpolation: resolvedInterpolation,
+    minDistance: resolvedMinDistance,
+    hueProfile: null,
+    warnings: lockedWarnings(lightSwatches, darkSwatches, ramps, base),
+    light: { baseScale: String(ramps.lightBaseScale), anchorScales: ramps.lightAnchorScales.map(String), swatches: lightSwatches },
+    dark: { baseScale: String(ramps.darkBaseScale), anchorScales: ramps.darkAnchorScales.map(String), swatches: darkSwatches }
+  };
+}
@@ -0,0 +1,106 @@
+import Color from 'colorjs.io';
+
+/* Ramp Engine - interpolation
+   The spaces shades can be blended through, and which way polar spaces go around the hue circle.
+   The rectangular spaces (OKLab, CIELAB, linear sRGB) blend straight across, so a low-chroma brown
+   or beige can't swing its hue on the way, at the cost of grayer colors between distant hues; the
+   polar ones keep chroma up and turn the hue instead, along the arc chosen. Left unset, ramps blend
+   in the space they're generated in, the shorter way round.
+*/
+
+// Spaces shades can be interpolated in (Color.js space ids); polar ones have a hue to go around
+export const INTERPOLATION_SPACES = {
+  oklab: { label: 'OKLab', polar: false },
+  oklch: { label: 'OKLCH', polar: true },
+  lab: { label: 'CIELAB', polar: false },
+  lch: { label: 'CIE LCH', polar: true },
+  'srgb-linear': { label: 'Linear sRGB', polar: false }
+};
+
+// Which way a polar space goes from one hue to the other (CSS Color 4 hue interpolation)
+export const HUE_ARCS = {
+  shorter: 'Shorter arc',
+  longer: 'Longer arc',
+  increasing: 'Increasing hue',
+  decreasing: 'Decreasing hue'
+};
+
+export const DEFAULT_HUE_ARC = 'shorter';
+
+/**
+ * Resolves an interpolation setting.
+ * @param {Object|string|null} [interpolation] - { space, hue }, or a "space" / "space:hue" string ("oklch:longer").
+ *   The hue arc defaults to DEFAULT_HUE_ARC. Empty or null to blend in the ramp's own space.
+ * @returns {{space: string, hue: string|null}|null} - `hue` is null for the rectangular spaces, which have none.
+ * @throws {RangeError} If the space or hue arc is unknown, or a hue arc is given for a rectangular space.
+ */
+export function resolveInterpolation(interpolation) {
+  if (interpolation === undefined || interpolation === null || interpolation === '') return null;
+  let space = interpolation;
+  let hue;
+  if (typeof interpolation === 'object') {
+    ({ space, hue } = interpolation);
+  } else {
+    [space, hue] = String(interpolation).trim().toLowerCase().split(':');
+  }
+  if (!INTERPOLATION_SPACES[space]) {
+    throw new RangeError(`Unknown interpolation space "${space}". Expected one of: ${Object.keys(INTERPOLATION_SPACES).join(', ')}.`);
+  }
+  if (!INTERPOLATION_SPACES[space].polar) {
+    if (hue) {
+      throw new RangeError(`${INTERPOLATION_SPACES[space].label} has no hue to take the ${hue} arc around.`);
+    }
+    return { space, hue: null };
+  }
+  const arc = hue || DEFAULT_HUE_ARC;
+  if (!HUE_ARCS[arc]) {
+    throw new RangeError(`Unknown hue arc "${hue}". Expected one of: ${Object.keys(HUE_ARCS).join(', ')}.`);
+  }
+  return { space, hue: arc };
+}
+
+/**
+ * Writes a resolved interpolation back as the string resolveInterpolation() takes.
+ * @param {Object|null} interpolation - Resolved { space, hue }, or null.
+ * @returns {string} - e.g. 'oklch:longer' or 'oklab'; '' for null.
+ */
+export function interpolationString(interpolation) {
+  if (!interpolation) return '';
+  const { space, hue } = interpolation;
+  return hue ? `${space}:${hue}` : space;
+}
+
+/**
+ * Names a resolved interpolation for people.
+ * @param {Object|null} interpolation - Resolved { space, hue }, or null.
+ * @returns {string} - e.g. 'OKLCH, longer arc'.
+ */
+export function interpolationLabel(interpolation) {
+  if (!interpolation) return 'Ramp space';
+  const { space, hue } = interpolation;
+  return hue ? `${INTERPOLATION_SPACES[space].label}, ${HUE_ARCS[hue].toLowerCase()}` : INTERPOLATION_SPACES[space].label;
+}
+
+/**
+ * The Color.js range() options for an interpolation.
+ * @param {Object|null} interpolation - Resolved { space, hue }, or null for `fallbackSpace`.
+ * @param {string} fallbackSpace - Color.js space id to blend in without an interpolation, the shorter way round.
+ * @returns {{space: string, hue?: string}}
+ */
+export function interpolationOptions(interpolation, fallbackSpace) {
+  if (!interpolation) return { space: fallbackSpace, hue: DEFAULT_HUE_ARC };
+  return interpolation.hue ? { space: interpolation.space, hue: interpolation.hue } : { space: interpolation.space };
+}
+
+/**
+ * Blends evenly from one color to another, both included.
+ * @param {string|Color} from
+ * @param {string|Color} to
+ * @param {number} count - How many colors, at least 2.
+ * @param {Object|null} interpolation - Resolved { space, hue }, or null for `fallbackSpace`.
+ * @param {string} [fallbackSpace='oklch'] - See interpolationOptions().
+ * @returns {Color[]} - In the interpolation space; out-of-gamut colors are left to the caller.
+ */
+export function interpolateColors(from, to, count, interpolation, fallbackSpace = 'oklch') {
+  return new Color(from).steps(new Color(to), { steps: count, ...interpolationOptions(interpolation, fallbackSpace) });
+}
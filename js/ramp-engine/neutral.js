@@ -0,0 +1,63 @@
+import Color from 'colorjs.io';
+
+/* Ramp Engine - matching neutrals
+   Tinted gray ramps derived from a brand color: the gray lightness profiles, with a little OKLCH
+   chroma at the brand's hue so UI grays sit with the palette instead of against it. Shared by both
+   generators, which run the shades through their own contrast pass.
+*/
+
+const SCALES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+
+// Gray lightness (HSL L) per scale, light to dark
+export const NEUTRAL_GRAY_LIGHTNESS_PROFILE = {
+  '50': 0.98, '100': 0.96, '200': 0.91, '300': 0.84, '400': 0.67,
+  '500': 0.46, '600': 0.34, '700': 0.26, '800': 0.17, '900': 0.10, '950': 0.03
+};
+
+// The same grays dark to light, for Dark Mode ramps
+export const REVERSED_NEUTRAL_GRAY_LIGHTNESS_PROFILE = {
+  '50': 0.03, '100': 0.10, '200': 0.17, '300': 0.26, '400': 0.34,
+  '500': 0.46, '600': 0.67, '700': 0.84, '800': 0.91, '900': 0.96, '950': 0.98
+};
+
+// OKLCH chroma of the tint: 0 is pure gray, MAX_NEUTRAL_TINT about as colorful as a gray still reads
+export const DEFAULT_NEUTRAL_TINT = 0.02;
+export const MAX_NEUTRAL_TINT = 0.08;
+
+/**
+ * Resolves a neutral tint amount.
+ * @param {number|string|boolean} [tint] - OKLCH chroma from 0 to MAX_NEUTRAL_TINT; true or undefined for the default.
+ * @returns {number}
+ * @throws {RangeError} If the tint isn't a number in range.
+ */
+export function resolveNeutralTint(tint) {
+  if (tint === undefined || tint === true) return DEFAULT_NEUTRAL_TINT;
+  const value = Number(tint);
+  if (tint === '' || tint === null || isNaN(value) || value < 0 || value > MAX_NEUTRAL_TINT) {
+    throw new RangeError(`Invalid neutral tint "${tint}". Expected an OKLCH chroma from 0 to ${MAX_NEUTRAL_TINT}, such as ${DEFAULT_NEUTRAL_TINT}.`);
+  }
+  return value;
+}
+
+/**
+ * Builds the shades of a neutral ramp: each scale's gray lightness, tinted toward the base color's hue.
+ * Grays and near-grays give a pure gray ramp.
+ * @param {string|Color} baseColor - The brand color the hue is taken from.
+ * @param {number} tint - Resolved tint, see resolveNeutralTint().
+ * @param {boolean} isLightRamp - Light ramps go from light to dark, dark ramps the other way.
+ * @returns {Object} - Map of scale (string) -> Color.js color in sRGB.
+ */
+export function neutralShades(baseColor, tint, isLightRamp) {
+  const { c, h } = new Color(baseColor).to('oklch');
+  const chroma = c < 0.01 || isNaN(h) ? 0 : tint;
+  const profile = isLightRamp ? NEUTRAL_GRAY_LIGHTNESS_PROFILE : REVERSED_NEUTRAL_GRAY_LIGHTNESS_PROFILE;
+
+  const shades = {};
+  SCALES.forEach(scale => {
+    const gray = new Color('srgb', [profile[scale], profile[scale], profile[scale]]);
+    shades[scale] = chroma
+      ? new Color('oklch', [gray.to('oklch').l, chroma, h]).toGamut({ space: 'srgb', method: 'oklch.c' }).to('srgb')
+      : gray;
+  });
+  return shades;
+}
@@ -0,0 +1,789 @@
+import Color from 'colorjs.io';
+import { wcagRatio, apcaContrast, measureContrast, resolveContrast, resolveTargetTable, shadeTarget, resolveSurfaces, DEFAULT_SURFACES } from './contrast.js';
+import { resolveCurveProfile, isLinearCurve, isFlatCurve, lightnessAt, chromaFactorAt, anchoredProgress, DEFAULT_CURVE_PROFILE } from './curves.js';
+import { resolveAnchors, applyAnchors, restoreLightnessOrder } from './anchors.js';
+import { resolveNeutralTint, neutralShades } from './neutral.js';
+import { resolveMinDistance, spreadRamps } from './distance.js';
+import { resolveVibrancy, gamutCusp, boostChroma, capChroma } from './vibrancy.js';
+import { resolveInterpolation, interpolationOptions } from './interpolation.js';
+import { resolveEndpoints, endpointShades } from './endpoints.js';
+
+/* Ramp Engine - OKLCH generator (Color.js)
+   Headless port of the OKLCH page pipeline: no DOM, no globals, no storage.
+   Ramps are plain objects keyed by scale; values are Color.js objects.
+   The same pipeline also builds ramps in CIE LCH, HSLuv and HCT (see RAMP_SPACES):
+   only the space the shades are spaced and interpolated in changes.
+*/
+
+// ---- Constants ----
+export const SCALES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+// Spaces ramps can be generated in (Color.js space ids). Each one is read as lightness, chroma and hue:
+// the indexes of those coordinates, the range of its lightness (normalized to 0-1 while generating),
+// and its chroma as a Color.js coordinate reference. HSLuv's saturation and HCT's chroma play the
+// part of chroma; HCT's tone is its lightness.
+export const RAMP_SPACES = {
+  oklch: { label: 'OKLCH', lightness: 0, chroma: 1, hue: 2, range: 1, chromaCoord: 'oklch.c' },
+  lch: { label: 'CIE LCH', lightness: 0, chroma: 1, hue: 2, range: 100, chromaCoord: 'lch.c' },
+  hsluv: { label: 'HSLuv', lightness: 2, chroma: 1, hue: 0, range: 100, chromaCoord: 'hsluv.s' },
+  hct: { label: 'HCT', lightness: 2, chroma: 1, hue: 0, range: 100, chromaCoord: 'hct.c' }
+};
+
+// Target gamuts (Color.js space ids). Ramps are mapped into the target gamut; sRGB is always kept as the fallback.
+export const GAMUTS = ['srgb', 'p3', 'rec2020'];
+export const GAMUT_LABELS = { srgb: 'sRGB', p3: 'Display-P3', rec2020: 'Rec.2020' };
+
+// How out-of-gamut shades are brought in: 'css' reduces chroma at constant lightness and hue
+// (CSS Color 4 gamut mapping), 'clip' clamps each channel, which can shift hue.
+export const GAMUT_MAPPINGS = ['css', 'clip'];
+
+// Hue shift: lighter shades drift toward yellow, darker shades toward blue (OKLCH hues of sRGB yellow and blue)
+const HUE_SHIFT_TARGETS = { light: 110, dark: 264 };
+export const HUE_SHIFT_EASINGS = {
+  linear: t => t,
+  'ease-in': t => t * t,
+  'ease-out': t => 1 - (1 - t) * (1 - t),
+  'ease-in-out': t => t * t * (3 - 2 * t)
+};
+export const DEFAULT_HUE_SHIFT = { light: 0, dark: 0, easing: 'linear' };
+
+// Lightness of the shade that sits next to each ramp's surface (light ramp 50, dark ramp 50).
+// Custom surfaces move it by as much as they differ from the default surface.
+const SURFACE_ENDPOINT_L = { light: 0.99, dark: 0.15 };
+const DEFAULT_SURFACE_L = {
+  light: new Color(DEFAULT_SURFACES.light).to('oklch').l,
+  dark: new Color(DEFAULT_SURFACES.dark).to('oklch').l
+};
+
+// De-duplication moves a shade this far in OKLCH lightness per try, within these bounds
+const DEDUPE_STEP = 0.005;
+const DEDUPE_MIN_L = 0.005;
+const DEDUPE_MAX_L = 0.995;
+
+// ---- Helpers ----
+export { wcagRatio };
+
+/**
+ * Brings a color into a gamut.
+ * @param {Color} color
+ * @param {string} space - Gamut to map into, one of GAMUTS.
+ * @param {string} [method='css'] - One of GAMUT_MAPPINGS.
+ * @returns {Color} - A new color in `space`.
+ */
+export function mapToGamut(color, space, method = 'css') {
+  return color.to(space).toGamut({ method });
+}
+
+/**
+ * Maps a color into sRGB, picks the dark or light text color, and nudges the background's
+ * lightness until the pair meets the contrast target. The wide-gamut color follows the same
+ * nudges, so contrast is always guaranteed on its sRGB fallback.
+ * @param {Color} bgRaw - Background color (any gamut).
+ * @param {Object} [contrast] - { algorithm: 'wcag21'|'apca', target, textColors }, see resolveContrast().
+ * @param {Object} [output]
+ * @param {string} [output.gamut='srgb'] - Target gamut, one of GAMUTS.
+ * @param {string} [output.gamutMapping='css'] - How out-of-gamut shades are brought in, one of GAMUT_MAPPINGS.
+ * @returns {{bg: Color, wide: Color, text: Color, ratio: number, lc: number, nudged: boolean, clipped: boolean}} - `bg`
+ *   is the sRGB fallback and `wide` the same color in the target gamut; `ratio` is WCAG 2.1, `lc` is APCA, whichever
+ *   drove the nudge. `nudged` is set when the color missed the target, `clipped` when it had to be mapped into sRGB.
+ */
+export function ensureAccessible(bgRaw, contrast, { gamut = 'srgb', gamutMapping = 'css' } = {}) {
+    const { algorithm, target, textColors } = resolveContrast(contrast);
+
+    // First, map the raw color into the sRGB gamut.
+    // All subsequent calculations MUST use this "safe" color.
+    let bg = mapToGamut(bgRaw, 'srgb', gamutMapping);
+    let wide = mapToGamut(bgRaw, gamut, gamutMapping);
+
+    const black = new Color(textColors.dark);
+    const white = new Color(textColors.light);
+
+    // Determine the best text color and initial score against the safe color.
+    let scoreBlack = measureContrast(bg, black, algorithm);
+    let scoreWhite = measureContrast(bg, white, algorithm);
+    let text = scoreBlack >= scoreWhite ? black : white;
+    let score = Math.max(scoreBlack, scoreWhite);
+    const nudged = score < target;
+    let raw = bgRaw;
+
+    // If it fails, nudge the safe color's lightness until it passes.
+    if (nudged) {
+        // CSS mapping keeps lightness and hue, so the unmapped color can be nudged and keep its full chroma;
+        // clipping shifts both, so nudges start from the sRGB-clipped color, the one the text was measured against
+        const oklch = (gamutMapping === 'clip' ? bg : bgRaw).to("oklch");
+        const targetL = text.equals(black) ? 1 : 0; // if black text is better, move bg towards white, else towards black.
+
+        for (let i = 0; i < 20 && score < target; i++) {
+            oklch.l += (targetL - oklch.l) * 0.1; // Nudge 10%
+
+            // Create the new nudged color
+            let nudgedBg = new Color("oklch", [oklch.l, oklch.c, oklch.h]);
+            raw = nudgedBg;
+
+            // IMPORTANT: Map the *nudged* color as well before re-calculating!
+            bg = mapToGamut(nudgedBg, 'srgb', gamutMapping);
+            wide = mapToGamut(nudgedBg, gamut, gamutMapping);
+
+            // Re-evaluate both text colors against the new safe color
+            scoreBlack = measureContrast(bg, black, algorithm);
+            scoreWhite = measureContrast(bg, white, algorithm);
+
+            if (scoreBlack >= scoreWhite) {
+                text = black;
+                score = scoreBlack;
+            } else {
+                text = white;
+                score = scoreWhite;
+            }
+        }
+    }
+    return { bg, wide, text, ratio: wcagRatio(bg, text), lc: apcaContrast(bg, text), nudged, clipped: !raw.inGamut('srgb') };
+}
+
+/**
+ * Maps a color like ensureAccessible() and picks its text color, but leaves it as it is,
+ * for shades that must be kept exactly (a pinned base color).
+ * @param {Color} bgRaw - Background color (any gamut).
+ * @param {Object} [contrast] - { algorithm, textColors }, see resolveContrast().
+ * @param {Object} [output] - { gamut, gamutMapping }, as for ensureAccessible().
+ * @returns {{bg: Color, wide: Color, text: Color, ratio: number, lc: number, nudged: boolean, clipped: boolean}}
+ */
+function measureShade(bgRaw, contrast, { gamut = 'srgb', gamutMapping = 'css' } = {}) {
+  const { algorithm, textColors } = resolveContrast(contrast);
+  const bg = mapToGamut(bgRaw, 'srgb', gamutMapping);
+  const wide = mapToGamut(bgRaw, gamut, gamutMapping);
+  const black = new Color(textColors.dark);
+  const white = new Color(textColors.light);
+  const text = measureContrast(bg, black, algorithm) >= measureContrast(bg, white, algorithm) ? black : white;
+  return { bg, wide, text, ratio: wcagRatio(bg, text), lc: apcaContrast(bg, text), nudged: false, clipped: !bgRaw.inGamut('srgb') };
+}
+
+export function hex(color){return color && typeof color.toString === 'function' ? color.toString({format:'hex', collapse: false}) : '#000000';}
+
+/**
+ * CSS for a color in a target gamut: HEX for sRGB, `color(display-p3 …)` / `color(rec2020 …)` otherwise.
+ * @param {Color} color
+ * @param {string} [gamut='srgb'] - One of GAMUTS.
+ * @returns {string}
+ */
+export function gamutCss(color, gamut = 'srgb') {
+  return gamut === 'srgb' ? hex(color) : color.to(gamut).toString({ precision: 4 });
+}
+
+/**
+ * Reads a color as lightness (0-1), chroma and hue in a ramp space.
+ * @param {Color} color
+ * @param {string} space - One of RAMP_SPACES.
+ * @returns {{l: number, c: number, h: number}}
+ */
+export function toRampCoords(color, space) {
+  const { lightness, chroma, hue, range } = RAMP_SPACES[space];
+  const coords = color.to(space).coords;
+  return { l: coords[lightness] / range, c: coords[chroma], h: coords[hue] };
+}
+
+/**
+ * Builds a color from lightness (0-1), chroma and hue in a ramp space.
+ * @param {string} space - One of RAMP_SPACES.
+ * @param {number} l
+ * @param {number} c
+ * @param {number} h
+ * @returns {Color}
+ */
+export function fromRampCoords(space, l, c, h) {
+  const { lightness, chroma, hue, range } = RAMP_SPACES[space];
+  const coords = [];
+  coords[lightness] = l * range;
+  coords[chroma] = c;
+  coords[hue] = h;
+  return new Color(space, coords);
+}
+
+/**
+ * Lightness of the ramp endpoint next to a surface.
+ * @param {string} surface - The ramp's surface color.
+ * @param {string} mode - 'light' or 'dark'.
+ * @returns {number} - OKLCH lightness.
+ */
+export function surfaceEndpointLightness(surface, mode) {
+  const surfaceL = new Color(surface).to('oklch').l;
+  return Math.max(0.02, Math.min(0.995, SURFACE_ENDPOINT_L[mode] + (surfaceL - DEFAULT_SURFACE_L[mode])));
+}
+
+/**
+ * Resolves a hue shift setting.
+ * @param {Object|string} [hueShift] - { light, dark, easing }, or a "light,dark[,easing]" string such as "20,15,ease-in".
+ *   `light`/`dark` are the most degrees the lightest/darkest end rotates (0-180); missing entries use DEFAULT_HUE_SHIFT.
+ * @returns {{light: number, dark: number, easing: string}}
+ * @throws {RangeError} If an amount or the easing is invalid.
+ */
+export function resolveHueShift(hueShift) {
+  let setting = hueShift || {};
+  if (typeof hueShift === 'string') {
+    const [light, dark, easing] = hueShift.split(',').map(part => part.trim());
+    setting = { light, dark, easing };
+  }
+
+  const resolved = { ...DEFAULT_HUE_SHIFT };
+  ['light', 'dark'].forEach(end => {
+    if (setting[end] === undefined || setting[end] === '') return;
+    const degrees = Number(setting[end]);
+    if (isNaN(degrees) || degrees < 0 || degrees > 180) {
+      throw new RangeError(`Invalid ${end} hue shift "${setting[end]}". Expected 0-180 degrees.`);
+    }
+    resolved[end] = degrees;
+  });
+  if (setting.easing) {
+    if (!HUE_SHIFT_EASINGS[setting.easing]) {
+      throw new RangeError(`Unknown hue shift easing "${setting.easing}". Expected one of: ${Object.keys(HUE_SHIFT_EASINGS).join(', ')}.`);
+    }
+    resolved.easing = setting.easing;
+  }
+  return resolved;
+}
+
+/**
+ * Rotates each shade's hue toward yellow (lighter than the base) or blue (darker than the base).
+ * The rotation grows with the shade's distance from the base lightness, along the easing, and
+ * never overshoots the target hue. Grays are left alone.
+ * @param {Object} ramp - Map of scale -> Color. Modified in place.
+ * @param {number} baseLightness - OKLCH lightness of the base color.
+ * @param {Object} hueShift - Resolved { light, dark, easing }.
+ */
+export function applyHueShift(ramp, baseLightness, { light, dark, easing }) {
+  if (!light && !dark) return;
+  const ease = HUE_SHIFT_EASINGS[easing];
+
+  Object.keys(ramp).forEach(scale => {
+    const oklch = ramp[scale].to('oklch');
+    if (oklch.c < 0.01 || isNaN(oklch.h)) return;
+
+    const isLighter = oklch.l > baseLightness;
+    const distance = isLighter ? (oklch.l - baseLightness) / (1 - baseLightness) : (baseLightness - oklch.l) / baseLightness;
+    const amount = (isLighter ? light : dark) * ease(Math.max(0, Math.min(1, distance || 0)));
+    if (!amount) return;
+
+    // Shortest signed angle to the target hue, in -180..180
+    const delta = ((isLighter ? HUE_SHIFT_TARGETS.light : HUE_SHIFT_TARGETS.dark) - oklch.h + 540) % 360 - 180;
+    const hue = oklch.h + Math.sign(delta) * Math.min(Math.abs(delta), amount);
+    ramp[scale] = new Color('oklch', [oklch.l, oklch.c, (hue + 360) % 360]).to(ramp[scale].space);
+  });
+}
+
+/**
+ * Multiplies each shade's chroma by the chroma curve. The anchored base shade keeps its chroma.
+ * @param {Object} ramp - Map of scale -> Color. Modified in place.
+ * @param {number[]} chroma - Resolved chroma curve.
+ * @param {number} [anchorScale] - Scale holding the base color, if any.
+ */
+function applyChromaCurve(ramp, chroma, anchorScale) {
+  if (isFlatCurve(chroma)) return;
+
+  SCALES.forEach((scale, i) => {
+    if (scale === anchorScale) return;
+    const oklch = ramp[scale].to('oklch');
+    if (oklch.c < 0.01 || isNaN(oklch.h)) return;
+    const factor = chromaFactorAt(chroma, i / (SCALES.length - 1));
+    ramp[scale] = new Color('oklch', [oklch.l, oklch.c * factor, oklch.h]).to(ramp[scale].space);
+  });
+}
+
+// Generate a dynamic, perceptually uniform ramp.
+// The ramp starts next to its surface (light ramp: light surface, dark ramp: dark surface),
+// and its shades are spaced along the profile's lightness curve (evenly by default).
+// A pinned scale holds the exact base color in either ramp, with the other shades built around it.
+// Shades are spaced in `space` (OKLCH unless another of RAMP_SPACES is chosen), and interpolated
+// in it too unless `interpolation` ({ space, hue }, see resolveInterpolation()) says otherwise.
+// The vibrancy boost (0-200%) raises the ramp's chroma toward the most the base's hue can take in `gamut`.
+export function generateRamp(baseColor, isLightRamp, isDefaultRamp, vibrancyBoost = 0, surface = isLightRamp ? DEFAULT_SURFACES.light : DEFAULT_SURFACES.dark, curves = DEFAULT_CURVE_PROFILE, pinnedScale, space = 'oklch', gamut = 'srgb', interpolation = null) {
+  const ramp = {};
+  const { l: baseLightness, c: originalChroma, h: hue } = toRampCoords(baseColor, space);
+  // Grays are detected in OKLCH, so every space agrees on which colors get no chroma
+  const isGray = baseColor.to('oklch').c < 0.01;
+
+  // For bias between start and end colors
+  let startEndBias = 0;
+
+  // Calculate boosted chroma for ramp generation (but not for base color)
+  let rampChroma = originalChroma;
+
+  // For grayscale colors, force chroma to 0.
+  if (isGray) {
+    rampChroma = 0;
+  } else {
+    // Older saved colors may carry no boost at all; treat that as 0.
+    const boostValue = Number(vibrancyBoost) || 0;
+    if (boostValue > 0) {
+        // Calculate boosted chroma: the boost is measured in OKLCH against the hue's cusp, then
+        // scaled into the ramp's space. Shades at lightnesses that can't hold it are capped later.
+        const { c: oklchChroma, h: oklchHue } = baseColor.to('oklch');
+        rampChroma = originalChroma * (boostChroma(oklchChroma, gamutCusp(oklchHue, gamut).c, boostValue) / oklchChroma);
+
+        // Add slight bias between start and end colors for more visible mid-ramp change
+        const biasAmount = 0.05 * (boostValue / 100); // 5% bias at 100% boost
+        startEndBias = biasAmount;
+    }
+  }
+
+  // The ends are placed by OKLCH lightness, then read in the ramp's space
+  const toSpaceLightness = l => toRampCoords(new Color('oklch', [l, 0, 0]), space).l;
+  const L_start = toSpaceLightness(surfaceEndpointLightness(surface, isLightRamp ? 'light' : 'dark'));
+  const L_end = toSpaceLightness(isLightRamp ? 0.15 : 0.99);
+
+  // Initial colors without bias
+  let startColor = fromRampCoords(space, L_start, rampChroma, hue);
+  let endColor = fromRampCoords(space, L_end, rampChroma, hue);
+
+  let anchorScale;
+  const lastIndex = SCALES.length - 1;
+  const isLinear = isLinearCurve(curves.lightness);
+  const blend = interpolationOptions(interpolation, space);
+
+  if (isDefaultRamp || pinnedScale) {
+    // --- Anchored Ramp Generation (for default ramp, or any ramp with a pinned scale) ---
+    const lightnessRange = Math.abs(L_start - L_end);
+    const progress = Math.abs(baseLightness - L_start) / lightnessRange;
+    let anchorIndex = Math.round(progress * lastIndex);
+    if (!isLinear) {
+      // The base sits at the scale whose place on the curve is closest to its lightness
+      let minDiff = Infinity;
+      SCALES.forEach((scale, i) => {
+        const diff = Math.abs(lightnessAt(curves.lightness, i / lastIndex) - progress);
+        if (diff <= minDiff) {
+          minDiff = diff;
+          anchorIndex = i;
+        }
+      });
+    }
+    if (pinnedScale) {
+      anchorIndex = SCALES.indexOf(pinnedScale);
+    }
+    // Clamp to valid range to avoid off-by-one issues
+    anchorIndex = Math.max(0, Math.min(lastIndex, anchorIndex));
+    anchorScale = SCALES[anchorIndex];
+    const anchor = anchorIndex / lastIndex;
+
+    // Apply bias to start/end colors for more visible mid-ramp change if needed
+    if (startEndBias > 0) {
+      const startChroma = rampChroma * (1 - startEndBias);
+      const endChroma = rampChroma * (1 + startEndBias);
+      startColor = fromRampCoords(space, L_start, startChroma, hue);
+      endColor = fromRampCoords(space, L_end, endChroma, hue);
+    }
+
+    // Generate the ramp using boosted chroma for surrounding colors
+    const rampBaseColor = fromRampCoords(space, baseLightness, rampChroma, hue);
+
+    // Each side of the base follows the lightness curve, scaled to end exactly on the base
+    const lighterProgression = isLinear || anchorIndex === 0
+      ? undefined
+      : p => anchoredProgress(curves.lightness, p * anchor, anchor) / anchor;
+    const darkerProgression = isLinear || anchorIndex === lastIndex
+      ? undefined
+      : p => (anchoredProgress(curves.lightness, anchor + p * (1 - anchor), anchor) - anchor) / (1 - anchor);
+
+    const lighterShades = startColor.steps(rampBaseColor, {
+      steps: anchorIndex + 1,
+      ...blend,
+      output: 'srgb',
+      progression: lighterProgression
+    });
+    const darkerShades = rampBaseColor.steps(endColor, {
+      steps: (SCALES.length - 1) - anchorIndex + 1,
+      ...blend,
+      output: 'srgb',
+      progression: darkerProgression
+    });
+
+    const rampColors = lighterShades.slice(0, -1).concat(darkerShades);
+
+    if (rampColors.length !== SCALES.length) {
+      console.error(`Ramp generation failed. Expected 11 colors, got ${rampColors.length}. Falling back to simple ramp.`);
+      const simpleRamp = startColor.steps(endColor, { steps: SCALES.length, ...blend, output: 'srgb' });
+      SCALES.forEach((scale, i) => { ramp[scale] = simpleRamp[i]; });
+    } else {
+      SCALES.forEach((scale, i) => { ramp[scale] = rampColors[i]; });
+    }
+
+    // Ensure continuity: use the interpolated color at the anchor index.
+    // A pinned scale holds the exact input instead (without the vibrancy boost).
+    ramp[anchorScale] = pinnedScale ? baseColor.to('srgb') : rampColors[anchorIndex];
+  } else {
+    // --- Simple Ramp Generation (for non-default ramp) ---
+    // Apply bias to start/end colors for more visible mid-ramp change if needed
+    if (startEndBias > 0) {
+      const startChroma = rampChroma * (1 - startEndBias);
+      const endChroma = rampChroma * (1 + startEndBias);
+      startColor = fromRampCoords(space, L_start, startChroma, hue);
+      endColor = fromRampCoords(space, L_end, endChroma, hue);
+    }
+
+    // Create a simple ramp from start to end
+    const allShades = startColor.steps(endColor, {
+      steps: SCALES.length,
+      ...blend,
+      output: 'srgb',
+      progression: isLinear ? undefined : p => lightnessAt(curves.lightness, p)
+    });
+    SCALES.forEach((scale, i) => { ramp[scale] = allShades[i]; });
+
+    // Find closest scale for the 'base' indicator (no injection on secondary ramp)
+    let minDiff = Infinity;
+    Object.keys(ramp).forEach(scale => {
+      const rampLightness = toRampCoords(ramp[scale], space).l;
+      const diff = Math.abs(rampLightness - baseLightness);
+      if (diff < minDiff) {
+        minDiff = diff;
+        anchorScale = scale;
+      }
+    });
+    // Do NOT inject any base color here. The secondary ramp should only
+    // highlight the closest existing swatch via anchorScale.
+  }
+
+  if (space !== 'oklch') {
+    SCALES.forEach(scale => {
+      if (pinnedScale && scale === anchorScale) return;
+      ramp[scale] = isGray
+        // Neutral in OKLCH: HCT's own neutral axis is slightly tinted in sRGB
+        ? new Color('oklch', [ramp[scale].to('oklch').l, 0, 0])
+        // Full chroma at the darkest and lightest tones can be an imaginary color, whose hue drifts once it's
+        // mapped in OKLCH. Bring it into Rec.2020 along the space's own chroma first, keeping its hue and lightness.
+        : ramp[scale].toGamut({ space: 'rec2020', method: RAMP_SPACES[space].chromaCoord });
+    });
+  }
+
+  applyChromaCurve(ramp, curves.chroma, isDefaultRamp || pinnedScale ? anchorScale : undefined);
+
+  return { ramp, anchorScale };
+}
+
+/**
+ * Moves a processed shade along OKLCH lightness from its target-gamut color, then brings it back up to its
+ * contrast target.
+ * @param {Object} shade - Processed shade, { bg, wide, …, use, target }.
+ * @param {number} amount - Lightness to add, negative to darken.
+ * @param {Object} contrast - Resolved { algorithm, textColors }.
+ * @param {Object} output - { gamut, gamutMapping }.
+ * @returns {Object} - The moved shade.
+ */
+function nudgeShade(shade, amount, contrast, output) {
+  const { l, c, h } = shade.wide.to('oklch');
+  const nudged = new Color('oklch', [Math.min(0.995, Math.max(0.005, l + amount)), c, isNaN(h) ? 0 : h]);
+  return { ...ensureAccessible(nudged, { ...contrast, target: shade.target }, output), use: shade.use, target: shade.target };
+}
+
+/**
+ * Brings each shade of a ramp up to its contrast target, maps it into the gamut, and moves shades whose
+ * HEX is already taken (by this ramp or `existingHexes`) to a lightness of their own.
+ * @param {Object} ramp - Map of scale -> Color.js color.
+ * @param {Set<string>} existingHexes - HEX values taken already, by the other ramp.
+ * @param {Object} [contrast] - { algorithm, target, textColors }, see resolveContrast().
+ * @param {string|Object} [targets='uniform'] - Per-shade target table, see resolveTargetTable().
+ * @param {Object} [output] - { gamut, gamutMapping }, as for ensureAccessible().
+ * @param {Array<number|string>} [lockedScales=[]] - Scales kept exactly (a pinned base color, anchors).
+ * @param {string} [name='Light Mode'] - The ramp, for warnings.
+ * @returns {{processedRamp: Object, allHexes: Set<string>, warnings: string[]}} - `warnings` names the shades
+ *   no lightness could give a HEX of their own.
+ */
+export function processRamp(ramp, existingHexes, contrast, targets, output, lockedScales = [], name = 'Light Mode') {
+  const processed = {};
+  const localHexes = new Set(existingHexes);
+  const warnings = [];
+  const resolvedContrast = resolveContrast(contrast);
+  const targetTable = resolveTargetTable(targets);
+
+  SCALES.forEach(scale => {
+    let originalColor = ramp[scale];
+    // Guard: if a scale is missing, backfill with nearest defined color to avoid crashes
+    if (!originalColor) {
+      const idx = SCALES.indexOf(scale);
+      let nearest;
+      for (let i = idx - 1; i >= 0 && !nearest; i--) {
+        if (ramp[SCALES[i]]) nearest = ramp[SCALES[i]];
+      }
+      for (let i = idx + 1; i < SCALES.length && !nearest; i++) {
+        if (ramp[SCALES[i]]) nearest = ramp[SCALES[i]];
+      }
+      if (nearest) {
+        originalColor = nearest;
+      } else {
+        // Absolute fallback: mid-gray to ensure structure remains intact
+        try { console.warn('[processRamp] Missing all references for scale', scale); } catch(e){}
+        originalColor = new Color('#808080');
+      }
+    }
+    // Each shade is nudged to the target for its use (text, large text, non-text UI, AAA)
+    const use = targetTable[scale];
+    const shadeContrast = { ...resolvedContrast, target: shadeTarget(use, resolvedContrast) };
+
+    // Locked shades (a pinned base color, anchors) are kept exactly, even when they miss their target or repeat a shade of the other ramp
+    if (lockedScales.includes(scale)) {
+      processed[scale] = { ...measureShade(originalColor, shadeContrast, output), use, target: shadeContrast.target };
+      localHexes.add(hex(processed[scale].bg));
+      return;
+    }
+
+    let processedResult = ensureAccessible(originalColor, shadeContrast, output);
+
+    // De-duplicate by nudging the original color lighter and re-processing; once it's as light as it goes,
+    // darker from where it started. Past both ends the shade keeps its repeated HEX.
+    let nudgedColor = originalColor;
+    let step = DEDUPE_STEP;
+    while (localHexes.has(hex(processedResult.bg))) {
+      const oklch = nudgedColor.to('oklch');
+      const l = Math.min(DEDUPE_MAX_L, Math.max(DEDUPE_MIN_L, oklch.l + step));
+      if (l === oklch.l) {
+        if (step < 0) {
+          warnings.push(`${name} ${scale} repeats ${hex(processedResult.bg)}, a shade already in the ramps: no lightness gives it a HEX of its own.`);
+          break;
+        }
+        step = -DEDUPE_STEP;
+        nudgedColor = originalColor;
+        continue;
+      }
+      nudgedColor = new Color('oklch', [l, oklch.c, oklch.h]);
+      processedResult = ensureAccessible(nudgedColor, shadeContrast, output);
+    }
+
+    processed[scale] = { ...processedResult, use, target: shadeContrast.target };
+    localHexes.add(hex(processedResult.bg));
+  });
+
+  return { processedRamp: processed, allHexes: localHexes, warnings };
+}
+
+/**
+ * Puts both processed ramps back in lightness order after their contrast nudges, see restoreLightnessOrder(),
+ * the Light Mode ramp first.
+ * @param {Object} lightRamp - Processed Light Mode ramp. Modified in place.
+ * @param {Object} darkRamp - Processed Dark Mode ramp. Modified in place.
+ * @param {Object} contrast - { algorithm, target, textColors } the shades were processed with.
+ * @param {Object} output - { gamut, gamutMapping }.
+ * @param {Array<number|string>} lightFixedScales - Scales that never move: the base color and anchors.
+ * @param {Array<number|string>} darkFixedScales
+ * @returns {string[]} - Warnings for the shades that couldn't be put in order.
+ */
+function orderProcessedRamps(lightRamp, darkRamp, contrast, output, lightFixedScales, darkFixedScales) {
+  const resolvedContrast = resolveContrast(contrast);
+  const hexesOf = ramp => Object.values(ramp).map(shade => hex(shade.bg));
+  const orderRamp = (ramp, lockedScales, isLightRamp, takenHexes, name) => restoreLightnessOrder(ramp, {
+    lockedScales,
+    nudgedScales: SCALES.filter(scale => ramp[scale].nudged),
+    isLightRamp,
+    lightnessOf: shade => new Color(hex(shade.bg)).to('oklch').l,
+    nudge: (shade, scale, amount) => nudgeShade(shade, amount, resolvedContrast, output),
+    toHex: shade => hex(shade.bg),
+    takenHexes,
+    name
+  });
+  return [
+    ...orderRamp(lightRamp, lightFixedScales, true, hexesOf(darkRamp), 'Light Mode'),
+    ...orderRamp(darkRamp, darkFixedScales, false, hexesOf(lightRamp), 'Dark Mode')
+  ];
+}
+
+/**
+ * Spreads both processed ramps to a minimum distance, see spreadRamps(). Shades are moved along OKLCH
+ * lightness from their target-gamut color, then brought back up to their contrast target.
+ * @param {Object} lightRamp - Processed Light Mode ramp. Modified in place.
+ * @param {Object} darkRamp - Processed Dark Mode ramp. Modified in place.
+ * @param {Object} minDistance - Resolved { metric, min }.
+ * @param {Object} contrast - { algorithm, target, textColors } the shades were processed with.
+ * @param {Object} output - { gamut, gamutMapping }.
+ * @param {Array<number|string>} lightFixedScales - Scales that never move: the base color and anchors.
+ * @param {Array<number|string>} darkFixedScales
+ * @returns {string[]} - Warnings for the shades there wasn't room to spread.
+ */
+function spreadProcessedRamps(lightRamp, darkRamp, minDistance, contrast, output, lightFixedScales, darkFixedScales) {
+  const resolvedContrast = resolveContrast(contrast);
+  return spreadRamps(lightRamp, darkRamp, {
+    minDistance,
+    lightFixedScales: lightFixedScales.map(String),
+    darkFixedScales: darkFixedScales.map(String),
+    toHex: shade => hex(shade.bg),
+    nudge: (shade, scale, amount) => nudgeShade(shade, amount, resolvedContrast, output)
+  });
+}
+
+export function findClosestScale(baseColor, processedRamp) {
+    let closestScale = null;
+    let minDiff = Infinity;
+    const baseColorForCompare = baseColor.to('srgb');
+
+    Object.keys(processedRamp).forEach(scale => {
+        const rampColor = processedRamp[scale].bg; // Compare against the final background color
+        const diff = baseColorForCompare.deltaE(rampColor, '2000');
+        if (diff < minDiff) {
+            minDiff = diff;
+            closestScale = scale;
+        }
+    });
+    return closestScale;
+}
+
+/**
+ * Runs the full OKLCH pipeline for a base color and returns both processed ramps.
+ * Each processed ramp maps scale -> { bg, wide, text, ratio, lc, use, target } with Color.js objects.
+ * @param {string|Color} baseColorInput - Any color string or Color.js object.
+ * @param {Object} [options]
+ * @param {string} [options.space='oklch'] - Space the shades are spaced and interpolated in, one of RAMP_SPACES.
+ * @param {Object|string} [options.interpolation] - { space, hue } the shades are interpolated in instead, see
+ *   resolveInterpolation(); anchored stretches too, which are otherwise interpolated in OKLCH.
+ * @param {boolean} [options.isDarkModeDefault=false] - Whether the dark ramp is anchored on the base color.
+ * @param {number|string} [options.vibrancy=0] - Vibrancy boost in percent, 0-200, see resolveVibrancy(): how far
+ *   the ramp's chroma goes toward the most its hue can take in the target gamut.
+ * @param {Object} [options.contrast] - { algorithm, target } the shades are nudged to meet.
+ * @param {string|Object} [options.targets='uniform'] - Per-shade target table, see resolveTargetTable().
+ * @param {Object} [options.surfaces] - { light, dark } surfaces the ramps start from, see resolveSurfaces().
+ * @param {string} [options.gamut='srgb'] - Target gamut the `wide` colors are mapped into, one of GAMUTS.
+ * @param {string} [options.gamutMapping='css'] - How out-of-gamut shades are brought in, one of GAMUT_MAPPINGS.
+ * @param {Object|string} [options.hueShift] - { light, dark, easing } hue rotation toward the ends, see resolveHueShift().
+ * @param {Object} [options.curves] - { name, lightness, chroma } curve profile, see resolveCurveProfile().
+ * @param {number} [options.baseScale] - Scale both ramps hold the exact base color at; chosen per ramp when omitted.
+ * @param {Object|string} [options.anchors] - More colors locked at chosen scales of the default ramp, see resolveAnchors().
+ * @param {Object|string|number} [options.minDistance] - Minimum distance between neighbouring shades and Light/Dark
+ *   pairs, see resolveMinDistance(); off by default, when shades only need different HEX values.
+ * @returns {{lightRamp: Object, darkRamp: Object, lightBaseScale: number, darkBaseScale: number,
+ *   lightAnchorScales: number[], darkAnchorScales: number[], warnings: string[]}}
+ */
+export function generateOklchRamps(baseColorInput, { space = 'oklch', interpolation, isDarkModeDefault = false, vibrancy = 0, contrast, targets, surfaces, gamut = 'srgb', gamutMapping = 'css', hueShift, curves, baseScale, anchors, minDistance } = {}) {
+  if (!RAMP_SPACES[space]) {
+    throw new RangeError(`Unknown ramp space "${space}". Expected one of: ${Object.keys(RAMP_SPACES).join(', ')}.`);
+  }
+  const color = new Color(baseColorInput);
+  const { light: lightSurface, dark: darkSurface } = resolveSurfaces(surfaces);
+  const resolvedHueShift = resolveHueShift(hueShift);
+  const resolvedCurves = resolveCurveProfile(curves);
+  const resolvedAnchors = resolveAnchors(anchors);
+  const resolvedMinDistance = resolveMinDistance(minDistance);
+  const boost = resolveVibrancy(vibrancy);
+  const resolvedInterpolation = resolveInterpolation(interpolation);
+
+  let { ramp: lightRampRaw, anchorScale: lightBaseScale } = generateRamp(color, true, !isDarkModeDefault, boost, lightSurface, resolvedCurves, baseScale, space, gamut, resolvedInterpolation);
+  let { ramp: darkRampRaw, anchorScale: darkBaseScale } = generateRamp(color, false, isDarkModeDefault, boost, darkSurface, resolvedCurves, baseScale, space, gamut, resolvedInterpolation);
+
+  // Warm highlights, cool shadows
+  const baseLightness = color.to('oklch').l;
+  applyHueShift(lightRampRaw, baseLightness, resolvedHueShift);
+  applyHueShift(darkRampRaw, baseLightness, resolvedHueShift);
+
+  // A boosted shade goes as far as its own lightness and hue allow in the gamut, and no further
+  if (boost > 0) {
+    [lightRampRaw, darkRampRaw].forEach(ramp => SCALES.forEach(scale => {
+      if (scale !== baseScale) ramp[scale] = capChroma(ramp[scale], gamut);
+    }));
+  }
+
+  // Anchors are locked in the default ramp, next to the exact base color
+  let lightAnchorScales = [];
+  let darkAnchorScales = [];
+  let warnings = [];
+  if (baseScale && resolvedAnchors[baseScale]) {
+    throw new RangeError(`The anchor at ${baseScale} takes the scale the base color is pinned to.`);
+  }
+  if (Object.keys(resolvedAnchors).length > 0) {
+    const anchored = applyAnchors(isDarkModeDefault ? darkRampRaw : lightRampRaw, isDarkModeDefault ? darkBaseScale : lightBaseScale, resolvedAnchors, !isDarkModeDefault, resolvedInterpolation);
+    if (baseScale && anchored.anchorScales.includes(String(baseScale))) {
+      throw new RangeError(`The anchor mirrored onto ${baseScale} takes the scale the base color is pinned to.`);
+    }
+    const anchorScales = anchored.anchorScales.map(Number);
+    warnings = anchored.warnings;
+    if (isDarkModeDefault) {
+      darkRampRaw = anchored.ramp;
+      darkBaseScale = Number(anchored.baseScale);
+      darkAnchorScales = anchorScales;
+    } else {
+      lightRampRaw = anchored.ramp;
+      lightBaseScale = Number(anchored.baseScale);
+      lightAnchorScales = anchorScales;
+    }
+  }
+  const lockedScales = anchorScales => baseScale ? [baseScale, ...anchorScales] : anchorScales;
+
+  // Process ramps for accessibility and de-duplication
+  const { processedRamp: lightRamp, allHexes: lightHexes, warnings: lightWarnings } = processRamp(lightRampRaw, new Set(), contrast, targets, { gamut, gamutMapping }, lockedScales(lightAnchorScales), 'Light Mode');
+  const { processedRamp: darkRamp, warnings: darkWarnings } = processRamp(darkRampRaw, lightHexes, contrast, targets, { gamut, gamutMapping }, lockedScales(darkAnchorScales), 'Dark Mode');
+  warnings = [...warnings, ...lightWarnings, ...darkWarnings,
+    ...orderProcessedRamps(lightRamp, darkRamp, contrast, { gamut, gamutMapping }, [lightBaseScale, ...lightAnchorScales], [darkBaseScale, ...darkAnchorScales])];
+
+  // Spread shades too close to tell apart, out from the base color and anchors
+  if (resolvedMinDistance) {
+    warnings = [...warnings, ...spreadProcessedRamps(lightRamp, darkRamp, resolvedMinDistance, contrast, { gamut, gamutMapping }, [lightBaseScale, ...lightAnchorScales], [darkBaseScale, ...darkAnchorScales])];
+  }
+
+  return { lightRamp, darkRamp, lightBaseScale, darkBaseScale, lightAnchorScales, darkAnchorScales, warnings };
+}
+
+/**
+ * Builds a neutral ramp pair for a brand color: tinted grays at its hue, see neutralShades(), processed
+ * like any other ramp (contrast, gamut, de-duplication). No shade holds the base color.
+ * @param {string|Color} baseColorInput - The brand color, any color string or Color.js object.
+ * @param {Object} [options]
+ * @param {number|string} [options.tint] - OKLCH chroma of the tint, see resolveNeutralTint().
+ * @param {Object} [options.contrast] - { algorithm, target } the shades are nudged to meet.
+ * @param {string|Object} [options.targets='uniform'] - Per-shade target table, see resolveTargetTable().
+ * @param {string} [options.gamut='srgb'] - Target gamut the `wide` colors are mapped into, one of GAMUTS.
+ * @param {string} [options.gamutMapping='css'] - How out-of-gamut shades are brought in, one of GAMUT_MAPPINGS.
+ * @param {Object|string|number} [options.minDistance] - Minimum distance between shades, see resolveMinDistance().
+ * @returns {{lightRamp: Object, darkRamp: Object, lightBaseScale: string, darkBaseScale: string,
+ *   lightAnchorScales: number[], darkAnchorScales: number[], warnings: string[]}} - Same shape as
+ *   generateOklchRamps(), with empty base scales.
+ * @throws {RangeError} If the tint is out of range.
+ */
+export function generateOklchNeutralRamps(baseColorInput, { tint, contrast, targets, gamut = 'srgb', gamutMapping = 'css', minDistance } = {}) {
+  const color = new Color(baseColorInput);
+  const resolvedTint = resolveNeutralTint(tint);
+  const resolvedMinDistance = resolveMinDistance(minDistance);
+
+  const { processedRamp: lightRamp, allHexes: lightHexes, warnings: lightWarnings } = processRamp(neutralShades(color, resolvedTint, true), new Set(), contrast, targets, { gamut, gamutMapping }, [], 'Light Mode');
+  const { processedRamp: darkRamp, warnings: darkWarnings } = processRamp(neutralShades(color, resolvedTint, false), lightHexes, contrast, targets, { gamut, gamutMapping }, [], 'Dark Mode');
+  const warnings = [...lightWarnings, ...darkWarnings, ...orderProcessedRamps(lightRamp, darkRamp, contrast, { gamut, gamutMapping }, [], []), ...(resolvedMinDistance
+    ? spreadProcessedRamps(lightRamp, darkRamp, resolvedMinDistance, contrast, { gamut, gamutMapping }, [], [])
+    : [])];
+
+  return { lightRamp, darkRamp, lightBaseScale: '', darkBaseScale: '', lightAnchorScales: [], darkAnchorScales: [], warnings };
+}
+
+/**
+ * Builds a ramp pair between two endpoint colors, see endpointShades(): the Light Mode ramp from the lighter
+ * endpoint at 50 to the darker at 950, the Dark Mode ramp the other way. The default ramp holds both endpoints
+ * exactly; every other shade is processed like any other ramp (contrast, gamut, de-duplication).
+ * @param {Object|string} endpoints - { start, end } or "start,end", see resolveEndpoints().
+ * @param {Object} [options]
+ * @param {string} [options.space='oklch'] - The ramp's space, one of RAMP_SPACES: the shades are blended in it,
+ *   the shorter way round, unless an interpolation is given.
+ * @param {Object|string} [options.interpolation] - { space, hue } the shades are blended in, see resolveInterpolation().
+ * @param {boolean} [options.isDarkModeDefault=false] - Whether the dark ramp holds the exact endpoints.
+ * @param {Object} [options.contrast] - { algorithm, target } the shades are nudged to meet.
+ * @param {string|Object} [options.targets='uniform'] - Per-shade target table, see resolveTargetTable().
+ * @param {string} [options.gamut='srgb'] - Target gamut the `wide` colors are mapped into, one of GAMUTS.
+ * @param {string} [options.gamutMapping='css'] - How out-of-gamut shades are brought in, one of GAMUT_MAPPINGS.
+ * @param {Object|string|number} [options.minDistance] - Minimum distance between shades, see resolveMinDistance().
+ * @returns {{lightRamp: Object, darkRamp: Object, lightBaseScale: string, darkBaseScale: string,
+ *   lightAnchorScales: number[], darkAnchorScales: number[], warnings: string[]}} - Same shape as
+ *   generateOklchRamps(), with empty base scales; the endpoints' scales are the default ramp's anchor scales.
+ * @throws {RangeError} If the endpoints or interpolation are invalid.
+ */
+export function generateOklchEndpointRamps(endpoints, { space = 'oklch', interpolation, isDarkModeDefault = false, contrast, targets, gamut = 'srgb', gamutMapping = 'css', minDistance } = {}) {
+  const resolvedEndpoints = resolveEndpoints(endpoints);
+  if (!resolvedEndpoints) {
+    throw new RangeError('Missing endpoints. Expected a start and an end color, such as "#f5efe6,#2b1a0e".');
+  }
+  if (!RAMP_SPACES[space]) {
+    throw new RangeError(`Unknown ramp space "${space}". Expected one of: ${Object.keys(RAMP_SPACES).join(', ')}.`);
+  }
+  const resolvedInterpolation = resolveInterpolation(interpolation);
+  const resolvedMinDistance = resolveMinDistance(minDistance);
+  const endpointScales = [SCALES[0], SCALES[SCALES.length - 1]];
+  const lightAnchorScales = isDarkModeDefault ? [] : endpointScales;
+  const darkAnchorScales = isDarkModeDefault ? endpointScales : [];
+
+  const { processedRamp: lightRamp, allHexes: lightHexes, warnings: lightWarnings } = processRamp(endpointShades(resolvedEndpoints, resolvedInterpolation, true, space), new Set(), contrast, targets, { gamut, gamutMapping }, lightAnchorScales, 'Light Mode');
+  const { processedRamp: darkRamp, warnings: darkWarnings } = processRamp(endpointShades(resolvedEndpoints, resolvedInterpolation, false, space), lightHexes, contrast, targets, { gamut, gamutMapping }, darkAnchorScales, 'Dark Mode');
+  const warnings = [...lightWarnings, ...darkWarnings, ...orderProcessedRamps(lightRamp, darkRamp, contrast, { gamut, gamutMapping }, lightAnchorScales, darkAnchorScales), ...(resolvedMinDistance
+    ? spreadProcessedRamps(lightRamp, darkRamp, resolvedMinDistance, contrast, { gamut, gamutMapping }, lightAnchorScales, darkAnchorScales)
+    : [])];
+
+  return { lightRamp, darkRamp, lightBaseScale: '', darkBaseScale: '', lightAnchorScales, darkAnchorScales, warnings };
+}
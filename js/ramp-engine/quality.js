@@ -0,0 +1,110 @@
+import Color from 'colorjs.io';
+import { measureContrast } from './contrast.js';
+import { shadeDistance } from './distance.js';
+
+/* Ramp Engine - ramp quality
+   The numbers behind a finished ramp: each shade's OKLCH lightness, chroma and hue, how far it is from
+   its neighbour, its contrast against white and black, and whether the contrast pass or gamut mapping
+   moved it. The scores sum those up per ramp, so vibrancy settings and generator spaces can be compared
+   on the same terms.
+*/
+
+const SCALES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+
+// Shades with less OKLCH chroma than this have no hue worth keeping steady
+const ACHROMATIC_CHROMA = 0.02;
+
+// A hue that bends this many degrees per step (beyond its steady drift) scores 0 for hue
+const HUE_TOLERANCE = 10;
+
+const clamp01 = value => Math.min(1, Math.max(0, value));
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Signed shortest turn from one hue to the next, in degrees
+const hueStep = (from, to) => ((to - from + 540) % 360) - 180;
+
+/**
+ * How evenly spaced the shades are: 1 minus the coefficient of variation of the neighbour distances.
+ * @param {number[]} distances
+ * @returns {number} - 0-1.
+ */
+function evenness(distances) {
+  if (distances.length < 2) return 1;
+  const average = mean(distances);
+  if (average === 0) return 0;
+  const deviation = Math.sqrt(mean(distances.map(d => (d - average) ** 2)));
+  return clamp01(1 - deviation / average);
+}
+
+/**
+ * How smoothly lightness and hue change along the ramp. Lightness scores 1 minus its mean change in step size
+ * over twice its mean step, so an even slope scores 1 and a ramp that doubles back scores 0. Hue scores 1 minus
+ * its mean change in step over HUE_TOLERANCE, weighted by chroma, so a steady hue shift costs nothing and
+ * hue noise in near-grays doesn't count. The two are averaged.
+ * @param {Array<{l: number, c: number, h: number|null}>} steps
+ * @returns {number} - 0-1.
+ */
+function smoothness(steps) {
+  if (steps.length < 3) return 1;
+  const lightnessSteps = steps.slice(1).map((step, i) => step.l - steps[i].l);
+  const lightnessBends = lightnessSteps.slice(1).map((step, i) => Math.abs(step - lightnessSteps[i]));
+  const meanStep = mean(lightnessSteps.map(Math.abs));
+  const lightness = meanStep === 0 ? 0 : clamp01(1 - mean(lightnessBends) / (2 * meanStep));
+
+  let weightedBend = 0;
+  let totalWeight = 0;
+  steps.slice(2).forEach((step, i) => {
+    const [a, b] = [steps[i], steps[i + 1]];
+    const weight = Math.min(a.c, b.c, step.c);
+    if (weight < ACHROMATIC_CHROMA || a.h === null || b.h === null || step.h === null) return;
+    weightedBend += weight * Math.abs(hueStep(b.h, step.h) - hueStep(a.h, b.h));
+    totalWeight += weight;
+  });
+  const hue = totalWeight === 0 ? 1 : clamp01(1 - weightedBend / totalWeight / HUE_TOLERANCE);
+
+  return (lightness + hue) / 2;
+}
+
+/**
+ * Measures a finished ramp, shade by shade, and scores it.
+ * @param {Object} swatches - Map of scale -> swatch, as in createRamp()'s `light.swatches` / `dark.swatches`.
+ * @param {Object} [options]
+ * @param {string} [options.metric='2000'] - Distance between neighbours, one of DISTANCE_METRICS.
+ * @param {string} [options.algorithm='wcag21'] - Contrast algorithm for the white and black columns.
+ * @returns {{steps: Array<{scale: string, hex: string, l: number, c: number, h: number|null, distance: number|null,
+ *   contrastWhite: number, contrastBlack: number, nudged: boolean, clipped: boolean}>,
+ *   scores: {evenness: number, smoothness: number, overall: number}}} - One step per shade from 50 to 950; `h` is
+ *   null for grays and `distance` null for the first shade. Contrast is white or black text on the shade (WCAG
+ *   ratio or |Lc|). Scores run 0-100: evenness of the neighbour distances, smoothness of lightness and hue, and
+ *   their average.
+ */
+export function analyzeRamp(swatches, { metric = '2000', algorithm = 'wcag21' } = {}) {
+  const scales = SCALES.filter(scale => swatches[scale]);
+  const steps = scales.map((scale, i) => {
+    const { hex, nudged = false, clipped = false } = swatches[scale];
+    const { l, c, h } = new Color(hex).to('oklch');
+    return {
+      scale,
+      hex,
+      l,
+      c,
+      h: isNaN(h) || c < 1e-4 ? null : h,
+      distance: i === 0 ? null : shadeDistance(swatches[scales[i - 1]].hex, hex, metric),
+      contrastWhite: measureContrast(hex, '#FFFFFF', algorithm),
+      contrastBlack: measureContrast(hex, '#000000', algorithm),
+      nudged,
+      clipped
+    };
+  });
+
+  const even = evenness(steps.slice(1).map(step => step.distance));
+  const smooth = smoothness(steps);
+  return {
+    steps,
+    scores: {
+      evenness: Math.round(even * 100),
+      smoothness: Math.round(smooth * 100),
+      overall: Math.round((even + smooth) * 50)
+    }
+  };
+}
@@ -0,0 +1,175 @@
+/* Ramp Engine - image quantization
+   The dominant colors of an image, for starting a palette from a photo: median cut in OKLab seeds
+   k-means, near-duplicate clusters are merged and slivers dropped, leaving the few colors the image
+   is mostly made of. Works on raw RGBA pixels and has no imports, so it runs in a Web Worker without
+   the page's import map; decoding the image is the caller's job.
+*/
+
+export const MIN_PALETTE_COLORS = 3;
+export const MAX_PALETTE_COLORS = 8;
+
+// Pixels looked at: a downscaled photo has plenty of samples well before this
+const SAMPLE_LIMIT = 20000;
+// Pixels less opaque than this are background, not color
+const MIN_ALPHA = 128;
+const KMEANS_ITERATIONS = 10;
+// Clusters closer than this ΔEOK read as one color
+const MERGE_DISTANCE = 0.06;
+// Clusters covering less of the image than this are details, not dominant colors
+const MIN_SHARE = 0.01;
+
+const toLinear = value => (value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4);
+const toGamma = value => (value <= 0.0031308 ? value * 12.92 : 1.055 * value ** (1 / 2.4) - 0.055);
+
+/**
+ * sRGB channels (0-255) to OKLab (Björn Ottosson's matrices).
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @returns {number[]} - [L, a, b].
+ */
+function rgbToOklab(r, g, b) {
+  const [lr, lg, lb] = [r, g, b].map(value => toLinear(value / 255));
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  ];
+}
+
+/**
+ * OKLab to an sRGB HEX, clipped into sRGB (cluster means of in-gamut pixels stay close to it).
+ * @param {number[]} lab - [L, a, b].
+ * @returns {string}
+ */
+function oklabToHex([L, a, b]) {
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+  const linear = [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ];
+  return `#${linear.map(value => Math.round(Math.min(1, Math.max(0, toGamma(Math.max(0, value)))) * 255).toString(16).padStart(2, '0')).join('')}`;
+}
+
+const distanceSquared = (p, q) => (p[0] - q[0]) ** 2 + (p[1] - q[1]) ** 2 + (p[2] - q[2]) ** 2;
+
+/**
+ * Averages a set of OKLab points.
+ * @param {number[][]} points
+ * @returns {number[]}
+ */
+function meanOf(points) {
+  const sum = [0, 0, 0];
+  points.forEach(point => { sum[0] += point[0]; sum[1] += point[1]; sum[2] += point[2]; });
+  return sum.map(value => value / points.length);
+}
+
+/**
+ * Median cut: splits the box with the widest spread at its median until there are `count` boxes.
+ * @param {number[][]} points - OKLab points.
+ * @param {number} count
+ * @returns {number[][]} - The boxes' means, one per box (fewer when the points run out of spread).
+ */
+function medianCut(points, count) {
+  const boxes = [points];
+  while (boxes.length < count) {
+    let widest = null;
+    boxes.forEach((box, index) => {
+      if (box.length < 2) return;
+      [0, 1, 2].forEach(axis => {
+        let min = Infinity;
+        let max = -Infinity;
+        box.forEach(point => { min = Math.min(min, point[axis]); max = Math.max(max, point[axis]); });
+        // Weighted by size, so a big box of similar colors still splits before a handful of outliers
+        const spread = (max - min) * Math.sqrt(box.length);
+        if (max > min && (!widest || spread > widest.spread)) widest = { index, axis, spread };
+      });
+    });
+    if (!widest) break;
+    const sorted = boxes[widest.index].slice().sort((p, q) => p[widest.axis] - q[widest.axis]);
+    const middle = Math.floor(sorted.length / 2);
+    boxes.splice(widest.index, 1, sorted.slice(0, middle), sorted.slice(middle));
+  }
+  return boxes.map(meanOf);
+}
+
+/**
+ * Refines centroids with k-means.
+ * @param {number[][]} points
+ * @param {number[][]} centroids - Starting centroids.
+ * @returns {Array<{center: number[], count: number}>} - Clusters that kept at least one point.
+ */
+function kMeans(points, centroids) {
+  let centers = centroids;
+  let assignments = new Array(points.length).fill(0);
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+    let moved = false;
+    assignments = points.map((point, i) => {
+      let nearest = 0;
+      centers.forEach((center, c) => {
+        if (distanceSquared(point, center) < distanceSquared(point, centers[nearest])) nearest = c;
+      });
+      if (nearest !== assignments[i]) moved = true;
+      return nearest;
+    });
+    centers = centers.map((center, c) => {
+      const members = points.filter((_, i) => assignments[i] === c);
+      return members.length > 0 ? meanOf(members) : center;
+    });
+    if (!moved && iteration > 0) break;
+  }
+  return centers
+    .map((center, c) => ({ center, count: assignments.filter(a => a === c).length }))
+    .filter(cluster => cluster.count > 0);
+}
+
+/**
+ * Finds an image's dominant colors.
+ * @param {Uint8ClampedArray|number[]} pixels - RGBA bytes, as in ImageData.data.
+ * @param {Object} [options]
+ * @param {number} [options.max=MAX_PALETTE_COLORS] - The most colors proposed.
+ * @param {number} [options.min=MIN_PALETTE_COLORS] - Near-duplicates and slivers are only dropped down to this many.
+ * @returns {Array<{hex: string, share: number}>} - Most of the image first; `share` is the part of the opaque
+ *   pixels nearest that color, 0-1. Empty for a fully transparent image.
+ */
+export function dominantColors(pixels, { max = MAX_PALETTE_COLORS, min = MIN_PALETTE_COLORS } = {}) {
+  const total = Math.floor(pixels.length / 4);
+  const stride = Math.max(1, Math.ceil(total / SAMPLE_LIMIT));
+  const points = [];
+  for (let i = 0; i < total; i += stride) {
+    const offset = i * 4;
+    if (pixels[offset + 3] < MIN_ALPHA) continue;
+    points.push(rgbToOklab(pixels[offset], pixels[offset + 1], pixels[offset + 2]));
+  }
+  if (points.length === 0) return [];
+
+  let clusters = kMeans(points, medianCut(points, max));
+
+  // Merge the closest pair while it reads as one color
+  while (clusters.length > min) {
+    let closest = null;
+    clusters.forEach((p, i) => clusters.slice(i + 1).forEach((q, n) => {
+      const distance = Math.sqrt(distanceSquared(p.center, q.center));
+      if (!closest || distance < closest.distance) closest = { i, j: i + 1 + n, distance };
+    }));
+    if (closest.distance >= MERGE_DISTANCE) break;
+    const p = clusters[closest.i];
+    const q = clusters[closest.j];
+    const count = p.count + q.count;
+    const merged = { center: p.center.map((value, axis) => (value * p.count + q.center[axis] * q.count) / count), count };
+    clusters = clusters.filter((_, index) => index !== closest.i && index !== closest.j).concat(merged);
+  }
+
+  clusters.sort((p, q) => q.count - p.count);
+  // Slivers go from the smallest up, keeping at least `min`
+  while (clusters.length > min && clusters[clusters.length - 1].count / points.length < MIN_SHARE) {
+    clusters.pop();
+  }
+  return clusters.map(({ center, count }) => ({ hex: oklabToHex(center), share: count / points.length }));
+}
@@ -0,0 +1,40 @@
+import Color from 'colorjs.io';
+
+/* Ramp Engine - status colors
+   Success, warning, danger and info base colors that sit next to a brand color: fixed OKLCH hues,
+   with the brand's own lightness and chroma kept within what still reads as each status (a dark
+   amber turns brown, a gray brand would give gray statuses). Callers run each one through
+   createRamp() with the brand's ramp settings.
+*/
+
+// OKLCH hue of each status, in token order
+export const STATUS_HUES = { success: 150, warning: 75, danger: 27, info: 250 };
+
+// Lightness range each status reads as itself in: warnings stay light, or amber turns brown
+const STATUS_LIGHTNESS = {
+  success: [0.5, 0.75],
+  warning: [0.72, 0.85],
+  danger: [0.5, 0.7],
+  info: [0.5, 0.75]
+};
+
+// Muted brands still get statuses that read as colors; loud ones don't get neon statuses
+const STATUS_CHROMA = [0.1, 0.2];
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+/**
+ * Picks the status base colors for a brand color.
+ * @param {string|Color} baseColor - The brand color, any CSS color string or Color.js object.
+ * @returns {Array<{status: string, hex: string}>} - One per STATUS_HUES key, in that order, mapped into sRGB
+ *   along OKLCH chroma.
+ */
+export function statusColors(baseColor) {
+  const { l, c } = new Color(baseColor).to('oklch');
+  const chroma = clamp(isNaN(c) ? 0 : c, STATUS_CHROMA);
+
+  return Object.entries(STATUS_HUES).map(([status, hue]) => ({
+    status,
+    hex: new Color('oklch', [clamp(l, STATUS_LIGHTNESS[status]), chroma, hue]).toGamut({ space: 'srgb' }).to('srgb').toString({ format: 'hex', collapse: false })
+  }));
+}
@@ -0,0 +1,164 @@
+import Color from 'colorjs.io';
+
+/* Ramp Engine - vibrancy
+   The vibrancy boost raises chroma toward the most each hue can take in the target gamut: 0% leaves a
+   ramp as generated, 100% goes halfway there and 200% reaches the gamut's edge. How far a hue can go
+   comes from a per-hue table of the gamut's cusps (its most colorful color at each OKLCH hue), read
+   off the saturated edges of the gamut's RGB cube, so yellows stop where sRGB yellows stop and blues
+   go on further. Shades at other lightnesses are held at the edge for their own lightness, so a boost
+   never has to be clipped. Boosts saved before that (no `vibrancyVersion`) multiplied the base color's
+   chroma by 1 + boost/100 and are converted with migrateVibrancy().
+*/
+
+export const MAX_VIBRANCY = 200;
+// Saved with colors, share URLs and settings whose boost is measured against the gamut
+export const VIBRANCY_VERSION = 2;
+
+// The RGB cube's saturated edges run red, yellow, green, cyan, blue, magenta and back to red
+const CUBE_EDGES = [[1, 0, 0], [1, 1, 0], [0, 1, 0], [0, 1, 1], [0, 0, 1], [1, 0, 1], [1, 0, 0]];
+const EDGE_SAMPLES = 64;
+
+// Bisection steps for the most chroma at one lightness: about 1e-5 of chroma
+const CHROMA_SEARCH_STEPS = 16;
+
+// Cusp tables by gamut, built on first use
+const cuspTables = new Map();
+
+/**
+ * Resolves a vibrancy boost.
+ * @param {number|string} [vibrancy] - Percent, 0 to MAX_VIBRANCY; "75" and "75%" work too. Empty for 0.
+ * @returns {number}
+ * @throws {RangeError} If it isn't a number in range.
+ */
+export function resolveVibrancy(vibrancy) {
+  if (vibrancy === undefined || vibrancy === null || vibrancy === '') return 0;
+  const value = Number(String(vibrancy).trim().replace(/%$/, ''));
+  if (typeof vibrancy === 'boolean' || isNaN(value) || value < 0 || value > MAX_VIBRANCY) {
+    throw new RangeError(`Invalid vibrancy "${vibrancy}". Expected a percentage from 0 to ${MAX_VIBRANCY}.`);
+  }
+  return value;
+}
+
+/**
+ * Converts a boost saved before VIBRANCY_VERSION 2, which multiplied chroma by 1 + boost/100, into the boost
+ * that gives the base color about the same chroma on the current scale.
+ * @param {number|string} vibrancy - The saved boost in percent, such as 50 or 100.
+ * @param {Color|string} color - The base color it was saved with.
+ * @param {string} [gamut='srgb'] - The gamut it's generated in, one of GAMUTS.
+ * @returns {number} - Whole percent, 0 to MAX_VIBRANCY; colors the old boost took past the gamut's edge get MAX_VIBRANCY.
+ */
+export function migrateVibrancy(vibrancy, color, gamut = 'srgb') {
+  const legacy = Math.max(0, Number(String(vibrancy ?? '').trim().replace(/%$/, '')) || 0);
+  const { c, h } = new Color(color).to('oklch');
+  if (legacy === 0 || c < 0.01 || isNaN(h)) return 0;
+  const ceiling = gamutCusp(h, gamut).c;
+  if (c >= ceiling) return MAX_VIBRANCY;
+  return Math.min(MAX_VIBRANCY, Math.round(MAX_VIBRANCY * (c * legacy / 100) / (ceiling - c)));
+}
+
+/**
+ * Builds a gamut's cusp table: the OKLCH lightness and chroma of its most colorful color at every whole hue.
+ * @param {string} gamut - Color.js space id of the gamut, one of GAMUTS.
+ * @returns {Array<{l: number, c: number}>} - 360 entries, by hue.
+ */
+function cuspTable(gamut) {
+  if (cuspTables.has(gamut)) return cuspTables.get(gamut);
+
+  const points = [];
+  CUBE_EDGES.slice(0, -1).forEach((from, edge) => {
+    const to = CUBE_EDGES[edge + 1];
+    for (let i = 0; i < EDGE_SAMPLES; i++) {
+      const t = i / EDGE_SAMPLES;
+      const { l, c, h } = new Color(gamut, from.map((value, j) => value + (to[j] - value) * t)).to('oklch');
+      points.push({ l, c, h });
+    }
+  });
+  points.sort((a, b) => a.h - b.h);
+
+  const table = Array.from({ length: 360 }, (_, hue) => {
+    const next = points.findIndex(point => point.h >= hue);
+    const after = points[next === -1 ? 0 : next];
+    const before = points[next <= 0 ? points.length - 1 : next - 1];
+    // Hues wrap past 360, so both neighbours are measured going up from `before`
+    const span = (after.h - before.h + 360) % 360;
+    const t = span === 0 ? 0 : ((hue - before.h + 360) % 360) / span;
+    return { l: before.l + (after.l - before.l) * t, c: before.c + (after.c - before.c) * t };
+  });
+  cuspTables.set(gamut, table);
+  return table;
+}
+
+/**
+ * The gamut's most colorful color at a hue.
+ * @param {number} hue - OKLCH hue in degrees.
+ * @param {string} [gamut='srgb'] - One of GAMUTS.
+ * @returns {{l: number, c: number}} - OKLCH lightness and chroma, interpolated between whole hues.
+ */
+export function gamutCusp(hue, gamut = 'srgb') {
+  const table = cuspTable(gamut);
+  const wrapped = ((hue % 360) + 360) % 360;
+  const before = table[Math.floor(wrapped) % 360];
+  const after = table[Math.ceil(wrapped) % 360];
+  const t = wrapped - Math.floor(wrapped);
+  return { l: before.l + (after.l - before.l) * t, c: before.c + (after.c - before.c) * t };
+}
+
+/**
+ * The most OKLCH chroma a lightness and hue can have inside a gamut.
+ * @param {number} l - OKLCH lightness, 0-1.
+ * @param {number} hue - OKLCH hue in degrees.
+ * @param {string} [gamut='srgb'] - One of GAMUTS.
+ * @returns {number}
+ */
+export function maxChroma(l, hue, gamut = 'srgb') {
+  if (l <= 0 || l >= 1) return 0;
+  // The cusp is the most the hue takes anywhere; between table entries it can sit a little higher
+  let low = 0;
+  let high = gamutCusp(hue, gamut).c * 1.1;
+  for (let i = 0; i < CHROMA_SEARCH_STEPS; i++) {
+    const middle = (low + high) / 2;
+    if (new Color('oklch', [l, middle, hue]).inGamut(gamut)) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Raises a chroma toward a ceiling by a vibrancy boost. Chroma already at or past the ceiling is kept.
+ * @param {number} chroma
+ * @param {number} ceiling - The most chroma there's room for.
+ * @param {number} vibrancy - Resolved boost, 0 to MAX_VIBRANCY.
+ * @returns {number}
+ */
+export function boostChroma(chroma, ceiling, vibrancy) {
+  return chroma >= ceiling ? chroma : chroma + (ceiling - chroma) * (vibrancy / MAX_VIBRANCY);
+}
+
+/**
+ * Boosts one shade's chroma toward the gamut's edge at its own lightness and hue.
+ * @param {Color} color
+ * @param {number} vibrancy - Resolved boost, 0 to MAX_VIBRANCY.
+ * @param {string} [gamut='srgb'] - One of GAMUTS.
+ * @returns {Color} - A new color in `color`'s space; grays come back unchanged.
+ */
+export function boostShade(color, vibrancy, gamut = 'srgb') {
+  const { l, c, h } = color.to('oklch');
+  if (vibrancy === 0 || c < 0.01 || isNaN(h)) return color;
+  return new Color('oklch', [l, boostChroma(c, maxChroma(l, h, gamut), vibrancy), h]).to(color.space);
+}
+
+/**
+ * Holds a boosted shade inside a gamut by lowering its OKLCH chroma, at constant lightness and hue.
+ * @param {Color} color
+ * @param {string} [gamut='srgb'] - One of GAMUTS.
+ * @returns {Color} - `color` itself when it's already inside, else a new color in its space.
+ */
+export function capChroma(color, gamut = 'srgb') {
+  if (color.inGamut(gamut)) return color;
+  const { l, c, h } = color.to('oklch');
+  if (isNaN(h)) return color;
+  return new Color('oklch', [l, Math.min(c, maxChroma(l, h, gamut)), h]).to(color.space);
+}
@@ -0,0 +1,74 @@
+/* Color Ramp - ramp strips
+   Compact Light and Dark strips for companion colors of the base color (harmony colors, status
+   colors) and for the base color's alpha ramps, each previewed on its surface. The pages generate
+   the ramps with their own settings; this only draws them. Clicking a shade copies its HEX, or its
+   rgba() in alpha strips. Shared by both generator pages.
+*/
+
+/**
+ * Builds one strip of swatches.
+ * @param {Object} swatches - Engine swatches keyed by scale ({ hex, text, alpha }).
+ * @param {string} baseScale - Scale holding the harmony color itself.
+ * @param {string} label - 'Light' or 'Dark'.
+ * @param {string} surface - The surface the ramp was built for.
+ * @param {Function} onCopy - Called with (message, element) after a HEX is copied.
+ * @param {boolean} alpha - Show and copy each shade's alpha version instead.
+ * @returns {HTMLDivElement}
+ */
+function buildStrip(swatches, baseScale, label, surface, onCopy, alpha) {
+  const strip = document.createElement('div');
+  strip.className = 'harmony-strip';
+  strip.style.setProperty('--ramp-surface', surface);
+  strip.setAttribute('aria-label', `${label} Mode ramp`);
+
+  Object.keys(swatches).forEach(scale => {
+    const { text } = swatches[scale];
+    const value = alpha ? swatches[scale].alpha : swatches[scale].hex;
+    const format = alpha ? 'RGBA' : 'HEX';
+    const swatch = document.createElement('button');
+    swatch.type = 'button';
+    swatch.className = scale === baseScale ? 'harmony-swatch is-base' : 'harmony-swatch';
+    swatch.style.backgroundColor = value;
+    swatch.style.color = text;
+    swatch.title = `${label} ${scale}: ${value}. Click to copy ${format}`;
+    swatch.textContent = scale;
+    swatch.addEventListener('click', () => {
+      navigator.clipboard.writeText(value);
+      onCopy(`🗸 Copied ${format}!`, swatch);
+    });
+    strip.appendChild(swatch);
+  });
+  return strip;
+}
+
+/**
+ * Draws the ramps of a set of colors.
+ * @param {HTMLElement} container - Emptied and filled with one block per color.
+ * @param {Array<Object>} entries - { label, hex, light, dark } per color: what it is (e.g. '+120°' or 'success'),
+ *   its HEX, and the { baseScale, swatches } ramps createRamp() built for it.
+ * @param {Object} options
+ * @param {Object} options.surfaces - Resolved { light, dark } surfaces the ramps were built for.
+ * @param {Function} options.onCopy - Called with (message, element) after a HEX is copied.
+ * @param {boolean} [options.alpha=false] - Draw each shade's alpha version, which looks the same on its surface.
+ */
+export function renderRampStrips(container, entries, { surfaces, onCopy, alpha = false }) {
+  container.replaceChildren();
+  entries.forEach(({ label, hex, light, dark }) => {
+    const block = document.createElement('div');
+    block.className = 'harmony-color';
+
+    const title = document.createElement('div');
+    title.className = 'harmony-color-title';
+    const chip = document.createElement('span');
+    chip.className = 'anchor-chip-swatch';
+    chip.style.backgroundColor = hex;
+    title.append(chip, `${label} ${hex}`);
+
+    block.append(
+      title,
+      buildStrip(light.swatches, light.baseScale, 'Light', surfaces.light, onCopy, alpha),
+      buildStrip(dark.swatches, dark.baseScale, 'Dark', surfaces.dark, onCopy, alpha)
+    );
+    container.appendChild(block);
+  });
+}